@@ -0,0 +1,45 @@
+const { canonicalize } = require('../../utils/canonicalJson');
+
+describe('canonicalize', () => {
+  it('sorts object keys at every level', () => {
+    const value = { b: 1, a: { d: [3, { z: true, y: false }], c: 'x' } };
+
+    expect(canonicalize(value)).toBe('{"a":{"c":"x","d":[3,{"y":false,"z":true}]},"b":1}');
+  });
+
+  it('serialises the same data built in a different order to the same bytes', () => {
+    const first = { certificateNumber: 'PES-001', farm: { id: 7, name: 'Shamba' }, scope: ['maize'] };
+    const second = { scope: ['maize'], farm: { name: 'Shamba', id: 7 }, certificateNumber: 'PES-001' };
+
+    expect(canonicalize(first)).toBe(canonicalize(second));
+  });
+
+  it('keeps array order', () => {
+    expect(canonicalize(['b', 'a'])).toBe('["b","a"]');
+  });
+
+  it('sorts keys by code unit, not locale', () => {
+    expect(canonicalize({ b: 1, B: 2, a: 3, _: 4 })).toBe('{"B":2,"_":4,"a":3,"b":1}');
+  });
+
+  it('drops undefined members and writes undefined array items as null', () => {
+    expect(canonicalize({ a: undefined, b: null, c: [undefined, 1] })).toBe('{"b":null,"c":[null,1]}');
+  });
+
+  it('writes numbers the way JSON.stringify does', () => {
+    expect(canonicalize({ integer: 10, float: 1.50, exponent: 1e21, small: 0.000001, negativeZero: -0 }))
+      .toBe('{"exponent":1e+21,"float":1.5,"integer":10,"negativeZero":0,"small":0.000001}');
+  });
+
+  it('writes non-finite numbers as null', () => {
+    expect(canonicalize([NaN, Infinity, -Infinity])).toBe('[null,null,null]');
+  });
+
+  it('uses toJSON, so dates serialise as ISO strings', () => {
+    expect(canonicalize({ issuedAt: new Date('2026-01-15T08:30:00Z') })).toBe('{"issuedAt":"2026-01-15T08:30:00.000Z"}');
+  });
+
+  it('escapes strings as JSON', () => {
+    expect(canonicalize({ 'key "q"': 'line\nbreak' })).toBe('{"key \\"q\\"":"line\\nbreak"}');
+  });
+});
@@ -0,0 +1,104 @@
+const { toDay, addMonths, cropCategory, assessConversion } = require('../../utils/conversion');
+
+describe('toDay', () => {
+  it('reads date strings and local Date objects', () => {
+    expect(toDay('2026-03-05')).toBe('2026-03-05');
+    expect(toDay('2026-03-05T22:00:00.000Z')).toBe('2026-03-05');
+    expect(toDay(new Date(2026, 2, 5))).toBe('2026-03-05');
+  });
+
+  it('returns null for missing or unreadable dates', () => {
+    [null, undefined, '', '05/03/2026', new Date('invalid')].forEach(value => expect(toDay(value)).toBeNull());
+  });
+});
+
+describe('addMonths', () => {
+  it('moves across years', () => {
+    expect(addMonths('2025-11-15', 3)).toBe('2026-02-15');
+    expect(addMonths('2024-06-01', 24)).toBe('2026-06-01');
+  });
+
+  it('clamps to the last day of shorter months', () => {
+    expect(addMonths('2026-01-31', 1)).toBe('2026-02-28');
+    expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+    expect(addMonths('2026-03-31', 1)).toBe('2026-04-30');
+  });
+});
+
+describe('cropCategory', () => {
+  it('recognises perennial crops regardless of case and spacing', () => {
+    expect(cropCategory(' Coffee ')).toBe('perennial');
+    expect(cropCategory('passion fruit')).toBe('perennial');
+  });
+
+  it('treats other and missing crops as annual', () => {
+    expect(cropCategory('maize')).toBe('annual');
+    expect(cropCategory(null)).toBe('annual');
+  });
+});
+
+describe('assessConversion', () => {
+  const annual = { conversionStartDate: '2024-03-01', cropType: 'maize' };
+
+  it('labels produce conventional during the first year of conversion', () => {
+    const result = assessConversion(annual, '2024-12-31');
+
+    expect(result).toMatchObject({
+      status: 'in_conversion',
+      label: 'conventional',
+      periodMonths: 24,
+      inConversionLabelDate: '2025-03-01',
+      earliestOrganicDate: '2026-03-01',
+      startDateSource: 'field'
+    });
+  });
+
+  it('allows the in conversion label after twelve months', () => {
+    const result = assessConversion(annual, '2025-03-01');
+
+    expect(result.label).toBe('in_conversion');
+    expect(result.daysRemaining).toBe(365);
+  });
+
+  it('becomes organic on the day the period ends', () => {
+    expect(assessConversion(annual, '2026-02-28').status).toBe('in_conversion');
+    expect(assessConversion(annual, '2026-03-01')).toMatchObject({ status: 'organic', label: 'organic', daysRemaining: 0 });
+  });
+
+  it('uses thirty six months for perennials', () => {
+    const result = assessConversion({ conversionStartDate: '2024-03-01', cropType: 'tea' }, '2026-03-01');
+
+    expect(result.periodMonths).toBe(36);
+    expect(result.earliestOrganicDate).toBe('2027-03-01');
+    expect(result.status).toBe('in_conversion');
+  });
+
+  it('honours a period override, including zero', () => {
+    expect(assessConversion({ ...annual, conversionPeriodMonths: '12' }, '2025-03-01').status).toBe('organic');
+    expect(assessConversion({ ...annual, conversionPeriodMonths: 0 }, '2024-03-01').status).toBe('organic');
+  });
+
+  it('restarts the period after a prohibited input', () => {
+    const result = assessConversion({ ...annual, lastProhibitedInputDate: '2025-06-10' }, '2026-03-01');
+
+    expect(result.restartedByInput).toBe(true);
+    expect(result.earliestOrganicDate).toBe('2027-06-10');
+    expect(result.label).toBe('conventional');
+  });
+
+  it('ignores inputs from before the conversion started', () => {
+    expect(assessConversion({ ...annual, lastProhibitedInputDate: '2023-12-01' }, '2026-03-01').restartedByInput).toBe(false);
+  });
+
+  it('falls back to the farm organic date', () => {
+    const result = assessConversion({ organicSince: '2020-01-01', cropType: 'maize' }, '2026-03-01');
+
+    expect(result.startDateSource).toBe('farm');
+    expect(result.status).toBe('organic');
+  });
+
+  it('lets the legacy flag decide the label without dates', () => {
+    expect(assessConversion({ organicStatus: true }, '2026-03-01')).toMatchObject({ status: 'unknown', label: 'organic' });
+    expect(assessConversion({ organicStatus: 0 }, '2026-03-01').label).toBe('in_conversion');
+  });
+});
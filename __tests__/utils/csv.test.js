@@ -0,0 +1,43 @@
+const { parseCsv } = require('../../utils/csv');
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('name,county\nWanjiku,Nyeri\nOtieno,Kisumu')).toEqual([
+      ['name', 'county'],
+      ['Wanjiku', 'Nyeri'],
+      ['Otieno', 'Kisumu']
+    ]);
+  });
+
+  it('keeps commas inside quoted fields', () => {
+    expect(parseCsv('"Kiambu, Ruiru",2')).toEqual([['Kiambu, Ruiru', '2']]);
+  });
+
+  it('unescapes doubled quotes', () => {
+    expect(parseCsv('"She said ""organic""",x')).toEqual([['She said "organic"', 'x']]);
+  });
+
+  it('keeps line breaks inside quoted fields', () => {
+    expect(parseCsv('"line one\r\nline two",b\nc,d')).toEqual([['line one\r\nline two', 'b'], ['c', 'd']]);
+  });
+
+  it('reads an empty quoted field as empty', () => {
+    expect(parseCsv('a,"",c')).toEqual([['a', '', 'c']]);
+  });
+
+  it('keeps a quote in the middle of an unquoted field as it is', () => {
+    expect(parseCsv('5" pipe,x')).toEqual([['5" pipe', 'x']]);
+  });
+
+  it('accepts CRLF and CR line endings', () => {
+    expect(parseCsv('a,b\r\nc,d\re,f\r\n')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  it('strips a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n\n , \nc,d\n')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('keeps empty trailing fields', () => {
+    expect(parseCsv('a,,\nb,c,d')).toEqual([['a', '', ''], ['b', 'c', 'd']]);
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  EARTH_RADIUS_KM,
+  haversineKm,
+  pathKm,
+  isValidCoordinate,
+  normalizeBoundary,
+  boundaryErrors,
+  boundaryAreaHectares,
+  pointInBoundary,
+  distanceToBoundaryM
+} = require('../../utils/geo');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Exact area in hectares of the cell between two meridians and two parallels on the sphere
+const cellHectares = (west, south, east, north) => {
+  const radius = EARTH_RADIUS_KM * 1000;
+  return radius * radius * toRadians(east - west) * (Math.sin(toRadians(north)) - Math.sin(toRadians(south))) / 10000;
+};
+
+const square = (west, south, size) => [
+  [west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]
+];
+
+// About 1.1 km a side near Nyeri
+const field = { type: 'Polygon', coordinates: [square(36.9, -0.42, 0.01)] };
+
+describe('haversineKm', () => {
+  it('measures one degree of latitude', () => {
+    expect(haversineKm({ latitude: 0, longitude: 36 }, { latitude: 1, longitude: 36 }))
+      .toBeCloseTo(EARTH_RADIUS_KM * Math.PI / 180, 6);
+  });
+
+  it('is zero between a point and itself', () => {
+    expect(haversineKm({ latitude: -1.29, longitude: 36.82 }, { latitude: -1.29, longitude: 36.82 })).toBe(0);
+  });
+
+  it('sums the legs of a path', () => {
+    const points = [{ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 }, { latitude: 1, longitude: 1 }];
+    expect(pathKm(points)).toBeCloseTo(haversineKm(points[0], points[1]) + haversineKm(points[1], points[2]), 9);
+    expect(pathKm(points.slice(0, 1))).toBe(0);
+  });
+});
+
+describe('isValidCoordinate', () => {
+  it('accepts coordinates in range and rejects the rest', () => {
+    expect(isValidCoordinate(-90, 180)).toBe(true);
+    expect(isValidCoordinate(91, 0)).toBe(false);
+    expect(isValidCoordinate(0, -181)).toBe(false);
+    expect(isValidCoordinate('1', 1)).toBe(false);
+    expect(isValidCoordinate(NaN, 1)).toBe(false);
+  });
+});
+
+describe('boundaryAreaHectares', () => {
+  it('matches the exact area of a cell at the equator', () => {
+    const geometry = { type: 'Polygon', coordinates: [square(0, 0, 0.01)] };
+    expect(boundaryAreaHectares(geometry)).toBeCloseTo(cellHectares(0, 0, 0.01, 0.01), 3);
+  });
+
+  it('matches the exact area of a cell away from the equator', () => {
+    expect(boundaryAreaHectares(field)).toBeCloseTo(cellHectares(36.9, -0.42, 36.91, -0.41), 3);
+  });
+
+  it('does not depend on the winding order', () => {
+    const reversed = { type: 'Polygon', coordinates: [[...field.coordinates[0]].reverse()] };
+    expect(boundaryAreaHectares(reversed)).toBeCloseTo(boundaryAreaHectares(field), 6);
+  });
+
+  it('subtracts holes and adds the polygons of a MultiPolygon', () => {
+    const holed = { type: 'Polygon', coordinates: [square(0, 0, 0.02), square(0.005, 0.005, 0.01)] };
+    const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 0.01)], [square(1, 0, 0.01)]] };
+
+    expect(boundaryAreaHectares(holed)).toBeCloseTo(cellHectares(0, 0, 0.02, 0.02) - cellHectares(0.005, 0.005, 0.015, 0.015), 3);
+    expect(boundaryAreaHectares(multi)).toBeCloseTo(cellHectares(0, 0, 0.01, 0.01) * 2, 3);
+  });
+});
+
+describe('pointInBoundary', () => {
+  const holed = { type: 'Polygon', coordinates: [square(0, 0, 0.02), square(0.005, 0.005, 0.01)] };
+
+  it('finds points inside and outside a polygon', () => {
+    expect(pointInBoundary([36.905, -0.415], field)).toBe(true);
+    expect(pointInBoundary([36.915, -0.415], field)).toBe(false);
+  });
+
+  it('excludes points inside a hole', () => {
+    expect(pointInBoundary([0.002, 0.002], holed)).toBe(true);
+    expect(pointInBoundary([0.01, 0.01], holed)).toBe(false);
+  });
+
+  it('checks every polygon of a MultiPolygon', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 0.01)], [square(1, 0, 0.01)]] };
+
+    expect(pointInBoundary([1.005, 0.005], multi)).toBe(true);
+    expect(pointInBoundary([0.5, 0.005], multi)).toBe(false);
+  });
+
+  it('handles a concave polygon', () => {
+    const lShape = {
+      type: 'Polygon',
+      coordinates: [[[0, 0], [0.02, 0], [0.02, 0.01], [0.01, 0.01], [0.01, 0.02], [0, 0.02], [0, 0]]]
+    };
+
+    expect(pointInBoundary([0.005, 0.015], lShape)).toBe(true);
+    expect(pointInBoundary([0.015, 0.015], lShape)).toBe(false);
+  });
+});
+
+describe('distanceToBoundaryM', () => {
+  it('measures to the nearest edge', () => {
+    const metresPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+    expect(distanceToBoundaryM([0.005, 0.011], { type: 'Polygon', coordinates: [square(0, 0, 0.01)] }))
+      .toBeCloseTo(0.001 * metresPerDegree, 3);
+  });
+});
+
+describe('normalizeBoundary', () => {
+  it('unwraps a Feature, drops altitudes and repeated positions', () => {
+    const feature = {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Polygon', coordinates: [[[0, 0, 1500], [0, 0], [1, 0], [1, 1], [1, 1], [0, 0]]] }
+    };
+
+    expect(normalizeBoundary(feature)).toEqual({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] });
+  });
+
+  it('returns shapes it cannot read unchanged', () => {
+    const point = { type: 'Point', coordinates: [0, 0] };
+    expect(normalizeBoundary(point)).toBe(point);
+  });
+});
+
+describe('boundaryErrors', () => {
+  it('accepts a valid polygon with a hole', () => {
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [square(0, 0, 0.02), square(0.005, 0.005, 0.01)] })).toEqual([]);
+  });
+
+  it('rejects other geometry types', () => {
+    expect(boundaryErrors({ type: 'Point', coordinates: [0, 0] }))
+      .toEqual(['boundary must be a GeoJSON Polygon or MultiPolygon, not Point']);
+  });
+
+  it('rejects open and short rings', () => {
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }))
+      .toEqual(['exterior ring: not closed; the last position must repeat the first']);
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }))
+      .toEqual(['exterior ring: at least three distinct positions are required']);
+  });
+
+  it('rejects positions out of range', () => {
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [[[0, 0], [0, 95], [1, 1], [0, 0]]] }))
+      .toEqual(['exterior ring: positions must be [longitude, latitude] within -180..180 and -90..90']);
+  });
+
+  it('rejects a self-intersecting ring', () => {
+    const bowTie = [[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]];
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [bowTie] }))
+      .toEqual(['exterior ring: intersects itself (edges 1 and 3)']);
+  });
+
+  it('rejects a hole outside its exterior ring', () => {
+    expect(boundaryErrors({ type: 'Polygon', coordinates: [square(0, 0, 0.01), square(1, 1, 0.01)] }))
+      .toEqual(['hole 1: not inside the exterior ring']);
+  });
+
+  it('names the polygon of a MultiPolygon', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 0.01)], [[[1, 0], [2, 0], [1, 0], [1, 0]]]] };
+    expect(boundaryErrors(multi)).toEqual(['polygon 2, exterior ring: intersects itself (edges 1 and 2)']);
+  });
+});
@@ -0,0 +1,80 @@
+const { createRandom, generateSeed, weightedSample, randomInt } = require('../../utils/sampling');
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  it('produces the same sequence for the same seed', () => {
+    expect(draw(createRandom('audit-2026'), 20)).toEqual(draw(createRandom('audit-2026'), 20));
+  });
+
+  it('produces different sequences for different seeds', () => {
+    expect(draw(createRandom('audit-2026'), 5)).not.toEqual(draw(createRandom('audit-2027'), 5));
+  });
+
+  it('returns floats in [0, 1)', () => {
+    draw(createRandom(42), 1000).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('treats a numeric seed like its string form', () => {
+    expect(draw(createRandom(42), 5)).toEqual(draw(createRandom('42'), 5));
+  });
+});
+
+describe('generateSeed', () => {
+  it('returns a fresh 32 character hex seed', () => {
+    const seed = generateSeed();
+    expect(seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateSeed()).not.toBe(seed);
+  });
+});
+
+describe('weightedSample', () => {
+  const farms = Array.from({ length: 30 }, (_, index) => ({ id: index + 1, risk: (index % 5) + 1 }));
+  const sample = (seed, count) => weightedSample(farms, count, farm => farm.risk, createRandom(seed));
+
+  it('reproduces a selection from its seed', () => {
+    expect(sample('2026-q3', 10)).toEqual(sample('2026-q3', 10));
+  });
+
+  it('picks the requested number of distinct items', () => {
+    const picked = sample('2026-q3', 10);
+    expect(picked).toHaveLength(10);
+    expect(new Set(picked.map(farm => farm.id)).size).toBe(10);
+  });
+
+  it('clamps the count to the available items', () => {
+    expect(sample('2026-q3', 50)).toHaveLength(30);
+    expect(sample('2026-q3', -1)).toEqual([]);
+  });
+
+  it('favours heavier items', () => {
+    const counts = { light: 0, heavy: 0 };
+    const items = [{ name: 'light', weight: 1 }, { name: 'heavy', weight: 9 }];
+
+    for (let run = 0; run < 500; run++) {
+      const [first] = weightedSample(items, 1, item => item.weight, createRandom(`run-${run}`));
+      counts[first.name] += 1;
+    }
+
+    expect(counts.heavy).toBeGreaterThan(counts.light * 4);
+  });
+
+  it('still ranks zero weight items, last', () => {
+    const items = [{ name: 'none', weight: 0 }, { name: 'some', weight: 1 }];
+    const picked = weightedSample(items, 2, item => item.weight, createRandom('zero'));
+
+    expect(picked.map(item => item.name)).toEqual(['some', 'none']);
+  });
+});
+
+describe('randomInt', () => {
+  it('stays within the inclusive bounds and reaches both ends', () => {
+    const random = createRandom('dice');
+    const values = new Set(Array.from({ length: 200 }, () => randomInt(random, 1, 6)));
+
+    expect([...values].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+});
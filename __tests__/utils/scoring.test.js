@@ -0,0 +1,145 @@
+const { evaluateChecklist, isNotApplicable, allowsNotApplicable, getSeverity } = require('../../utils/scoring');
+const { DEFAULT_CHECKLIST, isChecklistComplete, validateChecklist } = require('../../utils/inspection');
+
+const questions = [
+  { id: 'inputs', category: 'Inputs', type: 'yes_no', expectedAnswer: false, weight: 3, severity: 'critical' },
+  { id: 'buffers', category: 'Land', type: 'yes_no', expectedAnswer: true, weight: 2, severity: 'major' },
+  { id: 'records', category: 'Documentation', type: 'yes_no', weight: 1, severity: 'minor' }
+];
+
+const compliant = { inputs: false, buffers: true, records: true };
+
+describe('isNotApplicable', () => {
+  it('accepts the N/A spellings and the object form', () => {
+    ['N/A', 'na', ' Not Applicable '].forEach(answer => expect(isNotApplicable(answer)).toBe(true));
+    expect(isNotApplicable({ notApplicable: true })).toBe(true);
+  });
+
+  it('does not treat other answers as N/A', () => {
+    [false, '', 'no', null, ['na'], { notApplicable: 'yes' }].forEach(answer => {
+      expect(isNotApplicable(answer)).toBe(false);
+    });
+  });
+});
+
+describe('getSeverity', () => {
+  it('falls back to isCritical for questions without a severity', () => {
+    expect(getSeverity({ isCritical: true })).toBe('critical');
+    expect(getSeverity({ isCritical: false })).toBe('minor');
+    expect(getSeverity({ severity: 'major', isCritical: true })).toBe('major');
+  });
+});
+
+describe('evaluateChecklist', () => {
+  it('scores a fully compliant checklist as eligible', () => {
+    const result = evaluateChecklist(compliant, questions);
+
+    expect(result.score).toBe(100);
+    expect(result.possibleWeight).toBe(6);
+    expect(result.eligible).toBe(true);
+    expect(result.reasons).toEqual([]);
+  });
+
+  it('weights the score and blocks certification on a critical failure', () => {
+    const result = evaluateChecklist({ ...compliant, inputs: true }, questions);
+
+    expect(result.score).toBe(50);
+    expect(result.criticalFailures).toBe(1);
+    expect(result.failures[0]).toMatchObject({ questionId: 'inputs', severity: 'critical', category: 'Inputs' });
+    expect(result.eligible).toBe(false);
+  });
+
+  it('blocks certification on a critical failure even above the pass threshold', () => {
+    const result = evaluateChecklist({ ...compliant, inputs: true }, questions, { passThreshold: 0 });
+
+    expect(result.eligible).toBe(false);
+    expect(result.reasons).toEqual(['1 critical non-compliance(s) found']);
+  });
+
+  it('leaves an N/A answer to a non-critical question out of the score', () => {
+    const result = evaluateChecklist({ ...compliant, buffers: 'N/A' }, questions);
+
+    expect(result.notApplicable).toEqual(['buffers']);
+    expect(result.unanswered).toEqual([]);
+    expect(result.possibleWeight).toBe(4);
+    expect(result.score).toBe(100);
+    expect(result.categories.Land.notApplicable).toBe(1);
+  });
+
+  it('counts an N/A answer to a critical question as unanswered', () => {
+    const result = evaluateChecklist({ ...compliant, inputs: 'n/a' }, questions);
+
+    expect(result.unanswered).toEqual(['inputs']);
+    expect(result.notApplicable).toEqual([]);
+    expect(result.categories.Inputs.unanswered).toBe(1);
+  });
+
+  it('accepts N/A on a critical question the template allows it for', () => {
+    const allowed = questions.map(question => (question.id === 'inputs' ? { ...question, allowNotApplicable: true } : question));
+    const result = evaluateChecklist({ ...compliant, inputs: 'N/A' }, allowed);
+
+    expect(result.notApplicable).toEqual(['inputs']);
+    expect(result.unanswered).toEqual([]);
+  });
+
+  it('treats legacy isCritical questions as critical for N/A', () => {
+    const legacy = [{ id: 'inputs', type: 'yes_no', isCritical: true }];
+
+    expect(allowsNotApplicable(legacy[0])).toBe(false);
+    expect(evaluateChecklist({ inputs: 'N/A' }, legacy).unanswered).toEqual(['inputs']);
+  });
+
+  it('scores numeric ranges and multi-choice options', () => {
+    const typed = [
+      { id: 'ph', type: 'numeric', expectedAnswer: { min: 5.5, max: 7.5 } },
+      { id: 'crops', type: 'multi_choice', options: ['maize', 'beans', 'tobacco'], expectedAnswer: ['maize', 'beans'] },
+      { id: 'remarks', type: 'text' }
+    ];
+
+    const passing = evaluateChecklist({ ph: '6.2', crops: ['maize', 'beans'], remarks: 'ok' }, typed);
+    expect(passing.possibleWeight).toBe(2);
+    expect(passing.score).toBe(100);
+
+    const failing = evaluateChecklist({ ph: 8, crops: ['maize', 'tobacco'] }, typed);
+    expect(failing.failures.map(failure => failure.questionId)).toEqual(['ph', 'crops']);
+    expect(failing.unanswered).toEqual(['remarks']);
+  });
+});
+
+describe('isChecklistComplete', () => {
+  const answers = {
+    syntheticInputs: false,
+    bufferZones: true,
+    organicSeed: 'N/A',
+    compostManagement: true,
+    recordKeeping: true
+  };
+
+  it('counts N/A on non-critical questions as answered', () => {
+    expect(isChecklistComplete(answers)).toBe(true);
+  });
+
+  it('counts N/A on a critical question as unanswered', () => {
+    expect(isChecklistComplete({ ...answers, syntheticInputs: 'N/A' })).toBe(false);
+  });
+
+  it('counts N/A on a critical question as answered when the template allows it', () => {
+    const allowed = DEFAULT_CHECKLIST.map(question => (
+      question.id === 'syntheticInputs' ? { ...question, allowNotApplicable: true } : question
+    ));
+    expect(isChecklistComplete({ ...answers, syntheticInputs: 'N/A' }, allowed)).toBe(true);
+  });
+});
+
+describe('validateChecklist', () => {
+  it('rejects N/A on a critical question', () => {
+    const { isValid, errors } = validateChecklist({ syntheticInputs: 'N/A', bufferZones: 'N/A' });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual(['Invalid answer for syntheticInputs. Critical questions cannot be answered N/A.']);
+  });
+
+  it('accepts a partly answered checklist', () => {
+    expect(validateChecklist({ syntheticInputs: false, bufferZones: null }).isValid).toBe(true);
+  });
+});
@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 // Database connection configuration
@@ -26,6 +27,59 @@ if (process.env.DB_SSL === 'true') {
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Transaction the current call chain runs in (see withTransaction): its connection and the handlers
+// registered with onRollback
+const transactionStorage = new AsyncLocalStorage();
+
+const executor = () => {
+  const transaction = transactionStorage.getStore();
+  return transaction ? transaction.connection : pool;
+};
+
+// Run fn in a transaction. The helpers below use its connection for every call made from within fn,
+// including calls through the models; it commits when fn resolves and rolls back when fn throws.
+// A nested call joins the transaction already open.
+async function withTransaction(fn) {
+  if (transactionStorage.getStore()) {
+    return await fn();
+  }
+
+  const connection = await pool.getConnection();
+  const transaction = { connection, rollbackHandlers: [] };
+  try {
+    await connection.beginTransaction();
+    const result = await transactionStorage.run(transaction, fn);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    await runRollbackHandlers(transaction.rollbackHandlers);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Undo work done outside the database, such as a file written, if the current transaction rolls back.
+// Outside a transaction there is nothing to roll back and the handler is not kept.
+function onRollback(handler) {
+  const transaction = transactionStorage.getStore();
+  if (transaction) {
+    transaction.rollbackHandlers.push(handler);
+  }
+}
+
+// Latest first; a failing handler is logged so the others still run and the original error is kept
+async function runRollbackHandlers(handlers) {
+  for (const handler of [...handlers].reverse()) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error('Error undoing work of a rolled back transaction:', error.message);
+    }
+  }
+}
+
 // Test database connection
 async function testConnection() {
   try {
@@ -44,7 +98,7 @@ async function testConnection() {
 // Execute query with error handling
 async function executeQuery(query, params = []) {
   try {
-    const [results] = await pool.execute(query, params);
+    const [results] = await executor().execute(query, params);
     return results;
   } catch (error) {
     console.error('Database query error:', error.message);
@@ -56,7 +110,7 @@ async function executeQuery(query, params = []) {
 async function findById(table, id) {
   try {
     const query = `SELECT * FROM ${table} WHERE id = ?`;
-    const [results] = await pool.execute(query, [id]);
+    const [results] = await executor().execute(query, [id]);
     return results[0] || null;
   } catch (error) {
     console.error(`Error finding record by ID in ${table}:`, error.message);
@@ -69,7 +123,7 @@ async function findAll(table, conditions = '', params = []) {
   try {
     const whereClause = conditions ? ` WHERE ${conditions}` : '';
     const query = `SELECT * FROM ${table}${whereClause}`;
-    const [results] = await pool.execute(query, params);
+    const [results] = await executor().execute(query, params);
     return results;
   } catch (error) {
     console.error(`Error finding all records in ${table}:`, error.message);
@@ -85,7 +139,7 @@ async function create(table, data) {
     const values = Object.values(data);
 
     const query = `INSERT INTO ${table} (${fields}) VALUES (${placeholders})`;
-    const [result] = await pool.execute(query, values);
+    const [result] = await executor().execute(query, values);
 
 
     return await findById(table, result.insertId);
@@ -102,7 +156,7 @@ async function update(table, id, data) {
     const values = [...Object.values(data), id];
 
     const query = `UPDATE ${table} SET ${fields} WHERE id = ?`;
-    await pool.execute(query, values);
+    await executor().execute(query, values);
 
     // Return the updated record
     return await findById(table, id);
@@ -112,11 +166,36 @@ async function update(table, id, data) {
   }
 }
 
+// Update record and bump its row_version. With expectedVersion the update only applies
+// while the stored version still matches; returns null when another write got there first.
+async function updateVersioned(table, id, data, expectedVersion) {
+  try {
+    const fields = Object.keys(data).map(field => `${field} = ?`).concat('row_version = row_version + 1').join(', ');
+    const values = [...Object.values(data), id];
+    let query = `UPDATE ${table} SET ${fields} WHERE id = ?`;
+
+    if (expectedVersion !== undefined && expectedVersion !== null) {
+      query += ' AND row_version = ?';
+      values.push(expectedVersion);
+    }
+
+    const [result] = await executor().execute(query, values);
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    return await findById(table, id);
+  } catch (error) {
+    console.error(`Error updating record in ${table}:`, error.message);
+    throw error;
+  }
+}
+
 // Delete record
 async function deleteRecord(table, id) {
   try {
     const query = `DELETE FROM ${table} WHERE id = ?`;
-    const [result] = await pool.execute(query, [id]);
+    const [result] = await executor().execute(query, [id]);
     return result.affectedRows > 0;
   } catch (error) {
     console.error(`Error deleting record from ${table}:`, error.message);
@@ -184,7 +263,10 @@ module.exports = {
   findAll,
   create,
   update,
+  updateVersioned,
   delete: deleteRecord,
+  withTransaction,
+  onRollback,
   closeConnection,
   ensureUserIdColumn
 };
\ No newline at end of file
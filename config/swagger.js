@@ -6,7 +6,7 @@ const options = {
     info: {
       title: 'AgTech Certification System API',
       version: '1.0.0',
-      description: 'API for managing organic farm certifications, farmers, inspections, and certificates. All endpoints except authentication require a Firebase JWT token.',
+      description: 'API for managing organic farm certifications, farmers, inspections, and certificates. All endpoints except authentication and public certificate verification require a Firebase JWT token.',
       contact: {
         name: 'API Support',
         email: 'support@agtechcert.com'
@@ -189,7 +189,7 @@ const options = {
             certificationStatus: {
               type: 'string',
               description: 'Current certification status',
-              enum: ['pending', 'certified', 'expired', 'rejected'],
+              enum: ['pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked'],
               example: 'pending'
             },
             registrationDate: {
@@ -240,6 +240,23 @@ const options = {
               description: 'Types of crops grown',
               example: ['Coffee', 'Maize', 'Beans']
             },
+            certificationScope: {
+              type: 'string',
+              enum: ['organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control'],
+              description: 'Certification scope, matched against inspector specialization',
+              default: 'organic-crops'
+            },
+            parallelProduction: {
+              type: 'boolean',
+              description: 'Organic and conventional production on the same farm; raises the risk score',
+              default: false
+            },
+            cropRiskCategory: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              nullable: true,
+              description: 'Overrides the crop risk category derived from cropTypes'
+            },
             organicSince: {
               type: 'string',
               format: 'date',
@@ -247,7 +264,7 @@ const options = {
             },
             certificationStatus: {
               type: 'string',
-              enum: ['pending', 'certified', 'expired', 'rejected'],
+              enum: ['pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked'],
               description: 'Current certification status'
             }
           }
@@ -397,6 +414,44 @@ const options = {
             }
           }
         },
+        TransitionError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'string',
+              description: 'Error message',
+              example: 'Cannot move inspection from scheduled to completed'
+            },
+            code: {
+              type: 'string',
+              enum: ['INVALID_TRANSITION', 'UNKNOWN_STATUS', 'TRANSITION_REQUIREMENTS_NOT_MET', 'FORBIDDEN'],
+              description: 'Machine-readable error code'
+            },
+            currentStatus: {
+              type: 'string',
+              description: 'Current inspection status'
+            },
+            requestedStatus: {
+              type: 'string',
+              description: 'Requested inspection status'
+            },
+            allowedTransitions: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'States the inspection may move to next',
+              example: ['in_progress', 'rescheduled', 'cancelled']
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Unmet transition requirements'
+            }
+          }
+        },
         SuccessMessage: {
           type: 'object',
           properties: {
@@ -438,6 +493,16 @@ const options = {
             }
           }
         },
+        TransitionError: {
+          description: 'Inspection status transition refused',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/TransitionError'
+              }
+            }
+          }
+        },
         InternalServerError: {
           description: 'Internal server error',
           content: {
@@ -467,14 +532,66 @@ const options = {
         name: 'Fields',
         description: 'Farm field management'
       },
+      {
+        name: 'Harvests',
+        description: 'Harvest records, yield estimates and mass-balance checks'
+      },
+      {
+        name: 'Field Activities',
+        description: 'Field logbooks of inputs, seeds, compost, irrigation and pest control'
+      },
+      {
+        name: 'Inputs',
+        description: 'Registry of permitted, restricted and prohibited agricultural inputs'
+      },
       {
         name: 'Inspections',
         description: 'Farm inspection scheduling and management'
       },
+      {
+        name: 'Checklist Templates',
+        description: 'Versioned inspection checklist templates'
+      },
+      {
+        name: 'Non-Conformities',
+        description: 'Inspection non-conformities and corrective actions (CAPA)'
+      },
+      {
+        name: 'Sync',
+        description: 'Offline sync for field tablets'
+      },
+      {
+        name: 'Inspection Planning',
+        description: 'Farm risk scores and yearly risk-based inspection plans'
+      },
       {
         name: 'Certificates',
         description: 'Certification document management'
       },
+      {
+        name: 'Certificate Templates',
+        description: 'Layouts, languages and branding of certificate documents'
+      },
+      {
+        name: 'Certificate Batches',
+        description: 'Bulk approval and certificate issuance with a ZIP of the PDFs'
+      },
+      {
+        name: 'Transaction Certificates',
+        description: 'Certificates for individual sales lots, checked against the expected yield'
+      },
+      {
+        name: 'Renewals',
+        description: 'Certificate renewal requests'
+      },
+      {
+        name: 'Verification',
+        description: 'Public certificate verification (no login required)'
+      },
+      {
+        name: 'Jobs',
+        description: 'Background jobs (certificate expiry, renewal reminders) and their runs'
+      },
       {
         name: 'Health',
         description: 'System health checks'
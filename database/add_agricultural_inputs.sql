@@ -0,0 +1,25 @@
+-- Registry of agricultural inputs and their status under the organic standard. Field logbooks and inspections
+-- check products against it first, then against the built-in list in utils/inputs.js.
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS agricultural_inputs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT 'Product or generic name',
+    active_ingredient VARCHAR(255),
+    manufacturer VARCHAR(255) NOT NULL DEFAULT '' COMMENT 'Empty for generic inputs such as compost',
+    category ENUM('fertiliser', 'soil_conditioner', 'pesticide', 'seed', 'other') NOT NULL,
+    status ENUM('permitted', 'restricted', 'prohibited') NOT NULL,
+    conditions TEXT COMMENT 'Conditions of use of a restricted input',
+    standard_clause VARCHAR(100) COMMENT 'e.g. KS EAS 456 Annex 2',
+    notes TEXT,
+    created_by INT,
+    updated_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_name_manufacturer (name, manufacturer),
+    INDEX idx_active_ingredient (active_ingredient),
+    INDEX idx_category_status (category, status)
+);
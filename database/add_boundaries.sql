@@ -0,0 +1,11 @@
+-- Boundary polygons for farms and fields: GeoJSON Polygon or MultiPolygon in WGS84 ([longitude, latitude])
+-- with the geodesic area computed from it when saved
+USE pesira_db;
+
+ALTER TABLE farms
+    ADD COLUMN boundary JSON NULL COMMENT 'GeoJSON Polygon or MultiPolygon, WGS84' AFTER location,
+    ADD COLUMN boundary_area_ha DECIMAL(12, 4) NULL COMMENT 'Geodesic area of boundary in hectares' AFTER boundary;
+
+ALTER TABLE fields
+    ADD COLUMN boundary JSON NULL COMMENT 'GeoJSON Polygon or MultiPolygon, WGS84; inside the farm boundary' AFTER area,
+    ADD COLUMN boundary_area_ha DECIMAL(12, 4) NULL COMMENT 'Geodesic area of boundary in hectares' AFTER boundary;
@@ -0,0 +1,45 @@
+-- Bulk certificate issuance: a batch approves a set of submitted inspections, one transaction per
+-- inspection, and collects the archived PDFs into a ZIP
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS certificate_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('queued', 'running', 'completed', 'failed') DEFAULT 'queued',
+    reason VARCHAR(500) COMMENT 'Approval reason recorded on every inspection',
+    total_items INT NOT NULL,
+    issued_count INT DEFAULT 0,
+    existing_count INT DEFAULT 0 COMMENT 'Farms that already held a certificate',
+    failed_count INT DEFAULT 0,
+    zip_path VARCHAR(500) NULL COMMENT 'Relative to CERTIFICATE_BATCH_DIR',
+    zip_sha256 CHAR(64) NULL,
+    zip_size_bytes INT NULL,
+    error TEXT COMMENT 'Why the batch itself failed; item failures are on the items',
+    requested_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Touched after every item',
+    finished_at TIMESTAMP NULL,
+
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status (status),
+    INDEX idx_requested_by (requested_by)
+);
+
+CREATE TABLE IF NOT EXISTS certificate_batch_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id INT NOT NULL,
+    inspection_id INT NOT NULL,
+    position INT NOT NULL COMMENT 'Order the inspection was given in',
+    status ENUM('pending', 'issued', 'existing', 'failed') DEFAULT 'pending',
+    certificate_id INT NULL,
+    document_version INT NULL COMMENT 'Archived version included in the ZIP',
+    error TEXT,
+    details JSON COMMENT 'Unmet requirements or blocking non-conformities of a failed item',
+    processed_at TIMESTAMP NULL,
+
+    FOREIGN KEY (batch_id) REFERENCES certificate_batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_batch_inspection (batch_id, inspection_id),
+    INDEX idx_batch_status (batch_id, status)
+);
@@ -0,0 +1,30 @@
+-- Archived certificate PDFs: the document as issued, frozen with its SHA-256, one row per version
+USE pesira_db;
+
+ALTER TABLE certificates
+MODIFY COLUMN pdf_url VARCHAR(500) COMMENT 'Download path of the current archived PDF',
+ADD COLUMN pdf_sha256 CHAR(64) NULL COMMENT 'SHA-256 of the current archived PDF, hex' AFTER pdf_url;
+
+-- Every issue, reissue and amendment adds a version; stored files are never overwritten
+CREATE TABLE IF NOT EXISTS certificate_documents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    version INT NOT NULL,
+    reason ENUM('issued', 'reissued', 'amended') NOT NULL,
+    note TEXT,
+    storage_path VARCHAR(500) NOT NULL COMMENT 'Relative to CERTIFICATE_ARCHIVE_DIR',
+    sha256 CHAR(64) NOT NULL,
+    size_bytes INT NOT NULL,
+    template_id INT NULL COMMENT 'NULL for the built-in template',
+    language ENUM('en', 'sw') DEFAULT 'en',
+    signature VARCHAR(255) COMMENT 'Certificate signature embedded in this version',
+    signing_key_id VARCHAR(64),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (template_id) REFERENCES certificate_templates(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_version (certificate_id, version),
+    INDEX idx_sha256 (sha256)
+);
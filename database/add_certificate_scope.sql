@@ -0,0 +1,19 @@
+-- Per-field certificate scope: which fields, crops and areas a certificate covers, and whether each
+-- is certified organic or still in conversion (partial certification)
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS certificate_scope_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    field_id INT NULL,
+    field_name VARCHAR(255) NOT NULL COMMENT 'As printed on the certificate annex',
+    crop VARCHAR(100) NOT NULL,
+    area DECIMAL(8, 2) COMMENT 'Certified area in hectares',
+    production_category ENUM('organic', 'in_conversion') DEFAULT 'organic',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_field_crop (certificate_id, field_id, crop),
+    INDEX idx_crop (crop)
+);
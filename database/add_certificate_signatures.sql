@@ -0,0 +1,25 @@
+-- Signed certificates: canonical payload, detached signature and the key that made it
+USE pesira_db;
+
+-- Public halves of the signing keys. Private keys stay on the server (CERTIFICATE_KEYS_DIR).
+-- Retired keys are kept so certificates signed before a rotation still verify.
+CREATE TABLE IF NOT EXISTS signing_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    key_id VARCHAR(64) UNIQUE NOT NULL,
+    algorithm ENUM('Ed25519', 'ECDSA-P256') NOT NULL,
+    public_key TEXT NOT NULL COMMENT 'SPKI PEM',
+    status ENUM('active', 'retired') DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP NULL,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status (status)
+);
+
+ALTER TABLE certificates
+ADD COLUMN signed_payload TEXT COMMENT 'Canonical JSON that was signed, stored verbatim' AFTER pdf_url,
+ADD COLUMN signature VARCHAR(255) COMMENT 'Detached signature over signed_payload, base64url' AFTER signed_payload,
+ADD COLUMN signing_key_id VARCHAR(64) AFTER signature,
+ADD COLUMN signed_at TIMESTAMP NULL AFTER signing_key_id,
+ADD INDEX idx_signing_key_id (signing_key_id);
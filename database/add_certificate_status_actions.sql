@@ -0,0 +1,29 @@
+-- Certificate suspension, revocation and reinstatement with reasons, and the farm/farmer status cascade
+USE pesira_db;
+
+ALTER TABLE farms
+MODIFY COLUMN certification_status ENUM('pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked') DEFAULT 'pending';
+
+ALTER TABLE farmers
+MODIFY COLUMN certification_status ENUM('pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked') DEFAULT 'pending';
+
+-- One row per suspend/revoke/reinstate; the notice letter is rendered from it
+CREATE TABLE IF NOT EXISTS certificate_status_actions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    action ENUM('suspend', 'revoke', 'reinstate') NOT NULL,
+    reason_code VARCHAR(50) NOT NULL,
+    reason_details TEXT,
+    effective_date DATE NOT NULL,
+    non_conformity_id INT NULL,
+    previous_status VARCHAR(50) NOT NULL,
+    new_status VARCHAR(50) NOT NULL,
+    acted_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (non_conformity_id) REFERENCES non_conformities(id) ON DELETE SET NULL,
+    FOREIGN KEY (acted_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_action (action)
+);
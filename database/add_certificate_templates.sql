@@ -0,0 +1,26 @@
+-- Certificate document templates: layout, language and branding per certification body or scheme
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS certificate_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    layout ENUM('classic', 'bordered') DEFAULT 'classic',
+    certification_body VARCHAR(255) NULL COMMENT 'Matches certificates.certification_body; NULL for any body',
+    scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') NULL COMMENT 'Matches farms.certification_scope; NULL for any scheme',
+    default_language ENUM('en', 'sw') DEFAULT 'en',
+    issuer_name VARCHAR(255) NOT NULL COMMENT 'Name printed as the issuing body',
+    issuer_subtitle VARCHAR(255),
+    logo_file VARCHAR(255) COMMENT 'Image in public/',
+    colors JSON COMMENT 'primary, text and muted colours as #rrggbb',
+    signatories JSON COMMENT 'Array of { name, title } printed under the signature lines',
+    footer_note TEXT,
+    status ENUM('active', 'archived') DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certification_body (certification_body),
+    INDEX idx_scope (scope),
+    INDEX idx_status (status)
+);
@@ -0,0 +1,39 @@
+-- Versioned inspection checklist templates
+-- Inspections pin the template version they were started with so later edits don't rewrite history
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS checklist_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') DEFAULT 'general' COMMENT 'Matches inspectors.specialization',
+    status ENUM('active', 'archived') DEFAULT 'active',
+    current_version INT NOT NULL DEFAULT 0,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_scope (scope),
+    INDEX idx_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS checklist_template_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template_id INT NOT NULL,
+    version INT NOT NULL,
+    questions JSON NOT NULL COMMENT 'Array of questions: id, question, category, type, weight, isCritical, options',
+    change_notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (template_id) REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_template_version (template_id, version)
+);
+
+ALTER TABLE inspections
+ADD COLUMN checklist_template_id INT AFTER checklist,
+ADD COLUMN checklist_template_version_id INT AFTER checklist_template_id,
+ADD CONSTRAINT fk_inspections_checklist_template FOREIGN KEY (checklist_template_id) REFERENCES checklist_templates(id) ON DELETE SET NULL,
+ADD CONSTRAINT fk_inspections_checklist_version FOREIGN KEY (checklist_template_version_id) REFERENCES checklist_template_versions(id) ON DELETE RESTRICT;
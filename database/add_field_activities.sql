@@ -0,0 +1,34 @@
+-- Activity logbook per field: input applications, seed purchases, compost production, irrigation and pest control.
+-- Products are checked against the permitted inputs list; restricted, prohibited and unlisted ones are flagged
+-- for review at the farm's next inspection.
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS field_activities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    field_id INT NOT NULL,
+    activity_date DATE NOT NULL,
+    activity_type ENUM('input_application', 'seed_purchase', 'compost_production', 'irrigation', 'pest_control') NOT NULL,
+    product_name VARCHAR(255) COMMENT 'Required except for irrigation',
+    active_ingredient VARCHAR(255),
+    quantity DECIMAL(12, 3),
+    unit VARCHAR(20) COMMENT 'Free text, e.g. kg, l, bags',
+    supplier VARCHAR(255),
+    notes TEXT,
+    input_status ENUM('permitted', 'restricted', 'prohibited', 'unlisted') NULL COMMENT 'NULL when the activity uses no product',
+    input_check JSON COMMENT 'Matched input, its conditions and the standard clause',
+    flag_status ENUM('open', 'reviewed') NULL COMMENT 'Set for restricted, prohibited and unlisted inputs',
+    reviewed_inspection_id INT NULL,
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    review_notes TEXT,
+    recorded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_field_activity_date (field_id, activity_date),
+    INDEX idx_flag_status (flag_status)
+);
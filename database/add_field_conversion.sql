@@ -0,0 +1,7 @@
+-- Organic conversion tracking per field: conversion start, last prohibited input and period override
+USE pesira_db;
+
+ALTER TABLE fields
+    ADD COLUMN conversion_start_date DATE NULL COMMENT 'Start of organic management; farms.organic_since when empty' AFTER organic_status,
+    ADD COLUMN last_prohibited_input_date DATE NULL COMMENT 'Last use of an input not permitted under the standard; restarts conversion' AFTER conversion_start_date,
+    ADD COLUMN conversion_period_months INT NULL COMMENT 'Certifier override; 24 months for annual and 36 for perennial crops otherwise' AFTER last_prohibited_input_date;
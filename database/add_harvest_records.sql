@@ -0,0 +1,38 @@
+-- Harvest records per field and estimated yields per crop, for mass-balance checks of organic sales
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS harvest_records (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    field_id INT NOT NULL,
+    harvest_date DATE NOT NULL,
+    crop VARCHAR(100) NOT NULL COMMENT 'Defaults to the crop type of the field',
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit ENUM('kg', 't', 'lb') NOT NULL DEFAULT 'kg',
+    quantity_kg DECIMAL(12, 3) NOT NULL,
+    storage_location VARCHAR(255),
+    notes TEXT,
+    recorded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE CASCADE,
+    FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_field_harvest_date (field_id, harvest_date)
+);
+
+-- Expected yield of a crop in kg per hectare per year. A row without farm_id applies to every farm;
+-- one with a farm_id overrides it for that farm. Crops without a row use the reference yields in utils/yield.js.
+CREATE TABLE IF NOT EXISTS yield_estimates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    crop VARCHAR(100) NOT NULL,
+    farm_id INT NULL,
+    yield_kg_per_ha DECIMAL(12, 2) NOT NULL,
+    notes TEXT COMMENT 'Source of the estimate, e.g. last three seasons or county extension data',
+    updated_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_crop_farm (crop, farm_id)
+);
@@ -0,0 +1,29 @@
+-- Evidence attached to inspections: field photos, soil test reports, input receipts, signed declarations
+-- Files live on local disk; the table keeps the checksum and any EXIF/GPS metadata read at upload
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS inspection_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inspection_id INT NOT NULL,
+    question_id VARCHAR(100) COMMENT 'Checklist question the evidence supports',
+    non_conformity_id INT COMMENT 'Non-conformity the evidence supports',
+    category ENUM('photo', 'soil_test', 'input_receipt', 'declaration', 'other') DEFAULT 'other',
+    description TEXT,
+    original_name VARCHAR(255) NOT NULL,
+    storage_path VARCHAR(500) NOT NULL COMMENT 'Path relative to the upload directory',
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    checksum VARCHAR(64) NOT NULL COMMENT 'SHA-256 of the file contents',
+    captured_at DATETIME COMMENT 'When the photo was taken, from EXIF or the client',
+    latitude DECIMAL(10, 7),
+    longitude DECIMAL(10, 7),
+    metadata JSON COMMENT 'EXIF fields read from the file',
+    uploaded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (non_conformity_id) REFERENCES non_conformities(id) ON DELETE SET NULL,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_inspection_id (inspection_id),
+    INDEX idx_checksum (checksum)
+);
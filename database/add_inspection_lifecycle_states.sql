@@ -0,0 +1,9 @@
+-- Add lifecycle states used by the inspection state machine
+-- submitted, rejected and rescheduled were written by the API but missing from the ENUM
+USE pesira_db;
+
+ALTER TABLE inspections
+MODIFY COLUMN status ENUM('scheduled', 'rescheduled', 'in_progress', 'submitted', 'completed', 'failed', 'rejected', 'cancelled') DEFAULT 'scheduled';
+
+-- Show updated table structure
+DESCRIBE inspections;
@@ -0,0 +1,20 @@
+-- Assign inspectors records to inspections
+-- inspector_id keeps pointing at users; assigned_inspector_id links the inspectors table.
+-- certification_scope on farms is matched against inspectors.specialization.
+USE pesira_db;
+
+ALTER TABLE farms
+ADD COLUMN certification_scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') DEFAULT 'organic-crops' COMMENT 'Matched against inspectors.specialization' AFTER crop_types;
+
+ALTER TABLE inspections
+ADD COLUMN assigned_inspector_id INT AFTER inspector_id,
+ADD CONSTRAINT fk_inspections_assigned_inspector FOREIGN KEY (assigned_inspector_id) REFERENCES inspectors(id) ON DELETE SET NULL,
+ADD INDEX idx_assigned_inspector_id (assigned_inspector_id);
+
+-- Link existing inspections to inspectors records by name where it is unambiguous
+UPDATE inspections i
+JOIN (
+    SELECT name, MIN(id) AS id FROM inspectors GROUP BY name HAVING COUNT(*) = 1
+) ins ON ins.name = i.inspector_name
+SET i.assigned_inspector_id = ins.id
+WHERE i.assigned_inspector_id IS NULL;
@@ -0,0 +1,21 @@
+-- Inspector availability: working days, daily capacity, leave periods and calendar feed tokens
+USE pesira_db;
+
+ALTER TABLE inspectors
+ADD COLUMN working_days JSON COMMENT 'Weekdays the inspector works, e.g. ["mon","tue","wed","thu","fri"]' AFTER status,
+ADD COLUMN max_inspections_per_day INT NOT NULL DEFAULT 2 AFTER working_days,
+ADD COLUMN calendar_token VARCHAR(64) NULL COMMENT 'Secret for the .ics feed URL' AFTER max_inspections_per_day;
+
+CREATE TABLE IF NOT EXISTS inspector_leave (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inspector_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (inspector_id) REFERENCES inspectors(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_inspector_dates (inspector_id, start_date, end_date)
+);
@@ -0,0 +1,47 @@
+-- Background jobs: one row per job and run key (the day it runs for), so a restart never runs a
+-- day twice and picks up a day it missed. Reminder notifications are queued for delivery.
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    run_key VARCHAR(50) NOT NULL COMMENT 'Day the run is for (YYYY-MM-DD)',
+    status ENUM('running', 'succeeded', 'failed') DEFAULT 'running',
+    triggered_by ENUM('scheduler', 'manual') DEFAULT 'scheduler',
+    attempts INT DEFAULT 1,
+    summary JSON COMMENT 'Outcome counts reported by the job',
+    error TEXT,
+    started_by INT NULL COMMENT 'Admin who triggered a manual run',
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+
+    FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_job_run (job_name, run_key),
+    INDEX idx_status (status),
+    INDEX idx_started_at (started_at)
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(50) NOT NULL COMMENT 'e.g. certificate_renewal_reminder',
+    user_id INT NULL COMMENT 'User managing the farmer',
+    farmer_id INT NULL,
+    certificate_id INT NULL,
+    lead_days INT NULL COMMENT 'Days before expiry the reminder is for',
+    recipient_email VARCHAR(255),
+    recipient_phone VARCHAR(20),
+    subject VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    status ENUM('queued', 'sent', 'failed') DEFAULT 'queued',
+    job_run_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (farmer_id) REFERENCES farmers(id) ON DELETE CASCADE,
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (job_run_id) REFERENCES job_runs(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_reminder (certificate_id, type, lead_days),
+    INDEX idx_status (status),
+    INDEX idx_user_id (user_id)
+);
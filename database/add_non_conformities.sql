@@ -0,0 +1,34 @@
+-- Non-conformities raised during inspections and their corrective actions (CAPA)
+-- Open critical/major non-conformities block inspection approval and certificate issuance
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS non_conformities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inspection_id INT NOT NULL,
+    farm_id INT NOT NULL,
+    question_id VARCHAR(100) COMMENT 'Checklist question the finding relates to',
+    severity ENUM('critical', 'major', 'minor') NOT NULL DEFAULT 'minor',
+    clause_reference VARCHAR(100) COMMENT 'Standard clause that was not met',
+    description TEXT NOT NULL,
+    status ENUM('open', 'pending_verification', 'closed') DEFAULT 'open',
+    due_date DATE,
+    owner VARCHAR(255) COMMENT 'Person responsible for the corrective action',
+    corrective_action TEXT COMMENT 'Corrective action plan',
+    closure_evidence TEXT COMMENT 'Evidence that the corrective action was carried out',
+    evidence_submitted_at TIMESTAMP NULL,
+    verified_by INT COMMENT 'User ID who signed off the closure',
+    verified_at TIMESTAMP NULL,
+    verification_notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (verified_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_inspection_question (inspection_id, question_id),
+    INDEX idx_farm_status (farm_id, status),
+    INDEX idx_severity (severity),
+    INDEX idx_due_date (due_date)
+);
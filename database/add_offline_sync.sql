@@ -0,0 +1,29 @@
+-- Offline sync for field tablets
+-- row_version is bumped on every write so stale offline edits can be detected;
+-- sync_operations remembers applied client changes so retried batches are not applied twice
+USE pesira_db;
+
+ALTER TABLE inspections
+ADD COLUMN row_version INT NOT NULL DEFAULT 1 AFTER is_eligible_for_certification,
+ADD INDEX idx_updated_at (updated_at);
+
+ALTER TABLE inspection_attachments
+ADD COLUMN row_version INT NOT NULL DEFAULT 1 AFTER uploaded_by,
+ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at,
+ADD INDEX idx_updated_at (updated_at);
+
+CREATE TABLE IF NOT EXISTS sync_operations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    client_id VARCHAR(100) NOT NULL COMMENT 'Change id generated on the device',
+    device_id VARCHAR(100),
+    entity VARCHAR(50) NOT NULL,
+    operation VARCHAR(20) NOT NULL,
+    record_id INT COMMENT 'Server id of the record the change was applied to',
+    result JSON COMMENT 'Result returned to the device, replayed on retries',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_user_client (user_id, client_id),
+    INDEX idx_device_id (device_id)
+);
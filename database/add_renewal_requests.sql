@@ -0,0 +1,37 @@
+-- Certificate renewal requests: requested -> inspection_scheduled -> approved / declined
+-- Approval issues a successor certificate linked to its predecessor, which becomes superseded
+USE pesira_db;
+
+ALTER TABLE certificates
+MODIFY COLUMN status ENUM('active', 'expired', 'revoked', 'suspended', 'renewal_pending', 'superseded') DEFAULT 'active',
+ADD COLUMN predecessor_certificate_id INT NULL COMMENT 'Certificate this one renewed' AFTER farm_id,
+ADD CONSTRAINT fk_certificates_predecessor FOREIGN KEY (predecessor_certificate_id) REFERENCES certificates(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS renewal_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL COMMENT 'Certificate being renewed',
+    farm_id INT NOT NULL,
+    status ENUM('requested', 'inspection_scheduled', 'approved', 'declined') DEFAULT 'requested',
+    reason TEXT,
+    requested_expiry_date DATE NULL,
+    requested_scope TEXT NULL COMMENT 'Amended scope for the successor; NULL keeps the current scope',
+    previous_certificate_status VARCHAR(50) COMMENT 'Restored when the request is declined',
+    inspection_id INT NULL,
+    successor_certificate_id INT NULL,
+    decision_reason TEXT,
+    requested_by INT,
+    decided_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP NULL,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    FOREIGN KEY (successor_certificate_id) REFERENCES certificates(id) ON DELETE SET NULL,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_farm_id (farm_id),
+    INDEX idx_status (status)
+);
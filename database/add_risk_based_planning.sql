@@ -0,0 +1,43 @@
+-- Risk-based inspection planning: farm risk inputs, announced/unannounced visits and yearly plans
+USE pesira_db;
+
+ALTER TABLE farms
+ADD COLUMN parallel_production BOOLEAN DEFAULT FALSE COMMENT 'Organic and conventional production of the same crops on one farm' AFTER organic_area,
+ADD COLUMN crop_risk_category ENUM('low', 'medium', 'high') NULL COMMENT 'Overrides the category derived from crop_types' AFTER crop_types;
+
+ALTER TABLE inspections
+ADD COLUMN visit_type ENUM('announced', 'unannounced') DEFAULT 'announced' AFTER status;
+
+CREATE TABLE IF NOT EXISTS inspection_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    year INT NOT NULL,
+    seed VARCHAR(64) NOT NULL COMMENT 'Seed for the unannounced sample; the same seed and inputs give the same selection',
+    unannounced_percentage DECIMAL(5, 2) NOT NULL,
+    status ENUM('draft', 'applied') DEFAULT 'draft',
+    summary JSON,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP NULL,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_year (year),
+    INDEX idx_created_by (created_by)
+);
+
+CREATE TABLE IF NOT EXISTS inspection_plan_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    farm_id INT NOT NULL,
+    visit_type ENUM('announced', 'unannounced') NOT NULL,
+    planned_date DATE NOT NULL,
+    risk_score DECIMAL(5, 2) NOT NULL,
+    risk_level ENUM('low', 'medium', 'high') NOT NULL,
+    risk_factors JSON COMMENT 'Factor values the score was computed from',
+    inspection_id INT NULL COMMENT 'Inspection created when the plan was applied',
+
+    FOREIGN KEY (plan_id) REFERENCES inspection_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    INDEX idx_plan_id (plan_id),
+    INDEX idx_farm_id (farm_id)
+);
@@ -0,0 +1,6 @@
+-- Store the weighted compliance score breakdown calculated by the scoring engine
+USE pesira_db;
+
+ALTER TABLE inspections
+ADD COLUMN score_breakdown JSON COMMENT 'Score per category, failures by severity and eligibility'
+AFTER score;
@@ -0,0 +1,13 @@
+-- At most one active signing key: concurrent first signatures could each generate one
+USE pesira_db;
+
+-- Keep the newest of any keys already active at the same time
+UPDATE signing_keys k
+JOIN (SELECT MAX(id) AS id FROM signing_keys WHERE status = 'active') newest ON k.id <> newest.id
+SET k.status = 'retired', k.retired_at = CURRENT_TIMESTAMP
+WHERE k.status = 'active';
+
+-- NULL for retired keys, which the unique key does not compare
+ALTER TABLE signing_keys
+ADD COLUMN active_key TINYINT GENERATED ALWAYS AS (IF(status = 'active', 1, NULL)) STORED AFTER retired_at,
+ADD UNIQUE KEY uq_active_key (active_key);
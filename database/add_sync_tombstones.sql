@@ -0,0 +1,14 @@
+-- Deleted records for offline sync
+-- Devices learn about deletions from the delta, since a deleted row no longer shows up in it
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT 'Owner of the farm the record belonged to',
+    entity VARCHAR(50) NOT NULL,
+    record_id INT NOT NULL,
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_deleted_at (user_id, deleted_at)
+);
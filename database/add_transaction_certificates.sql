@@ -0,0 +1,43 @@
+-- Transaction certificates: one per sales lot, proving a quantity of produce came from a farm
+-- certified under a scope certificate
+USE pesira_db;
+
+CREATE TABLE IF NOT EXISTS transaction_certificates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tc_number VARCHAR(50) UNIQUE NOT NULL,
+    certificate_id INT NOT NULL COMMENT 'Scope certificate the lot was sold under',
+    farm_id INT NOT NULL,
+    product VARCHAR(255) NOT NULL COMMENT 'Product as sold, e.g. green coffee beans',
+    crop VARCHAR(100) NOT NULL COMMENT 'Certified crop the product comes from',
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit ENUM('kg', 't', 'lb') NOT NULL DEFAULT 'kg',
+    quantity_kg DECIMAL(12, 3) NOT NULL,
+    buyer_name VARCHAR(255) NOT NULL,
+    buyer_country VARCHAR(100),
+    lot_number VARCHAR(100) NOT NULL,
+    harvest_start_date DATE NOT NULL,
+    harvest_end_date DATE NOT NULL,
+    issue_date DATE NOT NULL,
+    status ENUM('issued', 'cancelled') DEFAULT 'issued',
+    cancellation_reason TEXT,
+    cancelled_by INT,
+    cancelled_at TIMESTAMP NULL,
+    yield_check JSON COMMENT 'Expected yield, quantity already sold and outcome of the check at issue',
+    signed_payload TEXT,
+    signature VARCHAR(255),
+    signing_key_id VARCHAR(64),
+    signed_at TIMESTAMP NULL,
+    storage_path VARCHAR(500) COMMENT 'PDF relative to CERTIFICATE_ARCHIVE_DIR',
+    pdf_sha256 CHAR(64),
+    issued_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_farm_crop_harvest (farm_id, crop, harvest_end_date),
+    INDEX idx_lot_number (lot_number)
+);
@@ -70,7 +70,7 @@ CREATE TABLE IF NOT EXISTS farmers (
     notes TEXT,
     registration_date DATE NOT NULL,
     total_farms INT DEFAULT 0,
-    certification_status ENUM('pending', 'certified', 'expired', 'rejected') DEFAULT 'pending',
+    certification_status ENUM('pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked') DEFAULT 'pending',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
@@ -89,11 +89,16 @@ CREATE TABLE IF NOT EXISTS farms (
     farmer_id INT NOT NULL,
     farm_name VARCHAR(255) NOT NULL,
     location TEXT NOT NULL,
+    boundary JSON NULL COMMENT 'GeoJSON Polygon or MultiPolygon, WGS84',
+    boundary_area_ha DECIMAL(12, 4) NULL COMMENT 'Geodesic area of boundary in hectares',
     total_area DECIMAL(10, 2) COMMENT 'Total farm area in hectares',
     organic_area DECIMAL(10, 2) COMMENT 'Organic farming area in hectares',
+    parallel_production BOOLEAN DEFAULT FALSE COMMENT 'Organic and conventional production of the same crops on one farm',
     crop_types JSON COMMENT 'Array of crops grown',
+    crop_risk_category ENUM('low', 'medium', 'high') NULL COMMENT 'Overrides the category derived from crop_types',
+    certification_scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') DEFAULT 'organic-crops' COMMENT 'Matched against inspectors.specialization',
     organic_since DATE COMMENT 'Date when organic farming started',
-    certification_status ENUM('pending', 'certified', 'expired', 'rejected') DEFAULT 'pending',
+    certification_status ENUM('pending', 'certified', 'expired', 'rejected', 'suspended', 'revoked') DEFAULT 'pending',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
@@ -110,9 +115,14 @@ CREATE TABLE IF NOT EXISTS fields (
     field_name VARCHAR(255) NOT NULL,
     crop_type VARCHAR(100) NOT NULL,
     area DECIMAL(8, 2) COMMENT 'Field area in hectares',
+    boundary JSON NULL COMMENT 'GeoJSON Polygon or MultiPolygon, WGS84; inside the farm boundary',
+    boundary_area_ha DECIMAL(12, 4) NULL COMMENT 'Geodesic area of boundary in hectares',
     soil_type VARCHAR(100),
     planting_date DATE,
     organic_status BOOLEAN DEFAULT TRUE,
+    conversion_start_date DATE NULL COMMENT 'Start of organic management; farms.organic_since when empty',
+    last_prohibited_input_date DATE NULL COMMENT 'Last use of an input not permitted under the standard; restarts conversion',
+    conversion_period_months INT NULL COMMENT 'Certifier override; 24 months for annual and 36 for perennial crops otherwise',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
@@ -122,49 +132,240 @@ CREATE TABLE IF NOT EXISTS fields (
     INDEX idx_organic_status (organic_status)
 );
 
+-- Checklist templates (versioned inspection questionnaires)
+CREATE TABLE IF NOT EXISTS checklist_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') DEFAULT 'general' COMMENT 'Matches inspectors.specialization',
+    status ENUM('active', 'archived') DEFAULT 'active',
+    current_version INT NOT NULL DEFAULT 0,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_scope (scope),
+    INDEX idx_status (status)
+);
+
+-- Checklist template versions (immutable question snapshots)
+CREATE TABLE IF NOT EXISTS checklist_template_versions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template_id INT NOT NULL,
+    version INT NOT NULL,
+    questions JSON NOT NULL COMMENT 'Array of questions: id, question, category, type, weight, isCritical, options',
+    change_notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (template_id) REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_template_version (template_id, version)
+);
+
+-- Inspectors table (dedicated table for certified inspectors)
+CREATE TABLE IF NOT EXISTS inspectors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    specialization ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') NOT NULL,
+    qualifications TEXT COMMENT 'Certifications, degrees, and training',
+    experience ENUM('1-2', '3-5', '6-10', '10+') DEFAULT '1-2',
+    status ENUM('active', 'inactive') DEFAULT 'active',
+    working_days JSON COMMENT 'Weekdays the inspector works, e.g. ["mon","tue","wed","thu","fri"]',
+    max_inspections_per_day INT NOT NULL DEFAULT 2,
+    calendar_token VARCHAR(64) NULL COMMENT 'Secret for the .ics feed URL',
+    user_id INT COMMENT 'User who manages this inspector',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_inspectors_user_id (user_id),
+    INDEX idx_email (email),
+    INDEX idx_status (status),
+    INDEX idx_specialization (specialization)
+);
+
+-- Inspector leave periods (inclusive dates)
+CREATE TABLE IF NOT EXISTS inspector_leave (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inspector_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (inspector_id) REFERENCES inspectors(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_inspector_dates (inspector_id, start_date, end_date)
+);
+
 -- Inspections table
 CREATE TABLE IF NOT EXISTS inspections (
     id INT AUTO_INCREMENT PRIMARY KEY,
     farm_id INT NOT NULL,
     inspector_id INT,
+    assigned_inspector_id INT COMMENT 'Inspector record assigned to carry out the inspection',
     inspector_name VARCHAR(255),
     scheduled_date DATE NOT NULL,
     inspection_date DATE,
-    status ENUM('scheduled', 'in_progress', 'completed', 'failed', 'cancelled') DEFAULT 'scheduled',
+    status ENUM('scheduled', 'rescheduled', 'in_progress', 'submitted', 'completed', 'failed', 'rejected', 'cancelled') DEFAULT 'scheduled',
+    visit_type ENUM('announced', 'unannounced') DEFAULT 'announced',
     checklist JSON COMMENT 'Inspection checklist responses',
+    checklist_template_id INT,
+    checklist_template_version_id INT COMMENT 'Template version pinned when the inspection was created',
     score INT COMMENT 'Inspection score out of 100',
+    score_breakdown JSON COMMENT 'Score per category, failures by severity and eligibility',
     notes TEXT,
     violations JSON COMMENT 'Array of violations found during inspection',
     recommendations TEXT,
     is_eligible_for_certification BOOLEAN DEFAULT FALSE,
+    row_version INT NOT NULL DEFAULT 1 COMMENT 'Bumped on every write, used to detect stale offline edits',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
     FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
     FOREIGN KEY (inspector_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (assigned_inspector_id) REFERENCES inspectors(id) ON DELETE SET NULL,
+    FOREIGN KEY (checklist_template_id) REFERENCES checklist_templates(id) ON DELETE SET NULL,
+    FOREIGN KEY (checklist_template_version_id) REFERENCES checklist_template_versions(id) ON DELETE RESTRICT,
     INDEX idx_farm_id (farm_id),
     INDEX idx_inspector_id (inspector_id),
+    INDEX idx_assigned_inspector_id (assigned_inspector_id),
     INDEX idx_status (status),
     INDEX idx_scheduled_date (scheduled_date),
-    INDEX idx_inspection_date (inspection_date)
+    INDEX idx_inspection_date (inspection_date),
+    INDEX idx_updated_at (updated_at)
 );
 
--- Inspectors table (dedicated table for certified inspectors)
-CREATE TABLE IF NOT EXISTS inspectors (
+-- Non-conformities (CAPA) table
+CREATE TABLE IF NOT EXISTS non_conformities (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    phone VARCHAR(20) NOT NULL,
-    specialization ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') NOT NULL,
-    qualifications TEXT COMMENT 'Certifications, degrees, and training',
-    experience ENUM('1-2', '3-5', '6-10', '10+') DEFAULT '1-2',
-    status ENUM('active', 'inactive') DEFAULT 'active',
+    inspection_id INT NOT NULL,
+    farm_id INT NOT NULL,
+    question_id VARCHAR(100) COMMENT 'Checklist question the finding relates to',
+    severity ENUM('critical', 'major', 'minor') NOT NULL DEFAULT 'minor',
+    clause_reference VARCHAR(100) COMMENT 'Standard clause that was not met',
+    description TEXT NOT NULL,
+    status ENUM('open', 'pending_verification', 'closed') DEFAULT 'open',
+    due_date DATE,
+    owner VARCHAR(255) COMMENT 'Person responsible for the corrective action',
+    corrective_action TEXT COMMENT 'Corrective action plan',
+    closure_evidence TEXT COMMENT 'Evidence that the corrective action was carried out',
+    evidence_submitted_at TIMESTAMP NULL,
+    verified_by INT COMMENT 'User ID who signed off the closure',
+    verified_at TIMESTAMP NULL,
+    verification_notes TEXT,
+    created_by INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
-    INDEX idx_email (email),
-    INDEX idx_status (status),
-    INDEX idx_specialization (specialization)
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (verified_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_inspection_question (inspection_id, question_id),
+    INDEX idx_farm_status (farm_id, status),
+    INDEX idx_severity (severity),
+    INDEX idx_due_date (due_date)
+);
+
+-- Inspection evidence attachments
+CREATE TABLE IF NOT EXISTS inspection_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inspection_id INT NOT NULL,
+    question_id VARCHAR(100) COMMENT 'Checklist question the evidence supports',
+    non_conformity_id INT COMMENT 'Non-conformity the evidence supports',
+    category ENUM('photo', 'soil_test', 'input_receipt', 'declaration', 'other') DEFAULT 'other',
+    description TEXT,
+    original_name VARCHAR(255) NOT NULL,
+    storage_path VARCHAR(500) NOT NULL COMMENT 'Path relative to the upload directory',
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    checksum VARCHAR(64) NOT NULL COMMENT 'SHA-256 of the file contents',
+    captured_at DATETIME COMMENT 'When the photo was taken, from EXIF or the client',
+    latitude DECIMAL(10, 7),
+    longitude DECIMAL(10, 7),
+    metadata JSON COMMENT 'EXIF fields read from the file',
+    uploaded_by INT,
+    row_version INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (non_conformity_id) REFERENCES non_conformities(id) ON DELETE SET NULL,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_inspection_id (inspection_id),
+    INDEX idx_checksum (checksum),
+    INDEX idx_updated_at (updated_at)
+);
+
+-- Offline sync operations (idempotency log for device batches)
+CREATE TABLE IF NOT EXISTS sync_operations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    client_id VARCHAR(100) NOT NULL COMMENT 'Change id generated on the device',
+    device_id VARCHAR(100),
+    entity VARCHAR(50) NOT NULL,
+    operation VARCHAR(20) NOT NULL,
+    record_id INT COMMENT 'Server id of the record the change was applied to',
+    result JSON COMMENT 'Result returned to the device, replayed on retries',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_user_client (user_id, client_id),
+    INDEX idx_device_id (device_id)
+);
+
+-- Records deleted since a device last synced
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL COMMENT 'Owner of the farm the record belonged to',
+    entity VARCHAR(50) NOT NULL,
+    record_id INT NOT NULL,
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_deleted_at (user_id, deleted_at)
+);
+
+-- Yearly risk-based inspection plans
+CREATE TABLE IF NOT EXISTS inspection_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    year INT NOT NULL,
+    seed VARCHAR(64) NOT NULL COMMENT 'Seed for the unannounced sample; the same seed and inputs give the same selection',
+    unannounced_percentage DECIMAL(5, 2) NOT NULL,
+    status ENUM('draft', 'applied') DEFAULT 'draft',
+    summary JSON,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP NULL,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_year (year),
+    INDEX idx_created_by (created_by)
+);
+
+-- Planned visits per farm with the risk score they were based on
+CREATE TABLE IF NOT EXISTS inspection_plan_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    farm_id INT NOT NULL,
+    visit_type ENUM('announced', 'unannounced') NOT NULL,
+    planned_date DATE NOT NULL,
+    risk_score DECIMAL(5, 2) NOT NULL,
+    risk_level ENUM('low', 'medium', 'high') NOT NULL,
+    risk_factors JSON COMMENT 'Factor values the score was computed from',
+    inspection_id INT NULL COMMENT 'Inspection created when the plan was applied',
+
+    FOREIGN KEY (plan_id) REFERENCES inspection_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    INDEX idx_plan_id (plan_id),
+    INDEX idx_farm_id (farm_id)
 );
 
 -- Certificates table
@@ -172,24 +373,391 @@ CREATE TABLE IF NOT EXISTS certificates (
     id INT AUTO_INCREMENT PRIMARY KEY,
     certificate_number VARCHAR(100) UNIQUE NOT NULL,
     farm_id INT NOT NULL,
+    predecessor_certificate_id INT NULL COMMENT 'Certificate this one renewed',
     issue_date DATE NOT NULL,
     expiry_date DATE NOT NULL,
-    status ENUM('active', 'expired', 'revoked', 'suspended') DEFAULT 'active',
+    status ENUM('active', 'expired', 'revoked', 'suspended', 'renewal_pending', 'superseded') DEFAULT 'active',
     certification_body VARCHAR(255) DEFAULT 'Kenya Organic Agriculture Network',
     scope TEXT DEFAULT 'Organic crop production',
     crop_types JSON COMMENT 'Array of certified crop types',
-    pdf_url VARCHAR(500) COMMENT 'URL to PDF certificate',
+    pdf_url VARCHAR(500) COMMENT 'Download path of the current archived PDF',
+    pdf_sha256 CHAR(64) NULL COMMENT 'SHA-256 of the current archived PDF, hex',
+    signed_payload TEXT COMMENT 'Canonical JSON that was signed, stored verbatim',
+    signature VARCHAR(255) COMMENT 'Detached signature over signed_payload, base64url',
+    signing_key_id VARCHAR(64),
+    signed_at TIMESTAMP NULL,
     issued_by INT COMMENT 'User ID who issued the certificate',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
     FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
     FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (predecessor_certificate_id) REFERENCES certificates(id) ON DELETE SET NULL,
     INDEX idx_farm_id (farm_id),
     INDEX idx_certificate_number (certificate_number),
     INDEX idx_status (status),
     INDEX idx_issue_date (issue_date),
-    INDEX idx_expiry_date (expiry_date)
+    INDEX idx_expiry_date (expiry_date),
+    INDEX idx_signing_key_id (signing_key_id)
+);
+
+-- Fields, crops and areas covered by each certificate (organic or in conversion)
+CREATE TABLE IF NOT EXISTS certificate_scope_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    field_id INT NULL,
+    field_name VARCHAR(255) NOT NULL COMMENT 'As printed on the certificate annex',
+    crop VARCHAR(100) NOT NULL,
+    area DECIMAL(8, 2) COMMENT 'Certified area in hectares',
+    production_category ENUM('organic', 'in_conversion') DEFAULT 'organic',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_field_crop (certificate_id, field_id, crop),
+    INDEX idx_crop (crop)
+);
+
+-- Certificate document templates: layout, language and branding per certification body or scheme
+CREATE TABLE IF NOT EXISTS certificate_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    layout ENUM('classic', 'bordered') DEFAULT 'classic',
+    certification_body VARCHAR(255) NULL COMMENT 'Matches certificates.certification_body; NULL for any body',
+    scope ENUM('organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control') NULL COMMENT 'Matches farms.certification_scope; NULL for any scheme',
+    default_language ENUM('en', 'sw') DEFAULT 'en',
+    issuer_name VARCHAR(255) NOT NULL COMMENT 'Name printed as the issuing body',
+    issuer_subtitle VARCHAR(255),
+    logo_file VARCHAR(255) COMMENT 'Image in public/',
+    colors JSON COMMENT 'primary, text and muted colours as #rrggbb',
+    signatories JSON COMMENT 'Array of { name, title } printed under the signature lines',
+    footer_note TEXT,
+    status ENUM('active', 'archived') DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certification_body (certification_body),
+    INDEX idx_scope (scope),
+    INDEX idx_status (status)
+);
+
+-- Archived certificate PDFs; every issue, reissue and amendment adds a version
+CREATE TABLE IF NOT EXISTS certificate_documents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    version INT NOT NULL,
+    reason ENUM('issued', 'reissued', 'amended') NOT NULL,
+    note TEXT,
+    storage_path VARCHAR(500) NOT NULL COMMENT 'Relative to CERTIFICATE_ARCHIVE_DIR',
+    sha256 CHAR(64) NOT NULL,
+    size_bytes INT NOT NULL,
+    template_id INT NULL COMMENT 'NULL for the built-in template',
+    language ENUM('en', 'sw') DEFAULT 'en',
+    signature VARCHAR(255) COMMENT 'Certificate signature embedded in this version',
+    signing_key_id VARCHAR(64),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (template_id) REFERENCES certificate_templates(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_version (certificate_id, version),
+    INDEX idx_sha256 (sha256)
+);
+
+-- Bulk certificate issuance batches and their per-inspection results
+CREATE TABLE IF NOT EXISTS certificate_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('queued', 'running', 'completed', 'failed') DEFAULT 'queued',
+    reason VARCHAR(500) COMMENT 'Approval reason recorded on every inspection',
+    total_items INT NOT NULL,
+    issued_count INT DEFAULT 0,
+    existing_count INT DEFAULT 0 COMMENT 'Farms that already held a certificate',
+    failed_count INT DEFAULT 0,
+    zip_path VARCHAR(500) NULL COMMENT 'Relative to CERTIFICATE_BATCH_DIR',
+    zip_sha256 CHAR(64) NULL,
+    zip_size_bytes INT NULL,
+    error TEXT COMMENT 'Why the batch itself failed; item failures are on the items',
+    requested_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Touched after every item',
+    finished_at TIMESTAMP NULL,
+
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status (status),
+    INDEX idx_requested_by (requested_by)
+);
+
+CREATE TABLE IF NOT EXISTS certificate_batch_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_id INT NOT NULL,
+    inspection_id INT NOT NULL,
+    position INT NOT NULL COMMENT 'Order the inspection was given in',
+    status ENUM('pending', 'issued', 'existing', 'failed') DEFAULT 'pending',
+    certificate_id INT NULL,
+    document_version INT NULL COMMENT 'Archived version included in the ZIP',
+    error TEXT,
+    details JSON COMMENT 'Unmet requirements or blocking non-conformities of a failed item',
+    processed_at TIMESTAMP NULL,
+
+    FOREIGN KEY (batch_id) REFERENCES certificate_batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE CASCADE,
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_batch_inspection (batch_id, inspection_id),
+    INDEX idx_batch_status (batch_id, status)
+);
+
+-- Transaction certificates: one per sales lot, proving a quantity of produce came from a farm
+-- certified under a scope certificate
+CREATE TABLE IF NOT EXISTS transaction_certificates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tc_number VARCHAR(50) UNIQUE NOT NULL,
+    certificate_id INT NOT NULL COMMENT 'Scope certificate the lot was sold under',
+    farm_id INT NOT NULL,
+    product VARCHAR(255) NOT NULL COMMENT 'Product as sold, e.g. green coffee beans',
+    crop VARCHAR(100) NOT NULL COMMENT 'Certified crop the product comes from',
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit ENUM('kg', 't', 'lb') NOT NULL DEFAULT 'kg',
+    quantity_kg DECIMAL(12, 3) NOT NULL,
+    buyer_name VARCHAR(255) NOT NULL,
+    buyer_country VARCHAR(100),
+    lot_number VARCHAR(100) NOT NULL,
+    harvest_start_date DATE NOT NULL,
+    harvest_end_date DATE NOT NULL,
+    issue_date DATE NOT NULL,
+    status ENUM('issued', 'cancelled') DEFAULT 'issued',
+    cancellation_reason TEXT,
+    cancelled_by INT,
+    cancelled_at TIMESTAMP NULL,
+    yield_check JSON COMMENT 'Expected yield, quantity already sold and outcome of the check at issue',
+    signed_payload TEXT,
+    signature VARCHAR(255),
+    signing_key_id VARCHAR(64),
+    signed_at TIMESTAMP NULL,
+    storage_path VARCHAR(500) COMMENT 'PDF relative to CERTIFICATE_ARCHIVE_DIR',
+    pdf_sha256 CHAR(64),
+    issued_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_farm_crop_harvest (farm_id, crop, harvest_end_date),
+    INDEX idx_lot_number (lot_number)
+);
+
+-- Harvest records per field and estimated yields per crop, for mass-balance checks of organic sales
+CREATE TABLE IF NOT EXISTS harvest_records (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    field_id INT NOT NULL,
+    harvest_date DATE NOT NULL,
+    crop VARCHAR(100) NOT NULL COMMENT 'Defaults to the crop type of the field',
+    quantity DECIMAL(12, 3) NOT NULL,
+    unit ENUM('kg', 't', 'lb') NOT NULL DEFAULT 'kg',
+    quantity_kg DECIMAL(12, 3) NOT NULL,
+    storage_location VARCHAR(255),
+    notes TEXT,
+    recorded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE CASCADE,
+    FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_field_harvest_date (field_id, harvest_date)
+);
+
+-- Expected yield of a crop in kg per hectare per year. A row without farm_id applies to every farm;
+-- one with a farm_id overrides it for that farm. Crops without a row use the reference yields in utils/yield.js.
+CREATE TABLE IF NOT EXISTS yield_estimates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    crop VARCHAR(100) NOT NULL,
+    farm_id INT NULL,
+    yield_kg_per_ha DECIMAL(12, 2) NOT NULL,
+    notes TEXT COMMENT 'Source of the estimate, e.g. last three seasons or county extension data',
+    updated_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_crop_farm (crop, farm_id)
+);
+
+-- Registry of agricultural inputs and their status under the organic standard. Field logbooks and inspections
+-- check products against it first, then against the built-in list in utils/inputs.js.
+CREATE TABLE IF NOT EXISTS agricultural_inputs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT 'Product or generic name',
+    active_ingredient VARCHAR(255),
+    manufacturer VARCHAR(255) NOT NULL DEFAULT '' COMMENT 'Empty for generic inputs such as compost',
+    category ENUM('fertiliser', 'soil_conditioner', 'pesticide', 'seed', 'other') NOT NULL,
+    status ENUM('permitted', 'restricted', 'prohibited') NOT NULL,
+    conditions TEXT COMMENT 'Conditions of use of a restricted input',
+    standard_clause VARCHAR(100) COMMENT 'e.g. KS EAS 456 Annex 2',
+    notes TEXT,
+    created_by INT,
+    updated_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_name_manufacturer (name, manufacturer),
+    INDEX idx_active_ingredient (active_ingredient),
+    INDEX idx_category_status (category, status)
+);
+
+-- Activity logbook per field: input applications, seed purchases, compost production, irrigation and pest control.
+-- Products are checked against the permitted inputs list; restricted, prohibited and unlisted ones are flagged
+-- for review at the farm's next inspection.
+CREATE TABLE IF NOT EXISTS field_activities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    field_id INT NOT NULL,
+    activity_date DATE NOT NULL,
+    activity_type ENUM('input_application', 'seed_purchase', 'compost_production', 'irrigation', 'pest_control') NOT NULL,
+    product_name VARCHAR(255) COMMENT 'Required except for irrigation',
+    active_ingredient VARCHAR(255),
+    quantity DECIMAL(12, 3),
+    unit VARCHAR(20) COMMENT 'Free text, e.g. kg, l, bags',
+    supplier VARCHAR(255),
+    notes TEXT,
+    input_status ENUM('permitted', 'restricted', 'prohibited', 'unlisted') NULL COMMENT 'NULL when the activity uses no product',
+    input_check JSON COMMENT 'Matched input, its conditions and the standard clause',
+    flag_status ENUM('open', 'reviewed') NULL COMMENT 'Set for restricted, prohibited and unlisted inputs',
+    reviewed_inspection_id INT NULL,
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    review_notes TEXT,
+    recorded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_field_activity_date (field_id, activity_date),
+    INDEX idx_flag_status (flag_status)
+);
+
+-- Certificate suspensions, revocations and reinstatements; the notice letter is rendered from each row
+CREATE TABLE IF NOT EXISTS certificate_status_actions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL,
+    action ENUM('suspend', 'revoke', 'reinstate') NOT NULL,
+    reason_code VARCHAR(50) NOT NULL,
+    reason_details TEXT,
+    effective_date DATE NOT NULL,
+    non_conformity_id INT NULL,
+    previous_status VARCHAR(50) NOT NULL,
+    new_status VARCHAR(50) NOT NULL,
+    acted_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (non_conformity_id) REFERENCES non_conformities(id) ON DELETE SET NULL,
+    FOREIGN KEY (acted_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_action (action)
+);
+
+-- Certificate renewal requests: requested -> inspection_scheduled -> approved / declined
+CREATE TABLE IF NOT EXISTS renewal_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    certificate_id INT NOT NULL COMMENT 'Certificate being renewed',
+    farm_id INT NOT NULL,
+    status ENUM('requested', 'inspection_scheduled', 'approved', 'declined') DEFAULT 'requested',
+    reason TEXT,
+    requested_expiry_date DATE NULL,
+    requested_scope TEXT NULL COMMENT 'Amended scope for the successor; NULL keeps the current scope',
+    previous_certificate_status VARCHAR(50) COMMENT 'Restored when the request is declined',
+    inspection_id INT NULL,
+    successor_certificate_id INT NULL,
+    decision_reason TEXT,
+    requested_by INT,
+    decided_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP NULL,
+
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (farm_id) REFERENCES farms(id) ON DELETE CASCADE,
+    FOREIGN KEY (inspection_id) REFERENCES inspections(id) ON DELETE SET NULL,
+    FOREIGN KEY (successor_certificate_id) REFERENCES certificates(id) ON DELETE SET NULL,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_certificate_id (certificate_id),
+    INDEX idx_farm_id (farm_id),
+    INDEX idx_status (status)
+);
+
+-- Public halves of the certificate signing keys; private keys stay on the server
+CREATE TABLE IF NOT EXISTS signing_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    key_id VARCHAR(64) UNIQUE NOT NULL,
+    algorithm ENUM('Ed25519', 'ECDSA-P256') NOT NULL,
+    public_key TEXT NOT NULL COMMENT 'SPKI PEM',
+    status ENUM('active', 'retired') DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP NULL,
+    active_key TINYINT GENERATED ALWAYS AS (IF(status = 'active', 1, NULL)) STORED COMMENT 'Unique: one active key at a time',
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uq_active_key (active_key),
+    INDEX idx_status (status)
+);
+
+-- Background job runs, one per job and day; restarts resume from here
+CREATE TABLE IF NOT EXISTS job_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    run_key VARCHAR(50) NOT NULL COMMENT 'Day the run is for (YYYY-MM-DD)',
+    status ENUM('running', 'succeeded', 'failed') DEFAULT 'running',
+    triggered_by ENUM('scheduler', 'manual') DEFAULT 'scheduler',
+    attempts INT DEFAULT 1,
+    summary JSON COMMENT 'Outcome counts reported by the job',
+    error TEXT,
+    started_by INT NULL COMMENT 'Admin who triggered a manual run',
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+
+    FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_job_run (job_name, run_key),
+    INDEX idx_status (status),
+    INDEX idx_started_at (started_at)
+);
+
+-- Queued notifications (certificate renewal reminders)
+CREATE TABLE IF NOT EXISTS notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(50) NOT NULL COMMENT 'e.g. certificate_renewal_reminder',
+    user_id INT NULL COMMENT 'User managing the farmer',
+    farmer_id INT NULL,
+    certificate_id INT NULL,
+    lead_days INT NULL COMMENT 'Days before expiry the reminder is for',
+    recipient_email VARCHAR(255),
+    recipient_phone VARCHAR(20),
+    subject VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    status ENUM('queued', 'sent', 'failed') DEFAULT 'queued',
+    job_run_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (farmer_id) REFERENCES farmers(id) ON DELETE CASCADE,
+    FOREIGN KEY (certificate_id) REFERENCES certificates(id) ON DELETE CASCADE,
+    FOREIGN KEY (job_run_id) REFERENCES job_runs(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_certificate_reminder (certificate_id, type, lead_days),
+    INDEX idx_status (status),
+    INDEX idx_user_id (user_id)
 );
 
 -- Audit log table (optional, for tracking changes)
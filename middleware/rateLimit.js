@@ -0,0 +1,14 @@
+const rateLimit = require('express-rate-limit');
+
+// Public, unauthenticated endpoints are limited per client IP
+const verificationLimiter = rateLimit({
+  windowMs: (parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  limit: parseInt(process.env.VERIFY_RATE_LIMIT_MAX) || 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many verification requests, please try again later' }
+});
+
+module.exports = {
+  verificationLimiter
+};
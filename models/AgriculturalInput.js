@@ -0,0 +1,112 @@
+const db = require('../config/database');
+
+// Registry of inputs; manufacturer is stored as '' for generic inputs so (name, manufacturer) stays unique
+class AgriculturalInput {
+  static async findAll({ q, category, status } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      conditions.push('(name LIKE ? OR active_ingredient LIKE ? OR manufacturer LIKE ?)');
+      const pattern = `%${q}%`;
+      params.push(pattern, pattern, pattern);
+    }
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`SELECT * FROM agricultural_inputs ${where} ORDER BY name ASC, manufacturer ASC`, params);
+  }
+
+  static async findById(id) {
+    return await db.findById('agricultural_inputs', id);
+  }
+
+  static async findByName(name, manufacturer) {
+    const rows = await db.executeQuery(
+      'SELECT * FROM agricultural_inputs WHERE name = ? AND manufacturer = ?',
+      [name, manufacturer || '']
+    );
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    return await db.create('agricultural_inputs', {
+      name: data.name,
+      active_ingredient: data.activeIngredient || null,
+      manufacturer: data.manufacturer || '',
+      category: data.category,
+      status: data.status,
+      conditions: data.conditions || null,
+      standard_clause: data.standardClause || null,
+      notes: data.notes || null,
+      created_by: data.createdBy || null,
+      updated_by: data.createdBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.name) updateData.name = data.name;
+    if (data.activeIngredient !== undefined) updateData.active_ingredient = data.activeIngredient || null;
+    if (data.manufacturer !== undefined) updateData.manufacturer = data.manufacturer || '';
+    if (data.category) updateData.category = data.category;
+    if (data.status) updateData.status = data.status;
+    if (data.conditions !== undefined) updateData.conditions = data.conditions || null;
+    if (data.standardClause !== undefined) updateData.standard_clause = data.standardClause || null;
+    if (data.notes !== undefined) updateData.notes = data.notes || null;
+    if (data.updatedBy) updateData.updated_by = data.updatedBy;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('agricultural_inputs', id, updateData);
+  }
+
+  static async delete(id) {
+    return await db.delete('agricultural_inputs', id);
+  }
+
+  // Shape of the entries of the inputs list in utils/inputs.js
+  static toListEntry(data) {
+    return {
+      id: data.id,
+      name: data.name,
+      activeIngredient: data.active_ingredient || null,
+      category: data.category,
+      status: data.status,
+      conditions: data.conditions || null,
+      clause: data.standard_clause || null
+    };
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      name: data.name,
+      activeIngredient: data.active_ingredient || null,
+      manufacturer: data.manufacturer || null,
+      category: data.category,
+      status: data.status,
+      conditions: data.conditions || null,
+      standardClause: data.standard_clause || null,
+      notes: data.notes || null,
+      createdBy: data.created_by,
+      updatedBy: data.updated_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = AgriculturalInput;
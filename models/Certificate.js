@@ -1,6 +1,12 @@
 
+const crypto = require('crypto');
 const db = require('../config/database');
 
+const NUMBER_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const NUMBER_LENGTH = 8;
+// A number already taken is replaced by a fresh one this many times before the insert fails
+const NUMBER_ATTEMPTS = 5;
+
 class Certificate {
   static async findAll() {
     return await db.findAll('certificates');
@@ -14,20 +20,42 @@ class Certificate {
     return await db.findAll('certificates', 'farm_id = ?', [farmId]);
   }
 
+  // Dates are formatted in SQL so the public view does not shift them by the server timezone
+  static async findByNumber(certificateNumber) {
+    const rows = await db.executeQuery(
+      `SELECT *, DATE_FORMAT(issue_date, '%Y-%m-%d') AS issue_day, DATE_FORMAT(expiry_date, '%Y-%m-%d') AS expiry_day
+       FROM certificates WHERE certificate_number = ?`,
+      [certificateNumber]
+    );
+    return rows[0] || null;
+  }
+
   static async create(data) {
     const certificateData = {
-      certificate_number: this.generateCertificateNumber(),
       farm_id: data.farmId,
+      predecessor_certificate_id: data.predecessorCertificateId || null,
       issue_date: data.issueDate,
       expiry_date: data.expiryDate,
       status: data.status || 'active',
       certification_body: data.certificationBody || 'Kenya Organic Agriculture Network',
       scope: data.scope || 'Organic crop production',
+      crop_types: data.cropTypes && data.cropTypes.length > 0 ? JSON.stringify(data.cropTypes) : null,
+      issued_by: data.issuedBy || null,
       created_at: new Date(),
       updated_at: new Date()
     };
 
-    return await db.create('certificates', certificateData);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await db.create('certificates', {
+          certificate_number: this.generateCertificateNumber(),
+          ...certificateData
+        });
+      } catch (error) {
+        const numberTaken = error.code === 'ER_DUP_ENTRY' && /certificate_number/.test(error.message);
+        if (!numberTaken || attempt >= NUMBER_ATTEMPTS) throw error;
+      }
+    }
   }
 
   static async update(id, data) {
@@ -35,7 +63,11 @@ class Certificate {
 
     if (data.status) updateData.status = data.status;
     if (data.pdfUrl) updateData.pdf_url = data.pdfUrl;
-    // Removed notes field and crop_types since they don't exist in the database schema
+    if (data.pdfSha256) updateData.pdf_sha256 = data.pdfSha256;
+    if (data.signedPayload) updateData.signed_payload = data.signedPayload;
+    if (data.signature) updateData.signature = data.signature;
+    if (data.signingKeyId) updateData.signing_key_id = data.signingKeyId;
+    if (data.signedAt) updateData.signed_at = data.signedAt;
 
     updateData.updated_at = new Date();
 
@@ -46,11 +78,11 @@ class Certificate {
     return await db.delete('certificates', id);
   }
 
+  // 36^8 random suffixes per year, so certificates issued in the same batch practically never collide
   static generateCertificateNumber() {
     const year = new Date().getFullYear();
-    const timestamp = Date.now().toString(36).slice(-3).toUpperCase();
-    const random = Math.random().toString(36).substr(2, 2).toUpperCase();
-    return `ORG-${year}-${timestamp}${random}`;
+    const random = Array.from({ length: NUMBER_LENGTH }, () => NUMBER_ALPHABET[crypto.randomInt(NUMBER_ALPHABET.length)]).join('');
+    return `ORG-${year}-${random}`;
   }
 
   static mapFromDatabase(data) {
@@ -60,20 +92,36 @@ class Certificate {
       id: data.id,
       certificateNumber: data.certificate_number,
       farmId: data.farm_id,
+      predecessorCertificateId: data.predecessor_certificate_id || null,
       issueDate: data.issue_date,
       expiryDate: data.expiry_date,
       status: data.status,
       certificationBody: data.certification_body,
       scope: data.scope,
+      cropTypes: this.parseCropTypes(data.crop_types),
       pdfUrl: data.pdf_url,
+      pdfSha256: data.pdf_sha256 || null,
+      signature: data.signature || null,
+      signingKeyId: data.signing_key_id || null,
+      signedAt: data.signed_at || null,
+      issuedBy: data.issued_by,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
 
-    // crop_types field removed since it doesn't exist in database schema
-
     return mapped;
   }
+
+  static parseCropTypes(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
 }
 
 module.exports = Certificate;
\ No newline at end of file
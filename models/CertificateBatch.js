@@ -0,0 +1,179 @@
+const db = require('../config/database');
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+const SELECT_ITEMS = `
+  SELECT i.*, c.certificate_number, f.farm_name
+  FROM certificate_batch_items i
+  LEFT JOIN certificates c ON i.certificate_id = c.id
+  LEFT JOIN inspections ins ON i.inspection_id = ins.id
+  LEFT JOIN farms f ON ins.farm_id = f.id
+`;
+
+class CertificateBatch {
+  static async findAll({ requestedBy, status, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (requestedBy) {
+      conditions.push('requested_by = ?');
+      params.push(requestedBy);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // LIMIT is inlined: mysql2 prepared statements reject a bound LIMIT
+    return await db.executeQuery(
+      `SELECT * FROM certificate_batches ${where} ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+      params
+    );
+  }
+
+  static async findById(id) {
+    return await db.findById('certificate_batches', id);
+  }
+
+  static async findItems(batchId, { status } = {}) {
+    const conditions = ['i.batch_id = ?'];
+    const params = [batchId];
+
+    if (status) {
+      conditions.push('i.status = ?');
+      params.push(status);
+    }
+
+    return await db.executeQuery(`${SELECT_ITEMS} WHERE ${conditions.join(' AND ')} ORDER BY i.position`, params);
+  }
+
+  static async create({ inspectionIds, reason, requestedBy }) {
+    const batch = await db.create('certificate_batches', {
+      status: 'queued',
+      reason: reason || null,
+      total_items: inspectionIds.length,
+      requested_by: requestedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    for (const [index, inspectionId] of inspectionIds.entries()) {
+      await db.create('certificate_batch_items', {
+        batch_id: batch.id,
+        inspection_id: inspectionId,
+        position: index + 1,
+        status: 'pending'
+      });
+    }
+
+    return batch;
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.status) updateData.status = data.status;
+    if (data.startedAt) updateData.started_at = data.startedAt;
+    if (data.finishedAt) updateData.finished_at = data.finishedAt;
+    if (data.zipPath !== undefined) updateData.zip_path = data.zipPath;
+    if (data.zipSha256 !== undefined) updateData.zip_sha256 = data.zipSha256;
+    if (data.zipSizeBytes !== undefined) updateData.zip_size_bytes = data.zipSizeBytes;
+    if (data.error !== undefined) updateData.error = data.error;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('certificate_batches', id, updateData);
+  }
+
+  // Claim a failed batch again, or one that made no progress since staleBefore. Returns null when it cannot
+  // be resumed or another request got there first.
+  static async reclaim(id, { staleBefore }) {
+    const result = await db.executeQuery(`
+      UPDATE certificate_batches
+      SET status = 'running', error = NULL, finished_at = NULL, updated_at = ?
+      WHERE id = ? AND (status = 'failed' OR (status IN ('queued', 'running') AND updated_at < ?))
+    `, [new Date(), id, staleBefore]);
+
+    return result.affectedRows > 0 ? await this.findById(id) : null;
+  }
+
+  // Counts are recomputed from the items so a resumed batch reports every item once
+  static async refreshCounts(id) {
+    await db.executeQuery(`
+      UPDATE certificate_batches b SET
+        issued_count = (SELECT COUNT(*) FROM certificate_batch_items WHERE batch_id = b.id AND status = 'issued'),
+        existing_count = (SELECT COUNT(*) FROM certificate_batch_items WHERE batch_id = b.id AND status = 'existing'),
+        failed_count = (SELECT COUNT(*) FROM certificate_batch_items WHERE batch_id = b.id AND status = 'failed'),
+        updated_at = ?
+      WHERE b.id = ?
+    `, [new Date(), id]);
+  }
+
+  static async updateItem(id, data) {
+    return await db.update('certificate_batch_items', id, {
+      status: data.status,
+      certificate_id: data.certificateId || null,
+      document_version: data.documentVersion || null,
+      error: data.error || null,
+      details: data.details ? JSON.stringify(data.details) : null,
+      processed_at: new Date()
+    });
+  }
+
+  static mapItemFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      position: data.position,
+      inspectionId: data.inspection_id,
+      farmName: data.farm_name || null,
+      status: data.status,
+      certificateId: data.certificate_id,
+      certificateNumber: data.certificate_number || null,
+      documentVersion: data.document_version,
+      error: data.error,
+      details: parseJson(data.details),
+      processedAt: data.processed_at
+    };
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    const processed = (data.issued_count || 0) + (data.existing_count || 0) + (data.failed_count || 0);
+
+    return {
+      id: data.id,
+      status: data.status,
+      reason: data.reason,
+      totalItems: data.total_items,
+      processedItems: processed,
+      issuedCount: data.issued_count || 0,
+      existingCount: data.existing_count || 0,
+      failedCount: data.failed_count || 0,
+      zip: data.zip_path ? {
+        sha256: data.zip_sha256,
+        sizeBytes: data.zip_size_bytes,
+        downloadUrl: `/api/certificate-batches/${data.id}/download`
+      } : null,
+      error: data.error,
+      requestedBy: data.requested_by,
+      createdAt: data.created_at,
+      startedAt: data.started_at,
+      updatedAt: data.updated_at,
+      finishedAt: data.finished_at
+    };
+  }
+}
+
+module.exports = CertificateBatch;
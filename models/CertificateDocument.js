@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+const SELECT_DOCUMENTS = `
+  SELECT d.*, u.name AS created_by_name, t.name AS template_name
+  FROM certificate_documents d
+  LEFT JOIN users u ON d.created_by = u.id
+  LEFT JOIN certificate_templates t ON d.template_id = t.id
+`;
+
+// Archived PDFs are immutable: rows are only ever added, never updated
+class CertificateDocument {
+  static async findByCertificate(certificateId) {
+    return await db.executeQuery(`${SELECT_DOCUMENTS} WHERE d.certificate_id = ? ORDER BY d.version DESC`, [certificateId]);
+  }
+
+  static async findVersion(certificateId, version) {
+    const rows = await db.executeQuery(`${SELECT_DOCUMENTS} WHERE d.certificate_id = ? AND d.version = ?`, [certificateId, version]);
+    return rows[0] || null;
+  }
+
+  static async findLatest(certificateId) {
+    const rows = await db.executeQuery(
+      `${SELECT_DOCUMENTS} WHERE d.certificate_id = ? ORDER BY d.version DESC LIMIT 1`,
+      [certificateId]
+    );
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    return await db.create('certificate_documents', {
+      certificate_id: data.certificateId,
+      version: data.version,
+      reason: data.reason,
+      note: data.note || null,
+      storage_path: data.storagePath,
+      sha256: data.sha256,
+      size_bytes: data.sizeBytes,
+      template_id: data.templateId || null,
+      language: data.language || 'en',
+      signature: data.signature || null,
+      signing_key_id: data.signingKeyId || null,
+      created_by: data.createdBy || null,
+      created_at: new Date()
+    });
+  }
+
+  static downloadPath(certificateId, version) {
+    return `/api/certificates/${certificateId}/documents/${version}/pdf`;
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      certificateId: data.certificate_id,
+      version: data.version,
+      reason: data.reason,
+      note: data.note,
+      sha256: data.sha256,
+      sizeBytes: data.size_bytes,
+      templateId: data.template_id,
+      templateName: data.template_id ? data.template_name || null : 'Built-in',
+      language: data.language,
+      signingKeyId: data.signing_key_id || null,
+      createdBy: data.created_by,
+      createdByName: data.created_by_name || null,
+      createdAt: data.created_at,
+      downloadUrl: this.downloadPath(data.certificate_id, data.version)
+    };
+  }
+}
+
+module.exports = CertificateDocument;
@@ -0,0 +1,47 @@
+const db = require('../config/database');
+
+// Organic: may be sold as organic. In conversion: inspected and covered, but not yet organic.
+const PRODUCTION_CATEGORIES = ['organic', 'in_conversion'];
+
+class CertificateScopeItem {
+  static async findByCertificate(certificateId) {
+    return await db.executeQuery(
+      'SELECT * FROM certificate_scope_items WHERE certificate_id = ? ORDER BY field_name ASC, crop ASC',
+      [certificateId]
+    );
+  }
+
+  static async createMany(certificateId, items) {
+    const created = [];
+    for (const item of items) {
+      created.push(await db.create('certificate_scope_items', {
+        certificate_id: certificateId,
+        field_id: item.fieldId || null,
+        field_name: item.fieldName,
+        crop: item.crop,
+        area: item.area !== undefined ? item.area : null,
+        production_category: item.productionCategory || 'organic',
+        created_at: new Date()
+      }));
+    }
+    return created;
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      certificateId: data.certificate_id,
+      fieldId: data.field_id,
+      fieldName: data.field_name,
+      crop: data.crop,
+      area: data.area !== null && data.area !== undefined ? parseFloat(data.area) : null,
+      productionCategory: data.production_category
+    };
+  }
+}
+
+CertificateScopeItem.PRODUCTION_CATEGORIES = PRODUCTION_CATEGORIES;
+
+module.exports = CertificateScopeItem;
@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+const SELECT_ACTIONS = `
+  SELECT a.*, DATE_FORMAT(a.effective_date, '%Y-%m-%d') AS effective_day,
+         u.name AS acted_by_name,
+         nc.severity AS non_conformity_severity, nc.description AS non_conformity_description,
+         nc.clause_reference AS non_conformity_clause, nc.status AS non_conformity_status
+  FROM certificate_status_actions a
+  LEFT JOIN users u ON a.acted_by = u.id
+  LEFT JOIN non_conformities nc ON a.non_conformity_id = nc.id
+`;
+
+class CertificateStatusAction {
+  static async findByCertificate(certificateId) {
+    return await db.executeQuery(`${SELECT_ACTIONS} WHERE a.certificate_id = ? ORDER BY a.created_at DESC, a.id DESC`, [certificateId]);
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_ACTIONS} WHERE a.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Most recent suspension of a certificate, which a reinstatement lifts
+  static async findLastSuspension(certificateId) {
+    const rows = await db.executeQuery(
+      `${SELECT_ACTIONS} WHERE a.certificate_id = ? AND a.action = 'suspend' ORDER BY a.created_at DESC, a.id DESC LIMIT 1`,
+      [certificateId]
+    );
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    return await db.create('certificate_status_actions', {
+      certificate_id: data.certificateId,
+      action: data.action,
+      reason_code: data.reasonCode,
+      reason_details: data.reasonDetails || null,
+      effective_date: data.effectiveDate,
+      non_conformity_id: data.nonConformityId || null,
+      previous_status: data.previousStatus,
+      new_status: data.newStatus,
+      acted_by: data.actedBy || null,
+      created_at: new Date()
+    });
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      certificateId: data.certificate_id,
+      action: data.action,
+      reasonCode: data.reason_code,
+      reasonDetails: data.reason_details,
+      effectiveDate: data.effective_day || data.effective_date,
+      nonConformityId: data.non_conformity_id,
+      nonConformity: data.non_conformity_id ? {
+        id: data.non_conformity_id,
+        severity: data.non_conformity_severity,
+        description: data.non_conformity_description,
+        clauseReference: data.non_conformity_clause,
+        status: data.non_conformity_status
+      } : null,
+      previousStatus: data.previous_status,
+      newStatus: data.new_status,
+      actedBy: data.acted_by,
+      actedByName: data.acted_by_name || null,
+      createdAt: data.created_at
+    };
+  }
+}
+
+module.exports = CertificateStatusAction;
@@ -0,0 +1,118 @@
+const db = require('../config/database');
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class CertificateTemplate {
+  static async findAll({ status, certificationBody, scope } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (certificationBody) {
+      conditions.push('certification_body = ?');
+      params.push(certificationBody);
+    }
+    if (scope) {
+      conditions.push('scope = ?');
+      params.push(scope);
+    }
+
+    return await db.findAll('certificate_templates', conditions.join(' AND '), params);
+  }
+
+  static async findById(id) {
+    return await db.findById('certificate_templates', id);
+  }
+
+  // Most specific active template for a certificate: body and scheme, then body only, then scheme
+  // only, then a template for any body and scheme. Null when none is configured.
+  static async findForCertificate({ certificationBody, scope } = {}) {
+    const [template] = await db.executeQuery(`
+      SELECT * FROM certificate_templates
+      WHERE status = 'active'
+        AND (certification_body IS NULL OR certification_body = ?)
+        AND (scope IS NULL OR scope = ?)
+      ORDER BY certification_body IS NOT NULL DESC, scope IS NOT NULL DESC, updated_at DESC
+      LIMIT 1
+    `, [certificationBody || null, scope || null]);
+
+    return template || null;
+  }
+
+  static async create(data) {
+    return await db.create('certificate_templates', {
+      name: data.name,
+      layout: data.layout || 'classic',
+      certification_body: data.certificationBody || null,
+      scope: data.scope || null,
+      default_language: data.defaultLanguage || 'en',
+      issuer_name: data.issuerName,
+      issuer_subtitle: data.issuerSubtitle || null,
+      logo_file: data.logoFile || null,
+      colors: data.colors ? JSON.stringify(data.colors) : null,
+      signatories: data.signatories ? JSON.stringify(data.signatories) : null,
+      footer_note: data.footerNote || null,
+      status: 'active',
+      created_by: data.createdBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.name) updateData.name = data.name;
+    if (data.layout) updateData.layout = data.layout;
+    if (data.certificationBody !== undefined) updateData.certification_body = data.certificationBody || null;
+    if (data.scope !== undefined) updateData.scope = data.scope || null;
+    if (data.defaultLanguage) updateData.default_language = data.defaultLanguage;
+    if (data.issuerName) updateData.issuer_name = data.issuerName;
+    if (data.issuerSubtitle !== undefined) updateData.issuer_subtitle = data.issuerSubtitle || null;
+    if (data.logoFile !== undefined) updateData.logo_file = data.logoFile || null;
+    if (data.colors !== undefined) updateData.colors = data.colors ? JSON.stringify(data.colors) : null;
+    if (data.signatories !== undefined) updateData.signatories = data.signatories ? JSON.stringify(data.signatories) : null;
+    if (data.footerNote !== undefined) updateData.footer_note = data.footerNote || null;
+    if (data.status) updateData.status = data.status;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('certificate_templates', id, updateData);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      name: data.name,
+      layout: data.layout,
+      certificationBody: data.certification_body,
+      scope: data.scope,
+      defaultLanguage: data.default_language,
+      issuerName: data.issuer_name,
+      issuerSubtitle: data.issuer_subtitle,
+      logoFile: data.logo_file,
+      colors: parseJson(data.colors, {}),
+      signatories: parseJson(data.signatories, []),
+      footerNote: data.footer_note,
+      status: data.status,
+      createdBy: data.created_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = CertificateTemplate;
@@ -0,0 +1,191 @@
+const db = require('../config/database');
+const { DEFAULT_CHECKLIST } = require('../utils/inspection');
+
+class ChecklistTemplate {
+  static async findAll({ scope, status } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (scope) {
+      conditions.push('scope = ?');
+      params.push(scope);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    return await db.findAll('checklist_templates', conditions.join(' AND '), params);
+  }
+
+  static async findById(id) {
+    return await db.findById('checklist_templates', id);
+  }
+
+  static async findVersions(templateId) {
+    return await db.executeQuery(
+      'SELECT * FROM checklist_template_versions WHERE template_id = ? ORDER BY version DESC',
+      [templateId]
+    );
+  }
+
+  static async findVersion(templateId, version) {
+    const [row] = await db.executeQuery(
+      'SELECT * FROM checklist_template_versions WHERE template_id = ? AND version = ?',
+      [templateId, version]
+    );
+    return row || null;
+  }
+
+  static async findVersionById(versionId) {
+    return await db.findById('checklist_template_versions', versionId);
+  }
+
+  // Pick the active template for a scope, falling back to the general template
+  static async findForScope(scope) {
+    const [template] = await db.executeQuery(`
+      SELECT * FROM checklist_templates
+      WHERE status = 'active' AND scope IN (?, 'general')
+      ORDER BY scope = ? DESC, updated_at DESC
+      LIMIT 1
+    `, [scope || 'general', scope || 'general']);
+
+    return template || null;
+  }
+
+  // Template version a new inspection should be pinned to: the requested template, or the
+  // active one for its scope. Returns null when a requested template is missing or archived.
+  static async resolveForNewInspection({ templateId, scope } = {}) {
+    let template = null;
+    if (templateId) {
+      template = await this.findById(parseInt(templateId));
+      if (!template || template.status !== 'active') return null;
+    } else {
+      template = await this.findForScope(scope);
+    }
+
+    const templateVersion = template ? await this.findVersion(template.id, template.current_version) : null;
+
+    return {
+      template,
+      templateVersion,
+      questions: templateVersion ? this.parseQuestions(templateVersion.questions) : DEFAULT_CHECKLIST
+    };
+  }
+
+  // A template is never left without its first version
+  static async create(data) {
+    return await db.withTransaction(async () => {
+      const template = await db.create('checklist_templates', {
+        name: data.name,
+        description: data.description || null,
+        scope: data.scope || 'general',
+        status: 'active',
+        current_version: 0,
+        created_by: data.createdBy || null,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+
+      return await this.addVersion(template.id, data.questions, {
+        createdBy: data.createdBy,
+        changeNotes: data.changeNotes || 'Initial version'
+      });
+    });
+  }
+
+  // Versions are immutable snapshots: every change to the questions creates a new one. The template row
+  // is locked until the version is written, so concurrent edits get consecutive version numbers.
+  static async addVersion(templateId, questions, { createdBy = null, changeNotes = null } = {}) {
+    return await db.withTransaction(async () => {
+      const [template] = await db.executeQuery(
+        'SELECT current_version FROM checklist_templates WHERE id = ? FOR UPDATE',
+        [templateId]
+      );
+      const version = template.current_version + 1;
+
+      await db.create('checklist_template_versions', {
+        template_id: templateId,
+        version,
+        questions: JSON.stringify(questions),
+        change_notes: changeNotes,
+        created_by: createdBy,
+        created_at: new Date()
+      });
+
+      return await db.update('checklist_templates', templateId, {
+        current_version: version,
+        updated_at: new Date()
+      });
+    });
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.name) updateData.name = data.name;
+    if (data.description !== undefined) updateData.description = data.description;
+    if (data.scope) updateData.scope = data.scope;
+    if (data.status) updateData.status = data.status;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('checklist_templates', id, updateData);
+  }
+
+  // Questions an inspection was started with, or null when it predates templates
+  static async getQuestionsForInspection(inspection) {
+    if (!inspection || !inspection.checklist_template_version_id) return null;
+
+    const version = await this.findVersionById(inspection.checklist_template_version_id);
+    return version ? this.parseQuestions(version.questions) : null;
+  }
+
+  static parseQuestions(questions) {
+    if (!questions) return [];
+    if (typeof questions !== 'string') return questions;
+    try {
+      return JSON.parse(questions);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static mapFromDatabase(data, version = null) {
+    if (!data) return null;
+
+    const mapped = {
+      id: data.id,
+      name: data.name,
+      description: data.description,
+      scope: data.scope,
+      status: data.status,
+      currentVersion: data.current_version,
+      createdBy: data.created_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+
+    if (version) {
+      mapped.version = this.mapVersionFromDatabase(version);
+    }
+
+    return mapped;
+  }
+
+  static mapVersionFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      templateId: data.template_id,
+      version: data.version,
+      questions: this.parseQuestions(data.questions),
+      changeNotes: data.change_notes,
+      createdBy: data.created_by,
+      createdAt: data.created_at
+    };
+  }
+}
+
+module.exports = ChecklistTemplate;
@@ -20,7 +20,10 @@ class Farm {
       location: data.location,
       total_area: data.totalArea || data.size,
       organic_area: data.organicArea,
+      parallel_production: data.parallelProduction === true,
       crop_types: data.cropTypes ? JSON.stringify(data.cropTypes) : null,
+      certification_scope: data.certificationScope || 'organic-crops',
+      crop_risk_category: data.cropRiskCategory || null,
       farming_type: data.farmingType,
       organic_since: data.organicSince,
       created_at: new Date(),
@@ -38,6 +41,9 @@ class Farm {
     if (data.totalArea || data.size) updateData.total_area = data.totalArea || data.size;
     if (data.organicArea) updateData.organic_area = data.organicArea;
     if (data.cropTypes) updateData.crop_types = JSON.stringify(data.cropTypes);
+    if (data.certificationScope) updateData.certification_scope = data.certificationScope;
+    if (data.parallelProduction !== undefined) updateData.parallel_production = data.parallelProduction === true;
+    if (data.cropRiskCategory !== undefined) updateData.crop_risk_category = data.cropRiskCategory || null;
     if (data.farmingType) updateData.farming_type = data.farmingType;
     if (data.organicSince) updateData.organic_since = data.organicSince;
     if (data.certificationStatus) updateData.certification_status = data.certificationStatus;
@@ -47,6 +53,15 @@ class Farm {
     return await db.update('farms', id, updateData);
   }
 
+  // Boundary and its area are set together, by services/boundaryService after validation; null clears both
+  static async setBoundary(id, boundary, areaHectares) {
+    return await db.update('farms', id, {
+      boundary: boundary ? JSON.stringify(boundary) : null,
+      boundary_area_ha: boundary ? areaHectares : null,
+      updated_at: new Date()
+    });
+  }
+
   static async delete(id) {
     return await db.delete('farms', id);
   }
@@ -59,9 +74,16 @@ class Farm {
       farmerId: data.farmer_id,
       farmName: data.farm_name,
       location: data.location,
+      boundary: null,
+      boundaryAreaHectares: data.boundary_area_ha !== null && data.boundary_area_ha !== undefined
+        ? parseFloat(data.boundary_area_ha)
+        : null,
       totalArea: data.total_area,
       organicArea: data.organic_area,
       farmingType: data.farming_type,
+      certificationScope: data.certification_scope || 'organic-crops',
+      parallelProduction: Boolean(data.parallel_production),
+      cropRiskCategory: data.crop_risk_category || null,
       organicSince: data.organic_since,
       certificationStatus: data.certification_status || 'pending',
       createdAt: data.created_at,
@@ -78,6 +100,14 @@ class Farm {
       }
     }
 
+    if (data.boundary) {
+      try {
+        mapped.boundary = typeof data.boundary === 'string' ? JSON.parse(data.boundary) : data.boundary;
+      } catch (e) {
+        mapped.boundary = null;
+      }
+    }
+
     return mapped;
   }
 }
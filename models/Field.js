@@ -0,0 +1,126 @@
+const db = require('../config/database');
+const { assessConversion } = require('../utils/conversion');
+
+// Fields are read with their farm's organic_since, the conversion start used when the field has none
+const SELECT_FIELDS = `
+  SELECT f.*,
+         DATE_FORMAT(f.planting_date, '%Y-%m-%d') AS planting_day,
+         DATE_FORMAT(f.conversion_start_date, '%Y-%m-%d') AS conversion_start_day,
+         DATE_FORMAT(f.last_prohibited_input_date, '%Y-%m-%d') AS last_prohibited_input_day,
+         DATE_FORMAT(farm.organic_since, '%Y-%m-%d') AS farm_organic_since_day,
+         farm.farm_name
+  FROM fields f
+  JOIN farms farm ON f.farm_id = farm.id
+`;
+
+class Field {
+  static async findAll({ farmId } = {}) {
+    if (farmId) {
+      return await db.executeQuery(`${SELECT_FIELDS} WHERE f.farm_id = ? ORDER BY f.field_name ASC`, [farmId]);
+    }
+    return await db.executeQuery(`${SELECT_FIELDS} ORDER BY f.farm_id ASC, f.field_name ASC`);
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_FIELDS} WHERE f.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  static async findByFarm(farmId) {
+    return await this.findAll({ farmId });
+  }
+
+  static async create(data) {
+    const field = await db.create('fields', {
+      farm_id: data.farmId,
+      field_name: data.fieldName,
+      crop_type: data.cropType,
+      area: data.area !== undefined ? data.area : null,
+      soil_type: data.soilType || null,
+      planting_date: data.plantingDate || null,
+      organic_status: data.organicStatus !== undefined ? data.organicStatus === true : true,
+      conversion_start_date: data.conversionStartDate || null,
+      last_prohibited_input_date: data.lastProhibitedInputDate || null,
+      conversion_period_months: data.conversionPeriodMonths !== undefined ? data.conversionPeriodMonths : null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    return await this.findById(field.id);
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.fieldName) updateData.field_name = data.fieldName;
+    if (data.cropType) updateData.crop_type = data.cropType;
+    if (data.area !== undefined) updateData.area = data.area;
+    if (data.soilType !== undefined) updateData.soil_type = data.soilType || null;
+    if (data.plantingDate !== undefined) updateData.planting_date = data.plantingDate || null;
+    if (data.organicStatus !== undefined) updateData.organic_status = data.organicStatus === true;
+    if (data.conversionStartDate !== undefined) updateData.conversion_start_date = data.conversionStartDate || null;
+    if (data.lastProhibitedInputDate !== undefined) updateData.last_prohibited_input_date = data.lastProhibitedInputDate || null;
+    if (data.conversionPeriodMonths !== undefined) updateData.conversion_period_months = data.conversionPeriodMonths;
+
+    updateData.updated_at = new Date();
+
+    const field = await db.update('fields', id, updateData);
+    return field ? await this.findById(id) : null;
+  }
+
+  // Boundary and its area are set together, by services/boundaryService after validation; null clears both
+  static async setBoundary(id, boundary, areaHectares) {
+    const field = await db.update('fields', id, {
+      boundary: boundary ? JSON.stringify(boundary) : null,
+      boundary_area_ha: boundary ? areaHectares : null,
+      updated_at: new Date()
+    });
+    return field ? await this.findById(id) : null;
+  }
+
+  static async delete(id) {
+    return await db.delete('fields', id);
+  }
+
+  // Conversion state on a day (YYYY-MM-DD); see utils/conversion
+  static conversion(data, asOf) {
+    return assessConversion({
+      conversionStartDate: data.conversion_start_day || data.conversion_start_date,
+      organicSince: data.farm_organic_since_day,
+      lastProhibitedInputDate: data.last_prohibited_input_day || data.last_prohibited_input_date,
+      conversionPeriodMonths: data.conversion_period_months,
+      cropType: data.crop_type,
+      organicStatus: data.organic_status
+    }, asOf);
+  }
+
+  static mapFromDatabase(data, { asOf } = {}) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      fieldName: data.field_name,
+      cropType: data.crop_type,
+      area: data.area !== null && data.area !== undefined ? parseFloat(data.area) : null,
+      boundary: typeof data.boundary === 'string' ? JSON.parse(data.boundary) : data.boundary || null,
+      boundaryAreaHectares: data.boundary_area_ha !== null && data.boundary_area_ha !== undefined
+        ? parseFloat(data.boundary_area_ha)
+        : null,
+      soilType: data.soil_type,
+      plantingDate: data.planting_day || data.planting_date || null,
+      organicStatus: Boolean(data.organic_status),
+      conversionStartDate: data.conversion_start_day || null,
+      lastProhibitedInputDate: data.last_prohibited_input_day || null,
+      conversionPeriodMonths: data.conversion_period_months !== null && data.conversion_period_months !== undefined
+        ? data.conversion_period_months
+        : null,
+      conversion: this.conversion(data, asOf),
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = Field;
@@ -0,0 +1,164 @@
+const db = require('../config/database');
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Activities are read with their field and farm; dates are formatted in SQL so they are not shifted by the server timezone
+const SELECT_ACTIVITIES = `
+  SELECT a.*, DATE_FORMAT(a.activity_date, '%Y-%m-%d') AS activity_day,
+         fl.field_name, fl.farm_id, fm.farm_name, fm.farmer_id,
+         u.name AS recorded_by_name, r.name AS reviewed_by_name
+  FROM field_activities a
+  JOIN fields fl ON a.field_id = fl.id
+  JOIN farms fm ON fl.farm_id = fm.id
+  LEFT JOIN users u ON a.recorded_by = u.id
+  LEFT JOIN users r ON a.reviewed_by = r.id
+`;
+
+class FieldActivity {
+  static async findAll({ farmId, fieldId, activityType, inputStatus, flagStatus, from, to, farmerUserId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (farmId) {
+      conditions.push('fl.farm_id = ?');
+      params.push(farmId);
+    }
+    if (fieldId) {
+      conditions.push('a.field_id = ?');
+      params.push(fieldId);
+    }
+    if (activityType) {
+      conditions.push('a.activity_type = ?');
+      params.push(activityType);
+    }
+    if (inputStatus) {
+      conditions.push('a.input_status = ?');
+      params.push(inputStatus);
+    }
+    if (flagStatus) {
+      conditions.push('a.flag_status = ?');
+      params.push(flagStatus);
+    }
+    if (from) {
+      conditions.push('a.activity_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('a.activity_date <= ?');
+      params.push(to);
+    }
+    if (farmerUserId) {
+      conditions.push('fm.farmer_id IN (SELECT id FROM farmers WHERE user_id = ?)');
+      params.push(farmerUserId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`${SELECT_ACTIVITIES} ${where} ORDER BY a.activity_date DESC, a.id DESC`, params);
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_ACTIVITIES} WHERE a.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Inputs of a farm flagged and not yet reviewed, oldest first, for its next inspection
+  static async findOpenFlags(farmId) {
+    return await db.executeQuery(
+      `${SELECT_ACTIVITIES} WHERE fl.farm_id = ? AND a.flag_status = 'open' ORDER BY a.activity_date ASC, a.id ASC`,
+      [farmId]
+    );
+  }
+
+  static async create(data) {
+    const activity = await db.create('field_activities', {
+      field_id: data.fieldId,
+      activity_date: data.activityDate,
+      activity_type: data.activityType,
+      product_name: data.productName || null,
+      active_ingredient: data.activeIngredient || null,
+      quantity: data.quantity !== undefined && data.quantity !== null ? data.quantity : null,
+      unit: data.unit || null,
+      supplier: data.supplier || null,
+      notes: data.notes || null,
+      input_status: data.inputStatus || null,
+      input_check: data.inputCheck ? JSON.stringify(data.inputCheck) : null,
+      flag_status: data.flagStatus || null,
+      recorded_by: data.recordedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    return await this.findById(activity.id);
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.activityDate) updateData.activity_date = data.activityDate;
+    if (data.activityType) updateData.activity_type = data.activityType;
+    if (data.productName !== undefined) updateData.product_name = data.productName || null;
+    if (data.activeIngredient !== undefined) updateData.active_ingredient = data.activeIngredient || null;
+    if (data.quantity !== undefined) updateData.quantity = data.quantity;
+    if (data.unit !== undefined) updateData.unit = data.unit || null;
+    if (data.supplier !== undefined) updateData.supplier = data.supplier || null;
+    if (data.notes !== undefined) updateData.notes = data.notes || null;
+    if (data.inputStatus !== undefined) updateData.input_status = data.inputStatus;
+    if (data.inputCheck !== undefined) updateData.input_check = data.inputCheck ? JSON.stringify(data.inputCheck) : null;
+    if (data.flagStatus !== undefined) updateData.flag_status = data.flagStatus;
+    if (data.reviewedInspectionId !== undefined) updateData.reviewed_inspection_id = data.reviewedInspectionId;
+    if (data.reviewedBy !== undefined) updateData.reviewed_by = data.reviewedBy;
+    if (data.reviewedAt !== undefined) updateData.reviewed_at = data.reviewedAt;
+    if (data.reviewNotes !== undefined) updateData.review_notes = data.reviewNotes;
+
+    updateData.updated_at = new Date();
+
+    await db.update('field_activities', id, updateData);
+    return await this.findById(id);
+  }
+
+  static async delete(id) {
+    return await db.delete('field_activities', id);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      fieldId: data.field_id,
+      fieldName: data.field_name,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      activityDate: data.activity_day,
+      activityType: data.activity_type,
+      productName: data.product_name || null,
+      activeIngredient: data.active_ingredient || null,
+      quantity: data.quantity !== null && data.quantity !== undefined ? parseFloat(data.quantity) : null,
+      unit: data.unit || null,
+      supplier: data.supplier || null,
+      notes: data.notes || null,
+      inputStatus: data.input_status || null,
+      inputCheck: parseJson(data.input_check),
+      flagStatus: data.flag_status || null,
+      reviewedInspectionId: data.reviewed_inspection_id || null,
+      reviewedBy: data.reviewed_by || null,
+      reviewedByName: data.reviewed_by_name || null,
+      reviewedAt: data.reviewed_at || null,
+      reviewNotes: data.review_notes || null,
+      recordedBy: data.recorded_by,
+      recordedByName: data.recorded_by_name || null,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = FieldActivity;
@@ -0,0 +1,115 @@
+const db = require('../config/database');
+
+// Harvests are read with their field and farm; dates are formatted in SQL so they are not shifted by the server timezone
+const SELECT_HARVESTS = `
+  SELECT h.*, DATE_FORMAT(h.harvest_date, '%Y-%m-%d') AS harvest_day,
+         fl.field_name, fl.farm_id, fm.farm_name, fm.farmer_id, u.name AS recorded_by_name
+  FROM harvest_records h
+  JOIN fields fl ON h.field_id = fl.id
+  JOIN farms fm ON fl.farm_id = fm.id
+  LEFT JOIN users u ON h.recorded_by = u.id
+`;
+
+class HarvestRecord {
+  static async findAll({ farmId, fieldId, crop, from, to, farmerUserId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (farmId) {
+      conditions.push('fl.farm_id = ?');
+      params.push(farmId);
+    }
+    if (fieldId) {
+      conditions.push('h.field_id = ?');
+      params.push(fieldId);
+    }
+    if (crop) {
+      conditions.push('LOWER(h.crop) = LOWER(?)');
+      params.push(crop);
+    }
+    if (from) {
+      conditions.push('h.harvest_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('h.harvest_date <= ?');
+      params.push(to);
+    }
+    if (farmerUserId) {
+      conditions.push('fm.farmer_id IN (SELECT id FROM farmers WHERE user_id = ?)');
+      params.push(farmerUserId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`${SELECT_HARVESTS} ${where} ORDER BY h.harvest_date DESC, h.id DESC`, params);
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_HARVESTS} WHERE h.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    const harvest = await db.create('harvest_records', {
+      field_id: data.fieldId,
+      harvest_date: data.harvestDate,
+      crop: data.crop,
+      quantity: data.quantity,
+      unit: data.unit,
+      quantity_kg: data.quantityKg,
+      storage_location: data.storageLocation || null,
+      notes: data.notes || null,
+      recorded_by: data.recordedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    return await this.findById(harvest.id);
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.harvestDate) updateData.harvest_date = data.harvestDate;
+    if (data.crop) updateData.crop = data.crop;
+    if (data.quantity !== undefined) updateData.quantity = data.quantity;
+    if (data.unit) updateData.unit = data.unit;
+    if (data.quantityKg !== undefined) updateData.quantity_kg = data.quantityKg;
+    if (data.storageLocation !== undefined) updateData.storage_location = data.storageLocation || null;
+    if (data.notes !== undefined) updateData.notes = data.notes || null;
+
+    updateData.updated_at = new Date();
+
+    await db.update('harvest_records', id, updateData);
+    return await this.findById(id);
+  }
+
+  static async delete(id) {
+    return await db.delete('harvest_records', id);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      fieldId: data.field_id,
+      fieldName: data.field_name,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      harvestDate: data.harvest_day,
+      crop: data.crop,
+      quantity: parseFloat(data.quantity),
+      unit: data.unit,
+      quantityKg: parseFloat(data.quantity_kg),
+      storageLocation: data.storage_location || null,
+      notes: data.notes || null,
+      recordedBy: data.recorded_by,
+      recordedByName: data.recorded_by_name || null,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = HarvestRecord;
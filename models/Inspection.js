@@ -17,13 +17,18 @@ class Inspection {
     const inspectionData = {
       farm_id: data.farmId,
       inspector_id: data.inspectorId || null,
+      assigned_inspector_id: data.assignedInspectorId || null,
       inspector_name: data.inspectorName || null,
       scheduled_date: data.scheduledDate || null,
       inspection_date: data.inspectionDate || null,
       status: data.status || 'scheduled',
+      visit_type: data.visitType || 'announced',
       score: data.score || data.complianceScore || null,
       notes: data.notes || null,
       checklist: data.checklist ? JSON.stringify(data.checklist) : null,
+      score_breakdown: data.scoreBreakdown ? JSON.stringify(data.scoreBreakdown) : null,
+      checklist_template_id: data.checklistTemplateId || null,
+      checklist_template_version_id: data.checklistTemplateVersionId || null,
       is_eligible_for_certification: data.isEligibleForCertification || false,
       created_at: new Date(),
       updated_at: new Date()
@@ -32,10 +37,12 @@ class Inspection {
     return await db.create('inspections', inspectionData);
   }
 
-  static async update(id, data) {
+  // Pass expectedVersion to only apply the update while row_version still matches (null otherwise)
+  static async update(id, data, { expectedVersion } = {}) {
     const updateData = {};
 
     if (data.inspectorId) updateData.inspector_id = data.inspectorId;
+    if (data.assignedInspectorId !== undefined) updateData.assigned_inspector_id = data.assignedInspectorId;
     if (data.inspectorName) updateData.inspector_name = data.inspectorName;
     if (data.scheduledDate) updateData.scheduled_date = data.scheduledDate;
     if (data.inspectionDate) updateData.inspection_date = data.inspectionDate;
@@ -49,10 +56,20 @@ class Inspection {
       updateData.is_eligible_for_certification = data.isEligibleForCertification;
     }
     if (data.violations) updateData.violations = JSON.stringify(data.violations);
+    if (data.scoreBreakdown) updateData.score_breakdown = JSON.stringify(data.scoreBreakdown);
 
     updateData.updated_at = new Date();
 
-    return await db.update('inspections', id, updateData);
+    return await db.updateVersioned('inspections', id, updateData, expectedVersion);
+  }
+
+  // Notes from several devices are appended rather than overwritten, so they never conflict
+  static async appendNote(id, note) {
+    await db.executeQuery(
+      `UPDATE inspections SET notes = CONCAT_WS('\\n', notes, ?), row_version = row_version + 1, updated_at = ? WHERE id = ?`,
+      [note, new Date(), id]
+    );
+    return await this.findById(id);
   }
 
   static async delete(id) {
@@ -66,13 +83,18 @@ class Inspection {
       id: data.id,
       farmId: data.farm_id,
       inspectorId: data.inspector_id,
+      assignedInspectorId: data.assigned_inspector_id,
       inspectorName: data.inspector_name,
       scheduledDate: data.scheduled_date,
       inspectionDate: data.inspection_date,
       status: data.status,
+      visitType: data.visit_type,
       score: data.score,
       notes: data.notes,
       isEligibleForCertification: data.is_eligible_for_certification,
+      rowVersion: data.row_version,
+      checklistTemplateId: data.checklist_template_id,
+      checklistTemplateVersionId: data.checklist_template_version_id,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -87,6 +109,16 @@ class Inspection {
       }
     }
 
+    if (data.score_breakdown) {
+      try {
+        mapped.scoreBreakdown = typeof data.score_breakdown === 'string'
+          ? JSON.parse(data.score_breakdown)
+          : data.score_breakdown;
+      } catch (e) {
+        mapped.scoreBreakdown = null;
+      }
+    }
+
     return mapped;
   }
 }
@@ -0,0 +1,107 @@
+const db = require('../config/database');
+
+class InspectionAttachment {
+  static async findByInspectionId(inspectionId, { questionId, nonConformityId, category } = {}) {
+    const conditions = ['inspection_id = ?'];
+    const params = [inspectionId];
+
+    if (questionId) {
+      conditions.push('question_id = ?');
+      params.push(questionId);
+    }
+    if (nonConformityId) {
+      conditions.push('non_conformity_id = ?');
+      params.push(nonConformityId);
+    }
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+
+    return await db.executeQuery(
+      `SELECT * FROM inspection_attachments WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`,
+      params
+    );
+  }
+
+  static async findById(id) {
+    return await db.findById('inspection_attachments', id);
+  }
+
+  static async create(data) {
+    return await db.create('inspection_attachments', {
+      inspection_id: data.inspectionId,
+      question_id: data.questionId || null,
+      non_conformity_id: data.nonConformityId || null,
+      category: data.category || 'other',
+      description: data.description || null,
+      original_name: data.originalName,
+      storage_path: data.storagePath,
+      mime_type: data.mimeType,
+      size_bytes: data.sizeBytes,
+      checksum: data.checksum,
+      captured_at: data.capturedAt || null,
+      latitude: data.latitude !== undefined ? data.latitude : null,
+      longitude: data.longitude !== undefined ? data.longitude : null,
+      metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+      uploaded_by: data.uploadedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  // Only descriptive metadata can change; the stored file is immutable
+  static async update(id, data, { expectedVersion } = {}) {
+    const updateData = {};
+
+    if (data.description !== undefined) updateData.description = data.description;
+    if (data.category) updateData.category = data.category;
+    if (data.questionId !== undefined) updateData.question_id = data.questionId;
+    if (data.nonConformityId !== undefined) updateData.non_conformity_id = data.nonConformityId;
+
+    updateData.updated_at = new Date();
+
+    return await db.updateVersioned('inspection_attachments', id, updateData, expectedVersion);
+  }
+
+  static async delete(id) {
+    return await db.delete('inspection_attachments', id);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    const mapped = {
+      id: data.id,
+      inspectionId: data.inspection_id,
+      questionId: data.question_id,
+      nonConformityId: data.non_conformity_id,
+      category: data.category,
+      description: data.description,
+      originalName: data.original_name,
+      mimeType: data.mime_type,
+      sizeBytes: data.size_bytes,
+      checksum: data.checksum,
+      capturedAt: data.captured_at,
+      latitude: data.latitude !== null ? parseFloat(data.latitude) : null,
+      longitude: data.longitude !== null ? parseFloat(data.longitude) : null,
+      uploadedBy: data.uploaded_by,
+      rowVersion: data.row_version,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      downloadUrl: `/api/inspections/${data.inspection_id}/attachments/${data.id}/download`
+    };
+
+    if (data.metadata) {
+      try {
+        mapped.metadata = typeof data.metadata === 'string' ? JSON.parse(data.metadata) : data.metadata;
+      } catch (e) {
+        mapped.metadata = null;
+      }
+    }
+
+    return mapped;
+  }
+}
+
+module.exports = InspectionAttachment;
@@ -0,0 +1,123 @@
+const db = require('../config/database');
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class InspectionPlan {
+  static async findAll({ createdBy, year } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (createdBy) {
+      conditions.push('created_by = ?');
+      params.push(createdBy);
+    }
+    if (year) {
+      conditions.push('year = ?');
+      params.push(year);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`SELECT * FROM inspection_plans ${where} ORDER BY year DESC, created_at DESC`, params);
+  }
+
+  static async findById(id) {
+    return await db.findById('inspection_plans', id);
+  }
+
+  // Lock the plan row until the current transaction ends
+  static async findForUpdate(id) {
+    const [row] = await db.executeQuery('SELECT * FROM inspection_plans WHERE id = ? FOR UPDATE', [id]);
+    return row || null;
+  }
+
+  static async findItems(planId) {
+    return await db.executeQuery(
+      `SELECT pi.*, DATE_FORMAT(pi.planned_date, '%Y-%m-%d') AS planned_day, f.farm_name
+       FROM inspection_plan_items pi
+       JOIN farms f ON pi.farm_id = f.id
+       WHERE pi.plan_id = ?
+       ORDER BY pi.planned_date ASC, pi.farm_id ASC, pi.id ASC`,
+      [planId]
+    );
+  }
+
+  static async create(data, items) {
+    const plan = await db.create('inspection_plans', {
+      year: data.year,
+      seed: data.seed,
+      unannounced_percentage: data.unannouncedPercentage,
+      status: 'draft',
+      summary: JSON.stringify(data.summary || {}),
+      created_by: data.createdBy || null,
+      created_at: new Date()
+    });
+
+    for (const item of items) {
+      await db.create('inspection_plan_items', {
+        plan_id: plan.id,
+        farm_id: item.farmId,
+        visit_type: item.visitType,
+        planned_date: item.plannedDate,
+        risk_score: item.riskScore,
+        risk_level: item.riskLevel,
+        risk_factors: JSON.stringify(item.riskFactors || {})
+      });
+    }
+
+    return plan;
+  }
+
+  static async linkInspection(itemId, inspectionId) {
+    return await db.update('inspection_plan_items', itemId, { inspection_id: inspectionId });
+  }
+
+  static async markApplied(id) {
+    return await db.update('inspection_plans', id, { status: 'applied', applied_at: new Date() });
+  }
+
+  static async delete(id) {
+    return await db.delete('inspection_plans', id);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      year: data.year,
+      seed: data.seed,
+      unannouncedPercentage: parseFloat(data.unannounced_percentage),
+      status: data.status,
+      summary: parseJson(data.summary, {}),
+      createdBy: data.created_by,
+      createdAt: data.created_at,
+      appliedAt: data.applied_at
+    };
+  }
+
+  static mapItemFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      planId: data.plan_id,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      visitType: data.visit_type,
+      plannedDate: data.planned_day || data.planned_date,
+      riskScore: parseFloat(data.risk_score),
+      riskLevel: data.risk_level,
+      riskFactors: parseJson(data.risk_factors, {}),
+      inspectionId: data.inspection_id
+    };
+  }
+}
+
+module.exports = InspectionPlan;
@@ -0,0 +1,218 @@
+const db = require('../config/database');
+
+// Inspection statuses that still need an inspector and can be handed to another one
+const OPEN_STATUSES = ['scheduled', 'rescheduled', 'in_progress'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_WORKING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const DEFAULT_MAX_PER_DAY = 2;
+
+class Inspector {
+  static async findById(id) {
+    return await db.findById('inspectors', id);
+  }
+
+  static async findByUserId(userId, { status } = {}) {
+    if (status) {
+      return await db.findAll('inspectors', 'user_id = ? AND status = ?', [userId, status]);
+    }
+    return await db.findAll('inspectors', 'user_id = ?', [userId]);
+  }
+
+  static async findOpenAssignments(inspectorId) {
+    return await db.executeQuery(
+      `SELECT * FROM inspections
+       WHERE assigned_inspector_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+       ORDER BY scheduled_date ASC, id ASC`,
+      [inspectorId, ...OPEN_STATUSES]
+    );
+  }
+
+  // Open assignment counts keyed by inspector id, used to spread reassigned work
+  static async countOpenAssignments(inspectorIds) {
+    if (inspectorIds.length === 0) return {};
+
+    const rows = await db.executeQuery(
+      `SELECT assigned_inspector_id, COUNT(*) AS total FROM inspections
+       WHERE assigned_inspector_id IN (${inspectorIds.map(() => '?').join(', ')})
+         AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+       GROUP BY assigned_inspector_id`,
+      [...inspectorIds, ...OPEN_STATUSES]
+    );
+
+    const counts = {};
+    inspectorIds.forEach(id => { counts[id] = 0; });
+    rows.forEach(row => { counts[row.assigned_inspector_id] = parseInt(row.total); });
+    return counts;
+  }
+
+  // Open inspections per inspector and day between two dates (inclusive), as { inspectorId: { 'YYYY-MM-DD': count } }
+  static async countBookingsByDay(inspectorIds, from, to, { excludeInspectionId } = {}) {
+    const bookings = {};
+    inspectorIds.forEach(id => { bookings[id] = {}; });
+    if (inspectorIds.length === 0) return bookings;
+
+    const rows = await db.executeQuery(
+      `SELECT assigned_inspector_id, DATE_FORMAT(scheduled_date, '%Y-%m-%d') AS day, COUNT(*) AS total
+       FROM inspections
+       WHERE assigned_inspector_id IN (${inspectorIds.map(() => '?').join(', ')})
+         AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+         AND scheduled_date BETWEEN ? AND ?
+         AND id <> ?
+       GROUP BY assigned_inspector_id, day`,
+      [...inspectorIds, ...OPEN_STATUSES, from, to, excludeInspectionId || 0]
+    );
+
+    rows.forEach(row => { bookings[row.assigned_inspector_id][row.day] = parseInt(row.total); });
+    return bookings;
+  }
+
+  // Inspections for the calendar feed, including finished ones so past visits stay visible
+  static async findScheduleBetween(inspectorId, from, to) {
+    return await db.executeQuery(
+      `SELECT i.id, i.status, i.notes, DATE_FORMAT(i.scheduled_date, '%Y-%m-%d') AS day, i.updated_at,
+              f.farm_name, f.location
+       FROM inspections i
+       JOIN farms f ON i.farm_id = f.id
+       WHERE i.assigned_inspector_id = ? AND i.scheduled_date BETWEEN ? AND ?
+       ORDER BY i.scheduled_date ASC, i.id ASC`,
+      [inspectorId, from, to]
+    );
+  }
+
+  // Open inspections in a date range with the farmer's coordinates, for itinerary planning
+  static async findStopsBetween(inspectorId, from, to) {
+    return await db.executeQuery(
+      `SELECT i.id, i.status, DATE_FORMAT(i.scheduled_date, '%Y-%m-%d') AS day,
+              f.id AS farm_id, f.farm_name, f.location, fr.name AS farmer_name, fr.latitude, fr.longitude
+       FROM inspections i
+       JOIN farms f ON i.farm_id = f.id
+       JOIN farmers fr ON f.farmer_id = fr.id
+       WHERE i.assigned_inspector_id = ?
+         AND i.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+         AND i.scheduled_date BETWEEN ? AND ?
+       ORDER BY i.scheduled_date ASC, i.id ASC`,
+      [inspectorId, ...OPEN_STATUSES, from, to]
+    );
+  }
+
+  // Leave periods overlapping [from, to]; both bounds optional
+  static async findLeave(inspectorIds, { from, to } = {}) {
+    const ids = Array.isArray(inspectorIds) ? inspectorIds : [inspectorIds];
+    if (ids.length === 0) return [];
+
+    const conditions = [`inspector_id IN (${ids.map(() => '?').join(', ')})`];
+    const params = [...ids];
+    if (from) {
+      conditions.push('end_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('start_date <= ?');
+      params.push(to);
+    }
+
+    return await db.executeQuery(
+      `SELECT id, inspector_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+              DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, reason, created_by, created_at
+       FROM inspector_leave WHERE ${conditions.join(' AND ')} ORDER BY start_date ASC`,
+      params
+    );
+  }
+
+  static async findLeaveById(id) {
+    const [leave] = await db.executeQuery(
+      `SELECT id, inspector_id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+              DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, reason, created_by, created_at
+       FROM inspector_leave WHERE id = ?`,
+      [id]
+    );
+    return leave || null;
+  }
+
+  static async addLeave(inspectorId, { startDate, endDate, reason, createdBy }) {
+    const leave = await db.create('inspector_leave', {
+      inspector_id: inspectorId,
+      start_date: startDate,
+      end_date: endDate,
+      reason: reason || null,
+      created_by: createdBy || null,
+      created_at: new Date()
+    });
+    return await this.findLeaveById(leave.id);
+  }
+
+  static async deleteLeave(id) {
+    return await db.delete('inspector_leave', id);
+  }
+
+  static async updateAvailability(id, { workingDays, maxInspectionsPerDay }) {
+    const updateData = { updated_at: new Date() };
+    if (workingDays !== undefined) updateData.working_days = JSON.stringify(workingDays);
+    if (maxInspectionsPerDay !== undefined) updateData.max_inspections_per_day = parseInt(maxInspectionsPerDay);
+    return await db.update('inspectors', id, updateData);
+  }
+
+  static async setCalendarToken(id, token) {
+    return await db.update('inspectors', id, { calendar_token: token, updated_at: new Date() });
+  }
+
+  static getWorkingDays(data) {
+    if (!data || !data.working_days) return DEFAULT_WORKING_DAYS;
+    try {
+      const days = typeof data.working_days === 'string' ? JSON.parse(data.working_days) : data.working_days;
+      return Array.isArray(days) ? days : DEFAULT_WORKING_DAYS;
+    } catch (e) {
+      return DEFAULT_WORKING_DAYS;
+    }
+  }
+
+  static getMaxPerDay(data) {
+    return data && data.max_inspections_per_day !== undefined && data.max_inspections_per_day !== null
+      ? parseInt(data.max_inspections_per_day)
+      : DEFAULT_MAX_PER_DAY;
+  }
+
+  static async setStatus(id, status) {
+    return await db.update('inspectors', id, { status, updated_at: new Date() });
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      name: data.name,
+      email: data.email,
+      phone: data.phone,
+      specialization: data.specialization,
+      qualifications: data.qualifications,
+      experience: data.experience,
+      status: data.status,
+      workingDays: this.getWorkingDays(data),
+      maxInspectionsPerDay: this.getMaxPerDay(data),
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+
+  static mapLeaveFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      inspectorId: data.inspector_id,
+      startDate: data.start_date,
+      endDate: data.end_date,
+      reason: data.reason,
+      createdBy: data.created_by,
+      createdAt: data.created_at
+    };
+  }
+}
+
+Inspector.OPEN_STATUSES = OPEN_STATUSES;
+Inspector.WEEKDAYS = WEEKDAYS;
+Inspector.DEFAULT_WORKING_DAYS = DEFAULT_WORKING_DAYS;
+
+module.exports = Inspector;
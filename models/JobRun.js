@@ -0,0 +1,111 @@
+const db = require('../config/database');
+
+class JobRun {
+  static async findAll({ jobName, status, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (jobName) {
+      conditions.push('job_name = ?');
+      params.push(jobName);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // LIMIT is inlined: mysql2 prepared statements reject a bound LIMIT
+    return await db.executeQuery(
+      `SELECT * FROM job_runs ${where} ORDER BY started_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+      params
+    );
+  }
+
+  static async findById(id) {
+    return await db.findById('job_runs', id);
+  }
+
+  static async findByKey(jobName, runKey) {
+    const [row] = await db.executeQuery('SELECT * FROM job_runs WHERE job_name = ? AND run_key = ?', [jobName, runKey]);
+    return row || null;
+  }
+
+  // Latest run of every job
+  static async findLatest() {
+    return await db.executeQuery(`
+      SELECT * FROM job_runs
+      WHERE id IN (SELECT MAX(id) FROM job_runs GROUP BY job_name)
+    `);
+  }
+
+  // Claim the run of a job for a key. Returns null when it was already claimed, which the unique
+  // (job_name, run_key) key guarantees even with several server instances.
+  static async claim(jobName, runKey, { triggeredBy = 'scheduler', startedBy = null } = {}) {
+    try {
+      return await db.create('job_runs', {
+        job_name: jobName,
+        run_key: runKey,
+        status: 'running',
+        triggered_by: triggeredBy,
+        attempts: 1,
+        started_by: startedBy,
+        started_at: new Date()
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return null;
+      throw error;
+    }
+  }
+
+  // Claim a failed run again, or one left running by a process that died (started before staleBefore).
+  // Returns null when it cannot be retried or another process got there first.
+  static async reclaim(id, { maxAttempts, staleBefore }) {
+    const result = await db.executeQuery(`
+      UPDATE job_runs
+      SET status = 'running', attempts = attempts + 1, error = NULL, started_at = ?, finished_at = NULL
+      WHERE id = ? AND attempts < ? AND (status = 'failed' OR (status = 'running' AND started_at < ?))
+    `, [new Date(), id, maxAttempts, staleBefore]);
+
+    return result.affectedRows > 0 ? await this.findById(id) : null;
+  }
+
+  static async finish(id, { status, summary = null, error = null }) {
+    return await db.update('job_runs', id, {
+      status,
+      summary: summary ? JSON.stringify(summary) : null,
+      error,
+      finished_at: new Date()
+    });
+  }
+
+  static parseSummary(data) {
+    if (!data || !data.summary) return null;
+    try {
+      return typeof data.summary === 'string' ? JSON.parse(data.summary) : data.summary;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      jobName: data.job_name,
+      runKey: data.run_key,
+      status: data.status,
+      triggeredBy: data.triggered_by,
+      attempts: data.attempts,
+      summary: this.parseSummary(data),
+      error: data.error,
+      startedBy: data.started_by,
+      startedAt: data.started_at,
+      finishedAt: data.finished_at,
+      durationMs: data.finished_at ? new Date(data.finished_at) - new Date(data.started_at) : null
+    };
+  }
+}
+
+module.exports = JobRun;
@@ -0,0 +1,155 @@
+const db = require('../config/database');
+
+const BLOCKING_SEVERITIES = ['critical', 'major'];
+
+class NonConformity {
+  static async findAll({ inspectionId, farmId, status, severity, overdue } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (inspectionId) {
+      conditions.push('inspection_id = ?');
+      params.push(inspectionId);
+    }
+    if (farmId) {
+      conditions.push('farm_id = ?');
+      params.push(farmId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (severity) {
+      conditions.push('severity = ?');
+      params.push(severity);
+    }
+    if (overdue) {
+      conditions.push("status <> 'closed' AND due_date < CURDATE()");
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(
+      `SELECT * FROM non_conformities ${where} ORDER BY FIELD(severity, 'critical', 'major', 'minor'), due_date ASC`,
+      params
+    );
+  }
+
+  static async findById(id) {
+    return await db.findById('non_conformities', id);
+  }
+
+  static async findByInspectionId(inspectionId) {
+    return await this.findAll({ inspectionId });
+  }
+
+  // Critical and major findings on a farm that have not been signed off yet
+  static async findBlocking(farmId) {
+    return await db.executeQuery(`
+      SELECT * FROM non_conformities
+      WHERE farm_id = ? AND status <> 'closed' AND severity IN (?, ?)
+      ORDER BY due_date ASC
+    `, [farmId, ...BLOCKING_SEVERITIES]);
+  }
+
+  static async create(data) {
+    return await db.create('non_conformities', {
+      inspection_id: data.inspectionId,
+      farm_id: data.farmId,
+      question_id: data.questionId || null,
+      severity: data.severity || 'minor',
+      clause_reference: data.clauseReference || null,
+      description: data.description,
+      status: 'open',
+      due_date: data.dueDate || null,
+      owner: data.owner || null,
+      corrective_action: data.correctiveAction || null,
+      created_by: data.createdBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  // Raise one non-conformity per failed checklist question, skipping questions already recorded
+  static async createFromFailures(inspection, failures, questions = [], { createdBy = null } = {}) {
+    const existing = await this.findByInspectionId(inspection.id);
+    const recorded = new Set(existing.map(item => item.question_id));
+    const created = [];
+
+    for (const failure of failures) {
+      if (recorded.has(failure.questionId)) continue;
+
+      const question = questions.find(item => item.id === failure.questionId) || {};
+      created.push(await this.create({
+        inspectionId: inspection.id,
+        farmId: inspection.farm_id,
+        questionId: failure.questionId,
+        severity: failure.severity,
+        clauseReference: question.clauseReference,
+        description: `Non-compliant answer to "${failure.question}" (${failure.category})`,
+        createdBy
+      }));
+    }
+
+    return created;
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.severity) updateData.severity = data.severity;
+    if (data.clauseReference !== undefined) updateData.clause_reference = data.clauseReference;
+    if (data.description) updateData.description = data.description;
+    if (data.status) updateData.status = data.status;
+    if (data.dueDate !== undefined) updateData.due_date = data.dueDate;
+    if (data.owner !== undefined) updateData.owner = data.owner;
+    if (data.correctiveAction !== undefined) updateData.corrective_action = data.correctiveAction;
+    if (data.closureEvidence !== undefined) updateData.closure_evidence = data.closureEvidence;
+    if (data.evidenceSubmittedAt !== undefined) updateData.evidence_submitted_at = data.evidenceSubmittedAt;
+    if (data.verifiedBy !== undefined) updateData.verified_by = data.verifiedBy;
+    if (data.verifiedAt !== undefined) updateData.verified_at = data.verifiedAt;
+    if (data.verificationNotes !== undefined) updateData.verification_notes = data.verificationNotes;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('non_conformities', id, updateData);
+  }
+
+  static async delete(id) {
+    return await db.delete('non_conformities', id);
+  }
+
+  static isBlocking(data) {
+    return BLOCKING_SEVERITIES.includes(data.severity) && data.status !== 'closed';
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      inspectionId: data.inspection_id,
+      farmId: data.farm_id,
+      questionId: data.question_id,
+      severity: data.severity,
+      clauseReference: data.clause_reference,
+      description: data.description,
+      status: data.status,
+      dueDate: data.due_date,
+      owner: data.owner,
+      correctiveAction: data.corrective_action,
+      closureEvidence: data.closure_evidence,
+      evidenceSubmittedAt: data.evidence_submitted_at,
+      verifiedBy: data.verified_by,
+      verifiedAt: data.verified_at,
+      verificationNotes: data.verification_notes,
+      blocksCertification: this.isBlocking(data),
+      createdBy: data.created_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+NonConformity.BLOCKING_SEVERITIES = BLOCKING_SEVERITIES;
+
+module.exports = NonConformity;
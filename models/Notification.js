@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+class Notification {
+  static async findAll({ status, type, certificateId, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (certificateId) {
+      conditions.push('certificate_id = ?');
+      params.push(certificateId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(
+      `SELECT * FROM notifications ${where} ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)}`,
+      params
+    );
+  }
+
+  // Queue a notification for delivery. Returns null when the same reminder (certificate, type,
+  // lead time) was already queued.
+  static async queue(data) {
+    try {
+      return await db.create('notifications', {
+        type: data.type,
+        user_id: data.userId || null,
+        farmer_id: data.farmerId || null,
+        certificate_id: data.certificateId || null,
+        lead_days: data.leadDays || null,
+        recipient_email: data.recipientEmail || null,
+        recipient_phone: data.recipientPhone || null,
+        subject: data.subject,
+        message: data.message,
+        status: 'queued',
+        job_run_id: data.jobRunId || null,
+        created_at: new Date()
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return null;
+      throw error;
+    }
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      type: data.type,
+      userId: data.user_id,
+      farmerId: data.farmer_id,
+      certificateId: data.certificate_id,
+      leadDays: data.lead_days,
+      recipientEmail: data.recipient_email,
+      recipientPhone: data.recipient_phone,
+      subject: data.subject,
+      message: data.message,
+      status: data.status,
+      jobRunId: data.job_run_id,
+      createdAt: data.created_at,
+      sentAt: data.sent_at
+    };
+  }
+}
+
+module.exports = Notification;
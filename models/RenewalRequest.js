@@ -0,0 +1,140 @@
+const db = require('../config/database');
+
+// Requests still waiting for someone to act: schedule the inspection, or decide
+const OPEN_STATUSES = ['requested', 'inspection_scheduled'];
+
+const SELECT_RENEWALS = `
+  SELECT r.*, DATE_FORMAT(r.requested_expiry_date, '%Y-%m-%d') AS requested_expiry_day,
+         c.certificate_number, c.status AS certificate_status, DATE_FORMAT(c.expiry_date, '%Y-%m-%d') AS certificate_expiry_day,
+         s.certificate_number AS successor_certificate_number,
+         i.status AS inspection_status, DATE_FORMAT(i.scheduled_date, '%Y-%m-%d') AS inspection_day,
+         f.farm_name, farmer.name AS farmer_name, farmer.user_id AS owner_user_id
+  FROM renewal_requests r
+  JOIN certificates c ON r.certificate_id = c.id
+  JOIN farms f ON r.farm_id = f.id
+  JOIN farmers farmer ON f.farmer_id = farmer.id
+  LEFT JOIN certificates s ON r.successor_certificate_id = s.id
+  LEFT JOIN inspections i ON r.inspection_id = i.id
+`;
+
+class RenewalRequest {
+  static async findAll({ userId, status, awaitingAction, certificateId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      conditions.push('farmer.user_id = ?');
+      params.push(userId);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+    if (awaitingAction) {
+      conditions.push(`r.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`);
+      params.push(...OPEN_STATUSES);
+    }
+    if (certificateId) {
+      conditions.push('r.certificate_id = ?');
+      params.push(certificateId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`${SELECT_RENEWALS} ${where} ORDER BY c.expiry_date ASC, r.created_at ASC`, params);
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_RENEWALS} WHERE r.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  static async findOpenByCertificate(certificateId) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM renewal_requests WHERE certificate_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+      [certificateId, ...OPEN_STATUSES]
+    );
+    return rows[0] || null;
+  }
+
+  static async findOpenByFarm(farmId) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM renewal_requests WHERE farm_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) ORDER BY id DESC`,
+      [farmId, ...OPEN_STATUSES]
+    );
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    return await db.create('renewal_requests', {
+      certificate_id: data.certificateId,
+      farm_id: data.farmId,
+      status: 'requested',
+      reason: data.reason || null,
+      requested_expiry_date: data.requestedExpiryDate || null,
+      requested_scope: data.requestedScope || null,
+      previous_certificate_status: data.previousCertificateStatus || null,
+      requested_by: data.requestedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.status) updateData.status = data.status;
+    if (data.inspectionId !== undefined) updateData.inspection_id = data.inspectionId;
+    if (data.successorCertificateId) updateData.successor_certificate_id = data.successorCertificateId;
+    if (data.decisionReason !== undefined) updateData.decision_reason = data.decisionReason;
+    if (data.decidedBy) updateData.decided_by = data.decidedBy;
+    if (data.decidedAt) updateData.decided_at = data.decidedAt;
+
+    updateData.updated_at = new Date();
+
+    return await db.update('renewal_requests', id, updateData);
+  }
+
+  static nextAction(status, inspectionStatus) {
+    if (status === 'requested') return 'schedule_inspection';
+    if (status !== 'inspection_scheduled') return null;
+    if (inspectionStatus === 'completed') return 'decide';
+    if (['failed', 'cancelled'].includes(inspectionStatus)) return 'reschedule_or_decline';
+    return 'await_inspection';
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      certificateId: data.certificate_id,
+      certificateNumber: data.certificate_number,
+      certificateStatus: data.certificate_status,
+      certificateExpiryDate: data.certificate_expiry_day,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      farmerName: data.farmer_name,
+      status: data.status,
+      awaitingAction: OPEN_STATUSES.includes(data.status),
+      nextAction: this.nextAction(data.status, data.inspection_status),
+      reason: data.reason,
+      requestedExpiryDate: data.requested_expiry_day || null,
+      requestedScope: data.requested_scope,
+      inspectionId: data.inspection_id,
+      inspectionStatus: data.inspection_status || null,
+      inspectionDate: data.inspection_day || null,
+      successorCertificateId: data.successor_certificate_id,
+      successorCertificateNumber: data.successor_certificate_number || null,
+      decisionReason: data.decision_reason,
+      requestedBy: data.requested_by,
+      decidedBy: data.decided_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      decidedAt: data.decided_at
+    };
+  }
+}
+
+RenewalRequest.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = RenewalRequest;
@@ -0,0 +1,56 @@
+const db = require('../config/database');
+
+class SigningKey {
+  static async findAll() {
+    return await db.executeQuery('SELECT * FROM signing_keys ORDER BY created_at DESC, id DESC');
+  }
+
+  static async findByKeyId(keyId) {
+    const rows = await db.executeQuery('SELECT * FROM signing_keys WHERE key_id = ?', [keyId]);
+    return rows[0] || null;
+  }
+
+  // A locking read also sees a key committed after the snapshot of the transaction it runs in
+  static async findActive({ locking = false } = {}) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM signing_keys WHERE status = 'active' ORDER BY created_at DESC, id DESC LIMIT 1${locking ? ' LOCK IN SHARE MODE' : ''}`
+    );
+    return rows[0] || null;
+  }
+
+  static async create(data) {
+    return await db.create('signing_keys', {
+      key_id: data.keyId,
+      algorithm: data.algorithm,
+      public_key: data.publicKey,
+      status: 'active',
+      created_by: data.createdBy || null,
+      created_at: new Date()
+    });
+  }
+
+  // Retire every active key except the given one; retired keys still verify old signatures
+  static async retireOthers(keyId) {
+    return await db.executeQuery(
+      "UPDATE signing_keys SET status = 'retired', retired_at = ? WHERE status = 'active' AND key_id <> ?",
+      [new Date(), keyId]
+    );
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      keyId: data.key_id,
+      algorithm: data.algorithm,
+      publicKey: data.public_key,
+      status: data.status,
+      createdBy: data.created_by,
+      createdAt: data.created_at,
+      retiredAt: data.retired_at
+    };
+  }
+}
+
+module.exports = SigningKey;
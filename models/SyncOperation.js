@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+class SyncOperation {
+  static async findByClientId(userId, clientId) {
+    const [row] = await db.executeQuery(
+      'SELECT * FROM sync_operations WHERE user_id = ? AND client_id = ?',
+      [userId, clientId]
+    );
+    return row || null;
+  }
+
+  // Claim a client change before applying it. Returns null when another request already
+  // claimed it, which the unique (user_id, client_id) key guarantees even for parallel retries.
+  static async reserve(userId, { clientId, deviceId, entity, operation }) {
+    try {
+      return await db.create('sync_operations', {
+        user_id: userId,
+        client_id: clientId,
+        device_id: deviceId || null,
+        entity,
+        operation,
+        created_at: new Date()
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return null;
+      throw error;
+    }
+  }
+
+  static async complete(id, result) {
+    return await db.update('sync_operations', id, {
+      record_id: result.id || null,
+      result: JSON.stringify(result)
+    });
+  }
+
+  // Give up a claim so the device can send the same change again
+  static async release(id) {
+    return await db.delete('sync_operations', id);
+  }
+
+  static parseResult(data) {
+    if (!data || !data.result) return null;
+    try {
+      return typeof data.result === 'string' ? JSON.parse(data.result) : data.result;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+module.exports = SyncOperation;
@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+const OWNER_JOINS = `
+  JOIN farms f ON i.farm_id = f.id
+  JOIN farmers farmer ON f.farmer_id = farmer.id`;
+
+// Deletions reported to devices in the sync delta. Record them before deleting the row,
+// since the owner is found through it.
+class SyncTombstone {
+  // The inspection's attachments are deleted with it, so they are recorded too
+  static async recordInspection(inspectionId) {
+    await db.executeQuery(`
+      INSERT INTO sync_tombstones (user_id, entity, record_id, deleted_at)
+      SELECT farmer.user_id, 'attachment', a.id, NOW()
+      FROM inspection_attachments a
+      JOIN inspections i ON a.inspection_id = i.id${OWNER_JOINS}
+      WHERE i.id = ? AND farmer.user_id IS NOT NULL
+    `, [inspectionId]);
+
+    await db.executeQuery(`
+      INSERT INTO sync_tombstones (user_id, entity, record_id, deleted_at)
+      SELECT farmer.user_id, 'inspection', i.id, NOW()
+      FROM inspections i${OWNER_JOINS}
+      WHERE i.id = ? AND farmer.user_id IS NOT NULL
+    `, [inspectionId]);
+  }
+
+  static async recordAttachment(attachmentId) {
+    await db.executeQuery(`
+      INSERT INTO sync_tombstones (user_id, entity, record_id, deleted_at)
+      SELECT farmer.user_id, 'attachment', a.id, NOW()
+      FROM inspection_attachments a
+      JOIN inspections i ON a.inspection_id = i.id${OWNER_JOINS}
+      WHERE a.id = ? AND farmer.user_id IS NOT NULL
+    `, [attachmentId]);
+  }
+
+  // Ids deleted at or after since, grouped by entity
+  static async findSince(userId, since) {
+    const rows = await db.executeQuery(
+      'SELECT entity, record_id FROM sync_tombstones WHERE user_id = ? AND deleted_at >= ? ORDER BY deleted_at ASC',
+      [userId, since]
+    );
+
+    return {
+      inspections: rows.filter(row => row.entity === 'inspection').map(row => row.record_id),
+      attachments: rows.filter(row => row.entity === 'attachment').map(row => row.record_id)
+    };
+  }
+}
+
+module.exports = SyncTombstone;
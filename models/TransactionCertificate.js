@@ -0,0 +1,190 @@
+const db = require('../config/database');
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Dates are formatted in SQL so they are not shifted by the server timezone
+const SELECT_TRANSACTION_CERTIFICATES = `
+  SELECT tc.*,
+         DATE_FORMAT(tc.harvest_start_date, '%Y-%m-%d') AS harvest_start_day,
+         DATE_FORMAT(tc.harvest_end_date, '%Y-%m-%d') AS harvest_end_day,
+         DATE_FORMAT(tc.issue_date, '%Y-%m-%d') AS issue_day,
+         c.certificate_number, f.farm_name, f.farmer_id, u.name AS issued_by_name
+  FROM transaction_certificates tc
+  JOIN certificates c ON tc.certificate_id = c.id
+  JOIN farms f ON tc.farm_id = f.id
+  LEFT JOIN users u ON tc.issued_by = u.id
+`;
+
+class TransactionCertificate {
+  static async findAll({ certificateId, farmId, farmerUserId, status, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (certificateId) {
+      conditions.push('tc.certificate_id = ?');
+      params.push(certificateId);
+    }
+    if (farmId) {
+      conditions.push('tc.farm_id = ?');
+      params.push(farmId);
+    }
+    if (farmerUserId) {
+      conditions.push('f.farmer_id IN (SELECT id FROM farmers WHERE user_id = ?)');
+      params.push(farmerUserId);
+    }
+    if (status) {
+      conditions.push('tc.status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // LIMIT is inlined: mysql2 prepared statements reject a bound LIMIT
+    return await db.executeQuery(
+      `${SELECT_TRANSACTION_CERTIFICATES} ${where} ORDER BY tc.created_at DESC, tc.id DESC LIMIT ${parseInt(limit)}`,
+      params
+    );
+  }
+
+  static async findById(id) {
+    const rows = await db.executeQuery(`${SELECT_TRANSACTION_CERTIFICATES} WHERE tc.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  static async findByNumber(tcNumber) {
+    const rows = await db.executeQuery(`${SELECT_TRANSACTION_CERTIFICATES} WHERE tc.tc_number = ?`, [tcNumber]);
+    return rows[0] || null;
+  }
+
+  static async findIssuedLot(farmId, lotNumber) {
+    const rows = await db.executeQuery(
+      "SELECT id, tc_number FROM transaction_certificates WHERE farm_id = ? AND lot_number = ? AND status = 'issued'",
+      [farmId, lotNumber]
+    );
+    return rows[0] || null;
+  }
+
+  // Quantity of a crop already sold from a farm under transaction certificates whose harvest ended in the period
+  static async soldKilograms(farmId, crop, { from, to }) {
+    const [row] = await db.executeQuery(`
+      SELECT COALESCE(SUM(quantity_kg), 0) AS sold_kg
+      FROM transaction_certificates
+      WHERE farm_id = ? AND LOWER(crop) = LOWER(?) AND status = 'issued'
+        AND harvest_end_date > ? AND harvest_end_date <= ?
+    `, [farmId, crop, from, to]);
+    return parseFloat(row.sold_kg) || 0;
+  }
+
+  // Organic sales of a farm per crop, from transaction certificates whose harvest ended in the period
+  static async salesByCrop(farmId, { from, to }) {
+    return await db.executeQuery(`
+      SELECT MIN(crop) AS crop, SUM(quantity_kg) AS sold_kg, COUNT(*) AS transaction_certificates
+      FROM transaction_certificates
+      WHERE farm_id = ? AND status = 'issued' AND harvest_end_date BETWEEN ? AND ?
+      GROUP BY LOWER(crop)
+    `, [farmId, from, to]);
+  }
+
+  static async create(data) {
+    const transactionCertificate = await db.create('transaction_certificates', {
+      tc_number: this.generateNumber(),
+      certificate_id: data.certificateId,
+      farm_id: data.farmId,
+      product: data.product,
+      crop: data.crop,
+      quantity: data.quantity,
+      unit: data.unit,
+      quantity_kg: data.quantityKg,
+      buyer_name: data.buyerName,
+      buyer_country: data.buyerCountry || null,
+      lot_number: data.lotNumber,
+      harvest_start_date: data.harvestStartDate,
+      harvest_end_date: data.harvestEndDate,
+      issue_date: data.issueDate,
+      status: 'issued',
+      yield_check: data.yieldCheck ? JSON.stringify(data.yieldCheck) : null,
+      issued_by: data.issuedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    return await this.findById(transactionCertificate.id);
+  }
+
+  static async update(id, data) {
+    const updateData = {};
+
+    if (data.status) updateData.status = data.status;
+    if (data.cancellationReason) updateData.cancellation_reason = data.cancellationReason;
+    if (data.cancelledBy) updateData.cancelled_by = data.cancelledBy;
+    if (data.cancelledAt) updateData.cancelled_at = data.cancelledAt;
+    if (data.signedPayload) updateData.signed_payload = data.signedPayload;
+    if (data.signature) updateData.signature = data.signature;
+    if (data.signingKeyId) updateData.signing_key_id = data.signingKeyId;
+    if (data.signedAt) updateData.signed_at = data.signedAt;
+    if (data.storagePath) updateData.storage_path = data.storagePath;
+    if (data.pdfSha256) updateData.pdf_sha256 = data.pdfSha256;
+
+    updateData.updated_at = new Date();
+
+    await db.update('transaction_certificates', id, updateData);
+    return await this.findById(id);
+  }
+
+  static generateNumber() {
+    const year = new Date().getFullYear();
+    const timestamp = Date.now().toString(36).slice(-3).toUpperCase();
+    const random = Math.random().toString(36).substr(2, 2).toUpperCase();
+    return `TC-${year}-${timestamp}${random}`;
+  }
+
+  static pdfPath(id) {
+    return `/api/transaction-certificates/${id}/pdf`;
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      tcNumber: data.tc_number,
+      certificateId: data.certificate_id,
+      certificateNumber: data.certificate_number,
+      farmId: data.farm_id,
+      farmName: data.farm_name,
+      product: data.product,
+      crop: data.crop,
+      quantity: parseFloat(data.quantity),
+      unit: data.unit,
+      quantityKg: parseFloat(data.quantity_kg),
+      buyerName: data.buyer_name,
+      buyerCountry: data.buyer_country || null,
+      lotNumber: data.lot_number,
+      harvestStartDate: data.harvest_start_day,
+      harvestEndDate: data.harvest_end_day,
+      issueDate: data.issue_day,
+      status: data.status,
+      cancellationReason: data.cancellation_reason || null,
+      cancelledBy: data.cancelled_by || null,
+      cancelledAt: data.cancelled_at || null,
+      yieldCheck: parseJson(data.yield_check),
+      signingKeyId: data.signing_key_id || null,
+      signedAt: data.signed_at || null,
+      pdfSha256: data.pdf_sha256 || null,
+      pdfUrl: data.storage_path ? this.pdfPath(data.id) : null,
+      issuedBy: data.issued_by,
+      issuedByName: data.issued_by_name || null,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = TransactionCertificate;
@@ -0,0 +1,89 @@
+const db = require('../config/database');
+
+// Expected yield of a crop in kg per hectare per year; farm_id NULL is the default for every farm
+class YieldEstimate {
+  static async findAll({ farmId, crop, farmerUserId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (farmId !== undefined) {
+      conditions.push(farmId === null ? 'y.farm_id IS NULL' : 'y.farm_id = ?');
+      if (farmId !== null) params.push(farmId);
+    }
+    if (crop) {
+      conditions.push('LOWER(y.crop) = LOWER(?)');
+      params.push(crop);
+    }
+    if (farmerUserId) {
+      conditions.push('(y.farm_id IS NULL OR f.farmer_id IN (SELECT id FROM farmers WHERE user_id = ?))');
+      params.push(farmerUserId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await db.executeQuery(`
+      SELECT y.*, f.farm_name FROM yield_estimates y
+      LEFT JOIN farms f ON y.farm_id = f.id
+      ${where}
+      ORDER BY y.crop ASC, y.farm_id IS NULL DESC, f.farm_name ASC
+    `, params);
+  }
+
+  static async findById(id) {
+    return await db.findById('yield_estimates', id);
+  }
+
+  // The farm's own estimate of the crop, else the default one
+  static async findForCrop(farmId, crop) {
+    const rows = await db.executeQuery(`
+      SELECT * FROM yield_estimates
+      WHERE LOWER(crop) = LOWER(?) AND (farm_id = ? OR farm_id IS NULL)
+      ORDER BY farm_id IS NULL ASC LIMIT 1
+    `, [crop, farmId]);
+    return rows[0] || null;
+  }
+
+  // One estimate per crop and farm: an existing one is updated
+  static async save({ crop, farmId = null, yieldKgPerHa, notes, updatedBy }) {
+    const [existing] = await this.findAll({ farmId, crop });
+    if (existing) {
+      return await db.update('yield_estimates', existing.id, {
+        yield_kg_per_ha: yieldKgPerHa,
+        notes: notes || null,
+        updated_by: updatedBy || null,
+        updated_at: new Date()
+      });
+    }
+
+    return await db.create('yield_estimates', {
+      crop,
+      farm_id: farmId,
+      yield_kg_per_ha: yieldKgPerHa,
+      notes: notes || null,
+      updated_by: updatedBy || null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  static async delete(id) {
+    return await db.delete('yield_estimates', id);
+  }
+
+  static mapFromDatabase(data) {
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      crop: data.crop,
+      farmId: data.farm_id || null,
+      farmName: data.farm_name || null,
+      yieldKgPerHa: parseFloat(data.yield_kg_per_ha),
+      notes: data.notes || null,
+      updatedBy: data.updated_by,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at
+    };
+  }
+}
+
+module.exports = YieldEstimate;
@@ -1,14 +1,58 @@
+const AgriculturalInput = require('./AgriculturalInput');
 const Certificate = require('./Certificate');
+const CertificateBatch = require('./CertificateBatch');
+const CertificateDocument = require('./CertificateDocument');
+const CertificateScopeItem = require('./CertificateScopeItem');
+const CertificateStatusAction = require('./CertificateStatusAction');
+const CertificateTemplate = require('./CertificateTemplate');
+const ChecklistTemplate = require('./ChecklistTemplate');
 const Farm = require('./Farm');
 const Farmer = require('./Farmer');
+const Field = require('./Field');
+const FieldActivity = require('./FieldActivity');
+const HarvestRecord = require('./HarvestRecord');
 const Inspection = require('./Inspection');
+const InspectionAttachment = require('./InspectionAttachment');
+const InspectionPlan = require('./InspectionPlan');
+const Inspector = require('./Inspector');
+const JobRun = require('./JobRun');
+const NonConformity = require('./NonConformity');
+const Notification = require('./Notification');
+const RenewalRequest = require('./RenewalRequest');
+const SigningKey = require('./SigningKey');
+const SyncOperation = require('./SyncOperation');
+const SyncTombstone = require('./SyncTombstone');
+const TransactionCertificate = require('./TransactionCertificate');
+const YieldEstimate = require('./YieldEstimate');
 const db = require('../config/database');
 
 const models = {
+  AgriculturalInput,
   Certificate,
+  CertificateBatch,
+  CertificateDocument,
+  CertificateScopeItem,
+  CertificateStatusAction,
+  CertificateTemplate,
+  ChecklistTemplate,
   Farm,
   Farmer,
+  Field,
+  FieldActivity,
+  HarvestRecord,
   Inspection,
+  InspectionAttachment,
+  InspectionPlan,
+  Inspector,
+  JobRun,
+  NonConformity,
+  Notification,
+  RenewalRequest,
+  SigningKey,
+  SyncOperation,
+  SyncTombstone,
+  TransactionCertificate,
+  YieldEstimate,
 
   // Legacy support for direct database operations
   async findById(table, id) {
@@ -110,7 +154,7 @@ const models = {
       const camelKey = key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
 
       // Parse JSON strings for specific fields that store arrays/objects
-      if ((key === 'crop_types' || key === 'primary_crops' || key === 'water_sources' || key === 'checklist') &&
+      if ((key === 'crop_types' || key === 'primary_crops' || key === 'water_sources' || key === 'checklist' || key === 'score_breakdown' || key === 'violations') &&
           typeof value === 'string' && (value.trim().startsWith('[') || value.trim().startsWith('{'))) {
         try {
           mapped[camelKey] = JSON.parse(value);
@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const { CertificateBatch } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const CertificateBatchService = require('../services/certificateBatchService');
+const { BatchError } = CertificateBatchService;
+const { validateCertificateBatch } = require('../utils/validation');
+
+const BATCH_ROLES = ['agronomist', 'admin'];
+
+const MAX_LIMIT = 200;
+
+const parseLimit = (value, fallback) => Math.min(parseInt(value) || fallback, MAX_LIMIT);
+
+// Batches are visible to the user who started them and to admins
+const loadBatch = async (req, res) => {
+  const batch = await CertificateBatch.findById(parseInt(req.params.id));
+  if (!batch) {
+    res.status(404).json({ error: 'Certificate batch not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && batch.requested_by !== req.user.id) {
+    res.status(403).json({ error: 'Access denied. You can only view batches you started.' });
+    return null;
+  }
+
+  return batch;
+};
+
+const batchReport = async (batch) => {
+  const items = await CertificateBatch.findItems(batch.id);
+  return {
+    ...CertificateBatch.mapFromDatabase(batch),
+    items: items.map(item => CertificateBatch.mapItemFromDatabase(item))
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CertificateBatch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *           description: failed means the batch itself stopped; failed items are reported on the items
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         totalItems:
+ *           type: integer
+ *         processedItems:
+ *           type: integer
+ *         issuedCount:
+ *           type: integer
+ *         existingCount:
+ *           type: integer
+ *           description: Inspections of farms that already held a certificate; their current certificate is included
+ *         failedCount:
+ *           type: integer
+ *         zip:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             sha256:
+ *               type: string
+ *             sizeBytes:
+ *               type: integer
+ *             downloadUrl:
+ *               type: string
+ *               example: "/api/certificate-batches/4/download"
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         requestedBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *     CertificateBatchItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         position:
+ *           type: integer
+ *         inspectionId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, issued, existing, failed]
+ *         certificateId:
+ *           type: integer
+ *           nullable: true
+ *         certificateNumber:
+ *           type: string
+ *           nullable: true
+ *         documentVersion:
+ *           type: integer
+ *           nullable: true
+ *           description: Archived version of the certificate included in the ZIP
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           example: "Inspection cannot be moved to completed"
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           description: Unmet requirements (errors) or blocking nonConformities of a failed item
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *     CertificateBatchReport:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CertificateBatch'
+ *         - type: object
+ *           properties:
+ *             items:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateBatchItem'
+ */
+
+/**
+ * @swagger
+ * /api/certificate-batches:
+ *   get:
+ *     summary: List certificate batches
+ *     description: Newest first. Admins see every batch, agronomists the batches they started.
+ *     tags: [Certificate Batches]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Batches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateBatch'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Approve inspections and issue their certificates in bulk
+ *     description: |
+ *       Starts a batch that approves each listed inspection as POST /api/inspections/{id}/approve does: the inspection
+ *       moves to completed, a certificate is issued and its PDF archived. Each inspection is handled in its own
+ *       transaction, so one that fails (not submitted, checklist incomplete, score too low, open non-conformities)
+ *       is rolled back and reported without affecting the others. The batch runs in the background; follow it at
+ *       GET /api/certificate-batches/{id}. When it completes, a ZIP of all PDFs with a manifest.csv of every item
+ *       can be downloaded. Agronomists can only include inspections of their own farmers.
+ *     tags: [Certificate Batches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inspectionIds
+ *             properties:
+ *               inspectionIds:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: integer
+ *                 example: [101, 102, 107]
+ *               reason:
+ *                 type: string
+ *                 description: Approval reason recorded on every inspection
+ *     responses:
+ *       202:
+ *         description: Batch queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateBatchReport'
+ *       400:
+ *         description: Invalid list, or inspections that do not exist (details.missingInspectionIds)
+ *       403:
+ *         description: Only agronomists and admins can issue certificates
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const batches = await CertificateBatch.findAll({
+      requestedBy: req.user.role === 'admin' ? null : req.user.id,
+      status: req.query.status,
+      limit: parseLimit(req.query.limit, 50)
+    });
+
+    res.json(batches.map(batch => CertificateBatch.mapFromDatabase(batch)));
+  } catch (error) {
+    console.error('Error fetching certificate batches:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate batches' });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id || !BATCH_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can issue certificates' });
+    }
+
+    const errors = validateCertificateBatch(req.body, { maxItems: CertificateBatchService.MAX_ITEMS });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const batch = await CertificateBatchService.create(
+      req.body.inspectionIds.map(id => parseInt(id)),
+      req.user,
+      { reason: req.body.reason }
+    );
+
+    res.status(202).json(await batchReport(batch));
+  } catch (error) {
+    if (error instanceof BatchError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error creating certificate batch:', error);
+    res.status(500).json({ error: 'Failed to create certificate batch' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-batches/{id}:
+ *   get:
+ *     summary: Get a certificate batch with its per-inspection report
+ *     tags: [Certificate Batches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Batch and items in the order given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateBatchReport'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    res.json(await batchReport(batch));
+  } catch (error) {
+    console.error('Error fetching certificate batch:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate batch' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-batches/{id}/download:
+ *   get:
+ *     summary: Download the ZIP of a completed batch
+ *     description: |
+ *       The archived PDF of every certificate issued by the batch (and the current certificate of farms that already
+ *       held one), named certificate-{number}-v{version}.pdf, with manifest.csv listing every item and its outcome.
+ *     tags: [Certificate Batches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: ZIP file
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Batch is not completed yet
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const zipBuffer = await CertificateBatchService.readZip(batch);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="certificates-batch-${batch.id}.zip"`);
+    res.setHeader('Content-Length', zipBuffer.length);
+    res.send(zipBuffer);
+  } catch (error) {
+    if (error instanceof BatchError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error downloading certificate batch:', error);
+    res.status(500).json({ error: 'Failed to download certificate batch' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-batches/{id}/resume:
+ *   post:
+ *     summary: Resume a stopped certificate batch
+ *     description: |
+ *       Continues a batch that failed, or that made no progress for 15 minutes because the server processing it
+ *       stopped, with its pending items. Items already processed keep their outcome.
+ *     tags: [Certificate Batches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Batch resumed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateBatchReport'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Batch is completed or still being processed
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/resume', authenticateToken, async (req, res) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const resumed = await CertificateBatchService.resume(batch, req.user);
+    res.status(202).json(await batchReport(resumed));
+  } catch (error) {
+    if (error instanceof BatchError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error resuming certificate batch:', error);
+    res.status(500).json({ error: 'Failed to resume certificate batch' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,514 @@
+const express = require('express');
+const router = express.Router();
+const CertificateTemplate = require('../models/CertificateTemplate');
+const { authenticateToken } = require('../middleware/auth');
+const { validateCertificateTemplate } = require('../utils/validation');
+const PDFService = require('../services/pdfService');
+const CertificateTemplateService = require('../services/certificateTemplateService');
+const { TemplateError } = CertificateTemplateService;
+
+const TEMPLATE_MANAGER_ROLES = ['admin'];
+
+const requireTemplateManager = (req, res, next) => {
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not found in database. Please register first.' });
+  }
+  if (!TEMPLATE_MANAGER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Only admins can manage certificate templates' });
+  }
+  next();
+};
+
+const sendPreview = (res, pdfBuffer) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'inline; filename="certificate-preview.pdf"');
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.send(pdfBuffer);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CertificateSignatory:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Jane Wambui"
+ *         title:
+ *           type: string
+ *           example: "Certification Manager"
+ *     CertificateTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "KOAN organic crops"
+ *         layout:
+ *           type: string
+ *           enum: [classic, bordered]
+ *           description: classic has the logo beside the title; bordered frames every page and centres the logo
+ *         certificationBody:
+ *           type: string
+ *           nullable: true
+ *           description: Certification body whose certificates use the template; null for any body
+ *           example: "Kenya Organic Agriculture Network"
+ *         scope:
+ *           type: string
+ *           nullable: true
+ *           enum: [organic-crops, livestock, processing, general, soil-management, pest-control]
+ *           description: Certification scheme (the farm's certification scope) the template is for; null for any scheme
+ *         defaultLanguage:
+ *           type: string
+ *           enum: [en, sw]
+ *         issuerName:
+ *           type: string
+ *           description: Issuing body as printed on the documents
+ *           example: "Kenya Organic Agriculture Network (KOAN)"
+ *         issuerSubtitle:
+ *           type: string
+ *           nullable: true
+ *           example: "Accredited Organic Agriculture Certification Body"
+ *         logoFile:
+ *           type: string
+ *           nullable: true
+ *           description: PNG or JPEG file in the server's public/ directory
+ *           example: "pesira-logo-nobg.png"
+ *         colors:
+ *           type: object
+ *           description: Colours as #rrggbb; missing ones use the default green theme
+ *           properties:
+ *             primary:
+ *               type: string
+ *               example: "#10b981"
+ *             text:
+ *               type: string
+ *               example: "#374151"
+ *             muted:
+ *               type: string
+ *               example: "#9ca3af"
+ *         signatories:
+ *           type: array
+ *           maxItems: 3
+ *           description: Printed side by side under signature lines; without any a generic authorized signature is printed
+ *           items:
+ *             $ref: '#/components/schemas/CertificateSignatory'
+ *         footerNote:
+ *           type: string
+ *           nullable: true
+ *           description: Extra line printed in the certificate footer, such as an accreditation number
+ *         status:
+ *           type: string
+ *           enum: [active, archived]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     CertificateTemplateInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - issuerName
+ *       properties:
+ *         name:
+ *           type: string
+ *         layout:
+ *           type: string
+ *           enum: [classic, bordered]
+ *         certificationBody:
+ *           type: string
+ *         scope:
+ *           type: string
+ *           enum: [organic-crops, livestock, processing, general, soil-management, pest-control]
+ *         defaultLanguage:
+ *           type: string
+ *           enum: [en, sw]
+ *         issuerName:
+ *           type: string
+ *         issuerSubtitle:
+ *           type: string
+ *         logoFile:
+ *           type: string
+ *         colors:
+ *           type: object
+ *           properties:
+ *             primary:
+ *               type: string
+ *             text:
+ *               type: string
+ *             muted:
+ *               type: string
+ *         signatories:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CertificateSignatory'
+ *         footerNote:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/certificate-templates:
+ *   get:
+ *     summary: List certificate templates
+ *     description: |
+ *       Templates decide how certificate documents look. A certificate is rendered with the most specific active
+ *       template for its certification body and the farm's scheme (body and scheme, body, scheme, then one for
+ *       any body and scheme), or with the built-in template when none matches.
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived]
+ *       - in: query
+ *         name: certificationBody
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CertificateTemplate'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const templates = await CertificateTemplate.findAll({
+      status: req.query.status,
+      certificationBody: req.query.certificationBody,
+      scope: req.query.scope
+    });
+
+    res.json(templates.map(template => CertificateTemplate.mapFromDatabase(template)));
+  } catch (error) {
+    console.error('Error fetching certificate templates:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate templates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-templates/preview:
+ *   get:
+ *     summary: Preview a certificate template
+ *     description: |
+ *       Renders a certificate with sample data and a SPECIMEN watermark. Without templateId the built-in template
+ *       is shown.
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *         description: Defaults to the template's language
+ *     responses:
+ *       200:
+ *         description: Preview PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown language or archived template
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Preview unsaved template settings
+ *     description: Renders sample data with the settings in the request body, so a template can be checked before it is saved.
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Preview PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only admins can manage certificate templates
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/preview', authenticateToken, async (req, res) => {
+  try {
+    const style = req.query.templateId
+      ? await CertificateTemplateService.resolve({ templateId: req.query.templateId, language: req.query.language })
+      : CertificateTemplateService.documentStyle(CertificateTemplateService.BUILT_IN_TEMPLATE, req.query.language);
+
+    sendPreview(res, await PDFService.generatePreviewPDF(style));
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Certificate template preview error:', error);
+    res.status(500).json({ error: 'Failed to render certificate template preview' });
+  }
+});
+
+router.post('/preview', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const errors = validateCertificateTemplate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    CertificateTemplateService.assertLogoExists(req.body.logoFile);
+
+    const style = CertificateTemplateService.documentStyle({ name: 'Draft', ...req.body }, req.query.language);
+    sendPreview(res, await PDFService.generatePreviewPDF(style));
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Certificate template preview error:', error);
+    res.status(500).json({ error: 'Failed to render certificate template preview' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-templates/{id}:
+ *   get:
+ *     summary: Get a certificate template
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateTemplate'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Certificate template not found' });
+    }
+
+    res.json(CertificateTemplate.mapFromDatabase(template));
+  } catch (error) {
+    console.error('Error fetching certificate template:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-templates:
+ *   post:
+ *     summary: Create a certificate template
+ *     description: Admin only.
+ *     tags: [Certificate Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateTemplateInput'
+ *           example:
+ *             name: "KOAN livestock"
+ *             layout: "bordered"
+ *             certificationBody: "Kenya Organic Agriculture Network"
+ *             scope: "livestock"
+ *             defaultLanguage: "sw"
+ *             issuerName: "Kenya Organic Agriculture Network (KOAN)"
+ *             logoFile: "pesira-logo-nobg.png"
+ *             colors: { primary: "#1d4ed8" }
+ *             signatories: [{ name: "Jane Wambui", title: "Certification Manager" }]
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only admins can manage certificate templates
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const errors = validateCertificateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    CertificateTemplateService.assertLogoExists(req.body.logoFile);
+
+    const template = await CertificateTemplate.create({
+      ...req.body,
+      name: req.body.name.trim(),
+      issuerName: req.body.issuerName.trim(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(CertificateTemplate.mapFromDatabase(template));
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error creating certificate template:', error);
+    res.status(500).json({ error: 'Failed to create certificate template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-templates/{id}:
+ *   put:
+ *     summary: Update a certificate template
+ *     description: Admin only. Only the properties sent are changed; documents rendered afterwards use the new settings.
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CertificateTemplateInput'
+ *               - type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [active, archived]
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only admins can manage certificate templates
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/:id', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const existingTemplate = await CertificateTemplate.findById(parseInt(req.params.id));
+    if (!existingTemplate) {
+      return res.status(404).json({ error: 'Certificate template not found' });
+    }
+
+    const errors = validateCertificateTemplate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    CertificateTemplateService.assertLogoExists(req.body.logoFile);
+
+    const template = await CertificateTemplate.update(existingTemplate.id, req.body);
+    res.json(CertificateTemplate.mapFromDatabase(template));
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error updating certificate template:', error);
+    res.status(500).json({ error: 'Failed to update certificate template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificate-templates/{id}:
+ *   delete:
+ *     summary: Archive a certificate template
+ *     description: Admin only. Certificates it applied to are rendered with the next matching template from then on.
+ *     tags: [Certificate Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       403:
+ *         description: Only admins can manage certificate templates
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const template = await CertificateTemplate.findById(parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Certificate template not found' });
+    }
+
+    await CertificateTemplate.update(template.id, { status: 'archived' });
+    res.json({ message: 'Certificate template archived successfully' });
+  } catch (error) {
+    console.error('Error archiving certificate template:', error);
+    res.status(500).json({ error: 'Failed to archive certificate template' });
+  }
+});
+
+module.exports = router;
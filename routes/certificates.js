@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { Certificate, Farm, Farmer, Inspection } = require('../models');
+const { Certificate, Farm, Farmer, Inspection, SigningKey, RenewalRequest, CertificateStatusAction, CertificateScopeItem, CertificateDocument } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const PDFService = require('../services/pdfService');
-const { executeQuery } = require('../config/database');
-
-
+const CertificateService = require('../services/certificateService');
+const { CertificateIssuanceError } = CertificateService;
+const SigningService = require('../services/signingService');
+const CertificateTemplateService = require('../services/certificateTemplateService');
+const { TemplateError } = CertificateTemplateService;
+const { SigningError } = SigningService;
+const RenewalService = require('../services/renewalService');
+const { RenewalError } = RenewalService;
+const { validateRenewalRequest, validateCertificateStatusAction, validateCertificate, validateCertificateScope, validateCertificateReissue } = require('../utils/validation');
+const CertificateStatusService = require('../services/certificateStatusService');
+const { CertificateStatusError } = CertificateStatusService;
+const dbConfig = require('../config/database');
+const { executeQuery } = dbConfig;
+const CertificateArchiveService = require('../services/certificateArchiveService');
+const { ArchiveError } = CertificateArchiveService;
 
 /**
  * @swagger
@@ -36,7 +48,7 @@ const { executeQuery } = require('../config/database');
  *           example: "2026-01-15"
  *         status:
  *           type: string
- *           enum: ["active", "expired", "revoked", "suspended"]
+ *           enum: ["active", "renewal_pending", "expired", "revoked", "suspended", "superseded"]
  *           description: Certificate status
  *           example: "active"
  *         certificationBody:
@@ -47,10 +59,29 @@ const { executeQuery } = require('../config/database');
  *           type: string
  *           description: Certification scope
  *           example: "Organic crop production"
+ *         cropTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Crops certified organic
+ *           example: ["Coffee", "Avocado"]
+ *         scopeItems:
+ *           type: array
+ *           description: Fields, crops and areas covered (single certificate only)
+ *           items:
+ *             $ref: '#/components/schemas/CertificateScopeItem'
+ *         predecessorCertificateId:
+ *           type: integer
+ *           nullable: true
+ *           description: Certificate this one renewed
  *         pdfUrl:
  *           type: string
- *           description: URL to download the PDF certificate
- *           example: "/certificates/ORG-2023-001.pdf"
+ *           description: Download path of the current archived PDF
+ *           example: "/api/certificates/12/documents/1/pdf"
+ *         pdfSha256:
+ *           type: string
+ *           nullable: true
+ *           description: SHA-256 of the current archived PDF, hex
  *         farm:
  *           $ref: '#/components/schemas/Farm'
  *         farmer:
@@ -58,6 +89,159 @@ const { executeQuery } = require('../config/database');
  *         inspections:
  *           type: array
  *           description: Associated inspections
+ *     CertificateScopeItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fieldId:
+ *           type: integer
+ *           nullable: true
+ *         fieldName:
+ *           type: string
+ *           example: "Field A - Coffee Block"
+ *         crop:
+ *           type: string
+ *           example: "Coffee"
+ *         area:
+ *           type: number
+ *           description: Certified area in hectares
+ *           example: 2.5
+ *         productionCategory:
+ *           type: string
+ *           enum: [organic, in_conversion]
+ *           description: In-conversion fields are covered by the certificate but their produce may not be sold as organic
+ *     CertificateStatusAction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         certificateId:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [suspend, revoke, reinstate]
+ *         reasonCode:
+ *           type: string
+ *           example: "major_non_conformity"
+ *         reasonLabel:
+ *           type: string
+ *           example: "Major non-conformity not corrected within the agreed time"
+ *         reasonDetails:
+ *           type: string
+ *           nullable: true
+ *         effectiveDate:
+ *           type: string
+ *           format: date
+ *         nonConformityId:
+ *           type: integer
+ *           nullable: true
+ *         nonConformity:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             severity:
+ *               type: string
+ *             description:
+ *               type: string
+ *             clauseReference:
+ *               type: string
+ *             status:
+ *               type: string
+ *         previousStatus:
+ *           type: string
+ *         newStatus:
+ *           type: string
+ *         actedBy:
+ *           type: integer
+ *         actedByName:
+ *           type: string
+ *         noticeUrl:
+ *           type: string
+ *           description: Notice letter sent to the farmer (PDF)
+ *           example: "/api/certificates/12/notices/3"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CertificateDocument:
+ *       type: object
+ *       description: An archived PDF of a certificate, frozen as it was issued
+ *       properties:
+ *         id:
+ *           type: integer
+ *         certificateId:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         reason:
+ *           type: string
+ *           enum: [issued, reissued, amended]
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         sha256:
+ *           type: string
+ *           description: SHA-256 of the stored file, hex
+ *         sizeBytes:
+ *           type: integer
+ *         templateId:
+ *           type: integer
+ *           nullable: true
+ *         templateName:
+ *           type: string
+ *         language:
+ *           type: string
+ *           enum: [en, sw]
+ *         signingKeyId:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: integer
+ *           nullable: true
+ *         createdByName:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         downloadUrl:
+ *           type: string
+ *           example: "/api/certificates/12/documents/2/pdf"
+ *     CertificateStatusChange:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           description: One of the codes for the action (GET /api/certificates/status-reason-codes)
+ *         reasonDetails:
+ *           type: string
+ *           description: Required when reasonCode is other
+ *         effectiveDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today; cannot be in the future
+ *         nonConformityId:
+ *           type: integer
+ *           description: Non-conformity of the certified farm behind the action; required for non-conformity reasons
+ *   responses:
+ *     CertificateStatusChanged:
+ *       description: Status changed
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               certificate:
+ *                 $ref: '#/components/schemas/Certificate'
+ *               action:
+ *                 $ref: '#/components/schemas/CertificateStatusAction'
  */
 
 /**
@@ -122,6 +306,138 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/certificates/signing-keys:
+ *   get:
+ *     summary: List certificate signing keys
+ *     description: Admin only. Public keys and their status; private keys never leave the server.
+ *     tags: [Certificates]
+ *     responses:
+ *       200:
+ *         description: Signing keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   keyId:
+ *                     type: string
+ *                   algorithm:
+ *                     type: string
+ *                     enum: [Ed25519, ECDSA-P256]
+ *                   publicKey:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [active, retired]
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   retiredAt:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/signing-keys', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage signing keys' });
+    }
+
+    const keys = await SigningKey.findAll();
+    res.json(keys.map(key => SigningKey.mapFromDatabase(key)));
+  } catch (error) {
+    console.error('Error fetching signing keys:', error);
+    res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the certificate signing key
+ *     description: |
+ *       Admin only. Generates a new key pair and makes it the active signing key. The previous key is retired:
+ *       it signs nothing new but stays in the published key set (GET /verify/keys), so certificates it signed still verify.
+ *     tags: [Certificates]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               algorithm:
+ *                 type: string
+ *                 enum: [Ed25519, ECDSA-P256]
+ *                 default: Ed25519
+ *     responses:
+ *       201:
+ *         description: New active key
+ *       400:
+ *         description: Unsupported algorithm
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/signing-keys/rotate', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage signing keys' });
+    }
+
+    const key = await SigningService.rotate({ user: req.user, algorithm: req.body.algorithm || undefined });
+    res.status(201).json(SigningKey.mapFromDatabase(key));
+  } catch (error) {
+    if (error instanceof SigningError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error rotating signing key:', error);
+    res.status(500).json({ error: 'Failed to rotate signing key' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/status-reason-codes:
+ *   get:
+ *     summary: Reason codes for suspending, revoking and reinstating certificates
+ *     description: |
+ *       Codes accepted by each action, with the wording printed on the notice letter. major_non_conformity and
+ *       critical_non_conformity require the non-conformity to be linked; other requires reasonDetails.
+ *     tags: [Certificates]
+ *     responses:
+ *       200:
+ *         description: Reason codes per action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suspend:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                 revoke:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                 reinstate:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ */
+router.get('/status-reason-codes', authenticateToken, (req, res) => {
+  res.json(CertificateStatusService.REASON_CODES);
+});
+
 /**
  * @swagger
  * /api/certificates/{id}:
@@ -158,6 +474,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const farm = await Farm.findById(certificate.farm_id);
     const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
     const inspections = await Inspection.findByFarmId(certificate.farm_id);
+    const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id);
 
     const mappedCertificate = Certificate.mapFromDatabase(certificate);
     const mappedFarm = farm ? Farm.mapFromDatabase(farm) : null;
@@ -166,6 +483,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       ...mappedCertificate,
+      scopeItems: scopeItems.map(item => CertificateScopeItem.mapFromDatabase(item)),
       farm: mappedFarm,
       farmer: mappedFarmer,
       inspections: mappedInspections
@@ -176,12 +494,22 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Roles that issue certificates directly
+const ISSUING_ROLES = ['agronomist', 'admin'];
+
 /**
  * @swagger
  * /api/certificates:
  *   post:
  *     summary: Create a new certificate
- *     description: Issue a new organic certificate for a farm
+ *     description: |
+ *       Issue a new organic certificate for a farm. The scope lists the fields, crops and areas covered and is
+ *       checked against each field's conversion status on the issue date (see GET /api/fields/{id}/conversion).
+ *       Without scopeItems the fields that completed conversion are covered as organic, fields in conversion for
+ *       at least 12 months as in conversion, and younger fields are left out. Listing a field as organic before
+ *       its conversion ends, or listing a field too early in conversion, is refused. cropTypes is only used for
+ *       farms without recorded fields. Agronomists can certify the farms of their farmers, admins any farm; a farm
+ *       already holding a certificate in force is refused (renew it instead).
  *     tags: [Certificates]
  *     requestBody:
  *       required: true
@@ -193,7 +521,6 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *               - farmId
  *               - issueDate
  *               - expiryDate
- *               - cropTypes
  *             properties:
  *               farmId:
  *                 type: string
@@ -211,6 +538,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 items:
  *                   type: string
  *                 description: List of certified crop types
+ *               scopeItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - fieldId
+ *                   properties:
+ *                     fieldId:
+ *                       type: integer
+ *                     crop:
+ *                       type: string
+ *                       description: Defaults to the field's crop
+ *                     area:
+ *                       type: number
+ *                       description: Hectares, at most the field's area; defaults to the whole field
+ *                     productionCategory:
+ *                       type: string
+ *                       enum: [organic, in_conversion]
+ *                       description: Defaults to what the field's conversion status allows
  *     responses:
  *       201:
  *         description: Certificate created successfully
@@ -219,18 +565,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Certificate'
  *       400:
- *         description: Bad request - invalid data
+ *         description: Bad request - invalid data, or a scope the fields' conversion status does not allow
+ *       403:
+ *         description: Agronomist or admin role required, or the farm is not one of the user's farmers
  *       404:
  *         description: Farm not found
+ *       409:
+ *         description: Farm already holds a certificate in force, or has open critical or major non-conformities
  *       500:
  *         description: Internal server error
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { farmId, issueDate, expiryDate, cropTypes } = req.body;
+    if (!ISSUING_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can issue certificates' });
+    }
+
+    const { farmId, issueDate, expiryDate, cropTypes, scopeItems } = req.body;
 
-    if (!farmId || !issueDate || !expiryDate) {
-      return res.status(400).json({ error: 'farmId, issueDate, and expiryDate are required' });
+    const errors = [...validateCertificate(req.body), ...validateCertificateScope(scopeItems)];
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
     }
 
     const farm = await Farm.findById(parseInt(farmId));
@@ -238,43 +593,102 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Farm not found' });
     }
 
-    const certificate = await Certificate.create({
-      farmId: parseInt(farmId),
-      issueDate,
-      expiryDate,
-      cropTypes
-    });
+    const farmer = await Farmer.findById(farm.farmer_id);
+    if (req.user.role !== 'admin' && (!farmer || farmer.user_id !== req.user.id)) {
+      return res.status(403).json({ error: 'Access denied. You can only certify farms of your farmers.' });
+    }
 
-    if (!certificate) {
-      return res.status(500).json({ error: 'Failed to create certificate' });
+    if (await CertificateService.findCurrent(farm.id)) {
+      return res.status(409).json({ error: 'The farm already holds a certificate in force. Renew it instead.' });
     }
 
-    // Update farm certification status to 'certified'
-    await Farm.update(parseInt(farmId), {
-      certificationStatus: 'certified'
+    await CertificateService.assertNoBlockingNonConformities(farm.id);
+
+    // A certificate is only kept signed, archived and reflected in the farm and farmer status all together
+    const signedCertificate = await dbConfig.withTransaction(async () => {
+      const certificate = await CertificateService.createWithScope({
+        farmId: farm.id,
+        issueDate,
+        expiryDate,
+        issuedBy: req.user.id
+      }, { scopeItems, cropTypes });
+
+      const archived = await CertificateArchiveService.archiveIssued(
+        await CertificateService.signCertificate(certificate),
+        { userId: req.user.id }
+      );
+      await CertificateService.cascadeStatus(farm.id, 'active');
+
+      return archived;
     });
 
-    const farmer = await Farmer.findById(farm.farmer_id);
-    const mappedCertificate = Certificate.mapFromDatabase(certificate);
+    const mappedCertificate = Certificate.mapFromDatabase(signedCertificate);
+    const createdScope = await CertificateScopeItem.findByCertificate(signedCertificate.id);
 
     res.status(201).json({
       ...mappedCertificate,
+      scopeItems: createdScope.map(item => CertificateScopeItem.mapFromDatabase(item)),
       farmName: farm.farm_name,
       farmerName: farmer ? farmer.name : 'Unknown'
     });
 
   } catch (error) {
+    if (error instanceof CertificateIssuanceError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error creating certificate:', error);
     res.status(500).json({ error: 'Failed to create certificate' });
   }
 });
 
+// Certificates of the current user's farmers, or any certificate for admins
+const loadOwnedCertificate = async (req, res) => {
+  if (!req.user.id) {
+    res.status(403).json({ error: 'User not found in database. Please register first.' });
+    return null;
+  }
+
+  const certificate = await Certificate.findById(parseInt(req.params.id));
+  if (!certificate) {
+    res.status(404).json({ error: 'Certificate not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    const farm = await Farm.findById(certificate.farm_id);
+    const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+    if (!farmer || farmer.user_id !== req.user.id) {
+      res.status(403).json({ error: 'Access denied. You can only manage certificates of your farmers.' });
+      return null;
+    }
+  }
+
+  return certificate;
+};
+
+// Send an archived version as a download; the file name carries the version so copies can be told apart
+const sendArchivedDocument = async (res, certificate, document) => {
+  const pdfBuffer = await CertificateArchiveService.read(document);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificate_number}-v${document.version}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.setHeader('X-Document-Version', document.version);
+  res.setHeader('X-Document-SHA256', document.sha256);
+  res.send(pdfBuffer);
+};
+
 /**
  * @swagger
  * /api/certificates/{id}/pdf:
  *   get:
  *     summary: Download certificate PDF
- *     description: Generate and download the PDF version of the certificate
+ *     description: |
+ *       Download the current version of the certificate as archived: the PDF frozen when the certificate was
+ *       issued, or when it was last reissued or amended (see /api/certificates/{id}/documents). Later changes to
+ *       the farm or farmer do not alter it. The PDF carries a QR code linking to the public verification endpoint
+ *       (/verify/{certificateNumber}). Certificates issued before the archive existed are archived on their first
+ *       download by an authorized user, unless the certificate-archive job got to them first.
  *     tags: [Certificates]
  *     parameters:
  *       - in: path
@@ -286,11 +700,20 @@ router.post('/', authenticateToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: PDF certificate downloaded successfully
+ *         headers:
+ *           X-Document-Version:
+ *             schema:
+ *               type: integer
+ *           X-Document-SHA256:
+ *             schema:
+ *               type: string
  *         content:
  *           application/pdf:
  *             schema:
  *               type: string
  *               format: binary
+ *       403:
+ *         description: Access denied
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -298,43 +721,19 @@ router.post('/', authenticateToken, async (req, res) => {
  */
 router.get('/:id/pdf', authenticateToken, async (req, res) => {
   try {
-    const certificate = await Certificate.findById(parseInt(req.params.id));
-    if (!certificate) {
-      return res.status(404).json({ error: 'Certificate not found' });
-    }
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
 
-    const farm = await Farm.findById(certificate.farm_id);
-    const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
-
-    if (!farm || !farmer) {
-      return res.status(404).json({ error: 'Associated farm or farmer not found' });
-    }
-
-    // Use PDFService to generate certificate PDF (same as inspections route)
-    const certificateData = {
-      farmId: certificate.farm_id,
-      issueDate: certificate.issue_date,
-      expiryDate: certificate.expiry_date,
-      status: certificate.status,
-      certificationBody: certificate.certification_body,
-      scope: certificate.scope
-    };
-
-    const pdfBuffer = await PDFService.generateCertificatePDF(certificateData, farm, farmer);
-
-    const pdfFileName = `certificate-${certificate.certificate_number || certificate.certificateNumber}.pdf`;
-
-    // Set response headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${pdfFileName}"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-
-    // Send the PDF buffer directly
-    res.send(pdfBuffer);
+    // Ownership is checked above, so only the certificate's own users can cause a legacy one to be archived
+    const document = await dbConfig.withTransaction(() => CertificateArchiveService.ensureArchived(certificate, { userId: req.user.id }));
+    await sendArchivedDocument(res, certificate, document);
 
   } catch (error) {
-    console.error('PDF generation error:', error);
-    res.status(500).json({ error: 'Failed to generate certificate PDF' });
+    if (error instanceof ArchiveError || error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('PDF download error:', error);
+    res.status(500).json({ error: 'Failed to download certificate PDF' });
   }
 });
 
@@ -343,7 +742,10 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
  * /api/certificates/{id}/renew:
  *   post:
  *     summary: Renew certificate
- *     description: Create a renewal request for an existing certificate
+ *     description: |
+ *       Opens a renewal request for the certificate (see /api/renewal-requests). An active certificate becomes
+ *       renewal_pending and stays in force until the request is approved (a successor certificate is issued) or declined.
+ *       Only active and expired certificates can be renewed, and only one request per certificate can be open.
  *     tags: [Certificates]
  *     parameters:
  *       - in: path
@@ -366,8 +768,11 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
  *                 type: string
  *                 format: date
  *                 description: Requested new expiry date
+ *               scope:
+ *                 type: string
+ *                 description: Amended scope for the successor certificate; omit to keep the current scope
  *     responses:
- *       200:
+ *       201:
  *         description: Renewal request submitted successfully
  *         content:
  *           application/json:
@@ -377,37 +782,579 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                 renewalId:
+ *                   type: integer
+ *                 status:
  *                   type: string
+ *                   description: Certificate status
+ *                 renewal:
+ *                   $ref: '#/components/schemas/RenewalRequest'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Certificate cannot be renewed or already has an open renewal request
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.post('/:id/renew', authenticateToken, async (req, res) => {
   try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
     const certificate = await Certificate.findById(parseInt(req.params.id));
     if (!certificate) {
       return res.status(404).json({ error: 'Certificate not found' });
     }
 
-    const { reason, requestedExpiryDate } = req.body;
+    if (req.user.role !== 'admin') {
+      const farm = await Farm.findById(certificate.farm_id);
+      const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+      if (!farmer || farmer.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. You can only renew certificates of your farmers.' });
+      }
+    }
 
-    // Update certificate status to renewal_pending
-    await Certificate.update(parseInt(req.params.id), {
-      status: 'renewal_pending'
-    });
+    const errors = validateRenewalRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
 
-    // For now, just return success. In a real system, you'd create a renewal request record
-    res.json({
+    const { reason, requestedExpiryDate, scope } = req.body;
+    const renewal = await RenewalService.request(certificate, req.user, { reason, requestedExpiryDate, scope });
+    const updatedCertificate = await Certificate.findById(certificate.id);
+
+    res.status(201).json({
       message: 'Renewal request submitted successfully',
-      renewalId: `renewal-${certificate.id}-${Date.now()}`,
-      status: 'renewal_pending'
+      renewalId: renewal.id,
+      status: updatedCertificate.status,
+      renewal: RenewalRequest.mapFromDatabase(await RenewalRequest.findById(renewal.id))
     });
 
   } catch (error) {
+    if (error instanceof RenewalError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Renewal request error:', error);
     res.status(500).json({ error: 'Failed to submit renewal request' });
   }
 });
 
+const STATUS_ACTION_ROLES = ['agronomist', 'admin'];
+
+const mapStatusAction = (certificateId, action) => ({
+  ...CertificateStatusAction.mapFromDatabase(action),
+  reasonLabel: CertificateStatusService.reasonLabel(action.action, action.reason_code),
+  noticeUrl: `/api/certificates/${certificateId}/notices/${action.id}`
+});
+
+const changeStatus = (action) => async (req, res) => {
+  try {
+    if (!STATUS_ACTION_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can change the status of certificates' });
+    }
+
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const errors = validateCertificateStatusAction(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { reasonCode, reasonDetails, effectiveDate, nonConformityId } = req.body;
+    const result = await CertificateStatusService.apply(certificate, action, req.user, {
+      reasonCode,
+      reasonDetails,
+      effectiveDate,
+      nonConformityId
+    });
+
+    res.json({
+      message: `Certificate ${CertificateStatusService.ACTIONS[action].label}`,
+      certificate: Certificate.mapFromDatabase(result.certificate),
+      action: mapStatusAction(certificate.id, result.action)
+    });
+  } catch (error) {
+    if (error instanceof CertificateStatusError || error instanceof CertificateIssuanceError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error(`Certificate ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} certificate` });
+  }
+};
+
+/**
+ * @swagger
+ * /api/certificates/{id}/suspend:
+ *   post:
+ *     summary: Suspend certificate
+ *     description: |
+ *       Suspends an active or renewal_pending certificate. The farm's and farmer's certification status become
+ *       suspended (a farmer keeps certified while another of their farms holds a valid certificate). A notice letter
+ *       for the farmer is available at the returned noticeUrl. Reason codes are listed at /api/certificates/status-reason-codes.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateStatusChange'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CertificateStatusChanged'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can change the status of their farmers' certificates
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Certificate cannot be suspended in its current status
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/suspend', authenticateToken, changeStatus('suspend'));
+
+/**
+ * @swagger
+ * /api/certificates/{id}/revoke:
+ *   post:
+ *     summary: Revoke certificate
+ *     description: |
+ *       Permanently withdraws an active, renewal_pending or suspended certificate. An open renewal request for it is
+ *       declined. The farm's and farmer's certification status become revoked, and a notice letter is generated.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateStatusChange'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CertificateStatusChanged'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can change the status of their farmers' certificates
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Certificate cannot be revoked in its current status
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/revoke', authenticateToken, changeStatus('revoke'));
+
+/**
+ * @swagger
+ * /api/certificates/{id}/reinstate:
+ *   post:
+ *     summary: Reinstate a suspended certificate
+ *     description: |
+ *       Lifts a suspension. The farm must have no open major or critical non-conformities, including the one linked to
+ *       the suspension. The certificate returns to the status it had before it was suspended, or expired if it ran out
+ *       in the meantime, and the farm's and farmer's certification status follow.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CertificateStatusChange'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CertificateStatusChanged'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can change the status of their farmers' certificates
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Certificate is not suspended or non-conformities are still open
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/reinstate', authenticateToken, changeStatus('reinstate'));
+
+/**
+ * @swagger
+ * /api/certificates/{id}/status-history:
+ *   get:
+ *     summary: Suspensions, revocations and reinstatements of a certificate
+ *     description: Most recent first, with the allowed next actions for the current status.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Status history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 certificateId:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                 allowedActions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 actions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CertificateStatusAction'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/status-history', authenticateToken, async (req, res) => {
+  try {
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const actions = await CertificateStatusAction.findByCertificate(certificate.id);
+
+    res.json({
+      certificateId: certificate.id,
+      status: certificate.status,
+      allowedActions: CertificateStatusService.getAllowedActions(certificate.status),
+      actions: actions.map(action => mapStatusAction(certificate.id, action))
+    });
+  } catch (error) {
+    console.error('Error fetching certificate status history:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate status history' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/notices/{actionId}:
+ *   get:
+ *     summary: Download the notice letter of a status change
+ *     description: |
+ *       Formal letter to the farmer for a suspension, revocation or reinstatement, as PDF, on the letterhead of
+ *       the certificate's template.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: actionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *         description: Defaults to the template's language
+ *     responses:
+ *       200:
+ *         description: Notice letter
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/notices/:actionId', authenticateToken, async (req, res) => {
+  try {
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const action = await CertificateStatusAction.findById(parseInt(req.params.actionId));
+    if (!action || action.certificate_id !== certificate.id) {
+      return res.status(404).json({ error: 'Notice not found' });
+    }
+
+    const farm = await Farm.findById(certificate.farm_id);
+    const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+    if (!farm || !farmer) {
+      return res.status(404).json({ error: 'Associated farm or farmer not found' });
+    }
+
+    const style = await CertificateTemplateService.resolve({ certificate, farm, language: req.query.language });
+
+    const pdfBuffer = await PDFService.generateStatusNoticePDF(
+      CertificateStatusAction.mapFromDatabase(action),
+      CertificateStatusService.reasonLabel(action.action, action.reason_code),
+      certificate,
+      farm,
+      farmer,
+      { style }
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="notice-${action.action}-${certificate.certificate_number}-${action.id}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Notice generation error:', error);
+    res.status(500).json({ error: 'Failed to generate notice letter' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/documents:
+ *   get:
+ *     summary: List the archived versions of a certificate
+ *     description: |
+ *       Every PDF archived for the certificate, newest first. Version 1 is the certificate as issued; later
+ *       versions are reissues and amendments. Each version is kept unchanged with its SHA-256.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Archived versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 certificateId:
+ *                   type: integer
+ *                 currentVersion:
+ *                   type: integer
+ *                   nullable: true
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CertificateDocument'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Reissue or amend a certificate
+ *     description: |
+ *       Archives a new version of a certificate in force (active, renewal_pending or suspended), rendered with the
+ *       farm and farmer data as they are now. A reissue keeps the certificate's signature, for a lost copy or a
+ *       copy in another language or template. An amendment re-signs the certificate first, so the signed payload
+ *       follows the changed data; earlier versions then no longer match the certificate's record when verified.
+ *       The new version becomes the certificate's pdfUrl. Admin only.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - note
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [reissued, amended]
+ *               note:
+ *                 type: string
+ *                 description: Why the version was made, e.g. "Farmer moved to Nyeri"
+ *               language:
+ *                 type: string
+ *                 enum: [en, sw]
+ *                 description: Defaults to the template's language
+ *               templateId:
+ *                 type: integer
+ *                 description: Render with this certificate template instead of the matching one
+ *     responses:
+ *       201:
+ *         description: Version archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 certificate:
+ *                   $ref: '#/components/schemas/Certificate'
+ *                 document:
+ *                   $ref: '#/components/schemas/CertificateDocument'
+ *       400:
+ *         description: Invalid reason, language or template
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Certificate is not in force
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/documents', authenticateToken, async (req, res) => {
+  try {
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const documents = await CertificateDocument.findByCertificate(certificate.id);
+
+    res.json({
+      certificateId: certificate.id,
+      currentVersion: documents.length > 0 ? documents[0].version : null,
+      documents: documents.map(document => CertificateDocument.mapFromDatabase(document))
+    });
+  } catch (error) {
+    console.error('Error fetching certificate documents:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate documents' });
+  }
+});
+
+router.post('/:id/documents', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const errors = validateCertificateReissue(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { reason, note, language, templateId } = req.body;
+    const document = await CertificateArchiveService.reissue(certificate, {
+      reason,
+      note,
+      language,
+      templateId,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: reason === 'amended' ? 'Certificate amended' : 'Certificate reissued',
+      certificate: Certificate.mapFromDatabase(await Certificate.findById(certificate.id)),
+      document: CertificateDocument.mapFromDatabase(document)
+    });
+  } catch (error) {
+    if (error instanceof ArchiveError || error instanceof TemplateError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Certificate reissue error:', error);
+    res.status(500).json({ error: 'Failed to reissue certificate' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/documents/{version}/pdf:
+ *   get:
+ *     summary: Download an archived version of a certificate
+ *     description: The stored PDF of that version, byte for byte; it is checked against its SHA-256 before it is sent.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Archived PDF
+ *         headers:
+ *           X-Document-Version:
+ *             schema:
+ *               type: integer
+ *           X-Document-SHA256:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         description: Stored file is missing or does not match its hash
+ */
+router.get('/:id/documents/:version/pdf', authenticateToken, async (req, res) => {
+  try {
+    const certificate = await loadOwnedCertificate(req, res);
+    if (!certificate) return;
+
+    const document = await CertificateDocument.findVersion(certificate.id, parseInt(req.params.version));
+    if (!document) {
+      return res.status(404).json({ error: 'Certificate document version not found' });
+    }
+
+    await sendArchivedDocument(res, certificate, document);
+  } catch (error) {
+    if (error instanceof ArchiveError) {
+      console.error('Archived certificate document error:', error.message);
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Certificate document download error:', error);
+    res.status(500).json({ error: 'Failed to download certificate document' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,450 @@
+const express = require('express');
+const router = express.Router();
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const dbConfig = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { validateChecklistTemplate } = require('../utils/validation');
+const { getSeverity } = require('../utils/scoring');
+
+const TEMPLATE_MANAGER_ROLES = ['agronomist', 'admin'];
+
+// Fill in question defaults so every stored version has the same shape
+const normalizeQuestions = (questions) => questions.map(question => ({
+  id: String(question.id).trim(),
+  question: question.question.trim(),
+  category: question.category.trim(),
+  type: question.type,
+  weight: question.weight !== undefined ? parseFloat(question.weight) : 1,
+  severity: getSeverity(question),
+  isCritical: getSeverity(question) === 'critical',
+  ...(question.allowNotApplicable === true && { allowNotApplicable: true }),
+  ...(question.expectedAnswer !== undefined && { expectedAnswer: question.expectedAnswer }),
+  ...(question.type === 'multi_choice' && { options: question.options }),
+  ...(question.clauseReference && { clauseReference: question.clauseReference })
+}));
+
+const requireTemplateManager = (req, res, next) => {
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not found in database. Please register first.' });
+  }
+  if (!TEMPLATE_MANAGER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Only agronomists and admins can manage checklist templates' });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChecklistQuestion:
+ *       type: object
+ *       required:
+ *         - id
+ *         - question
+ *         - category
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Stable question identifier used as the answer key
+ *           example: "syntheticInputs"
+ *         question:
+ *           type: string
+ *           example: "Any synthetic inputs in the last 36 months?"
+ *         category:
+ *           type: string
+ *           example: "Inputs"
+ *         type:
+ *           type: string
+ *           enum: [yes_no, numeric, text, multi_choice]
+ *         weight:
+ *           type: number
+ *           default: 1
+ *         severity:
+ *           type: string
+ *           enum: [critical, major, minor]
+ *           description: Classification of a non-compliant answer. Critical failures block certification.
+ *         isCritical:
+ *           type: boolean
+ *           default: false
+ *           description: Shorthand for severity critical
+ *         allowNotApplicable:
+ *           type: boolean
+ *           default: false
+ *           description: Lets a critical question be answered N/A. Other questions always accept N/A.
+ *         expectedAnswer:
+ *           description: Compliant answer - a boolean for yes_no, a number or { min, max } for numeric, a list of options for multi_choice, a phrase for text
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Allowed answers for multi_choice questions
+ *     ChecklistTemplateVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         templateId:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *         questions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistQuestion'
+ *         changeNotes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ChecklistTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Organic crops inspection"
+ *         description:
+ *           type: string
+ *         scope:
+ *           type: string
+ *           enum: [organic-crops, livestock, processing, general, soil-management, pest-control]
+ *         status:
+ *           type: string
+ *           enum: [active, archived]
+ *         currentVersion:
+ *           type: integer
+ *         version:
+ *           $ref: '#/components/schemas/ChecklistTemplateVersion'
+ */
+
+/**
+ * @swagger
+ * /api/checklist-templates:
+ *   get:
+ *     summary: Get checklist templates
+ *     description: List checklist templates, optionally filtered by scope or inspector specialization
+ *     tags: [Checklist Templates]
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *         description: Filter by scope
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *         description: Alias for scope, matching inspectors.specialization
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived]
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistTemplate'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const templates = await ChecklistTemplate.findAll({
+      scope: req.query.scope || req.query.specialization,
+      status: req.query.status
+    });
+
+    res.json(templates.map(template => ChecklistTemplate.mapFromDatabase(template)));
+  } catch (error) {
+    console.error('Error fetching checklist templates:', error);
+    res.status(500).json({ error: 'Failed to fetch checklist templates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checklist-templates/{id}:
+ *   get:
+ *     summary: Get checklist template by ID
+ *     description: Retrieve a template with the questions of its current version, or of a specific version
+ *     tags: [Checklist Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version number to return (defaults to the current version)
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTemplate'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Checklist template not found' });
+    }
+
+    const versionNumber = req.query.version ? parseInt(req.query.version) : template.current_version;
+    const version = await ChecklistTemplate.findVersion(template.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: `Version ${versionNumber} not found for this template` });
+    }
+
+    res.json(ChecklistTemplate.mapFromDatabase(template, version));
+  } catch (error) {
+    console.error('Error fetching checklist template:', error);
+    res.status(500).json({ error: 'Failed to fetch checklist template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checklist-templates/{id}/versions:
+ *   get:
+ *     summary: Get checklist template versions
+ *     description: List every version of a template, newest first
+ *     tags: [Checklist Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistTemplateVersion'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Checklist template not found' });
+    }
+
+    const versions = await ChecklistTemplate.findVersions(template.id);
+    res.json(versions.map(version => ChecklistTemplate.mapVersionFromDatabase(version)));
+  } catch (error) {
+    console.error('Error fetching checklist template versions:', error);
+    res.status(500).json({ error: 'Failed to fetch checklist template versions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checklist-templates:
+ *   post:
+ *     summary: Create a checklist template
+ *     description: Create a template and its first version
+ *     tags: [Checklist Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - questions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [organic-crops, livestock, processing, general, soil-management, pest-control]
+ *                 default: general
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ChecklistQuestion'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can manage templates
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const errors = validateChecklistTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const template = await ChecklistTemplate.create({
+      name: req.body.name.trim(),
+      description: req.body.description,
+      scope: req.body.scope,
+      questions: normalizeQuestions(req.body.questions),
+      createdBy: req.user.id
+    });
+
+    const version = await ChecklistTemplate.findVersion(template.id, template.current_version);
+    res.status(201).json(ChecklistTemplate.mapFromDatabase(template, version));
+  } catch (error) {
+    console.error('Error creating checklist template:', error);
+    res.status(500).json({ error: 'Failed to create checklist template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checklist-templates/{id}:
+ *   put:
+ *     summary: Update a checklist template
+ *     description: Update template details. Supplying questions publishes a new version; earlier versions stay unchanged so inspections keep the questions they were started with.
+ *     tags: [Checklist Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, archived]
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ChecklistQuestion'
+ *               changeNotes:
+ *                 type: string
+ *                 description: What changed in the new version
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChecklistTemplate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/:id', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const existingTemplate = await ChecklistTemplate.findById(parseInt(req.params.id));
+    if (!existingTemplate) {
+      return res.status(404).json({ error: 'Checklist template not found' });
+    }
+
+    const errors = validateChecklistTemplate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const template = await dbConfig.withTransaction(async () => {
+      const updated = await ChecklistTemplate.update(existingTemplate.id, req.body);
+      if (!req.body.questions) return updated;
+
+      return await ChecklistTemplate.addVersion(existingTemplate.id, normalizeQuestions(req.body.questions), {
+        createdBy: req.user.id,
+        changeNotes: req.body.changeNotes || null
+      });
+    });
+
+    const version = await ChecklistTemplate.findVersion(template.id, template.current_version);
+    res.json(ChecklistTemplate.mapFromDatabase(template, version));
+  } catch (error) {
+    console.error('Error updating checklist template:', error);
+    res.status(500).json({ error: 'Failed to update checklist template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checklist-templates/{id}:
+ *   delete:
+ *     summary: Archive a checklist template
+ *     description: Archive a template so it is no longer offered for new inspections. Versions are kept because inspections reference them.
+ *     tags: [Checklist Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template archived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', authenticateToken, requireTemplateManager, async (req, res) => {
+  try {
+    const template = await ChecklistTemplate.findById(parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Checklist template not found' });
+    }
+
+    await ChecklistTemplate.update(template.id, { status: 'archived' });
+    res.json({ message: 'Checklist template archived successfully' });
+  } catch (error) {
+    console.error('Error archiving checklist template:', error);
+    res.status(500).json({ error: 'Failed to archive checklist template' });
+  }
+});
+
+module.exports = router;
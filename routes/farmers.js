@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models');
 const dbConfig = require('../config/database');
+const SyncTombstone = require('../models/SyncTombstone');
 const { authenticateToken } = require('../middleware/auth');
 const { validateFarmer, validateFarmerUpdate, getUserFriendlyError } = require('../utils/validation');
 
@@ -77,7 +78,7 @@ function mapOrganicExperience(frontendValue) {
  *         name: certificationStatus
  *         schema:
  *           type: string
- *           enum: [pending, in_progress, certified, expired, rejected]
+ *           enum: [pending, in_progress, certified, expired, rejected, suspended, revoked]
  *         description: Filter by certification status
  *       - in: query
  *         name: county
@@ -611,6 +612,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       // Delete inspections associated with this farm
       const inspections = await db.findBy('inspections', { farm_id: farm.id });
       for (const inspection of inspections) {
+        await SyncTombstone.recordInspection(inspection.id);
         await db.delete('inspections', inspection.id);
       }
 
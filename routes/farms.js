@@ -2,9 +2,33 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models');
 const Farm = require('../models/Farm');
+const Field = require('../models/Field');
+const SyncTombstone = require('../models/SyncTombstone');
 const dbConfig = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { validateFarm, validateFarmUpdate } = require('../utils/validation');
+const { validateBoundary, validateFarm, validateFarmUpdate, validateMassBalancePeriod } = require('../utils/validation');
+const RiskService = require('../services/riskService');
+const MassBalanceService = require('../services/massBalanceService');
+const BoundaryService = require('../services/boundaryService');
+
+// Farms are read and mapped by admins and by the agronomist of the farm's farmer
+const loadOwnFarm = async (req, res) => {
+  const farm = await db.findById('farms', parseInt(req.params.id));
+  if (!farm) {
+    res.status(404).json({ error: 'Farm not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    const farmer = await db.findById('farmers', farm.farmer_id);
+    if (!farmer || farmer.user_id !== req.user.id) {
+      res.status(403).json({ error: 'Access denied. You can only view your own farms.' });
+      return null;
+    }
+  }
+
+  return farm;
+};
 
 /**
  * @swagger
@@ -39,6 +63,18 @@ const { validateFarm, validateFarmUpdate } = require('../utils/validation');
  *           type: number
  *           description: Organic farming area in hectares
  *           example: 12.0
+ *         boundary:
+ *           allOf:
+ *             - $ref: '#/components/schemas/GeoJSONBoundary'
+ *           nullable: true
+ *           readOnly: true
+ *           description: Set with PUT /api/farms/{id}/boundary
+ *         boundaryAreaHectares:
+ *           type: number
+ *           nullable: true
+ *           readOnly: true
+ *           description: Geodesic area of the boundary
+ *           example: 15.8213
  *         cropTypes:
  *           type: array
  *           items:
@@ -51,7 +87,7 @@ const { validateFarm, validateFarmUpdate } = require('../utils/validation');
  *           description: Date when organic farming started
  *         certificationStatus:
  *           type: string
- *           enum: ["pending", "certified", "expired", "rejected"]
+ *           enum: ["pending", "certified", "expired", "rejected", "suspended", "revoked"]
  *           description: Current certification status
  *         farmerName:
  *           type: string
@@ -59,6 +95,148 @@ const { validateFarm, validateFarmUpdate } = require('../utils/validation');
  *         totalFields:
  *           type: integer
  *           description: Number of fields in this farm
+ *     GeoJSONBoundary:
+ *       type: object
+ *       description: |
+ *         GeoJSON Polygon or MultiPolygon (RFC 7946) in WGS84, positions as [longitude, latitude]. A Feature
+ *         holding one is accepted too. Rings must be closed (the last position repeats the first), must not
+ *         cross or touch themselves, and holes must lie inside their exterior ring. Altitudes are dropped.
+ *       required:
+ *         - type
+ *         - coordinates
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Polygon, MultiPolygon]
+ *         coordinates:
+ *           type: array
+ *           items:
+ *             type: array
+ *           example: [[[36.8219, -1.2921], [36.8259, -1.2921], [36.8259, -1.2881], [36.8219, -1.2881], [36.8219, -1.2921]]]
+ *     BoundaryAreaCheck:
+ *       type: object
+ *       description: |
+ *         Geodesic area of the boundary against the declared area (totalArea of a farm, area of a field).
+ *         consistent within 10%; not_declared when no area is declared; not_mapped without a boundary.
+ *       properties:
+ *         declaredHectares:
+ *           type: number
+ *           nullable: true
+ *         mappedHectares:
+ *           type: number
+ *           nullable: true
+ *         differenceHectares:
+ *           type: number
+ *           nullable: true
+ *           description: Mapped minus declared
+ *         differencePercent:
+ *           type: number
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [consistent, mismatch, not_declared, not_mapped]
+ *     FarmBoundary:
+ *       type: object
+ *       properties:
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         boundary:
+ *           allOf:
+ *             - $ref: '#/components/schemas/GeoJSONBoundary'
+ *           nullable: true
+ *         areaCheck:
+ *           $ref: '#/components/schemas/BoundaryAreaCheck'
+ *         fieldsOutside:
+ *           type: array
+ *           description: Mapped fields with corners more than 5 m outside the farm boundary
+ *           items:
+ *             type: object
+ *             properties:
+ *               fieldId:
+ *                 type: integer
+ *               fieldName:
+ *                 type: string
+ *               outside:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/BoundaryCornerOutside'
+ *     BoundaryCornerOutside:
+ *       type: object
+ *       properties:
+ *         position:
+ *           type: array
+ *           items:
+ *             type: number
+ *           example: [36.8261, -1.2901]
+ *         distanceM:
+ *           type: number
+ *           description: Distance to the farm boundary in metres
+ *           example: 22.4
+ *     BoundaryFeatureCollection:
+ *       type: object
+ *       description: |
+ *         GeoJSON FeatureCollection of mapped farms and fields; farms and fields without a boundary are left
+ *         out. Feature ids are farm-{id} and field-{id}.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [FeatureCollection]
+ *         features:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [Feature]
+ *               id:
+ *                 type: string
+ *                 example: field-12
+ *               geometry:
+ *                 $ref: '#/components/schemas/GeoJSONBoundary'
+ *               properties:
+ *                 type: object
+ *                 properties:
+ *                   kind:
+ *                     type: string
+ *                     enum: [farm, field]
+ *                   farmId:
+ *                     type: integer
+ *                   fieldId:
+ *                     type: integer
+ *                     description: Fields only
+ *                   name:
+ *                     type: string
+ *                   location:
+ *                     type: string
+ *                     description: Farms only
+ *                   certificationStatus:
+ *                     type: string
+ *                     description: Farms only
+ *                   farmName:
+ *                     type: string
+ *                     description: Fields only
+ *                   cropType:
+ *                     type: string
+ *                     description: Fields only
+ *                   conversion:
+ *                     type: string
+ *                     enum: [organic, in_conversion, conventional]
+ *                     description: Fields only; label of the field's produce today
+ *                   withinFarm:
+ *                     type: boolean
+ *                     nullable: true
+ *                     description: Fields only; null while the farm has no boundary
+ *                   declaredAreaHectares:
+ *                     type: number
+ *                     nullable: true
+ *                   mappedAreaHectares:
+ *                     type: number
+ *                   areaCheck:
+ *                     type: string
+ *                     enum: [consistent, mismatch, not_declared]
  */
 
 /**
@@ -114,6 +292,43 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/farms/geojson:
+ *   get:
+ *     summary: Export farm and field boundaries as GeoJSON
+ *     description: |
+ *       FeatureCollection of the mapped farms and their mapped fields: every farm for admins, the farms of
+ *       the user's farmers otherwise.
+ *     tags: [Farms]
+ *     responses:
+ *       200:
+ *         description: Boundaries
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/BoundaryFeatureCollection'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/geojson', authenticateToken, async (req, res) => {
+  try {
+    const farms = req.user.role === 'admin'
+      ? await Farm.findAll()
+      : await db.query(`
+        SELECT f.* FROM farms f
+        JOIN farmers farmer ON f.farmer_id = farmer.id
+        WHERE farmer.user_id = ?
+      `, [req.user.id]);
+
+    const collection = await BoundaryService.featureCollection(farms);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    console.error('Error exporting farm boundaries:', error);
+    res.status(500).json({ error: 'Failed to export farm boundaries' });
+  }
+});
+
 /**
  * @swagger
  * /api/farms/farmer/{farmerId}:
@@ -244,6 +459,310 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/farms/{id}/risk:
+ *   get:
+ *     summary: Get a farm's inspection risk score
+ *     description: |
+ *       Weighted risk score (0-100) from recent inspection scores, open non-conformities, crop risk category,
+ *       time since the last inspection, parallel production and farm size. The level (low, medium, high)
+ *       sets the number of announced visits per year in inspection plans.
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *     responses:
+ *       200:
+ *         description: Risk assessment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FarmRisk'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/risk', authenticateToken, async (req, res) => {
+  try {
+    const farm = await db.findById('farms', parseInt(req.params.id));
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    if (req.user.role !== 'admin') {
+      const farmer = await db.findById('farmers', farm.farmer_id);
+      if (!farmer || farmer.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. You can only view your own farms.' });
+      }
+    }
+
+    const assessment = await RiskService.assessFarm(farm);
+    res.json(assessment);
+  } catch (error) {
+    console.error('Error assessing farm risk:', error);
+    res.status(500).json({ error: 'Failed to assess farm risk' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/farms/{id}/mass-balance:
+ *   get:
+ *     summary: Get a farm's mass balance
+ *     description: |
+ *       Per crop, the harvests recorded and the quantities sold as organic under transaction certificates in the
+ *       period, against the expected yield of the farm's fields. See /api/harvests/mass-balance for the flags.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to one year before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Mass balance of the farm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FarmMassBalance'
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/mass-balance', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateMassBalancePeriod(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const farm = await db.findById('farms', parseInt(req.params.id));
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+
+    if (req.user.role !== 'admin') {
+      const farmer = await db.findById('farmers', farm.farmer_id);
+      if (!farmer || farmer.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. You can only view your own farms.' });
+      }
+    }
+
+    const report = await MassBalanceService.farmReport(farm, MassBalanceService.period(req.query));
+    res.json(report);
+  } catch (error) {
+    console.error('Error building farm mass balance:', error);
+    res.status(500).json({ error: 'Failed to build farm mass balance' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/farms/{id}/boundary:
+ *   get:
+ *     summary: Get a farm's boundary
+ *     description: |
+ *       The farm's boundary with its area check, and the mapped fields lying outside it (corners more than
+ *       5 m beyond its edge).
+ *     tags: [Farms]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *     responses:
+ *       200:
+ *         description: Farm boundary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FarmBoundary'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Set a farm's boundary
+ *     description: |
+ *       Validates the polygon and stores it with its geodesic area, which is compared with the farm's
+ *       totalArea. Fields mapped earlier that fall outside the new boundary are listed in fieldsOutside.
+ *     tags: [Farms]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - boundary
+ *             properties:
+ *               boundary:
+ *                 $ref: '#/components/schemas/GeoJSONBoundary'
+ *     responses:
+ *       200:
+ *         description: Boundary saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FarmBoundary'
+ *       400:
+ *         description: The boundary is not a valid polygon
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Remove a farm's boundary
+ *     tags: [Farms]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *     responses:
+ *       200:
+ *         description: Boundary removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FarmBoundary'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const farm = await loadOwnFarm(req, res);
+    if (!farm) return;
+
+    const fields = await Field.findByFarm(farm.id);
+    res.json(BoundaryService.farmSummary(farm, fields));
+  } catch (error) {
+    console.error('Error fetching farm boundary:', error);
+    res.status(500).json({ error: 'Failed to fetch farm boundary' });
+  }
+});
+
+router.put('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateBoundary(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const farm = await loadOwnFarm(req, res);
+    if (!farm) return;
+
+    const summary = await BoundaryService.setFarmBoundary(farm, req.body.boundary);
+    res.json(summary);
+  } catch (error) {
+    if (error instanceof BoundaryService.BoundaryError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error saving farm boundary:', error);
+    res.status(500).json({ error: 'Failed to save farm boundary' });
+  }
+});
+
+router.delete('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const farm = await loadOwnFarm(req, res);
+    if (!farm) return;
+
+    const summary = await BoundaryService.clearFarmBoundary(farm);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error removing farm boundary:', error);
+    res.status(500).json({ error: 'Failed to remove farm boundary' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/farms/{id}/geojson:
+ *   get:
+ *     summary: Export a farm's boundaries as GeoJSON
+ *     description: FeatureCollection of the farm's boundary and the boundaries of its mapped fields
+ *     tags: [Farms]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Farm ID
+ *     responses:
+ *       200:
+ *         description: Boundaries
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: '#/components/schemas/BoundaryFeatureCollection'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/geojson', authenticateToken, async (req, res) => {
+  try {
+    const farm = await loadOwnFarm(req, res);
+    if (!farm) return;
+
+    const collection = await BoundaryService.featureCollection([farm]);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    console.error('Error exporting farm boundaries:', error);
+    res.status(500).json({ error: 'Failed to export farm boundaries' });
+  }
+});
+
 /**
  * @swagger
  * /api/farms:
@@ -321,20 +840,26 @@ router.post('/', authenticateToken, async (req, res) => {
       totalArea: req.body.totalArea || req.body.size || null,
       organicArea: req.body.organicArea || req.body.cultivatedSize || null,
       cropTypes: req.body.cropTypes || [],
+      certificationScope: req.body.certificationScope || 'organic-crops',
+      parallelProduction: req.body.parallelProduction === true,
+      cropRiskCategory: req.body.cropRiskCategory || null,
       organicSince: req.body.organicSince || new Date().toISOString().split('T')[0],
       certificationStatus: 'pending'
     };
 
     // Create farm record - bypass mapping function for farms to avoid field conflicts
     const farmResult = await dbConfig.executeQuery(
-      'INSERT INTO farms (farmer_id, farm_name, location, total_area, organic_area, crop_types, organic_since, certification_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      'INSERT INTO farms (farmer_id, farm_name, location, total_area, organic_area, parallel_production, crop_types, crop_risk_category, certification_scope, organic_since, certification_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
       [
         farmData.farmerId,
         farmData.farmName,
         farmData.location,
         farmData.totalArea,
         farmData.organicArea,
+        farmData.parallelProduction,
         JSON.stringify(farmData.cropTypes),
+        farmData.cropRiskCategory,
+        farmData.certificationScope,
         farmData.organicSince,
         farmData.certificationStatus
       ]
@@ -464,6 +989,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     const inspections = await db.findBy('inspections', { farm_id: parseInt(req.params.id) });
     for (const inspection of inspections) {
+      await SyncTombstone.recordInspection(inspection.id);
       await db.delete('inspections', inspection.id);
     }
 
@@ -0,0 +1,600 @@
+const express = require('express');
+const router = express.Router();
+const { Farm, Farmer, Field, FieldActivity, Inspection } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { validateFieldActivity } = require('../utils/validation');
+const { ACTIVITY_TYPES, CHECK_STATUSES, CHECKED_ACTIVITY_TYPES, isFlagged } = require('../utils/inputs');
+const InputRegistryService = require('../services/inputRegistryService');
+
+// The logbook is kept by admins and by the agronomist of the farm's farmer
+const canManageFarm = async (user, farmId) => {
+  if (user.role === 'admin') return true;
+
+  const farm = await Farm.findById(farmId);
+  const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+  return Boolean(farmer && farmer.user_id === user.id);
+};
+
+const loadActivity = async (req, res) => {
+  const activity = await FieldActivity.findById(parseInt(req.params.id));
+  if (!activity) {
+    res.status(404).json({ error: 'Activity not found' });
+    return null;
+  }
+
+  if (!(await canManageFarm(req.user, activity.farm_id))) {
+    res.status(403).json({ error: 'Access denied. You can only manage the logbooks of your farmers.' });
+    return null;
+  }
+
+  return activity;
+};
+
+// Input status of an activity and whether it is flagged for the next inspection; irrigation is not checked
+const assessInput = async ({ activityType, productName, activeIngredient }) => {
+  if (!CHECKED_ACTIVITY_TYPES.includes(activityType)) {
+    return { inputStatus: null, inputCheck: null, flagStatus: null };
+  }
+
+  const inputCheck = await InputRegistryService.check({ productName, activeIngredient });
+  return {
+    inputStatus: inputCheck.status,
+    inputCheck,
+    flagStatus: isFlagged(inputCheck.status) ? 'open' : null
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InputCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited, unlisted]
+ *         input:
+ *           type: string
+ *           nullable: true
+ *           description: Entry of the inputs list the product matched
+ *           example: "Copper fungicide"
+ *         inputId:
+ *           type: integer
+ *           nullable: true
+ *           description: Registry entry the product matched
+ *         source:
+ *           type: string
+ *           enum: [registry, default]
+ *           nullable: true
+ *           description: The inputs registry, or the built-in list for products the registry does not know
+ *         conditions:
+ *           type: string
+ *           nullable: true
+ *           example: "At most 6 kg copper per hectare per year"
+ *         clause:
+ *           type: string
+ *           nullable: true
+ *           example: "KS EAS 456 Annex 2"
+ *     FieldActivity:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fieldId:
+ *           type: integer
+ *         fieldName:
+ *           type: string
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         activityDate:
+ *           type: string
+ *           format: date
+ *         activityType:
+ *           type: string
+ *           enum: [input_application, seed_purchase, compost_production, irrigation, pest_control]
+ *         productName:
+ *           type: string
+ *           nullable: true
+ *           example: "Kocide 2000"
+ *         activeIngredient:
+ *           type: string
+ *           nullable: true
+ *           example: "Copper hydroxide"
+ *         quantity:
+ *           type: number
+ *           nullable: true
+ *           example: 2
+ *         unit:
+ *           type: string
+ *           nullable: true
+ *           example: "kg"
+ *         supplier:
+ *           type: string
+ *           nullable: true
+ *           example: "Thika Farmers Agrovet"
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         inputStatus:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited, unlisted]
+ *           nullable: true
+ *           description: Null for irrigation
+ *         inputCheck:
+ *           $ref: '#/components/schemas/InputCheck'
+ *         flagStatus:
+ *           type: string
+ *           enum: [open, reviewed]
+ *           nullable: true
+ *           description: Restricted, prohibited and unlisted inputs are flagged for the farm's next inspection
+ *         reviewedInspectionId:
+ *           type: integer
+ *           nullable: true
+ *         reviewedBy:
+ *           type: integer
+ *           nullable: true
+ *         reviewedByName:
+ *           type: string
+ *           nullable: true
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         reviewNotes:
+ *           type: string
+ *           nullable: true
+ *         recordedBy:
+ *           type: integer
+ *         recordedByName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/field-activities:
+ *   get:
+ *     summary: List logbook entries
+ *     description: Newest first. Admins see all, agronomists those of their farmers.
+ *     tags: [Field Activities]
+ *     parameters:
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fieldId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: activityType
+ *         schema:
+ *           type: string
+ *           enum: [input_application, seed_purchase, compost_production, irrigation, pest_control]
+ *       - in: query
+ *         name: inputStatus
+ *         schema:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited, unlisted]
+ *       - in: query
+ *         name: flagStatus
+ *         schema:
+ *           type: string
+ *           enum: [open, reviewed]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Logbook entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FieldActivity'
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Record a field activity
+ *     description: |
+ *       The product is checked by name and active ingredient against the inputs registry, then the built-in list.
+ *       Restricted, prohibited and unlisted products are flagged for the farm's next inspection.
+ *     tags: [Field Activities]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fieldId
+ *               - activityDate
+ *               - activityType
+ *             properties:
+ *               fieldId:
+ *                 type: integer
+ *               activityDate:
+ *                 type: string
+ *                 format: date
+ *               activityType:
+ *                 type: string
+ *                 enum: [input_application, seed_purchase, compost_production, irrigation, pest_control]
+ *               productName:
+ *                 type: string
+ *                 description: Required except for irrigation
+ *               activeIngredient:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *               supplier:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *           example:
+ *             fieldId: 4
+ *             activityDate: "2025-03-14"
+ *             activityType: "pest_control"
+ *             productName: "Kocide 2000"
+ *             activeIngredient: "Copper hydroxide"
+ *             quantity: 2
+ *             unit: "kg"
+ *             supplier: "Thika Farmers Agrovet"
+ *     responses:
+ *       201:
+ *         description: Activity recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldActivity'
+ *       400:
+ *         description: Invalid data or field not found
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { activityType, inputStatus, flagStatus } = req.query;
+    if (activityType && !ACTIVITY_TYPES.includes(activityType)) {
+      return res.status(400).json({ errors: [`activityType must be one of: ${ACTIVITY_TYPES.join(', ')}`] });
+    }
+    if (inputStatus && !CHECK_STATUSES.includes(inputStatus)) {
+      return res.status(400).json({ errors: [`inputStatus must be one of: ${CHECK_STATUSES.join(', ')}`] });
+    }
+    if (flagStatus && !['open', 'reviewed'].includes(flagStatus)) {
+      return res.status(400).json({ errors: ['flagStatus must be one of: open, reviewed'] });
+    }
+
+    const activities = await FieldActivity.findAll({
+      farmId: parseInt(req.query.farmId) || null,
+      fieldId: parseInt(req.query.fieldId) || null,
+      activityType,
+      inputStatus,
+      flagStatus,
+      from: req.query.from,
+      to: req.query.to,
+      farmerUserId: req.user.role === 'admin' ? null : req.user.id
+    });
+
+    res.json(activities.map(activity => FieldActivity.mapFromDatabase(activity)));
+  } catch (error) {
+    console.error('Error fetching field activities:', error);
+    res.status(500).json({ error: 'Failed to fetch field activities' });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateFieldActivity(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const field = await Field.findById(parseInt(req.body.fieldId));
+    if (!field) {
+      return res.status(400).json({ error: 'Field not found' });
+    }
+
+    if (!(await canManageFarm(req.user, field.farm_id))) {
+      return res.status(403).json({ error: 'Access denied. You can only manage the logbooks of your farmers.' });
+    }
+
+    const activity = await FieldActivity.create({
+      fieldId: field.id,
+      activityDate: req.body.activityDate,
+      activityType: req.body.activityType,
+      productName: req.body.productName ? req.body.productName.trim() : null,
+      activeIngredient: req.body.activeIngredient ? req.body.activeIngredient.trim() : null,
+      quantity: req.body.quantity !== undefined && req.body.quantity !== null ? Number(req.body.quantity) : null,
+      unit: req.body.unit,
+      supplier: req.body.supplier,
+      notes: req.body.notes,
+      ...(await assessInput(req.body)),
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json(FieldActivity.mapFromDatabase(activity));
+  } catch (error) {
+    console.error('Error recording field activity:', error);
+    res.status(500).json({ error: 'Failed to record field activity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/field-activities/{id}:
+ *   get:
+ *     summary: Get a logbook entry
+ *     tags: [Field Activities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Logbook entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldActivity'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Correct a logbook entry
+ *     description: |
+ *       Only the properties sent are changed; the field cannot be changed. A changed product is checked again
+ *       and its flag replaces the earlier one, review included.
+ *     tags: [Field Activities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               activityDate:
+ *                 type: string
+ *                 format: date
+ *               activityType:
+ *                 type: string
+ *                 enum: [input_application, seed_purchase, compost_production, irrigation, pest_control]
+ *               productName:
+ *                 type: string
+ *               activeIngredient:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *               supplier:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logbook entry updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldActivity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete a logbook entry
+ *     tags: [Field Activities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Logbook entry deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    res.json(FieldActivity.mapFromDatabase(activity));
+  } catch (error) {
+    console.error('Error fetching field activity:', error);
+    res.status(500).json({ error: 'Failed to fetch field activity' });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    // The entry is validated as it will be stored
+    const current = FieldActivity.mapFromDatabase(activity);
+    const changes = {};
+    ['activityDate', 'activityType', 'productName', 'activeIngredient', 'quantity', 'unit', 'supplier', 'notes'].forEach(key => {
+      if (req.body[key] !== undefined) changes[key] = req.body[key];
+    });
+    const merged = { ...current, ...changes };
+
+    const errors = validateFieldActivity(merged);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const updateData = {
+      ...changes,
+      productName: merged.productName ? merged.productName.trim() : null,
+      activeIngredient: merged.activeIngredient ? merged.activeIngredient.trim() : null,
+      quantity: merged.quantity !== undefined && merged.quantity !== null ? Number(merged.quantity) : null
+    };
+
+    // Another product is checked afresh; an earlier review covered the product it replaced
+    const assessment = await assessInput(merged);
+    const productChanged = ['activityType', 'productName', 'activeIngredient']
+      .some(key => (merged[key] || null) !== (current[key] || null));
+    if (productChanged) {
+      Object.assign(updateData, assessment, {
+        reviewedInspectionId: null,
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNotes: null
+      });
+    } else {
+      updateData.inputCheck = assessment.inputCheck;
+    }
+
+    const updated = await FieldActivity.update(activity.id, updateData);
+    res.json(FieldActivity.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error updating field activity:', error);
+    res.status(500).json({ error: 'Failed to update field activity' });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    await FieldActivity.delete(activity.id);
+    res.json({ message: 'Activity deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting field activity:', error);
+    res.status(500).json({ error: 'Failed to delete field activity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/field-activities/{id}/review:
+ *   post:
+ *     summary: Review a flagged input
+ *     description: |
+ *       Closes the flag of a restricted, prohibited or unlisted input once it was looked at, typically during the
+ *       farm's inspection. A prohibited input that was applied should also be recorded as the field's
+ *       lastProhibitedInputDate, which restarts its conversion period.
+ *     tags: [Field Activities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Copper applied within the 6 kg/ha limit, receipts seen"
+ *               inspectionId:
+ *                 type: integer
+ *                 description: Inspection of the farm during which the input was reviewed
+ *     responses:
+ *       200:
+ *         description: Flag reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldActivity'
+ *       400:
+ *         description: Notes missing or inspection not of the farm
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The entry has no open flag
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    if (activity.flag_status !== 'open') {
+      return res.status(409).json({ error: 'Only entries with an open flag can be reviewed' });
+    }
+
+    const { notes, inspectionId } = req.body;
+    if (!notes || String(notes).trim().length === 0) {
+      return res.status(400).json({ errors: ['notes are required'] });
+    }
+
+    let inspection = null;
+    if (inspectionId !== undefined && inspectionId !== null) {
+      inspection = await Inspection.findById(parseInt(inspectionId));
+      if (!inspection || inspection.farm_id !== activity.farm_id) {
+        return res.status(400).json({ errors: ['inspectionId must be an inspection of the farm'] });
+      }
+    }
+
+    const updated = await FieldActivity.update(activity.id, {
+      flagStatus: 'reviewed',
+      reviewedInspectionId: inspection ? inspection.id : null,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewNotes: String(notes).trim()
+    });
+
+    res.json(FieldActivity.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error reviewing field activity:', error);
+    res.status(500).json({ error: 'Failed to review field activity' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models');
+const Field = require('../models/Field');
+const { Farm, Farmer } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
-const { validateField } = require('../utils/validation');
+const { validateBoundary, validateField } = require('../utils/validation');
+const BoundaryService = require('../services/boundaryService');
+
+// Boundaries are mapped by admins and by the agronomist of the farm's farmer
+const loadOwnField = async (req, res) => {
+  const field = await Field.findById(parseInt(req.params.id));
+  if (!field) {
+    res.status(404).json({ error: 'Field not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    const farm = await Farm.findById(field.farm_id);
+    const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+    if (!farmer || farmer.user_id !== req.user.id) {
+      res.status(403).json({ error: 'Access denied. You can only map the fields of your farmers.' });
+      return null;
+    }
+  }
+
+  return field;
+};
 
 /**
  * @swagger
@@ -33,6 +56,18 @@ const { validateField } = require('../utils/validation');
  *           type: number
  *           description: Field area in hectares
  *           example: 2.5
+ *         boundary:
+ *           allOf:
+ *             - $ref: '#/components/schemas/GeoJSONBoundary'
+ *           nullable: true
+ *           readOnly: true
+ *           description: Set with PUT /api/fields/{id}/boundary
+ *         boundaryAreaHectares:
+ *           type: number
+ *           nullable: true
+ *           readOnly: true
+ *           description: Geodesic area of the boundary
+ *           example: 2.4631
  *         soilType:
  *           type: string
  *           description: Soil type in this field
@@ -45,9 +80,97 @@ const { validateField } = require('../utils/validation');
  *           type: boolean
  *           description: Whether this field follows organic practices
  *           example: true
+ *         conversionStartDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Start of organic management of the field; the farm's organicSince is used when empty
+ *           example: "2023-03-01"
+ *         lastProhibitedInputDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Last use of an input not permitted under the organic standard; it restarts the conversion period
+ *         conversionPeriodMonths:
+ *           type: integer
+ *           nullable: true
+ *           description: Conversion period set by the certifier; defaults to 36 months for perennial crops and 24 for annuals
+ *         conversion:
+ *           $ref: '#/components/schemas/FieldConversion'
  *         farmName:
  *           type: string
  *           description: Name of the farm (populated)
+ *     FieldConversion:
+ *       type: object
+ *       description: Conversion state of the field, computed for today unless asked for another day
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [organic, in_conversion, unknown]
+ *           description: unknown when no conversion start date is recorded for the field or its farm
+ *         label:
+ *           type: string
+ *           enum: [organic, in_conversion, conventional]
+ *           description: |
+ *             What produce from the field may be sold as. In-conversion labelling is allowed after 12 months of
+ *             conversion; before that the produce is conventional.
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         startDateSource:
+ *           type: string
+ *           enum: [field, farm]
+ *           nullable: true
+ *         cropCategory:
+ *           type: string
+ *           enum: [annual, perennial]
+ *         periodMonths:
+ *           type: integer
+ *           example: 36
+ *         lastProhibitedInputDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         restartedByInput:
+ *           type: boolean
+ *           description: The period counts from the last prohibited input rather than the start date
+ *         inConversionLabelDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: From this day produce may be labelled in conversion
+ *         earliestOrganicDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "2026-03-01"
+ *         daysRemaining:
+ *           type: integer
+ *           nullable: true
+ *     FieldBoundary:
+ *       type: object
+ *       properties:
+ *         fieldId:
+ *           type: integer
+ *         fieldName:
+ *           type: string
+ *         farmId:
+ *           type: integer
+ *         boundary:
+ *           allOf:
+ *             - $ref: '#/components/schemas/GeoJSONBoundary'
+ *           nullable: true
+ *         areaCheck:
+ *           $ref: '#/components/schemas/BoundaryAreaCheck'
+ *         withinFarm:
+ *           type: boolean
+ *           nullable: true
+ *           description: Every corner lies inside the farm boundary or within 5 m of it; null while either is unmapped
+ *         outside:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BoundaryCornerOutside'
  */
 
 /**
@@ -77,25 +200,11 @@ const { validateField } = require('../utils/validation');
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    let fields;
-
-    if (req.query.farmId) {
-      fields = await db.findBy('fields', { farm_id: parseInt(req.query.farmId) });
-    } else {
-      fields = await db.findAll('fields');
-    }
-
-    // Enrich with farm data
-    const enrichedFields = await Promise.all(fields.map(async (field) => {
-      const farm = await db.findById('farms', field.farm_id);
-      const mappedField = db.mapFieldsFromDatabase(field);
-      return {
-        ...mappedField,
-        farmName: farm ? farm.farm_name : 'Unknown'
-      };
-    }));
+    const fields = await Field.findAll({
+      farmId: req.query.farmId ? parseInt(req.query.farmId) : undefined
+    });
 
-    res.json(enrichedFields);
+    res.json(fields.map(field => Field.mapFromDatabase(field)));
   } catch (error) {
     console.error('Error fetching fields:', error);
     res.status(500).json({ error: 'Failed to fetch fields' });
@@ -137,7 +246,7 @@ router.get('/', authenticateToken, async (req, res) => {
  */
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const field = await db.findById('fields', parseInt(req.params.id));
+    const field = await Field.findById(parseInt(req.params.id));
     if (!field) {
       return res.status(404).json({ error: 'Field not found' });
     }
@@ -145,7 +254,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const farm = await db.findById('farms', field.farm_id);
     const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
 
-    const mappedField = db.mapFieldsFromDatabase(field);
+    const mappedField = Field.mapFromDatabase(field);
     const mappedFarm = farm ? db.mapFieldsFromDatabase(farm) : null;
     const mappedFarmer = farmer ? db.mapFieldsFromDatabase(farmer) : null;
 
@@ -200,6 +309,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *               organicStatus:
  *                 type: boolean
  *                 description: Whether this field follows organic practices
+ *               conversionStartDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Start of organic management; defaults to the farm's organicSince
+ *               lastProhibitedInputDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last use of a prohibited input, if after the conversion start
+ *               conversionPeriodMonths:
+ *                 type: integer
+ *                 description: Override of the standard 24 (annual) / 36 (perennial) month period
  *           example:
  *             farmId: "farm123"
  *             fieldName: "Field A - Coffee Block"
@@ -208,6 +328,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *             soilType: "Volcanic soil"
  *             plantingDate: "2023-01-15"
  *             organicStatus: true
+ *             conversionStartDate: "2023-03-01"
  *     responses:
  *       201:
  *         description: Field created successfully
@@ -233,27 +354,237 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Farm not found' });
     }
 
-    const fieldData = {
+    const field = await Field.create({
       ...req.body,
       plantingDate: req.body.plantingDate || new Date().toISOString().split('T')[0],
       organicStatus: req.body.organicStatus !== undefined ? req.body.organicStatus : true
-    };
+    });
 
-    const field = await db.create('fields', fieldData);
-    const mappedField = db.mapFieldsFromDatabase(field);
-    res.status(201).json(mappedField);
+    res.status(201).json(Field.mapFromDatabase(field));
   } catch (error) {
     console.error('Error creating field:', error);
     res.status(500).json({ error: 'Failed to create field' });
   }
 });
 
+/**
+ * @swagger
+ * /api/fields/{id}/conversion:
+ *   get:
+ *     summary: Get a field's organic conversion status
+ *     description: |
+ *       Conversion status of the field on a day: when its conversion period ends and what its produce may be
+ *       sold as. Use asOf to check a past or planned harvest date.
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to assess (YYYY-MM-DD), today by default
+ *     responses:
+ *       200:
+ *         description: Conversion status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/FieldConversion'
+ *                 - type: object
+ *                   properties:
+ *                     fieldId:
+ *                       type: integer
+ *                     fieldName:
+ *                       type: string
+ *                     cropType:
+ *                       type: string
+ *                     asOf:
+ *                       type: string
+ *                       format: date
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/conversion', authenticateToken, async (req, res) => {
+  try {
+    const asOf = req.query.asOf || new Date().toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(Date.parse(asOf))) {
+      return res.status(400).json({ errors: ['asOf must be a date (YYYY-MM-DD)'] });
+    }
+
+    const field = await Field.findById(parseInt(req.params.id));
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    res.json({
+      fieldId: field.id,
+      fieldName: field.field_name,
+      cropType: field.crop_type,
+      asOf,
+      ...Field.conversion(field, asOf)
+    });
+  } catch (error) {
+    console.error('Error fetching field conversion:', error);
+    res.status(500).json({ error: 'Failed to fetch field conversion' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/fields/{id}/boundary:
+ *   get:
+ *     summary: Get a field's boundary
+ *     description: The field's boundary with its area check and whether it lies inside the farm boundary
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Field ID
+ *     responses:
+ *       200:
+ *         description: Field boundary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldBoundary'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Set a field's boundary
+ *     description: |
+ *       Validates the polygon and stores it with its geodesic area, which is compared with the field's area.
+ *       When the farm is mapped, every corner of the field must lie inside the farm boundary or within 5 m
+ *       of its edge.
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Field ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - boundary
+ *             properties:
+ *               boundary:
+ *                 $ref: '#/components/schemas/GeoJSONBoundary'
+ *     responses:
+ *       200:
+ *         description: Boundary saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldBoundary'
+ *       400:
+ *         description: The boundary is not a valid polygon or lies outside the farm boundary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Remove a field's boundary
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Field ID
+ *     responses:
+ *       200:
+ *         description: Boundary removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FieldBoundary'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const field = await loadOwnField(req, res);
+    if (!field) return;
+
+    const farm = await Farm.findById(field.farm_id);
+    res.json(BoundaryService.fieldSummary(field, farm));
+  } catch (error) {
+    console.error('Error fetching field boundary:', error);
+    res.status(500).json({ error: 'Failed to fetch field boundary' });
+  }
+});
+
+router.put('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateBoundary(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const field = await loadOwnField(req, res);
+    if (!field) return;
+
+    const summary = await BoundaryService.setFieldBoundary(field, req.body.boundary);
+    res.json(summary);
+  } catch (error) {
+    if (error instanceof BoundaryService.BoundaryError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error saving field boundary:', error);
+    res.status(500).json({ error: 'Failed to save field boundary' });
+  }
+});
+
+router.delete('/:id/boundary', authenticateToken, async (req, res) => {
+  try {
+    const field = await loadOwnField(req, res);
+    if (!field) return;
+
+    const summary = await BoundaryService.clearFieldBoundary(field);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error removing field boundary:', error);
+    res.status(500).json({ error: 'Failed to remove field boundary' });
+  }
+});
+
 /**
  * @swagger
  * /api/fields/{id}:
  *   put:
  *     summary: Update field
- *     description: Update an existing field's information
+ *     description: |
+ *       Update an existing field's information. Only the properties sent are changed. Recording a
+ *       lastProhibitedInputDate after the conversion start restarts the field's conversion period.
  *     tags: [Fields]
  *     parameters:
  *       - in: path
@@ -284,18 +615,17 @@ router.post('/', authenticateToken, async (req, res) => {
  */
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const errors = validateField(req.body);
+    const errors = validateField(req.body, { partial: true });
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
 
-    const field = await db.update('fields', parseInt(req.params.id), req.body);
+    const field = await Field.update(parseInt(req.params.id), req.body);
     if (!field) {
       return res.status(404).json({ error: 'Field not found' });
     }
 
-    const mappedField = db.mapFieldsFromDatabase(field);
-    res.json(mappedField);
+    res.json(Field.mapFromDatabase(field));
   } catch (error) {
     console.error('Error updating field:', error);
     res.status(500).json({ error: 'Failed to update field' });
@@ -331,12 +661,12 @@ router.put('/:id', authenticateToken, async (req, res) => {
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     // Check if field exists first
-    const field = await db.findById('fields', parseInt(req.params.id));
+    const field = await Field.findById(parseInt(req.params.id));
     if (!field) {
       return res.status(404).json({ error: 'Field not found' });
     }
 
-    await db.delete('fields', parseInt(req.params.id));
+    await Field.delete(parseInt(req.params.id));
     res.json({ message: 'Field deleted successfully' });
   } catch (error) {
     console.error('Error deleting field:', error);
@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const { Farm, Farmer, Field, HarvestRecord } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const MassBalanceService = require('../services/massBalanceService');
+const { validateHarvestRecord, validateMassBalancePeriod } = require('../utils/validation');
+const { toKilograms } = require('../utils/yield');
+
+// Harvests are managed by admins and by the agronomist of the farm's farmer
+const canManageFarm = async (user, farmId) => {
+  if (user.role === 'admin') return true;
+
+  const farm = await Farm.findById(farmId);
+  const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+  return Boolean(farmer && farmer.user_id === user.id);
+};
+
+const loadHarvest = async (req, res) => {
+  const harvest = await HarvestRecord.findById(parseInt(req.params.id));
+  if (!harvest) {
+    res.status(404).json({ error: 'Harvest record not found' });
+    return null;
+  }
+
+  if (!(await canManageFarm(req.user, harvest.farm_id))) {
+    res.status(403).json({ error: 'Access denied. You can only manage harvests of your farmers.' });
+    return null;
+  }
+
+  return harvest;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HarvestRecord:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fieldId:
+ *           type: integer
+ *         fieldName:
+ *           type: string
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         harvestDate:
+ *           type: string
+ *           format: date
+ *         crop:
+ *           type: string
+ *           example: "Coffee"
+ *         quantity:
+ *           type: number
+ *           example: 1.8
+ *         unit:
+ *           type: string
+ *           enum: [kg, t, lb]
+ *         quantityKg:
+ *           type: number
+ *           example: 1800
+ *         storageLocation:
+ *           type: string
+ *           nullable: true
+ *           example: "Cooperative store, Ruiru"
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         recordedBy:
+ *           type: integer
+ *         recordedByName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     MassBalanceCrop:
+ *       type: object
+ *       properties:
+ *         crop:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [ok, flagged, no_yield_estimate]
+ *         areaHectares:
+ *           type: number
+ *           description: Area of the farm's fields of the crop
+ *         organicAreaHectares:
+ *           type: number
+ *           description: Part of it certified organic (conversion completed) at the end of the period
+ *         yieldPerHectare:
+ *           type: number
+ *           nullable: true
+ *           description: kg per hectare per year
+ *         yieldSource:
+ *           type: string
+ *           enum: [farm, default, reference]
+ *           nullable: true
+ *         expectedKg:
+ *           type: number
+ *           nullable: true
+ *         expectedOrganicKg:
+ *           type: number
+ *           nullable: true
+ *         harvestedKg:
+ *           type: number
+ *         organicHarvestedKg:
+ *           type: number
+ *           description: Harvested from fields that were organic on the harvest date
+ *         soldKg:
+ *           type: number
+ *           description: Sold as organic under transaction certificates
+ *         transactionCertificates:
+ *           type: integer
+ *         flags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 enum: [harvest_above_expected_yield, sales_above_expected_yield, sales_above_organic_harvest]
+ *               message:
+ *                 type: string
+ *     FarmMassBalance:
+ *       type: object
+ *       properties:
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         flagged:
+ *           type: boolean
+ *           description: Some crop harvested or sold beyond what the farm can grow
+ *         crops:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MassBalanceCrop'
+ */
+
+/**
+ * @swagger
+ * /api/harvests:
+ *   get:
+ *     summary: List harvest records
+ *     description: Newest first. Admins see all, agronomists those of their farmers.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fieldId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: crop
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Harvest records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HarvestRecord'
+ *       400:
+ *         description: Invalid dates
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Record a harvest
+ *     tags: [Harvests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fieldId
+ *               - harvestDate
+ *               - quantity
+ *               - unit
+ *             properties:
+ *               fieldId:
+ *                 type: integer
+ *               harvestDate:
+ *                 type: string
+ *                 format: date
+ *               crop:
+ *                 type: string
+ *                 description: Defaults to the crop type of the field
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, t, lb]
+ *               storageLocation:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *           example:
+ *             fieldId: 4
+ *             harvestDate: "2025-06-12"
+ *             quantity: 1800
+ *             unit: "kg"
+ *             storageLocation: "Cooperative store, Ruiru"
+ *     responses:
+ *       201:
+ *         description: Harvest recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HarvestRecord'
+ *       400:
+ *         description: Invalid data or field not found
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateMassBalancePeriod(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const harvests = await HarvestRecord.findAll({
+      farmId: parseInt(req.query.farmId) || null,
+      fieldId: parseInt(req.query.fieldId) || null,
+      crop: req.query.crop,
+      from: req.query.from,
+      to: req.query.to,
+      farmerUserId: req.user.role === 'admin' ? null : req.user.id
+    });
+
+    res.json(harvests.map(harvest => HarvestRecord.mapFromDatabase(harvest)));
+  } catch (error) {
+    console.error('Error fetching harvest records:', error);
+    res.status(500).json({ error: 'Failed to fetch harvest records' });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateHarvestRecord(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const field = await Field.findById(parseInt(req.body.fieldId));
+    if (!field) {
+      return res.status(400).json({ error: 'Field not found' });
+    }
+
+    if (!(await canManageFarm(req.user, field.farm_id))) {
+      return res.status(403).json({ error: 'Access denied. You can only manage harvests of your farmers.' });
+    }
+
+    const harvest = await HarvestRecord.create({
+      fieldId: field.id,
+      harvestDate: req.body.harvestDate,
+      crop: req.body.crop ? req.body.crop.trim() : field.crop_type,
+      quantity: Number(req.body.quantity),
+      unit: req.body.unit,
+      quantityKg: toKilograms(req.body.quantity, req.body.unit),
+      storageLocation: req.body.storageLocation,
+      notes: req.body.notes,
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json(HarvestRecord.mapFromDatabase(harvest));
+  } catch (error) {
+    console.error('Error recording harvest:', error);
+    res.status(500).json({ error: 'Failed to record harvest' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/harvests/mass-balance:
+ *   get:
+ *     summary: Mass-balance report of all farms
+ *     description: |
+ *       For every farm with harvests or organic sales in the period, compares per crop the harvests recorded and the
+ *       quantities sold under transaction certificates with the expected yield of the farm's fields (area times the
+ *       yield estimate per hectare, for at least one year). A crop is flagged when more was harvested or sold than the
+ *       fields can grow (10% tolerance), or more was sold as organic than was harvested from organic fields. Flagged
+ *       farms are listed first. Admins see all farms, agronomists those of their farmers.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to one year before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only return flagged farms
+ *     responses:
+ *       200:
+ *         description: Mass-balance report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 farmCount:
+ *                   type: integer
+ *                 flaggedCount:
+ *                   type: integer
+ *                 farms:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FarmMassBalance'
+ *       400:
+ *         description: Invalid period
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/mass-balance', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateMassBalancePeriod(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const report = await MassBalanceService.report({
+      ...MassBalanceService.period(req.query),
+      farmerUserId: req.user.role === 'admin' ? null : req.user.id,
+      flaggedOnly: req.query.flagged === 'true'
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error building mass-balance report:', error);
+    res.status(500).json({ error: 'Failed to build mass-balance report' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/harvests/{id}:
+ *   get:
+ *     summary: Get a harvest record
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Harvest record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HarvestRecord'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Correct a harvest record
+ *     description: Only the properties sent are changed; the field cannot be changed.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               harvestDate:
+ *                 type: string
+ *                 format: date
+ *               crop:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, t, lb]
+ *               storageLocation:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Harvest record updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HarvestRecord'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete a harvest record
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Harvest record deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const harvest = await loadHarvest(req, res);
+    if (!harvest) return;
+
+    res.json(HarvestRecord.mapFromDatabase(harvest));
+  } catch (error) {
+    console.error('Error fetching harvest record:', error);
+    res.status(500).json({ error: 'Failed to fetch harvest record' });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateHarvestRecord(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const harvest = await loadHarvest(req, res);
+    if (!harvest) return;
+
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : parseFloat(harvest.quantity);
+    const unit = req.body.unit || harvest.unit;
+
+    const updated = await HarvestRecord.update(harvest.id, {
+      harvestDate: req.body.harvestDate,
+      crop: req.body.crop ? req.body.crop.trim() : undefined,
+      quantity,
+      unit,
+      quantityKg: toKilograms(quantity, unit),
+      storageLocation: req.body.storageLocation,
+      notes: req.body.notes
+    });
+
+    res.json(HarvestRecord.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error updating harvest record:', error);
+    res.status(500).json({ error: 'Failed to update harvest record' });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const harvest = await loadHarvest(req, res);
+    if (!harvest) return;
+
+    await HarvestRecord.delete(harvest.id);
+    res.json({ message: 'Harvest record deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting harvest record:', error);
+    res.status(500).json({ error: 'Failed to delete harvest record' });
+  }
+});
+
+module.exports = router;
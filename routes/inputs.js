@@ -0,0 +1,546 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const AgriculturalInput = require('../models/AgriculturalInput');
+const { authenticateToken } = require('../middleware/auth');
+const { validateAgriculturalInput } = require('../utils/validation');
+const { INPUT_CATEGORIES, INPUT_STATUSES } = require('../utils/inputs');
+const InputRegistryService = require('../services/inputRegistryService');
+const { InputRegistryError } = InputRegistryService;
+
+const MAX_CSV_SIZE = 2 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE, files: 1 }
+}).single('file');
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'CSV file must be 2 MB or smaller' : error.message;
+      return res.status(status).json({ error: message });
+    }
+    next(error);
+  });
+};
+
+const requireRegistryManager = (req, res, next) => {
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not found in database. Please register first.' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can manage the inputs registry' });
+  }
+  next();
+};
+
+const isDuplicateEntry = (error) => error && error.code === 'ER_DUP_ENTRY';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgriculturalInput:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Kocide 2000"
+ *         activeIngredient:
+ *           type: string
+ *           nullable: true
+ *           example: "Copper hydroxide"
+ *         manufacturer:
+ *           type: string
+ *           nullable: true
+ *           example: "Certis"
+ *         category:
+ *           type: string
+ *           enum: [fertiliser, soil_conditioner, pesticide, seed, other]
+ *         status:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited]
+ *         conditions:
+ *           type: string
+ *           nullable: true
+ *           description: Conditions of use of a restricted input
+ *           example: "At most 6 kg copper per hectare per year"
+ *         standardClause:
+ *           type: string
+ *           nullable: true
+ *           example: "KS EAS 456 Annex 2"
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: integer
+ *         updatedBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     FarmInputHistory:
+ *       type: object
+ *       description: |
+ *         Products in the farm's field logbooks over the 36 months before the inspection, checked against the
+ *         registry as it stands, for the checklist's input questions. Most restrictive first.
+ *       properties:
+ *         since:
+ *           type: string
+ *           format: date
+ *         until:
+ *           type: string
+ *           format: date
+ *         prohibitedInputsUsed:
+ *           type: boolean
+ *         products:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productName:
+ *                 type: string
+ *               activeIngredient:
+ *                 type: string
+ *                 nullable: true
+ *               check:
+ *                 $ref: '#/components/schemas/InputCheck'
+ *               timesUsed:
+ *                 type: integer
+ *               firstUsed:
+ *                 type: string
+ *                 format: date
+ *               lastUsed:
+ *                 type: string
+ *                 format: date
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               activityIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     AgriculturalInputInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *         - status
+ *       properties:
+ *         name:
+ *           type: string
+ *         activeIngredient:
+ *           type: string
+ *         manufacturer:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [fertiliser, soil_conditioner, pesticide, seed, other]
+ *         status:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited]
+ *         conditions:
+ *           type: string
+ *           description: Required for restricted inputs
+ *         standardClause:
+ *           type: string
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/inputs:
+ *   get:
+ *     summary: Search the inputs registry
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the name, active ingredient or manufacturer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [fertiliser, soil_conditioner, pesticide, seed, other]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [permitted, restricted, prohibited]
+ *     responses:
+ *       200:
+ *         description: Matching inputs, by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AgriculturalInput'
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Add an input to the registry
+ *     tags: [Inputs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgriculturalInputInput'
+ *           example:
+ *             name: "Kocide 2000"
+ *             activeIngredient: "Copper hydroxide"
+ *             manufacturer: "Certis"
+ *             category: "pesticide"
+ *             status: "restricted"
+ *             conditions: "At most 6 kg copper per hectare per year"
+ *             standardClause: "KS EAS 456 Annex 2"
+ *     responses:
+ *       201:
+ *         description: Input added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AgriculturalInput'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only admins can manage the registry
+ *       409:
+ *         description: An input with this name and manufacturer exists
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { q, category, status } = req.query;
+    if (category && !INPUT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ errors: [`category must be one of: ${INPUT_CATEGORIES.join(', ')}`] });
+    }
+    if (status && !INPUT_STATUSES.includes(status)) {
+      return res.status(400).json({ errors: [`status must be one of: ${INPUT_STATUSES.join(', ')}`] });
+    }
+
+    const inputs = await AgriculturalInput.findAll({ q: q ? String(q).trim() : null, category, status });
+    res.json(inputs.map(input => AgriculturalInput.mapFromDatabase(input)));
+  } catch (error) {
+    console.error('Error searching inputs:', error);
+    res.status(500).json({ error: 'Failed to search inputs' });
+  }
+});
+
+router.post('/', authenticateToken, requireRegistryManager, async (req, res) => {
+  try {
+    const errors = validateAgriculturalInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const input = await AgriculturalInput.create({
+      ...req.body,
+      name: req.body.name.trim(),
+      manufacturer: req.body.manufacturer ? req.body.manufacturer.trim() : '',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(AgriculturalInput.mapFromDatabase(input));
+  } catch (error) {
+    if (isDuplicateEntry(error)) {
+      return res.status(409).json({ error: 'An input with this name and manufacturer is already registered' });
+    }
+    console.error('Error adding input:', error);
+    res.status(500).json({ error: 'Failed to add input' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inputs/check:
+ *   get:
+ *     summary: Check whether a product may be used
+ *     description: |
+ *       Looks the product up by name and active ingredient in the registry, then in the built-in list. A product
+ *       matching several entries gets the most restrictive status; one matching none is unlisted.
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: query
+ *         name: productName
+ *         schema:
+ *           type: string
+ *         example: "Kocide 2000"
+ *       - in: query
+ *         name: activeIngredient
+ *         schema:
+ *           type: string
+ *         example: "Copper hydroxide"
+ *     responses:
+ *       200:
+ *         description: Status of the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InputCheck'
+ *       400:
+ *         description: Neither productName nor activeIngredient given
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/check', authenticateToken, async (req, res) => {
+  try {
+    const { productName, activeIngredient } = req.query;
+    if (!productName && !activeIngredient) {
+      return res.status(400).json({ errors: ['productName or activeIngredient is required'] });
+    }
+
+    res.json(await InputRegistryService.check({ productName, activeIngredient }));
+  } catch (error) {
+    console.error('Error checking input:', error);
+    res.status(500).json({ error: 'Failed to check input' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inputs/import:
+ *   post:
+ *     summary: Import inputs from a CSV file
+ *     description: |
+ *       The first row names the columns: name, category and status are required; active_ingredient,
+ *       manufacturer, conditions, standard_clause and notes are optional. An input with the same name and
+ *       manufacturer is updated, others are added. Every row is validated first, and nothing is imported if
+ *       any row has errors. At most 5000 rows.
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report what would change without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file (UTF-8), at most 2 MB
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 inputs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       manufacturer:
+ *                         type: string
+ *                         nullable: true
+ *                       action:
+ *                         type: string
+ *                         enum: [created, updated]
+ *       400:
+ *         description: No file, or errors in the CSV (listed per row)
+ *       403:
+ *         description: Only admins can manage the registry
+ *       413:
+ *         description: File larger than 2 MB
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/import', authenticateToken, requireRegistryManager, handleUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV file is required (form field "file")' });
+    }
+
+    const report = await InputRegistryService.importCsv(req.file.buffer.toString('utf8'), req.user, {
+      dryRun: req.query.dryRun === 'true'
+    });
+    res.json(report);
+  } catch (error) {
+    if (error instanceof InputRegistryError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error importing inputs:', error);
+    res.status(500).json({ error: 'Failed to import inputs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inputs/{id}:
+ *   get:
+ *     summary: Get a registered input
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AgriculturalInput'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Update a registered input
+ *     description: |
+ *       Only the properties sent are changed. Logbook entries keep the status they were recorded with; inspections
+ *       show the products used on a farm checked against the registry as it stands.
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgriculturalInputInput'
+ *     responses:
+ *       200:
+ *         description: Input updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AgriculturalInput'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only admins can manage the registry
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: An input with this name and manufacturer exists
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Remove an input from the registry
+ *     tags: [Inputs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Input removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       403:
+ *         description: Only admins can manage the registry
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const input = await AgriculturalInput.findById(parseInt(req.params.id));
+    if (!input) {
+      return res.status(404).json({ error: 'Input not found' });
+    }
+
+    res.json(AgriculturalInput.mapFromDatabase(input));
+  } catch (error) {
+    console.error('Error fetching input:', error);
+    res.status(500).json({ error: 'Failed to fetch input' });
+  }
+});
+
+router.put('/:id', authenticateToken, requireRegistryManager, async (req, res) => {
+  try {
+    const input = await AgriculturalInput.findById(parseInt(req.params.id));
+    if (!input) {
+      return res.status(404).json({ error: 'Input not found' });
+    }
+
+    // Validated as it will be stored, so a restricted input keeps its conditions
+    const errors = validateAgriculturalInput({ ...AgriculturalInput.mapFromDatabase(input), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const updated = await AgriculturalInput.update(input.id, {
+      ...req.body,
+      name: req.body.name ? req.body.name.trim() : undefined,
+      manufacturer: typeof req.body.manufacturer === 'string' ? req.body.manufacturer.trim() : req.body.manufacturer,
+      updatedBy: req.user.id
+    });
+
+    res.json(AgriculturalInput.mapFromDatabase(updated));
+  } catch (error) {
+    if (isDuplicateEntry(error)) {
+      return res.status(409).json({ error: 'An input with this name and manufacturer is already registered' });
+    }
+    console.error('Error updating input:', error);
+    res.status(500).json({ error: 'Failed to update input' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireRegistryManager, async (req, res) => {
+  try {
+    const input = await AgriculturalInput.findById(parseInt(req.params.id));
+    if (!input) {
+      return res.status(404).json({ error: 'Input not found' });
+    }
+
+    await AgriculturalInput.delete(input.id);
+    res.json({ message: 'Input removed successfully' });
+  } catch (error) {
+    console.error('Error removing input:', error);
+    res.status(500).json({ error: 'Failed to remove input' });
+  }
+});
+
+module.exports = router;
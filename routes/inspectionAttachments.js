@@ -0,0 +1,422 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router({ mergeParams: true });
+const db = require('../models');
+const dbConfig = require('../config/database');
+const InspectionAttachment = require('../models/InspectionAttachment');
+const SyncTombstone = require('../models/SyncTombstone');
+const { authenticateToken } = require('../middleware/auth');
+const AttachmentService = require('../services/attachmentService');
+const { AttachmentError } = AttachmentService;
+
+const REVIEWER_ROLES = ['agronomist', 'admin'];
+
+// Files are buffered in memory (bounded by the size limit) so they can be checksummed
+// and checked for EXIF data before anything is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AttachmentService.MAX_FILE_SIZE,
+    files: AttachmentService.MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    try {
+      AttachmentService.checkFileType(file);
+      cb(null, true);
+    } catch (error) {
+      cb(error);
+    }
+  }
+}).array('files', AttachmentService.MAX_FILES_PER_UPLOAD);
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files must be ${AttachmentService.MAX_FILE_SIZE / (1024 * 1024)} MB or smaller`
+        : error.message;
+      return res.status(status).json({ error: message });
+    }
+    next(error);
+  });
+};
+
+// Same farmer-ownership check as GET /api/inspections/:id
+const loadInspection = async (req, res, next) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const inspection = await db.findById('inspections', parseInt(req.params.id));
+    if (!inspection) {
+      return res.status(404).json({ error: 'Inspection not found' });
+    }
+
+    const farm = await db.findById('farms', inspection.farm_id);
+    const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
+
+    if (!farmer || farmer.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view inspections for your farmers.' });
+    }
+
+    req.inspection = inspection;
+    next();
+  } catch (error) {
+    console.error('Error loading inspection:', error);
+    res.status(500).json({ error: 'Failed to load inspection' });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InspectionAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         inspectionId:
+ *           type: integer
+ *         questionId:
+ *           type: string
+ *           description: Checklist question the evidence supports
+ *         nonConformityId:
+ *           type: integer
+ *           description: Non-conformity the evidence supports
+ *         category:
+ *           type: string
+ *           enum: [photo, soil_test, input_receipt, declaration, other]
+ *         description:
+ *           type: string
+ *         originalName:
+ *           type: string
+ *           example: "north-field-buffer.jpg"
+ *         mimeType:
+ *           type: string
+ *           example: "image/jpeg"
+ *         sizeBytes:
+ *           type: integer
+ *         checksum:
+ *           type: string
+ *           description: SHA-256 of the file contents
+ *         capturedAt:
+ *           type: string
+ *           format: date-time
+ *         latitude:
+ *           type: number
+ *           example: -1.2921
+ *         longitude:
+ *           type: number
+ *           example: 36.8219
+ *         metadata:
+ *           type: object
+ *           description: EXIF fields read from the file and whether the location came from EXIF or the device
+ *         downloadUrl:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/inspections/{id}/attachments:
+ *   get:
+ *     summary: Get inspection attachments
+ *     description: List evidence attached to an inspection
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *       - in: query
+ *         name: questionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonConformityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [photo, soil_test, input_receipt, declaration, other]
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InspectionAttachment'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, loadInspection, async (req, res) => {
+  try {
+    const attachments = await InspectionAttachment.findByInspectionId(req.inspection.id, {
+      questionId: req.query.questionId,
+      nonConformityId: req.query.nonConformityId ? parseInt(req.query.nonConformityId) : undefined,
+      category: req.query.category
+    });
+
+    res.json(attachments.map(attachment => InspectionAttachment.mapFromDatabase(attachment)));
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspections/{id}/attachments:
+ *   post:
+ *     summary: Upload inspection attachments
+ *     description: |
+ *       Upload field photos, soil test reports, input receipts or signed declarations.
+ *       Accepted types are JPEG, PNG, WebP, HEIC and PDF, up to 10 MB each (ATTACHMENT_MAX_SIZE_MB) and 10 files per request.
+ *       GPS position and capture time are read from photo EXIF data; the latitude, longitude and capturedAt fields are only used when the file has none.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               category:
+ *                 type: string
+ *                 enum: [photo, soil_test, input_receipt, declaration, other]
+ *               description:
+ *                 type: string
+ *               questionId:
+ *                 type: string
+ *               nonConformityId:
+ *                 type: integer
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               capturedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Attachments uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InspectionAttachment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Evidence cannot be added to a completed or cancelled inspection
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: File type not allowed
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, loadInspection, handleUpload, async (req, res) => {
+  try {
+    const inspection = req.inspection;
+
+    if (['completed', 'cancelled'].includes(inspection.status)) {
+      return res.status(409).json({ error: `Evidence cannot be added to a ${inspection.status} inspection` });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ errors: ['At least one file is required'] });
+    }
+
+    const errors = await AttachmentService.validateFields(inspection, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    // All files or none: a file that fails rolls back the rows of the others, and their stored files with them
+    const attachments = await dbConfig.withTransaction(async () => {
+      const created = [];
+      for (const file of req.files) {
+        const stored = await AttachmentService.store(inspection.id, file, {
+          capturedAt: req.body.capturedAt ? new Date(req.body.capturedAt) : undefined,
+          latitude: AttachmentService.parseCoordinate(req.body.latitude),
+          longitude: AttachmentService.parseCoordinate(req.body.longitude)
+        });
+
+        created.push(await InspectionAttachment.create({
+          ...stored,
+          inspectionId: inspection.id,
+          questionId: req.body.questionId,
+          nonConformityId: req.body.nonConformityId ? parseInt(req.body.nonConformityId) : null,
+          category: req.body.category,
+          description: req.body.description,
+          uploadedBy: req.user.id
+        }));
+      }
+      return created;
+    });
+
+    res.status(201).json(attachments.map(attachment => InspectionAttachment.mapFromDatabase(attachment)));
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspections/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an inspection attachment
+ *     description: Stream the stored file. The SHA-256 recorded at upload is returned in the X-Checksum-SHA256 header.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:attachmentId/download', authenticateToken, loadInspection, async (req, res) => {
+  try {
+    const attachment = await InspectionAttachment.findById(parseInt(req.params.attachmentId));
+    if (!attachment || attachment.inspection_id !== req.inspection.id) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!await AttachmentService.exists(attachment.storage_path)) {
+      return res.status(404).json({ error: 'Attachment file is missing from storage' });
+    }
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(attachment.original_name)}"`);
+    res.setHeader('X-Checksum-SHA256', attachment.checksum);
+    res.sendFile(AttachmentService.resolvePath(attachment.storage_path));
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspections/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an inspection attachment
+ *     description: Remove an attachment and its file. Only the uploader, agronomists and admins can delete, and evidence on completed inspections is kept.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Evidence on completed inspections cannot be deleted
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:attachmentId', authenticateToken, loadInspection, async (req, res) => {
+  try {
+    const attachment = await InspectionAttachment.findById(parseInt(req.params.attachmentId));
+    if (!attachment || attachment.inspection_id !== req.inspection.id) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (req.inspection.status === 'completed') {
+      return res.status(409).json({ error: 'Evidence on completed inspections cannot be deleted' });
+    }
+
+    if (attachment.uploaded_by !== req.user.id && !REVIEWER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only the uploader, agronomists and admins can delete attachments' });
+    }
+
+    await dbConfig.withTransaction(async () => {
+      await SyncTombstone.recordAttachment(attachment.id);
+      // delete reports failure as false; the file is only removed once its row is gone
+      if (!await InspectionAttachment.delete(attachment.id)) {
+        throw new Error(`Attachment ${attachment.id} could not be deleted`);
+      }
+    });
+    await AttachmentService.remove(attachment.storage_path);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,465 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { validateInspectionPlan } = require('../utils/validation');
+const InspectionPlanner = require('../services/inspectionPlanner');
+const { PlanError } = InspectionPlanner;
+
+const PLANNER_ROLES = ['agronomist', 'admin'];
+
+const requirePlanner = (req, res, next) => {
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not found in database. Please register first.' });
+  }
+  if (!PLANNER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Only agronomists and admins can manage inspection plans' });
+  }
+  next();
+};
+
+// Plans are visible to the user who created them and to admins
+const loadPlan = async (req, res) => {
+  const plan = await db.InspectionPlan.findById(parseInt(req.params.id));
+  if (!plan || (req.user.role !== 'admin' && plan.created_by !== req.user.id)) {
+    res.status(404).json({ error: 'Inspection plan not found' });
+    return null;
+  }
+  return plan;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FarmRisk:
+ *       type: object
+ *       properties:
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         score:
+ *           type: number
+ *           description: 0 (lowest risk) to 100
+ *           example: 62.5
+ *         level:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         visitsPerYear:
+ *           type: integer
+ *           description: Announced visits planned per year at this level
+ *         lastInspectionMonth:
+ *           type: integer
+ *           nullable: true
+ *         factors:
+ *           type: object
+ *           description: Per factor - value, risk (0-1), weight and points. Factors are pastScores, openViolations, cropRisk, timeSinceLastInspection, parallelProduction and farmSize.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               value: {}
+ *               risk:
+ *                 type: number
+ *               weight:
+ *                 type: number
+ *               points:
+ *                 type: number
+ *     InspectionPlanItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         visitType:
+ *           type: string
+ *           enum: [announced, unannounced]
+ *         plannedDate:
+ *           type: string
+ *           format: date
+ *         riskScore:
+ *           type: number
+ *         riskLevel:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         riskFactors:
+ *           type: object
+ *         inspectionId:
+ *           type: integer
+ *           nullable: true
+ *           description: Inspection created when the plan was applied
+ *     InspectionPlan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         year:
+ *           type: integer
+ *         seed:
+ *           type: string
+ *           description: Seed of the unannounced sample. Re-running with the same seed and risk scores selects the same farms and dates.
+ *         unannouncedPercentage:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [draft, applied]
+ *         summary:
+ *           type: object
+ *           properties:
+ *             farms:
+ *               type: integer
+ *             months:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *             byLevel:
+ *               type: object
+ *             announcedVisits:
+ *               type: integer
+ *             unannouncedVisits:
+ *               type: integer
+ *         createdBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InspectionPlanItem'
+ */
+
+/**
+ * @swagger
+ * /api/inspection-plans:
+ *   get:
+ *     summary: List inspection plans
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Plans without their items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InspectionPlan'
+ *       403:
+ *         description: Only agronomists and admins can manage inspection plans
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const plans = await db.InspectionPlan.findAll({
+      createdBy: req.user.role === 'admin' ? undefined : req.user.id,
+      year: req.query.year ? parseInt(req.query.year) : undefined
+    });
+    res.json(plans.map(plan => db.InspectionPlan.mapFromDatabase(plan)));
+  } catch (error) {
+    console.error('Error fetching inspection plans:', error);
+    res.status(500).json({ error: 'Failed to fetch inspection plans' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspection-plans:
+ *   post:
+ *     summary: Generate a yearly risk-based inspection plan
+ *     description: |
+ *       Scores every farm (or the given farms) for risk and plans announced visits by level: high-risk farms twice a
+ *       year, others once, anchored on the month of the last inspection. On top of that a risk-weighted random sample of
+ *       unannouncedPercentage of the farms (default UNANNOUNCED_INSPECTION_PERCENTAGE, 10) gets an unannounced visit on a
+ *       random weekday. The seed (generated when not given) is stored so the sample can be reproduced for audit.
+ *       For the current year only the months after this one are used. With dryRun the plan is returned without saving.
+ *     tags: [Inspection Planning]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *             properties:
+ *               year:
+ *                 type: integer
+ *                 example: 2027
+ *               unannouncedPercentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 10
+ *               seed:
+ *                 type: string
+ *                 maxLength: 64
+ *                 example: "audit-2027"
+ *               farmIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Limit the plan to these farms
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Dry run - plan not saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InspectionPlan'
+ *       201:
+ *         description: Plan saved as a draft
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InspectionPlan'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can manage inspection plans
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const errors = validateInspectionPlan(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const generated = await InspectionPlanner.generate(req.user, {
+      year: parseInt(req.body.year),
+      unannouncedPercentage: req.body.unannouncedPercentage,
+      seed: req.body.seed,
+      farmIds: req.body.farmIds
+    });
+
+    if (req.body.dryRun === true) {
+      return res.json({ ...generated, status: 'draft' });
+    }
+
+    const plan = await db.InspectionPlan.create({ ...generated, createdBy: req.user.id }, generated.items);
+    const items = await db.InspectionPlan.findItems(plan.id);
+
+    res.status(201).json({
+      ...db.InspectionPlan.mapFromDatabase(plan),
+      items: items.map(item => db.InspectionPlan.mapItemFromDatabase(item))
+    });
+  } catch (error) {
+    if (error instanceof PlanError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error generating inspection plan:', error);
+    res.status(500).json({ error: 'Failed to generate inspection plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspection-plans/{id}:
+ *   get:
+ *     summary: Get an inspection plan with its visits
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Plan with items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InspectionPlan'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const items = await db.InspectionPlan.findItems(plan.id);
+    res.json({
+      ...db.InspectionPlan.mapFromDatabase(plan),
+      items: items.map(item => db.InspectionPlan.mapItemFromDatabase(item))
+    });
+  } catch (error) {
+    console.error('Error fetching inspection plan:', error);
+    res.status(500).json({ error: 'Failed to fetch inspection plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspection-plans/{id}/verify:
+ *   get:
+ *     summary: Check that the unannounced sample can be reproduced
+ *     description: Re-runs the unannounced selection from the stored seed, percentage and recorded risk scores and compares it with the saved visits.
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reproducible:
+ *                   type: boolean
+ *                 seed:
+ *                   type: string
+ *                 expected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 recorded:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/verify', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const items = await db.InspectionPlan.findItems(plan.id);
+    const result = InspectionPlanner.verify(plan, items);
+
+    res.json({ seed: plan.seed, ...result });
+  } catch (error) {
+    console.error('Error verifying inspection plan:', error);
+    res.status(500).json({ error: 'Failed to verify inspection plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspection-plans/{id}/apply:
+ *   post:
+ *     summary: Create the planned inspections
+ *     description: Creates a scheduled inspection for every planned visit (announced or unannounced) and marks the plan applied. Inspectors can then be assigned as usual.
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inspections created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 created:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       planItemId:
+ *                         type: integer
+ *                       inspectionId:
+ *                         type: integer
+ *                       farmId:
+ *                         type: integer
+ *                       visitType:
+ *                         type: string
+ *                       scheduledDate:
+ *                         type: string
+ *                         format: date
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Plan already applied
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/apply', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const created = await InspectionPlanner.apply(plan);
+
+    res.json({ message: `${created.length} inspection(s) scheduled`, created });
+  } catch (error) {
+    if (error instanceof PlanError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error applying inspection plan:', error);
+    res.status(500).json({ error: 'Failed to apply inspection plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspection-plans/{id}:
+ *   delete:
+ *     summary: Delete a draft inspection plan
+ *     tags: [Inspection Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Plan deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Applied plans are kept for audit
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', authenticateToken, requirePlanner, async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status === 'applied') {
+      return res.status(409).json({ error: 'Applied inspection plans cannot be deleted' });
+    }
+
+    await db.InspectionPlan.delete(plan.id);
+    res.json({ message: 'Inspection plan deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting inspection plan:', error);
+    res.status(500).json({ error: 'Failed to delete inspection plan' });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models');
+const dbConfig = require('../config/database');
 const Inspection = require('../models/Inspection');
-const Certificate = require('../models/Certificate');
+const SyncTombstone = require('../models/SyncTombstone');
 const { authenticateToken } = require('../middleware/auth');
 const { validateInspection } = require('../utils/validation');
-const { CHECKLIST_QUESTIONS, createChecklist, calculateComplianceScore, isEligibleForCertification, validateChecklist, isChecklistComplete } = require('../utils/inspection');
-const { generateCertificateNumber, calculateExpiryDate, generateCertificatePDF } = require('../utils/pdfGenerator');
-const PDFService = require('../services/pdfService');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const NonConformity = require('../models/NonConformity');
+const FieldActivity = require('../models/FieldActivity');
+const InputRegistryService = require('../services/inputRegistryService');
+const { toDay } = require('../utils/conversion');
+const { DEFAULT_CHECKLIST, createAnswerMap, scoreChecklist, validateChecklist } = require('../utils/inspection');
+const CertificateArchiveService = require('../services/certificateArchiveService');
+const AttachmentService = require('../services/attachmentService');
+const InspectionWorkflow = require('../services/inspectionWorkflow');
+const InspectorAssignment = require('../services/inspectorAssignment');
+const InspectorAvailability = require('../services/inspectorAvailability');
+const { InspectionTransitionError } = InspectionWorkflow;
+const CertificateService = require('../services/certificateService');
+const { CertificateIssuanceError } = CertificateService;
+const { AssignmentError } = InspectorAssignment;
+const { SchedulingError } = InspectorAvailability;
 
 /**
  * @swagger
  * /api/inspections/checklist:
  *   get:
  *     summary: Get inspection checklist questions
- *     description: Retrieve the standard inspection checklist questions
+ *     description: Retrieve the checklist questions for a template, or for the active template matching a scope or inspector specialization. Falls back to the standard questions when no template exists.
  *     tags: [Inspections]
+ *     parameters:
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *         description: Checklist template to use
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Template version (defaults to the current version)
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *         description: Scope or inspector specialization used to select a template
  *     responses:
  *       200:
  *         description: Checklist questions retrieved successfully
@@ -24,23 +54,40 @@ const PDFService = require('../services/pdfService');
  *             schema:
  *               type: object
  *               properties:
+ *                 template:
+ *                   $ref: '#/components/schemas/ChecklistTemplate'
  *                 questions:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                       question:
- *                         type: string
- *                       category:
- *                         type: string
+ *                     $ref: '#/components/schemas/ChecklistQuestion'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/checklist', async (req, res) => {
   try {
-    res.json({ questions: CHECKLIST_QUESTIONS });
+    const template = req.query.templateId
+      ? await ChecklistTemplate.findById(parseInt(req.query.templateId))
+      : await ChecklistTemplate.findForScope(req.query.scope || req.query.specialization);
+
+    if (!template) {
+      if (req.query.templateId) {
+        return res.status(404).json({ error: 'Checklist template not found' });
+      }
+      return res.json({ template: null, questions: DEFAULT_CHECKLIST });
+    }
+
+    const version = await ChecklistTemplate.findVersion(
+      template.id,
+      req.query.version ? parseInt(req.query.version) : template.current_version
+    );
+    if (!version) {
+      return res.status(404).json({ error: 'Checklist template version not found' });
+    }
+
+    const mappedTemplate = ChecklistTemplate.mapFromDatabase(template, version);
+    res.json({ template: mappedTemplate, questions: mappedTemplate.version.questions });
   } catch (error) {
     console.error('Error fetching checklist:', error);
     res.status(500).json({ error: 'Failed to fetch checklist' });
@@ -88,7 +135,8 @@ router.get('/status-distribution', async (req, res) => {
       total: inspections.length,
       statusCounts,
       allStatuses,
-      validStatuses: ['scheduled', 'in_progress', 'completed', 'failed', 'cancelled']
+      validStatuses: InspectionWorkflow.STATES,
+      transitions: InspectionWorkflow.TRANSITIONS
     });
   } catch (error) {
     console.error('Error fetching status distribution:', error);
@@ -126,7 +174,7 @@ router.get('/status-distribution', async (req, res) => {
  *                     format: date
  *                   status:
  *                     type: string
- *                     enum: [scheduled, in_progress, completed, failed]
+ *                     enum: [scheduled, rescheduled, in_progress, submitted, completed, failed, rejected, cancelled]
  *                   score:
  *                     type: number
  *       500:
@@ -168,6 +216,112 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/inspections/available-slots:
+ *   get:
+ *     summary: Suggest the earliest free inspection slots for a farm
+ *     description: |
+ *       Days on which an inspector who may inspect the farm (no conflict of interest, matching specialization)
+ *       is working, not on leave and below their daily maximum. Ordered by date, then by remaining capacity.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: query
+ *         name: farmId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: inspectorId
+ *         schema:
+ *           type: integer
+ *         description: Only look at this inspector
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to consider (defaults to today)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 92
+ *         description: Number of days to search
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Free slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *                   inspectorId:
+ *                     type: integer
+ *                   inspectorName:
+ *                     type: string
+ *                   booked:
+ *                     type: integer
+ *                   remaining:
+ *                     type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/available-slots', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const { farmId, inspectorId, from } = req.query;
+    const errors = [];
+    if (!farmId) errors.push('farmId is required');
+    if (from && !InspectorAvailability.isValidDay(from)) errors.push('from must be a date (YYYY-MM-DD)');
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const farm = await db.findById('farms', parseInt(farmId));
+    const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
+    if (!farm) {
+      return res.status(404).json({ error: 'Farm not found' });
+    }
+    if (req.user.role !== 'admin' && (!farmer || farmer.user_id !== req.user.id)) {
+      return res.status(403).json({ error: 'Access denied. You can only schedule inspections for your farmers.' });
+    }
+
+    const slots = await InspectorAssignment.suggestSlots(farm, req.user, {
+      inspectorId,
+      from,
+      days: Math.max(1, parseInt(req.query.days) || 30),
+      limit: Math.min(50, Math.max(1, parseInt(req.query.limit) || 5))
+    });
+
+    res.json(slots);
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error finding available slots:', error);
+    res.status(500).json({ error: 'Failed to find available slots' });
+  }
+});
+
 /**
  * @swagger
  * /api/inspections/{id}:
@@ -207,6 +361,19 @@ router.get('/', authenticateToken, async (req, res) => {
  *                   type: object
  *                 notes:
  *                   type: string
+ *                 nonConformities:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NonConformity'
+ *                 assignedInspector:
+ *                   $ref: '#/components/schemas/Inspector'
+ *                 flaggedInputs:
+ *                   type: array
+ *                   description: Restricted, prohibited and unlisted inputs in the farm's field logbooks not reviewed yet
+ *                   items:
+ *                     $ref: '#/components/schemas/FieldActivity'
+ *                 inputHistory:
+ *                   $ref: '#/components/schemas/FarmInputHistory'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -234,8 +401,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const mappedFarm = farm ? db.mapFieldsFromDatabase(farm) : null;
     const mappedFarmer = farmer ? db.mapFieldsFromDatabase(farmer) : null;
 
+    const checklistQuestions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST;
+    const nonConformities = await NonConformity.findByInspectionId(inspection.id);
+    const flaggedInputs = await FieldActivity.findOpenFlags(inspection.farm_id);
+    const inputHistory = await InputRegistryService.farmInputHistory(
+      inspection.farm_id,
+      toDay(inspection.inspection_date || inspection.scheduled_date) || undefined
+    );
+    const assignedInspector = inspection.assigned_inspector_id
+      ? await db.Inspector.findById(inspection.assigned_inspector_id)
+      : null;
+
     res.json({
       ...mappedInspection,
+      assignedInspector: db.Inspector.mapFromDatabase(assignedInspector),
+      checklistQuestions,
+      nonConformities: nonConformities.map(item => NonConformity.mapFromDatabase(item)),
+      flaggedInputs: flaggedInputs.map(item => FieldActivity.mapFromDatabase(item)),
+      inputHistory,
+      allowedTransitions: InspectionWorkflow.getAllowedTransitions(inspection.status),
       farm: mappedFarm,
       farmer: mappedFarmer
     });
@@ -245,6 +429,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Inspection properties POST / takes from the client. A linked inspector is only set after the
+// assignment checks (assignedInspectorId); status, scores and eligibility are the server's.
+const CREATE_FIELDS = ['farmId', 'inspectorName', 'scheduledDate', 'visitType', 'notes'];
+
+const pickCreateFields = (data) => CREATE_FIELDS
+  .filter(key => data[key] !== undefined)
+  .reduce((fields, key) => ({ ...fields, [key]: data[key] }), {});
+
 /**
  * @swagger
  * /api/inspections:
@@ -258,19 +450,33 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             description: Only the properties listed are used; status, scores and eligibility are set by the server.
  *             required:
  *               - farmId
- *               - inspectorId
  *               - scheduledDate
  *             properties:
  *               farmId:
  *                 type: integer
  *                 description: ID of the farm to inspect
  *                 example: 1
- *               inspectorId:
+ *               inspectorName:
+ *                 type: string
+ *                 description: Name of an inspector without an inspector record; required unless assignedInspectorId is given
+ *               assignedInspectorId:
  *                 type: integer
- *                 description: ID of the assigned inspector
- *                 example: 1
+ *                 description: Inspector record to assign. Checked for conflicts of interest and specialization; replaces inspectorName.
+ *               overrideAssignmentChecks:
+ *                 type: boolean
+ *                 description: Admin only - assign despite failed checks (reason required)
+ *               assignmentReason:
+ *                 type: string
+ *               visitType:
+ *                 type: string
+ *                 enum: [announced, unannounced]
+ *                 default: announced
+ *               allowSchedulingConflicts:
+ *                 type: boolean
+ *                 description: Create the inspection even if the assigned inspector is unavailable that day; the clashes are returned as schedulingWarnings
  *               scheduledDate:
  *                 type: string
  *                 format: date
@@ -284,6 +490,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 type: object
  *                 description: Inspection checklist items
  *                 additionalProperties: true
+ *               checklistTemplateId:
+ *                 type: integer
+ *                 description: Checklist template to pin (its current version is used)
+ *               scope:
+ *                 type: string
+ *                 description: Scope used to pick the active template when checklistTemplateId is not given
+ *                 example: "organic-crops"
  *     responses:
  *       201:
  *         description: Inspection created successfully
@@ -303,6 +516,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                   items:
  *                     type: string
  *                   example: ["farmId is required", "scheduledDate must be a valid date"]
+ *       404:
+ *         description: Assigned inspector not found
+ *       409:
+ *         description: Inspector failed the conflict-of-interest or specialization checks, or is not available on the scheduled date (SCHEDULING_CONFLICT)
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -334,37 +551,113 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'You can only create inspections for your own farms' });
     }
 
-    const checklist = req.body.checklist || createChecklist();
-    const complianceScore = calculateComplianceScore(checklist);
+    let inspector = null;
+    let assignment = {};
+    let schedulingWarnings = [];
+    if (req.body.assignedInspectorId) {
+      inspector = await InspectorAssignment.loadInspector(req.body.assignedInspectorId, req.user);
+      assignment = await InspectorAssignment.assertAssignable(farm, inspector, {
+        user: req.user,
+        override: req.body.overrideAssignmentChecks === true,
+        reason: req.body.assignmentReason
+      });
+      schedulingWarnings = await InspectorAvailability.assertAvailable(inspector, req.body.scheduledDate, {
+        allowConflicts: req.body.allowSchedulingConflicts === true
+      });
+    }
+
+    // Pin the checklist template version the inspection starts with, so later edits don't rewrite it
+    const pinned = await ChecklistTemplate.resolveForNewInspection({
+      templateId: req.body.checklistTemplateId,
+      scope: req.body.scope
+    });
+    if (!pinned) {
+      return res.status(400).json({ error: 'Checklist template not found or archived' });
+    }
+    const { template, templateVersion, questions } = pinned;
+
+    const checklist = req.body.checklist || createAnswerMap(questions);
+    const { isValid, errors: checklistErrors } = validateChecklist(checklist, questions);
+    if (!isValid) {
+      return res.status(400).json({ errors: checklistErrors });
+    }
+
+    const scoring = scoreChecklist(checklist, questions);
 
     const inspectionData = {
-      ...req.body,
-      status: req.body.status || 'scheduled',
-      complianceScore,
-      checklist: req.body.checklist || {
-        syntheticInputs: null,
-        bufferZones: null,
-        organicSeed: null,
-        compostManagement: null,
-        recordKeeping: null
-      }
+      ...pickCreateFields(req.body),
+      // New inspections always enter the lifecycle as scheduled
+      status: 'scheduled',
+      complianceScore: scoring.score,
+      scoreBreakdown: scoring,
+      checklist,
+      checklistTemplateId: template ? template.id : null,
+      checklistTemplateVersionId: templateVersion ? templateVersion.id : null,
+      ...(inspector && { assignedInspectorId: inspector.id, inspectorName: inspector.name })
     };
 
-    const inspection = await db.Inspection.create(inspectionData);
+    const inspection = await dbConfig.withTransaction(async () => {
+      const created = await db.Inspection.create(inspectionData);
+      if (inspector) {
+        await InspectorAssignment.recordAssignment({ id: created.id }, inspector, {
+          user: req.user,
+          reason: req.body.assignmentReason,
+          overridden: assignment.overridden
+        });
+      }
+      return created;
+    });
+
     const mappedInspection = db.Inspection.mapFromDatabase(inspection);
-    res.status(201).json(mappedInspection);
+    res.status(201).json({
+      ...mappedInspection,
+      ...(schedulingWarnings.length > 0 && { schedulingWarnings })
+    });
   } catch (error) {
+    if (error instanceof AssignmentError || error instanceof SchedulingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error creating inspection:', error);
     res.status(500).json({ error: 'Failed to create inspection' });
   }
 });
 
+// Same access rule as viewing an inspection, with the admin bypass used by the workflow
+const loadManagedInspection = async (req, res) => {
+  if (!req.user.id) {
+    res.status(403).json({ error: 'User not found in database. Please register first.' });
+    return null;
+  }
+
+  const inspection = await db.findById('inspections', parseInt(req.params.id));
+  if (!inspection) {
+    res.status(404).json({ error: 'Inspection not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    const farm = await db.findById('farms', inspection.farm_id);
+    const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
+    if (!farmer || farmer.user_id !== req.user.id) {
+      res.status(403).json({ error: 'Access denied. You can only manage inspections for your farmers.' });
+      return null;
+    }
+  }
+
+  return inspection;
+};
+
+// Inspection properties PUT /:id changes directly, while the inspection is in an editable status. The status
+// goes through the workflow and the inspector through InspectorAssignment; scores, eligibility and violations
+// follow from the checklist.
+const EDITABLE_FIELDS = ['scheduledDate', 'inspectionDate', 'notes', 'checklist'];
+
 /**
  * @swagger
  * /api/inspections/{id}:
  *   put:
  *     summary: Update an inspection
- *     description: Update inspection details and status
+ *     description: Update inspection details. A status change is validated by the inspection lifecycle state machine (scheduled → in_progress → submitted → completed/failed, plus rescheduled, rejected and cancelled). Only the properties listed are changed; others are ignored. Details and checklist answers can only be changed while the inspection is scheduled, rescheduled, in progress or rejected; the score is always calculated from the checklist. A new date for a rescheduled inspection is recorded in its status history.
  *     tags: [Inspections]
  *     parameters:
  *       - in: path
@@ -382,8 +675,26 @@ router.post('/', authenticateToken, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["scheduled", "in_progress", "completed", "cancelled"]
- *                 description: Inspection status
+ *                 enum: ["scheduled", "rescheduled", "in_progress", "submitted", "completed", "failed", "rejected", "cancelled"]
+ *                 description: Target inspection status
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the status change (required for rejected, failed and cancelled)
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date
+ *                 description: New scheduled date (required for rescheduled). Checked against the assigned inspector's availability.
+ *               allowSchedulingConflicts:
+ *                 type: boolean
+ *                 description: Accept a date on which the assigned inspector is unavailable; the clashes are returned as schedulingWarnings
+ *               assignedInspectorId:
+ *                 type: integer
+ *                 description: Reassign the inspection; the inspector goes through the same conflict-of-interest, specialization and availability checks as POST /api/inspections/{id}/assign
+ *               overrideAssignmentChecks:
+ *                 type: boolean
+ *                 description: Admins only; assign despite failed assignment checks (assignmentReason required)
+ *               assignmentReason:
+ *                 type: string
  *               inspectionDate:
  *                 type: string
  *                 format: date
@@ -394,11 +705,6 @@ router.post('/', authenticateToken, async (req, res) => {
  *               checklist:
  *                 type: object
  *                 description: Updated checklist items
- *               score:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 100
- *                 description: Compliance score
  *     responses:
  *       200:
  *         description: Inspection updated successfully
@@ -406,133 +712,296 @@ router.post('/', authenticateToken, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Inspection'
+ *       400:
+ *         $ref: '#/components/responses/TransitionError'
+ *       403:
+ *         $ref: '#/components/responses/TransitionError'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/TransitionError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const inspection = await db.findById('inspections', parseInt(req.params.id));
-    if (!inspection) {
-      return res.status(404).json({ error: 'Inspection not found' });
-    }
+    const inspection = await loadManagedInspection(req, res);
+    if (!inspection) return;
 
-    let updateData = { ...req.body };
-    const oldStatus = inspection.status;
-    const newStatus = req.body.status;
+    const { status, reason, allowSchedulingConflicts, assignedInspectorId, overrideAssignmentChecks, assignmentReason } = req.body;
+    const changes = {};
+    EDITABLE_FIELDS.filter(key => req.body[key] !== undefined).forEach(key => {
+      changes[key] = req.body[key];
+    });
 
-    // Recalculate compliance score if checklist is updated
-    if (req.body.checklist) {
-      updateData.complianceScore = calculateComplianceScore(req.body.checklist);
-    }
+    const reassigning = assignedInspectorId !== undefined && assignedInspectorId !== null &&
+      parseInt(assignedInspectorId) !== inspection.assigned_inspector_id;
 
-    // Handle score field from frontend
-    if (req.body.score !== undefined) {
-      updateData.complianceScore = req.body.score;
-    }
+    const statusChanged = status !== undefined &&
+      InspectionWorkflow.normalizeStatus(status) !== InspectionWorkflow.normalizeStatus(inspection.status);
+    const editable = InspectionWorkflow.EDITABLE_STATUSES.includes(InspectionWorkflow.normalizeStatus(inspection.status));
 
-    // Set completion date when submitting
-    if (req.body.status === 'Submitted') {
-      updateData.completedDate = new Date().toISOString().split('T')[0];
+    // A transition may bring its own fields (a reason, a new date), but answers never change after submission
+    if (!editable && (changes.checklist !== undefined || (!statusChanged && Object.keys(changes).length > 0))) {
+      return res.status(409).json({ error: `A ${inspection.status} inspection can no longer be edited` });
     }
 
-    const updatedInspection = await Inspection.update(parseInt(req.params.id), updateData);
-
-    // Automatic certificate generation for high-scoring completed inspections
-    let certificateGenerated = false;
-    let generatedCertificate = null;
-
-    if (req.body.status === 'completed' && (req.body.score >= 80 || updateData.complianceScore >= 80)) {
-      try {
-        // Check if certificate already exists for this farm
-        const existingCertificates = await db.query('SELECT * FROM certificates WHERE farm_id = ? AND status = "active"', [inspection.farm_id]);
-
-        if (existingCertificates.length === 0) {
-          // Get farm and farmer data
-          const farm = await db.findById('farms', inspection.farm_id);
-          const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
-
-          if (farm && farmer) {
-            const certificateNo = generateCertificateNumber();
-            const issueDate = new Date().toISOString().split('T')[0];
-            const expiryDate = calculateExpiryDate(issueDate);
-
-            // Generate PDF certificate
-            const pdfResult = await generateCertificatePDF({
-              farmer,
-              farm,
-              inspection: updatedInspection,
-              certificateNo,
-              issueDate,
-              expiryDate
-            });
-
-            const certificateData = {
-              farmId: inspection.farm_id,
-              issueDate: issueDate,
-              expiryDate: expiryDate,
-              status: 'active',
-              certificationBody: 'Kenya Organic Agriculture Network',
-              scope: 'Organic crop production'
-            };
+    const dateChanged = changes.scheduledDate !== undefined &&
+      InspectorAvailability.toDay(changes.scheduledDate) !== InspectorAvailability.toDay(inspection.scheduled_date);
+    // Moving a rescheduled inspection again is another rescheduling, recorded in its history
+    const rescheduledAgain = !statusChanged && dateChanged &&
+      InspectionWorkflow.normalizeStatus(inspection.status) === 'rescheduled';
+
+    // A new inspector is checked against the new date when they are assigned, below
+    let schedulingWarnings = [];
+    if (!reassigning && dateChanged && inspection.assigned_inspector_id) {
+      const inspector = await db.Inspector.findById(inspection.assigned_inspector_id);
+      schedulingWarnings = await InspectorAvailability.assertAvailable(inspector, changes.scheduledDate, {
+        allowConflicts: allowSchedulingConflicts === true,
+        excludeInspectionId: inspection.id
+      });
+    }
 
-            generatedCertificate = await Certificate.create(certificateData);
-            certificateGenerated = true;
+    // Recalculate compliance score if checklist is updated
+    if (changes.checklist) {
+      const questions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST;
+      const { isValid, errors } = validateChecklist(changes.checklist, questions);
+      if (!isValid) {
+        return res.status(400).json({ errors });
+      }
+      const scoring = scoreChecklist(changes.checklist, questions);
+      changes.complianceScore = scoring.score;
+      changes.scoreBreakdown = scoring;
+    }
 
-            console.log(`Certificate automatically generated for inspection ${req.params.id} with score ${req.body.score || updateData.complianceScore}`);
+    const result = await dbConfig.withTransaction(async () => {
+      if (reassigning) {
+        const assignment = await InspectorAssignment.assign(
+          { ...inspection, scheduled_date: changes.scheduledDate || inspection.scheduled_date },
+          assignedInspectorId,
+          {
+            user: req.user,
+            override: overrideAssignmentChecks === true,
+            reason: assignmentReason,
+            allowConflicts: allowSchedulingConflicts === true
           }
-        }
-      } catch (certError) {
-        console.warn('Failed to auto-generate certificate:', certError);
-        // Don't fail the inspection update if certificate generation fails
+        );
+        schedulingWarnings = assignment.schedulingWarnings || [];
       }
-    }
 
-    // Track status history if status changed
-    if (newStatus && oldStatus !== newStatus) {
-      try {
-        await db.query(`
-          INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, timestamp)
-          VALUES (?, ?, ?, ?, ?, ?)
-        `, [
-          'inspections',
-          parseInt(req.params.id),
-          'UPDATE',
-          JSON.stringify({ status: oldStatus }),
-          JSON.stringify({ status: newStatus, reason: req.body.reason || 'Status change via system' }),
-          new Date()
-        ]);
-      } catch (auditError) {
-        console.warn('Failed to log status change:', auditError);
+      // Status changes are only allowed through the inspection lifecycle state machine
+      if (statusChanged || rescheduledAgain) {
+        return await InspectionWorkflow.transition(inspection, statusChanged ? status : 'rescheduled', {
+          user: req.user,
+          changes,
+          reason
+        });
       }
-    }
+      return { inspection: await Inspection.update(inspection.id, changes) };
+    });
 
-    const mappedInspection = db.mapFieldsFromDatabase(updatedInspection);
+    const mappedInspection = db.mapFieldsFromDatabase(result.inspection);
 
     // Include certificate information in response if one was generated
     const response = {
       ...mappedInspection,
-      ...(certificateGenerated && {
+      allowedTransitions: InspectionWorkflow.getAllowedTransitions(result.inspection.status),
+      ...(result.certificateGenerated && {
         certificateGenerated: true,
-        certificate: db.mapFieldsFromDatabase(generatedCertificate),
+        certificate: db.mapFieldsFromDatabase(result.certificate),
         message: 'Inspection completed and certificate automatically generated!'
-      })
+      }),
+      ...(result.nonConformities && result.nonConformities.length > 0 && {
+        nonConformitiesRaised: result.nonConformities.map(item => NonConformity.mapFromDatabase(item))
+      }),
+      ...(schedulingWarnings.length > 0 && { schedulingWarnings })
     };
 
     res.json(response);
   } catch (error) {
+    if (error instanceof InspectionTransitionError || error instanceof CertificateIssuanceError ||
+        error instanceof SchedulingError || error instanceof AssignmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error updating inspection:', error);
     res.status(500).json({ error: 'Failed to update inspection' });
   }
 });
 
+/**
+ * @swagger
+ * /api/inspections/{id}/inspector-candidates:
+ *   get:
+ *     summary: List inspectors who could take an inspection
+ *     description: |
+ *       Active inspectors managed by the current user, each with the result of the conflict-of-interest and
+ *       specialization checks against the inspection's farm and their availability on its scheduled date. Eligible inspectors come first, least loaded first.
+ *       An inspector who concluded the farm's last INSPECTOR_MAX_CONSECUTIVE_CYCLES inspections (default 3) is in conflict.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *     responses:
+ *       200:
+ *         description: Candidate inspectors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   inspector:
+ *                     $ref: '#/components/schemas/Inspector'
+ *                   eligible:
+ *                     type: boolean
+ *                   specializationMatch:
+ *                     type: boolean
+ *                   available:
+ *                     type: boolean
+ *                     description: Working, not on leave and below the daily maximum on the scheduled date
+ *                   conflicts:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   schedulingConflicts:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   consecutiveCycles:
+ *                     type: integer
+ *                   openAssignments:
+ *                     type: integer
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/inspector-candidates', authenticateToken, async (req, res) => {
+  try {
+    const inspection = await loadManagedInspection(req, res);
+    if (!inspection) return;
+
+    const candidates = await InspectorAssignment.candidates(inspection, req.user);
+    res.json(candidates);
+  } catch (error) {
+    console.error('Error fetching inspector candidates:', error);
+    res.status(500).json({ error: 'Failed to fetch inspector candidates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspections/{id}/assign:
+ *   post:
+ *     summary: Assign an inspector to an inspection
+ *     description: |
+ *       Link an inspector record to a scheduled, rescheduled or in-progress inspection. The inspector must be active,
+ *       have no conflict of interest with the farm and specialize in the farm's certification scope (or the scope is general).
+ *       Admins can override failed checks by giving a reason. Assignments are recorded in the audit log.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inspectorId
+ *             properties:
+ *               inspectorId:
+ *                 type: integer
+ *                 description: Inspector record ID
+ *               override:
+ *                 type: boolean
+ *                 description: Admin only - assign despite failed checks
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the assignment (required with override)
+ *               allowSchedulingConflicts:
+ *                 type: boolean
+ *                 description: Assign even if the inspector is unavailable on the scheduled date
+ *     responses:
+ *       200:
+ *         description: Inspector assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 inspection:
+ *                   $ref: '#/components/schemas/Inspection'
+ *                 overridden:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 schedulingWarnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing inspectorId or override reason
+ *       403:
+ *         description: Access denied or override by a non-admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Inspector failed the assignment checks, is unavailable on the scheduled date, or the inspection is closed
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/assign', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.inspectorId) {
+      return res.status(400).json({ errors: ['inspectorId is required'] });
+    }
+
+    const inspection = await loadManagedInspection(req, res);
+    if (!inspection) return;
+
+    const result = await InspectorAssignment.assign(inspection, req.body.inspectorId, {
+      user: req.user,
+      override: req.body.override === true,
+      reason: req.body.reason,
+      allowConflicts: req.body.allowSchedulingConflicts === true
+    });
+
+    res.json({
+      message: result.unchanged ? 'Inspector already assigned' : 'Inspector assigned successfully',
+      inspection: db.Inspection.mapFromDatabase(result.inspection),
+      overridden: result.overridden || [],
+      schedulingWarnings: result.schedulingWarnings || []
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError || error instanceof SchedulingError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error assigning inspector:', error);
+    res.status(500).json({ error: 'Failed to assign inspector' });
+  }
+});
+
 /**
  * @swagger
  * /api/inspections/{id}/approve:
  *   post:
  *     summary: Approve inspection and generate certificate
- *     description: Approve a submitted inspection and automatically generate a certificate
+ *     description: Move a submitted inspection to completed and issue a certificate. The checklist must be fully answered, the compliance score must meet the certification threshold and the farm must have no open critical or major non-conformities.
  *     tags: [Inspections]
  *     parameters:
  *       - in: path
@@ -565,17 +1034,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
  *                 certificate:
  *                   $ref: '#/components/schemas/Certificate'
  *       400:
- *         description: Bad request - inspection cannot be approved
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Only submitted inspections can be approved"
+ *         $ref: '#/components/responses/TransitionError'
+ *       403:
+ *         $ref: '#/components/responses/TransitionError'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/TransitionError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -586,21 +1051,6 @@ router.post('/:id/approve', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Inspection not found' });
     }
 
-    if (inspection.status.toLowerCase() !== 'completed') {
-      return res.status(400).json({ error: 'Only completed inspections can be approved for certification' });
-    }
-
-    const score = inspection.score || inspection.compliance_score;
-    if (!isEligibleForCertification(score)) {
-      return res.status(400).json({
-        error: `Cannot approve: Compliance score is ${score}%. Minimum required is 80%`
-      });
-    }
-
-    // Keep the inspection status as 'completed' - no need to change it
-    // await db.update('inspections', parseInt(req.params.id), { status: 'approved' });
-
-    // Get farm and farmer data
     const farm = await db.findById('farms', inspection.farm_id);
     const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
 
@@ -608,33 +1058,26 @@ router.post('/:id/approve', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Farm or farmer data not found' });
     }
 
-    const certificateNo = generateCertificateNumber();
-    const issueDate = new Date().toISOString().split('T')[0];
-    const expiryDate = calculateExpiryDate(issueDate);
-
-    const certificateData = {
-      farmId: inspection.farm_id,
-      issueDate: issueDate,
-      expiryDate: expiryDate,
-      status: 'active',
-      certificationBody: 'Kenya Organic Agriculture Network',
-      scope: 'Organic crop production'
-    };
-
-    // Generate PDF certificate using PDFService
-    const pdfBuffer = await PDFService.generateCertificatePDF(certificateData, farm, farmer);
+    const { certificate } = await InspectionWorkflow.transition(inspection, 'completed', {
+      user: req.user,
+      reason: req.body.reason || 'Inspection approved for certification'
+    });
 
-    // Save certificate to database using Certificate model
-    const certificate = await Certificate.create(certificateData);
+    // Send the archived PDF; a farm that already held a certificate gets its current version
+    const document = await CertificateArchiveService.ensureArchived(certificate, { userId: req.user.id });
+    const pdfBuffer = await CertificateArchiveService.read(document);
 
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificateNo}.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificate_number}.pdf"`);
     res.setHeader('Content-Length', pdfBuffer.length);
 
     // Send the PDF buffer directly
     res.send(pdfBuffer);
   } catch (error) {
+    if (error instanceof InspectionTransitionError || error instanceof CertificateIssuanceError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Certificate generation error:', error);
     res.status(500).json({ error: 'Failed to approve inspection and generate certificate' });
   }
@@ -681,17 +1124,13 @@ router.post('/:id/approve', authenticateToken, async (req, res) => {
  *                 inspection:
  *                   $ref: '#/components/schemas/Inspection'
  *       400:
- *         description: Bad request - inspection cannot be rejected
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Only submitted inspections can be rejected"
+ *         $ref: '#/components/responses/TransitionError'
+ *       403:
+ *         $ref: '#/components/responses/TransitionError'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/TransitionError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -702,13 +1141,9 @@ router.post('/:id/reject', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Inspection not found' });
     }
 
-    if (inspection.status.toLowerCase() !== 'submitted') {
-      return res.status(400).json({ error: 'Only submitted inspections can be rejected' });
-    }
-
-    const updatedInspection = await db.update('inspections', parseInt(req.params.id), {
-      status: 'rejected',
-      notes: req.body.reason || inspection.notes
+    const { inspection: updatedInspection } = await InspectionWorkflow.transition(inspection, 'rejected', {
+      user: req.user,
+      reason: req.body.reason
     });
 
     const mappedInspection = db.mapFieldsFromDatabase(updatedInspection);
@@ -718,11 +1153,105 @@ router.post('/:id/reject', authenticateToken, async (req, res) => {
       inspection: mappedInspection
     });
   } catch (error) {
+    if (error instanceof InspectionTransitionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error rejecting inspection:', error);
     res.status(500).json({ error: 'Failed to reject inspection' });
   }
 });
 
+/**
+ * @swagger
+ * /api/inspections/{id}/score:
+ *   get:
+ *     summary: Get inspection compliance score breakdown
+ *     description: Score the inspection checklist against the questions it was started with. Returns the weighted score, a breakdown per category, failures classified as critical, major or minor, and whether the result is eligible for certification.
+ *     tags: [Inspections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspection ID
+ *     responses:
+ *       200:
+ *         description: Score breakdown calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 score:
+ *                   type: integer
+ *                   example: 85
+ *                 categories:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       score:
+ *                         type: integer
+ *                       compliant:
+ *                         type: integer
+ *                       nonCompliant:
+ *                         type: integer
+ *                       notApplicable:
+ *                         type: integer
+ *                       unanswered:
+ *                         type: integer
+ *                 failures:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 criticalFailures:
+ *                   type: integer
+ *                 majorFailures:
+ *                   type: integer
+ *                 minorFailures:
+ *                   type: integer
+ *                 eligible:
+ *                   type: boolean
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/score', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const inspection = await db.findById('inspections', parseInt(req.params.id));
+    if (!inspection) {
+      return res.status(404).json({ error: 'Inspection not found' });
+    }
+
+    const farm = await db.findById('farms', inspection.farm_id);
+    const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
+
+    if (!farmer || farmer.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied. You can only view inspections for your farmers.' });
+    }
+
+    const questions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST;
+    const { checklist } = Inspection.mapFromDatabase(inspection);
+
+    res.json(scoreChecklist(checklist, questions));
+  } catch (error) {
+    console.error('Error scoring inspection:', error);
+    res.status(500).json({ error: 'Failed to score inspection' });
+  }
+});
+
 /**
  * @swagger
  * /api/inspections/{id}/history:
@@ -817,7 +1346,7 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
  * /api/inspections/{id}:
  *   delete:
  *     summary: Delete inspection
- *     description: Delete an inspection and any associated certificates
+ *     description: Delete an inspection with its evidence. Certificates issued for the farm are kept, with their archived PDFs.
  *     tags: [Inspections]
  *     parameters:
  *       - in: path
@@ -837,6 +1366,8 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Inspection deleted successfully"
+ *       403:
+ *         description: Access denied
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
@@ -844,19 +1375,17 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
  */
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    // Check if inspection exists first
-    const inspection = await db.findById('inspections', parseInt(req.params.id));
-    if (!inspection) {
-      return res.status(404).json({ error: 'Inspection not found' });
-    }
-
-    // Delete any associated certificates
-    const certificates = await db.findBy('certificates', { farm_id: inspection.farm_id });
-    for (const certificate of certificates) {
-      await db.delete('certificates', certificate.id);
-    }
-
-    await db.delete('inspections', parseInt(req.params.id));
+    const inspection = await loadManagedInspection(req, res);
+    if (!inspection) return;
+
+    await dbConfig.withTransaction(async () => {
+      await SyncTombstone.recordInspection(inspection.id);
+      // db.delete reports failure as false; the evidence files are only removed once the rows are gone
+      if (!await db.delete('inspections', inspection.id)) {
+        throw new Error(`Inspection ${inspection.id} could not be deleted`);
+      }
+    });
+    await AttachmentService.removeInspectionFiles(inspection.id);
     res.json({ message: 'Inspection deleted successfully' });
   } catch (error) {
     console.error('Error deleting inspection:', error);
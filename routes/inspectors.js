@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models');
 const { authenticateToken } = require('../middleware/auth');
+const InspectorAssignment = require('../services/inspectorAssignment');
+const { AssignmentError } = InspectorAssignment;
+const InspectorAvailability = require('../services/inspectorAvailability');
+const ItineraryService = require('../services/itineraryService');
+const { isValidCoordinate } = require('../utils/geo');
+const { validateInspectorAvailability, validateInspectorLeave } = require('../utils/validation');
 
 /**
  * @swagger
@@ -43,6 +49,16 @@ const { authenticateToken } = require('../middleware/auth');
  *           type: string
  *           enum: [active, inactive]
  *           description: Inspector's current status
+ *         workingDays:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [mon, tue, wed, thu, fri, sat, sun]
+ *           description: Days the inspector works (defaults to Monday-Friday)
+ *         maxInspectionsPerDay:
+ *           type: integer
+ *           description: Maximum inspections the inspector can take on one day
+ *           default: 2
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -113,18 +129,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const [{ total }] = await db.query(countQuery, params.slice(0, status ? 2 : 1));
 
     // Map database fields to frontend format
-    const mappedInspectors = inspectors.map(inspector => ({
-      id: inspector.id,
-      name: inspector.name,
-      email: inspector.email,
-      phone: inspector.phone,
-      specialization: inspector.specialization,
-      qualifications: inspector.qualifications,
-      experience: inspector.experience,
-      status: inspector.status,
-      createdAt: inspector.created_at,
-      updatedAt: inspector.updated_at
-    }));
+    const mappedInspectors = inspectors.map(inspector => db.Inspector.mapFromDatabase(inspector));
 
     res.json({
       data: mappedInspectors,
@@ -236,18 +241,7 @@ router.post('/', authenticateToken, async (req, res) => {
     );
 
     // Map to frontend format
-    const mappedInspector = {
-      id: newInspector.id,
-      name: newInspector.name,
-      email: newInspector.email,
-      phone: newInspector.phone,
-      specialization: newInspector.specialization,
-      qualifications: newInspector.qualifications,
-      experience: newInspector.experience,
-      status: newInspector.status,
-      createdAt: newInspector.created_at,
-      updatedAt: newInspector.updated_at
-    };
+    const mappedInspector = db.Inspector.mapFromDatabase(newInspector);
 
     res.status(201).json(mappedInspector);
   } catch (error) {
@@ -297,18 +291,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Map to frontend format
-    const mappedInspector = {
-      id: inspector.id,
-      name: inspector.name,
-      email: inspector.email,
-      phone: inspector.phone,
-      specialization: inspector.specialization,
-      qualifications: inspector.qualifications,
-      experience: inspector.experience,
-      status: inspector.status,
-      createdAt: inspector.created_at,
-      updatedAt: inspector.updated_at
-    };
+    const mappedInspector = db.Inspector.mapFromDatabase(inspector);
 
     res.json(mappedInspector);
   } catch (error) {
@@ -357,6 +340,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *         description: Inspector updated successfully
  *       404:
  *         description: Inspector not found
+ *       409:
+ *         description: Inspector still has open inspections; use the deactivate endpoint to reassign them
  *       500:
  *         description: Internal server error
  */
@@ -380,6 +365,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Inspector not found' });
     }
 
+    if (updates.status === 'inactive') {
+      const openAssignments = await db.Inspector.findOpenAssignments(existingInspector.id);
+      if (openAssignments.length > 0) {
+        return res.status(409).json({
+          error: `Inspector has ${openAssignments.length} open inspection(s). Use POST /api/inspectors/${id}/deactivate to reassign them.`,
+          inspectionIds: openAssignments.map(inspection => inspection.id)
+        });
+      }
+    }
+
     // Build dynamic update query
     const allowedFields = ['name', 'email', 'phone', 'specialization', 'qualifications', 'experience', 'status'];
     const updateFields = [];
@@ -414,18 +409,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     );
 
     // Map to frontend format
-    const mappedInspector = {
-      id: updatedInspector.id,
-      name: updatedInspector.name,
-      email: updatedInspector.email,
-      phone: updatedInspector.phone,
-      specialization: updatedInspector.specialization,
-      qualifications: updatedInspector.qualifications,
-      experience: updatedInspector.experience,
-      status: updatedInspector.status,
-      createdAt: updatedInspector.created_at,
-      updatedAt: updatedInspector.updated_at
-    };
+    const mappedInspector = db.Inspector.mapFromDatabase(updatedInspector);
 
     res.json(mappedInspector);
   } catch (error) {
@@ -475,13 +459,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Inspector not found' });
     }
 
-    // Check if inspector has any active inspections
-    const [activeInspections] = await db.query(
-      'SELECT COUNT(*) as count FROM inspections WHERE inspector_name = (SELECT name FROM inspectors WHERE id = ?) AND status IN ("scheduled", "in_progress")',
-      [id]
-    );
+    // Check if inspector has any open inspections assigned
+    const openAssignments = await db.Inspector.findOpenAssignments(existingInspector.id);
 
-    if (activeInspections.count > 0) {
+    if (openAssignments.length > 0) {
       return res.status(400).json({
         error: 'Cannot delete inspector with active inspections. Please reassign or complete existing inspections first.'
       });
@@ -496,4 +477,807 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+const loadOwnInspector = async (req, res) => {
+  if (!req.user.id) {
+    res.status(403).json({ error: 'User not found in database. Please register first.' });
+    return null;
+  }
+
+  const [inspector] = await db.query(
+    'SELECT * FROM inspectors WHERE id = ? AND user_id = ?',
+    [req.params.id, req.user.id]
+  );
+
+  if (!inspector) {
+    res.status(404).json({ error: 'Inspector not found' });
+    return null;
+  }
+
+  return inspector;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReassignmentResult:
+ *       type: object
+ *       properties:
+ *         reassigned:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               inspectionId:
+ *                 type: integer
+ *               inspectorId:
+ *                 type: integer
+ *               inspectorName:
+ *                 type: string
+ *         failed:
+ *           type: array
+ *           description: Inspections left with the original inspector
+ *           items:
+ *             type: object
+ *             properties:
+ *               inspectionId:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/reassign:
+ *   post:
+ *     summary: Reassign an inspector's open inspections
+ *     description: |
+ *       Move scheduled, rescheduled and in-progress inspections from this inspector to another one. Without
+ *       toInspectorId each inspection goes to the least loaded eligible inspector. Every move runs the
+ *       conflict-of-interest and specialization checks; inspections that fail them stay where they are.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               toInspectorId:
+ *                 type: integer
+ *                 description: Inspector to receive the inspections
+ *               inspectionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Only move these inspections (defaults to all open ones)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reassignment results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReassignmentResult'
+ *       400:
+ *         description: Invalid target inspector
+ *       404:
+ *         description: Inspector not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/reassign', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const { toInspectorId, inspectionIds, reason } = req.body;
+    if (toInspectorId && parseInt(toInspectorId) === inspector.id) {
+      return res.status(400).json({ error: 'Cannot reassign inspections to the same inspector' });
+    }
+    if (inspectionIds !== undefined && !Array.isArray(inspectionIds)) {
+      return res.status(400).json({ error: 'inspectionIds must be an array' });
+    }
+
+    const result = await InspectorAssignment.reassignAll(inspector, {
+      user: req.user,
+      toInspectorId,
+      inspectionIds,
+      reason
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error reassigning inspections:', error);
+    res.status(500).json({ error: 'Failed to reassign inspections' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate an inspector
+ *     description: |
+ *       Reassign all of the inspector's open inspections (to toInspectorId, or automatically) and mark the
+ *       inspector inactive. If any inspection cannot be reassigned the inspector stays active and the
+ *       results are returned with a 409 so the remaining ones can be handled first.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               toInspectorId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 example: "Inspector on extended leave"
+ *     responses:
+ *       200:
+ *         description: Inspector deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ReassignmentResult'
+ *                 - type: object
+ *                   properties:
+ *                     inspector:
+ *                       $ref: '#/components/schemas/Inspector'
+ *       404:
+ *         description: Inspector not found
+ *       409:
+ *         description: Some inspections could not be reassigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReassignmentResult'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/deactivate', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    if (req.body.toInspectorId && parseInt(req.body.toInspectorId) === inspector.id) {
+      return res.status(400).json({ error: 'Cannot reassign inspections to the same inspector' });
+    }
+
+    const { reassigned, failed } = await InspectorAssignment.reassignAll(inspector, {
+      user: req.user,
+      toInspectorId: req.body.toInspectorId,
+      reason: req.body.reason || `${inspector.name} deactivated`
+    });
+
+    if (failed.length > 0) {
+      return res.status(409).json({
+        error: `${failed.length} inspection(s) could not be reassigned; inspector left active`,
+        reassigned,
+        failed
+      });
+    }
+
+    const updatedInspector = await db.Inspector.setStatus(inspector.id, 'inactive');
+
+    res.json({
+      inspector: db.Inspector.mapFromDatabase(updatedInspector),
+      reassigned,
+      failed
+    });
+  } catch (error) {
+    if (error instanceof AssignmentError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error deactivating inspector:', error);
+    res.status(500).json({ error: 'Failed to deactivate inspector' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/availability:
+ *   get:
+ *     summary: Get an inspector's availability calendar
+ *     description: Day-by-day working days, leave and bookings against the daily maximum. Only open inspections (scheduled, rescheduled, in progress) count as bookings.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to four weeks after from, at most 92 days)
+ *     responses:
+ *       200:
+ *         description: Availability calendar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inspector:
+ *                   $ref: '#/components/schemas/Inspector'
+ *                 leave:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InspectorLeave'
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       workingDay:
+ *                         type: boolean
+ *                       onLeave:
+ *                         type: boolean
+ *                       booked:
+ *                         type: integer
+ *                       capacity:
+ *                         type: integer
+ *                       available:
+ *                         type: boolean
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Inspector not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/availability', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const from = req.query.from || InspectorAvailability.today();
+    const to = req.query.to || InspectorAvailability.addDays(from, 27);
+
+    if (!InspectorAvailability.isValidDay(from) || !InspectorAvailability.isValidDay(to)) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    const span = InspectorAvailability.daysBetween(from, to);
+    if (span < 0 || span >= InspectorAvailability.MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `to must be on or after from and within ${InspectorAvailability.MAX_RANGE_DAYS} days` });
+    }
+
+    const calendar = await InspectorAvailability.getCalendar(inspector, from, to);
+    res.json(calendar);
+  } catch (error) {
+    console.error('Error fetching inspector availability:', error);
+    res.status(500).json({ error: 'Failed to fetch inspector availability' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/availability:
+ *   put:
+ *     summary: Update an inspector's working days and daily maximum
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workingDays:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [mon, tue, wed, thu, fri, sat, sun]
+ *                 example: ["mon", "tue", "wed", "thu", "fri", "sat"]
+ *               maxInspectionsPerDay:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Inspector updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inspector'
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Inspector not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/availability', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const errors = validateInspectorAvailability(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const updatedInspector = await db.Inspector.updateAvailability(inspector.id, {
+      workingDays: req.body.workingDays,
+      maxInspectionsPerDay: req.body.maxInspectionsPerDay
+    });
+
+    res.json(db.Inspector.mapFromDatabase(updatedInspector));
+  } catch (error) {
+    console.error('Error updating inspector availability:', error);
+    res.status(500).json({ error: 'Failed to update inspector availability' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InspectorLeave:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         inspectorId:
+ *           type: integer
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day of leave (inclusive)
+ *         reason:
+ *           type: string
+ *         createdBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/leave:
+ *   post:
+ *     summary: Record a leave period
+ *     description: Inspections already scheduled during the leave are not moved; they are returned as affectedInspections so they can be reassigned.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *                 example: "Annual leave"
+ *     responses:
+ *       201:
+ *         description: Leave recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 leave:
+ *                   $ref: '#/components/schemas/InspectorLeave'
+ *                 affectedInspections:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Inspector not found
+ *       409:
+ *         description: Overlaps an existing leave period
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/leave', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const errors = validateInspectorLeave(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { startDate, endDate, reason } = req.body;
+
+    const overlapping = await db.Inspector.findLeave(inspector.id, { from: startDate, to: endDate });
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: `Overlaps leave from ${overlapping[0].start_date} to ${overlapping[0].end_date}`
+      });
+    }
+
+    const leave = await db.Inspector.addLeave(inspector.id, {
+      startDate,
+      endDate,
+      reason,
+      createdBy: req.user.id
+    });
+
+    const bookings = await db.Inspector.findOpenAssignments(inspector.id);
+    const affectedInspections = bookings
+      .filter(inspection => {
+        const day = InspectorAvailability.toDay(inspection.scheduled_date);
+        return day >= startDate && day <= endDate;
+      })
+      .map(inspection => inspection.id);
+
+    res.status(201).json({
+      leave: db.Inspector.mapLeaveFromDatabase(leave),
+      affectedInspections
+    });
+  } catch (error) {
+    console.error('Error recording inspector leave:', error);
+    res.status(500).json({ error: 'Failed to record inspector leave' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/leave/{leaveId}:
+ *   delete:
+ *     summary: Remove a leave period
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave removed
+ *       404:
+ *         description: Inspector or leave not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/leave/:leaveId', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const leave = await db.Inspector.findLeaveById(parseInt(req.params.leaveId));
+    if (!leave || leave.inspector_id !== inspector.id) {
+      return res.status(404).json({ error: 'Leave not found' });
+    }
+
+    await db.Inspector.deleteLeave(leave.id);
+    res.json({ message: 'Leave removed successfully' });
+  } catch (error) {
+    console.error('Error removing inspector leave:', error);
+    res.status(500).json({ error: 'Failed to remove inspector leave' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/calendar-token:
+ *   post:
+ *     summary: Create or rotate the inspector's calendar feed link
+ *     description: Returns a secret .ics URL to subscribe to from a phone calendar. Calling this again invalidates the previous link.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *     responses:
+ *       200:
+ *         description: Feed link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedUrl:
+ *                   type: string
+ *                   example: "https://api.example.com/api/inspectors/4/calendar.ics?token=9f2c..."
+ *       404:
+ *         description: Inspector not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/calendar-token', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const token = InspectorAvailability.generateCalendarToken();
+    await db.Inspector.setCalendarToken(inspector.id, token);
+
+    res.json({
+      feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/${inspector.id}/calendar.ics?token=${token}`
+    });
+  } catch (error) {
+    console.error('Error creating calendar token:', error);
+    res.status(500).json({ error: 'Failed to create calendar link' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/calendar.ics:
+ *   get:
+ *     summary: Inspector schedule as an iCalendar feed
+ *     description: |
+ *       All-day events for the inspector's inspections (90 days back to a year ahead) and leave periods.
+ *       Calendar apps cannot send a login token, so this endpoint is authorised by the secret token
+ *       from POST /api/inspectors/{id}/calendar-token instead.
+ *     tags: [Inspectors]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown inspector or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const inspector = await db.Inspector.findById(parseInt(req.params.id));
+    if (!InspectorAvailability.isValidCalendarToken(inspector, req.query.token)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const feed = await InspectorAvailability.buildFeed(inspector);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="inspector-${inspector.id}.ics"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(feed);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inspectors/{id}/itinerary:
+ *   get:
+ *     summary: Propose a route-optimised itinerary
+ *     description: |
+ *       Groups the inspector's open inspections scheduled in the date range by proximity (using the farmer's
+ *       coordinates) and orders each day's visits to keep travel short. Days the inspector does not work or is on
+ *       leave are skipped and each day holds at most maxInspectionsPerDay visits. Distances are straight-line
+ *       (haversine) kilometres; estimatedRoadKm applies ITINERARY_ROAD_FACTOR (default 1.3). No external routing
+ *       service is used and nothing is rescheduled. Use format=geojson for a FeatureCollection of the routes and visits.
+ *     tags: [Inspectors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Inspector ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (at most 31 days after from)
+ *       - in: query
+ *         name: startLatitude
+ *         schema:
+ *           type: number
+ *         description: Where each day starts and ends, e.g. the inspector's office
+ *       - in: query
+ *         name: startLongitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Proposed itinerary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       visits:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             order:
+ *                               type: integer
+ *                             inspectionId:
+ *                               type: integer
+ *                             scheduledDate:
+ *                               type: string
+ *                               format: date
+ *                             farmName:
+ *                               type: string
+ *                             latitude:
+ *                               type: number
+ *                             longitude:
+ *                               type: number
+ *                             legKm:
+ *                               type: number
+ *                       distanceKm:
+ *                         type: number
+ *                       estimatedRoadKm:
+ *                         type: number
+ *                 totalDistanceKm:
+ *                   type: number
+ *                 totalEstimatedRoadKm:
+ *                   type: number
+ *                 unscheduled:
+ *                   type: array
+ *                   description: Inspections that could not be planned, with the reason
+ *                   items:
+ *                     type: object
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: GeoJSON FeatureCollection
+ *       400:
+ *         description: Invalid date range or start point
+ *       404:
+ *         description: Inspector not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/itinerary', authenticateToken, async (req, res) => {
+  try {
+    const inspector = await loadOwnInspector(req, res);
+    if (!inspector) return;
+
+    const { from, to, startLatitude, startLongitude, format = 'json' } = req.query;
+    const errors = [];
+
+    if (!InspectorAvailability.isValidDay(from) || !InspectorAvailability.isValidDay(to)) {
+      errors.push('from and to must be dates (YYYY-MM-DD)');
+    } else {
+      const span = InspectorAvailability.daysBetween(from, to);
+      if (span < 0 || span >= ItineraryService.MAX_RANGE_DAYS) {
+        errors.push(`to must be on or after from and within ${ItineraryService.MAX_RANGE_DAYS} days`);
+      }
+    }
+
+    let origin;
+    if (startLatitude !== undefined || startLongitude !== undefined) {
+      origin = { latitude: parseFloat(startLatitude), longitude: parseFloat(startLongitude) };
+      if (!isValidCoordinate(origin.latitude, origin.longitude)) {
+        errors.push('startLatitude and startLongitude must be valid coordinates and given together');
+      }
+    }
+
+    if (!['json', 'geojson'].includes(format)) {
+      errors.push('format must be json or geojson');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const itinerary = await ItineraryService.plan(inspector, { from, to, origin });
+
+    if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', `attachment; filename="itinerary-${inspector.id}-${from}-${to}.geojson"`);
+      return res.send(JSON.stringify(ItineraryService.toGeoJSON(itinerary)));
+    }
+
+    res.json(itinerary);
+  } catch (error) {
+    console.error('Error planning itinerary:', error);
+    res.status(500).json({ error: 'Failed to plan itinerary' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
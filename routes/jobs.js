@@ -0,0 +1,352 @@
+const express = require('express');
+const router = express.Router();
+const { JobRun, Notification } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const JobScheduler = require('../services/jobScheduler');
+const { JobError } = JobScheduler;
+
+const MAX_LIMIT = 200;
+
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can manage background jobs' });
+  }
+  next();
+};
+
+const parseLimit = (value, fallback) => Math.min(parseInt(value) || fallback, MAX_LIMIT);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         jobName:
+ *           type: string
+ *           enum: [certificate-expiry, renewal-reminders, certificate-archive]
+ *         runKey:
+ *           type: string
+ *           description: Day of a scheduled run (YYYY-MM-DD), or manual:<timestamp>
+ *           example: "2026-10-19"
+ *         status:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *         triggeredBy:
+ *           type: string
+ *           enum: [scheduler, manual]
+ *         attempts:
+ *           type: integer
+ *         summary:
+ *           type: object
+ *           nullable: true
+ *           description: Outcome reported by the job
+ *           example: { "expired": 2, "certificateNumbers": ["ORG-2025-014", "ORG-2025-020"], "farmsUpdated": 2 }
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedBy:
+ *           type: integer
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *           nullable: true
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           example: certificate_renewal_reminder
+ *         userId:
+ *           type: integer
+ *           description: User managing the farmer
+ *         farmerId:
+ *           type: integer
+ *         certificateId:
+ *           type: integer
+ *         leadDays:
+ *           type: integer
+ *           example: 60
+ *         recipientEmail:
+ *           type: string
+ *         recipientPhone:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         message:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, sent, failed]
+ *         jobRunId:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: |
+ *       Admin only. The daily jobs with their run time and latest run. Each job runs once a day after its run time;
+ *       a server that was down at that time runs it on its first check after starting, and a failed run is retried.
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedulerEnabled:
+ *                   type: boolean
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       runAt:
+ *                         type: string
+ *                         example: "00:30"
+ *                       lastRun:
+ *                         $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const latest = await JobRun.findLatest();
+
+    res.json({
+      schedulerEnabled: JobScheduler.ENABLED,
+      jobs: JobScheduler.describe().map(job => ({
+        ...job,
+        lastRun: JobRun.mapFromDatabase(latest.find(run => run.job_name === job.name))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/runs:
+ *   get:
+ *     summary: List job runs and their outcomes
+ *     description: Admin only. Most recent first.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *           enum: [certificate-expiry, renewal-reminders, certificate-archive]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Job runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/runs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const runs = await JobRun.findAll({
+      jobName: req.query.job,
+      status: req.query.status,
+      limit: parseLimit(req.query.limit, 50)
+    });
+
+    res.json(runs.map(run => JobRun.mapFromDatabase(run)));
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ error: 'Failed to fetch job runs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/runs/{id}:
+ *   get:
+ *     summary: Get a job run
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/runs/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const run = await JobRun.findById(parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+
+    res.json(JobRun.mapFromDatabase(run));
+  } catch (error) {
+    console.error('Error fetching job run:', error);
+    res.status(500).json({ error: 'Failed to fetch job run' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/notifications:
+ *   get:
+ *     summary: List queued notifications
+ *     description: Admin only. Notifications queued by the jobs, such as certificate renewal reminders.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: certificateId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/notifications', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const notifications = await Notification.findAll({
+      status: req.query.status,
+      type: req.query.type,
+      certificateId: req.query.certificateId ? parseInt(req.query.certificateId) : undefined,
+      limit: parseLimit(req.query.limit, 100)
+    });
+
+    res.json(notifications.map(notification => Notification.mapFromDatabase(notification)));
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now
+ *     description: |
+ *       Admin only. Runs the job immediately and returns the finished run. A manual run does not replace the day's
+ *       scheduled run; both jobs are safe to repeat.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [certificate-expiry, renewal-reminders, certificate-archive]
+ *     responses:
+ *       201:
+ *         description: Run finished; check its status for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Unknown job
+ *       409:
+ *         description: The job is already running
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:name/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const run = await JobScheduler.runNow(req.params.name, req.user);
+    res.status(201).json(JobRun.mapFromDatabase(run));
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error running job:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+module.exports = router;
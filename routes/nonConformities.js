@@ -0,0 +1,548 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models');
+const NonConformity = require('../models/NonConformity');
+const { authenticateToken } = require('../middleware/auth');
+const { validateNonConformity } = require('../utils/validation');
+
+const VERIFIER_ROLES = ['agronomist', 'admin'];
+
+// Admins see every farm; everyone else only the farms of their own farmers
+const canAccessFarm = async (farmId, user) => {
+  if (user.role === 'admin') return true;
+
+  const farm = await db.findById('farms', farmId);
+  const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null;
+  return !!farmer && farmer.user_id === user.id;
+};
+
+const requireUser = (req, res, next) => {
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not found in database. Please register first.' });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NonConformity:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         inspectionId:
+ *           type: integer
+ *         farmId:
+ *           type: integer
+ *         questionId:
+ *           type: string
+ *           description: Checklist question the finding relates to
+ *           example: "bufferZones"
+ *         severity:
+ *           type: string
+ *           enum: [critical, major, minor]
+ *         clauseReference:
+ *           type: string
+ *           example: "KS EAS 456 4.2.3"
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, pending_verification, closed]
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         owner:
+ *           type: string
+ *           description: Person responsible for the corrective action
+ *         correctiveAction:
+ *           type: string
+ *           description: Corrective action plan
+ *         closureEvidence:
+ *           type: string
+ *         evidenceSubmittedAt:
+ *           type: string
+ *           format: date-time
+ *         verifiedBy:
+ *           type: integer
+ *           description: User who signed off the closure
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *         verificationNotes:
+ *           type: string
+ *         blocksCertification:
+ *           type: boolean
+ *           description: True while a critical or major non-conformity is not closed
+ */
+
+/**
+ * @swagger
+ * /api/non-conformities:
+ *   get:
+ *     summary: Get non-conformities
+ *     description: List non-conformities on farms the user can access, most severe first
+ *     tags: [Non-Conformities]
+ *     parameters:
+ *       - in: query
+ *         name: inspectionId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, pending_verification, closed]
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [critical, major, minor]
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only return non-conformities past their due date that are not closed
+ *     responses:
+ *       200:
+ *         description: Non-conformities retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NonConformity'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const nonConformities = await NonConformity.findAll({
+      inspectionId: req.query.inspectionId ? parseInt(req.query.inspectionId) : undefined,
+      farmId: req.query.farmId ? parseInt(req.query.farmId) : undefined,
+      status: req.query.status,
+      severity: req.query.severity,
+      overdue: req.query.overdue === 'true'
+    });
+
+    let visible = nonConformities;
+    if (req.user.role !== 'admin') {
+      const farms = await db.query(`
+        SELECT f.id FROM farms f
+        JOIN farmers fr ON f.farmer_id = fr.id
+        WHERE fr.user_id = ?
+      `, [req.user.id]);
+      const farmIds = farms.map(farm => farm.id);
+      visible = nonConformities.filter(item => farmIds.includes(item.farm_id));
+    }
+
+    res.json(visible.map(item => NonConformity.mapFromDatabase(item)));
+  } catch (error) {
+    console.error('Error fetching non-conformities:', error);
+    res.status(500).json({ error: 'Failed to fetch non-conformities' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/non-conformities/{id}:
+ *   get:
+ *     summary: Get non-conformity by ID
+ *     tags: [Non-Conformities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Non-conformity retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NonConformity'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const nonConformity = await NonConformity.findById(parseInt(req.params.id));
+    if (!nonConformity) {
+      return res.status(404).json({ error: 'Non-conformity not found' });
+    }
+
+    if (!await canAccessFarm(nonConformity.farm_id, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You can only view non-conformities for your farmers.' });
+    }
+
+    res.json(NonConformity.mapFromDatabase(nonConformity));
+  } catch (error) {
+    console.error('Error fetching non-conformity:', error);
+    res.status(500).json({ error: 'Failed to fetch non-conformity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/non-conformities:
+ *   post:
+ *     summary: Raise a non-conformity
+ *     description: Record a finding against an inspection. Submitting an inspection raises one automatically for every failed checklist question.
+ *     tags: [Non-Conformities]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inspectionId
+ *               - description
+ *             properties:
+ *               inspectionId:
+ *                 type: integer
+ *               questionId:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [critical, major, minor]
+ *                 default: minor
+ *               clauseReference:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               owner:
+ *                 type: string
+ *               correctiveAction:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Non-conformity created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NonConformity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The checklist question already has a non-conformity on this inspection
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const errors = validateNonConformity(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const inspection = await db.findById('inspections', parseInt(req.body.inspectionId));
+    if (!inspection) {
+      return res.status(404).json({ error: 'Inspection not found' });
+    }
+
+    if (!await canAccessFarm(inspection.farm_id, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You can only manage inspections for your farmers.' });
+    }
+
+    if (req.body.questionId) {
+      const existing = await NonConformity.findByInspectionId(inspection.id);
+      if (existing.some(item => item.question_id === req.body.questionId)) {
+        return res.status(409).json({ error: `A non-conformity for ${req.body.questionId} already exists on this inspection` });
+      }
+    }
+
+    const nonConformity = await NonConformity.create({
+      ...req.body,
+      inspectionId: inspection.id,
+      farmId: inspection.farm_id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(NonConformity.mapFromDatabase(nonConformity));
+  } catch (error) {
+    console.error('Error creating non-conformity:', error);
+    res.status(500).json({ error: 'Failed to create non-conformity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/non-conformities/{id}:
+ *   put:
+ *     summary: Update a non-conformity
+ *     description: Update the corrective action plan, owner or due date. Only agronomists and admins can change the severity. Closed non-conformities cannot be edited.
+ *     tags: [Non-Conformities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               severity:
+ *                 type: string
+ *                 enum: [critical, major, minor]
+ *               clauseReference:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               owner:
+ *                 type: string
+ *               correctiveAction:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Non-conformity updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NonConformity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Non-conformity is already closed
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.put('/:id', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const nonConformity = await NonConformity.findById(parseInt(req.params.id));
+    if (!nonConformity) {
+      return res.status(404).json({ error: 'Non-conformity not found' });
+    }
+
+    if (!await canAccessFarm(nonConformity.farm_id, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You can only manage non-conformities for your farmers.' });
+    }
+
+    if (nonConformity.status === 'closed') {
+      return res.status(409).json({ error: 'Closed non-conformities cannot be edited' });
+    }
+
+    const errors = validateNonConformity(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    if (req.body.severity && req.body.severity !== nonConformity.severity && !VERIFIER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can change the severity of a non-conformity' });
+    }
+
+    const { severity, clauseReference, description, dueDate, owner, correctiveAction } = req.body;
+    const updated = await NonConformity.update(nonConformity.id, {
+      severity, clauseReference, description, dueDate, owner, correctiveAction
+    });
+
+    res.json(NonConformity.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error updating non-conformity:', error);
+    res.status(500).json({ error: 'Failed to update non-conformity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/non-conformities/{id}/evidence:
+ *   post:
+ *     summary: Submit closure evidence
+ *     description: Record evidence that the corrective action was carried out and send the non-conformity for verification. A corrective action plan must be on record.
+ *     tags: [Non-Conformities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - closureEvidence
+ *             properties:
+ *               closureEvidence:
+ *                 type: string
+ *                 example: "Buffer hedge planted along the eastern boundary, photos attached to inspection 12"
+ *               correctiveAction:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Evidence submitted, awaiting verification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NonConformity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Non-conformity is not open
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/evidence', authenticateToken, requireUser, async (req, res) => {
+  try {
+    const nonConformity = await NonConformity.findById(parseInt(req.params.id));
+    if (!nonConformity) {
+      return res.status(404).json({ error: 'Non-conformity not found' });
+    }
+
+    if (!await canAccessFarm(nonConformity.farm_id, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You can only manage non-conformities for your farmers.' });
+    }
+
+    if (nonConformity.status !== 'open') {
+      return res.status(409).json({ error: `Evidence can only be submitted for open non-conformities (currently ${nonConformity.status})` });
+    }
+
+    const { closureEvidence } = req.body;
+    const correctiveAction = req.body.correctiveAction || nonConformity.corrective_action;
+
+    const errors = [];
+    if (!closureEvidence || String(closureEvidence).trim().length === 0) {
+      errors.push('Closure evidence is required');
+    }
+    if (!correctiveAction || String(correctiveAction).trim().length === 0) {
+      errors.push('A corrective action plan is required before submitting evidence');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const updated = await NonConformity.update(nonConformity.id, {
+      correctiveAction,
+      closureEvidence,
+      evidenceSubmittedAt: new Date(),
+      status: 'pending_verification'
+    });
+
+    res.json(NonConformity.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error submitting non-conformity evidence:', error);
+    res.status(500).json({ error: 'Failed to submit closure evidence' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/non-conformities/{id}/verify:
+ *   post:
+ *     summary: Verify a non-conformity closure
+ *     description: Sign off the closure evidence. Accepting closes the non-conformity; rejecting reopens it and requires notes explaining what is missing. Only agronomists and admins can verify.
+ *     tags: [Non-Conformities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accepted
+ *             properties:
+ *               accepted:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NonConformity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can verify closures
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Non-conformity is not awaiting verification
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/verify', authenticateToken, requireUser, async (req, res) => {
+  try {
+    if (!VERIFIER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can verify non-conformity closures' });
+    }
+
+    const nonConformity = await NonConformity.findById(parseInt(req.params.id));
+    if (!nonConformity) {
+      return res.status(404).json({ error: 'Non-conformity not found' });
+    }
+
+    if (!await canAccessFarm(nonConformity.farm_id, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You can only manage non-conformities for your farmers.' });
+    }
+
+    if (nonConformity.status !== 'pending_verification') {
+      return res.status(409).json({ error: `Only non-conformities awaiting verification can be signed off (currently ${nonConformity.status})` });
+    }
+
+    const { accepted, notes } = req.body;
+    if (typeof accepted !== 'boolean') {
+      return res.status(400).json({ errors: ['accepted must be true or false'] });
+    }
+    if (!accepted && (!notes || String(notes).trim().length === 0)) {
+      return res.status(400).json({ errors: ['Notes are required when rejecting closure evidence'] });
+    }
+
+    const updated = await NonConformity.update(nonConformity.id, {
+      status: accepted ? 'closed' : 'open',
+      verifiedBy: accepted ? req.user.id : null,
+      verifiedAt: accepted ? new Date() : null,
+      verificationNotes: notes || null
+    });
+
+    res.json(NonConformity.mapFromDatabase(updated));
+  } catch (error) {
+    console.error('Error verifying non-conformity:', error);
+    res.status(500).json({ error: 'Failed to verify non-conformity' });
+  }
+});
+
+module.exports = router;
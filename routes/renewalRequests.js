@@ -0,0 +1,411 @@
+const express = require('express');
+const router = express.Router();
+const { Certificate, RenewalRequest, Inspection } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRenewalRequest, validateRenewalSchedule } = require('../utils/validation');
+const RenewalService = require('../services/renewalService');
+const { RenewalError } = RenewalService;
+const { CertificateIssuanceError } = require('../services/certificateService');
+
+const REVIEWER_ROLES = ['agronomist', 'admin'];
+
+// Visible to the user who manages the farmer, and to admins
+const loadRenewal = async (req, res) => {
+  if (!req.user.id) {
+    res.status(403).json({ error: 'User not found in database. Please register first.' });
+    return null;
+  }
+
+  const renewal = await RenewalRequest.findById(parseInt(req.params.id));
+  if (!renewal || (req.user.role !== 'admin' && renewal.owner_user_id !== req.user.id)) {
+    res.status(404).json({ error: 'Renewal request not found' });
+    return null;
+  }
+
+  return renewal;
+};
+
+const requireReviewer = (req, res, next) => {
+  if (!REVIEWER_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Only agronomists and admins can act on renewal requests' });
+  }
+  next();
+};
+
+const handleRenewalError = (res, error, message) => {
+  if (error instanceof RenewalError || error instanceof CertificateIssuanceError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  console.error(`Error ${message}:`, error);
+  res.status(500).json({ error: `Failed to ${message}` });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RenewalRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         certificateId:
+ *           type: integer
+ *           description: Certificate being renewed
+ *         certificateNumber:
+ *           type: string
+ *         certificateStatus:
+ *           type: string
+ *         certificateExpiryDate:
+ *           type: string
+ *           format: date
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         farmerName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, inspection_scheduled, approved, declined]
+ *         awaitingAction:
+ *           type: boolean
+ *           description: True while the request is requested or inspection_scheduled
+ *         nextAction:
+ *           type: string
+ *           nullable: true
+ *           enum: [schedule_inspection, await_inspection, decide, reschedule_or_decline]
+ *         reason:
+ *           type: string
+ *         requestedExpiryDate:
+ *           type: string
+ *           format: date
+ *         requestedScope:
+ *           type: string
+ *           nullable: true
+ *         inspectionId:
+ *           type: integer
+ *           nullable: true
+ *         inspectionStatus:
+ *           type: string
+ *           nullable: true
+ *         inspectionDate:
+ *           type: string
+ *           format: date
+ *         successorCertificateId:
+ *           type: integer
+ *           nullable: true
+ *         successorCertificateNumber:
+ *           type: string
+ *           nullable: true
+ *         decisionReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/renewal-requests:
+ *   get:
+ *     summary: List renewal requests
+ *     description: Requests for certificates of the current user's farmers (all for admins), soonest expiring certificate first.
+ *     tags: [Renewals]
+ *     parameters:
+ *       - in: query
+ *         name: awaitingAction
+ *         schema:
+ *           type: boolean
+ *         description: Only requests still waiting for an inspection or a decision
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, inspection_scheduled, approved, declined]
+ *       - in: query
+ *         name: certificateId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Renewal requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RenewalRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const renewals = await RenewalRequest.findAll({
+      userId: req.user.role === 'admin' ? undefined : req.user.id,
+      status: req.query.status,
+      awaitingAction: req.query.awaitingAction === 'true',
+      certificateId: req.query.certificateId ? parseInt(req.query.certificateId) : undefined
+    });
+
+    res.json(renewals.map(renewal => RenewalRequest.mapFromDatabase(renewal)));
+  } catch (error) {
+    console.error('Error fetching renewal requests:', error);
+    res.status(500).json({ error: 'Failed to fetch renewal requests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/renewal-requests/{id}:
+ *   get:
+ *     summary: Get a renewal request
+ *     tags: [Renewals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Renewal request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RenewalRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const renewal = await loadRenewal(req, res);
+    if (!renewal) return;
+
+    res.json(RenewalRequest.mapFromDatabase(renewal));
+  } catch (error) {
+    console.error('Error fetching renewal request:', error);
+    res.status(500).json({ error: 'Failed to fetch renewal request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/renewal-requests/{id}/schedule-inspection:
+ *   post:
+ *     summary: Schedule the renewal inspection
+ *     description: |
+ *       Links an existing inspection of the farm (inspectionId) or schedules a new one (scheduledDate). An inspector can
+ *       then be assigned with POST /api/inspections/{id}/assign. If the linked inspection failed or was cancelled,
+ *       another one can be scheduled.
+ *     tags: [Renewals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               inspectionId:
+ *                 type: integer
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date
+ *               inspectorName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Inspection linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 renewal:
+ *                   $ref: '#/components/schemas/RenewalRequest'
+ *                 inspection:
+ *                   $ref: '#/components/schemas/Inspection'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can act on renewal requests
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Renewal request is closed or its inspection is still open
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/schedule-inspection', authenticateToken, requireReviewer, async (req, res) => {
+  try {
+    const renewal = await loadRenewal(req, res);
+    if (!renewal) return;
+
+    const errors = validateRenewalSchedule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { inspection } = await RenewalService.scheduleInspection(renewal, req.user, {
+      inspectionId: req.body.inspectionId,
+      scheduledDate: req.body.scheduledDate,
+      inspectorName: req.body.inspectorName
+    });
+
+    res.json({
+      renewal: RenewalRequest.mapFromDatabase(await RenewalRequest.findById(renewal.id)),
+      inspection: Inspection.mapFromDatabase(inspection)
+    });
+  } catch (error) {
+    handleRenewalError(res, error, 'schedule renewal inspection');
+  }
+});
+
+/**
+ * @swagger
+ * /api/renewal-requests/{id}/approve:
+ *   post:
+ *     summary: Approve a renewal
+ *     description: |
+ *       Requires the renewal inspection to be completed (passed) and no open major or critical non-conformities.
+ *       Issues a signed successor certificate linked to the renewed one, which becomes superseded. The scope is carried
+ *       over unless amended here or in the request; the expiry date defaults to one year after issue.
+ *     tags: [Renewals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Renewal approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 renewal:
+ *                   $ref: '#/components/schemas/RenewalRequest'
+ *                 certificate:
+ *                   $ref: '#/components/schemas/Certificate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Only agronomists and admins can act on renewal requests
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Inspection not completed, request closed, or blocking non-conformities
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/approve', authenticateToken, requireReviewer, async (req, res) => {
+  try {
+    const renewal = await loadRenewal(req, res);
+    if (!renewal) return;
+
+    const errors = validateRenewalRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const { certificate } = await RenewalService.approve(renewal, req.user, {
+      scope: req.body.scope,
+      expiryDate: req.body.expiryDate,
+      reason: req.body.reason
+    });
+
+    res.json({
+      renewal: RenewalRequest.mapFromDatabase(await RenewalRequest.findById(renewal.id)),
+      certificate: Certificate.mapFromDatabase(certificate)
+    });
+  } catch (error) {
+    handleRenewalError(res, error, 'approve renewal request');
+  }
+});
+
+/**
+ * @swagger
+ * /api/renewal-requests/{id}/decline:
+ *   post:
+ *     summary: Decline a renewal
+ *     description: The certificate returns to its previous status, or expired if it ran out while the request was open.
+ *     tags: [Renewals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Renewal declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RenewalRequest'
+ *       400:
+ *         description: Reason missing
+ *       403:
+ *         description: Only agronomists and admins can act on renewal requests
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Renewal request is already closed
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/decline', authenticateToken, requireReviewer, async (req, res) => {
+  try {
+    const renewal = await loadRenewal(req, res);
+    if (!renewal) return;
+
+    await RenewalService.decline(renewal, req.user, { reason: req.body.reason });
+
+    res.json(RenewalRequest.mapFromDatabase(await RenewalRequest.findById(renewal.id)));
+  } catch (error) {
+    handleRenewalError(res, error, 'decline renewal request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validateSyncRequest } = require('../utils/validation');
+const SyncService = require('../services/syncService');
+const { SyncError } = SyncService;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyncChange:
+ *       type: object
+ *       required:
+ *         - clientId
+ *         - entity
+ *         - operation
+ *         - data
+ *       properties:
+ *         clientId:
+ *           type: string
+ *           description: Unique id generated on the device for this change. Resending the same clientId returns the original result instead of applying it again.
+ *           example: "3f6c2a5e-8a43-4c1b-9d0e-5b1f1d2c7a10"
+ *         entity:
+ *           type: string
+ *           enum: [inspection, checklist, note, attachment]
+ *         operation:
+ *           type: string
+ *           description: create or update for inspection, update for checklist and attachment, create for note
+ *           enum: [create, update]
+ *         id:
+ *           type: integer
+ *           description: Server id of the record (the inspection for checklist and note changes)
+ *         ref:
+ *           type: string
+ *           description: clientId of an earlier inspection create, for records created offline that have no server id yet
+ *         baseVersion:
+ *           type: integer
+ *           description: rowVersion the device last saw. Required for updates; a mismatch is reported as a conflict.
+ *         data:
+ *           type: object
+ *           description: |
+ *             inspection.create - farmId, inspectorName, scheduledDate, visitType, notes, checklist, checklistTemplateId, scope.
+ *             Inspectors cannot be assigned through sync.
+ *             inspection.update - status, reason, inspectorName, scheduledDate, inspectionDate.
+ *             checklist.update - answers, an object of question id to answer, merged into the stored checklist.
+ *             note.create - text and optional createdAt; notes are appended and never conflict.
+ *             attachment.update - description, category, questionId, nonConformityId.
+ *     SyncResult:
+ *       type: object
+ *       properties:
+ *         clientId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [applied, conflict, rejected, pending, error]
+ *           description: pending means the same change is being applied by another request
+ *         id:
+ *           type: integer
+ *         rowVersion:
+ *           type: integer
+ *           description: New version after an applied change
+ *         serverVersion:
+ *           type: integer
+ *           description: Current version when the change conflicted
+ *         server:
+ *           type: object
+ *           description: Current server copy when the change conflicted
+ *         replayed:
+ *           type: boolean
+ *           description: True when the change had already been applied by an earlier request
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/sync:
+ *   post:
+ *     summary: Sync offline inspection changes
+ *     description: |
+ *       Apply a batch of changes made on a field tablet while offline and fetch what changed on the server.
+ *       Changes are applied in order and each gets its own result, so one conflict or rejection does not fail the batch.
+ *       Pass the cursor from the previous response to only receive records changed since then; omit it for a full snapshot.
+ *     tags: [Sync]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 example: "tablet-07"
+ *               cursor:
+ *                 type: string
+ *                 description: Cursor returned by the previous sync
+ *               changes:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/SyncChange'
+ *     responses:
+ *       200:
+ *         description: Batch processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SyncResult'
+ *                 delta:
+ *                   type: object
+ *                   properties:
+ *                     inspections:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Inspection'
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InspectionAttachment'
+ *                     deleted:
+ *                       type: object
+ *                       description: Ids of records deleted since the cursor; empty for a full snapshot
+ *                       properties:
+ *                         inspections:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                         attachments:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                 cursor:
+ *                   type: string
+ *                   description: Send this with the next sync
+ *                 serverTime:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const errors = validateSyncRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const result = await SyncService.sync(req.user, {
+      deviceId: req.body.deviceId,
+      cursor: req.body.cursor,
+      changes: req.body.changes || []
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof SyncError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error syncing changes:', error);
+    res.status(500).json({ error: 'Failed to sync changes' });
+  }
+});
+
+module.exports = router;
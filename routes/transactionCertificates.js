@@ -0,0 +1,481 @@
+const express = require('express');
+const router = express.Router();
+const { Certificate, Farm, Farmer, TransactionCertificate } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const TransactionCertificateService = require('../services/transactionCertificateService');
+const { TransactionCertificateError } = TransactionCertificateService;
+const { TemplateError } = require('../services/certificateTemplateService');
+const { validateTransactionCertificate } = require('../utils/validation');
+
+const ISSUING_ROLES = ['agronomist', 'admin'];
+
+const MAX_LIMIT = 200;
+
+const parseLimit = (value, fallback) => Math.min(parseInt(value) || fallback, MAX_LIMIT);
+
+const isKnownError = (error) => error instanceof TransactionCertificateError || error instanceof TemplateError;
+
+// Transaction certificates are visible to admins and to the agronomist of the farmer
+const loadTransactionCertificate = async (req, res) => {
+  if (!req.user.id) {
+    res.status(403).json({ error: 'User not found in database. Please register first.' });
+    return null;
+  }
+
+  const transactionCertificate = await TransactionCertificate.findById(parseInt(req.params.id));
+  if (!transactionCertificate) {
+    res.status(404).json({ error: 'Transaction certificate not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    const farmer = await Farmer.findById(transactionCertificate.farmer_id);
+    if (!farmer || farmer.user_id !== req.user.id) {
+      res.status(403).json({ error: 'Access denied. You can only view transaction certificates of your farmers.' });
+      return null;
+    }
+  }
+
+  return transactionCertificate;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     YieldCheck:
+ *       type: object
+ *       description: |
+ *         The lot plus what was already sold of the crop from harvests in the year ending with the lot's harvest,
+ *         against the expected yield of the certified area (yield estimate per hectare, plus 10%)
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [within, exceeded, no_reference, no_area]
+ *           description: no_reference and no_area mean the quantity could not be checked (no yield estimate for the crop, or unknown field areas)
+ *         quantityKg:
+ *           type: number
+ *         areaHectares:
+ *           type: number
+ *           nullable: true
+ *         yieldPerHectare:
+ *           type: number
+ *           nullable: true
+ *           description: kg per hectare per year
+ *         yieldSource:
+ *           type: string
+ *           enum: [farm, default, reference]
+ *           nullable: true
+ *           description: The farm's own yield estimate, the default estimate for the crop, or the built-in reference yield
+ *         expectedKg:
+ *           type: number
+ *           nullable: true
+ *         maximumKg:
+ *           type: number
+ *           nullable: true
+ *         soldKg:
+ *           type: number
+ *           description: Sold under other transaction certificates in the period
+ *         availableKg:
+ *           type: number
+ *           nullable: true
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *     TransactionCertificate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         tcNumber:
+ *           type: string
+ *           example: "TC-2025-K3F9Q"
+ *         certificateId:
+ *           type: integer
+ *         certificateNumber:
+ *           type: string
+ *         farmId:
+ *           type: integer
+ *         farmName:
+ *           type: string
+ *         product:
+ *           type: string
+ *           example: "Green coffee beans"
+ *         crop:
+ *           type: string
+ *           example: "Coffee"
+ *         quantity:
+ *           type: number
+ *           example: 1.2
+ *         unit:
+ *           type: string
+ *           enum: [kg, t, lb]
+ *         quantityKg:
+ *           type: number
+ *         buyerName:
+ *           type: string
+ *         buyerCountry:
+ *           type: string
+ *           nullable: true
+ *         lotNumber:
+ *           type: string
+ *         harvestStartDate:
+ *           type: string
+ *           format: date
+ *         harvestEndDate:
+ *           type: string
+ *           format: date
+ *         issueDate:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *         cancellationReason:
+ *           type: string
+ *           nullable: true
+ *         yieldCheck:
+ *           $ref: '#/components/schemas/YieldCheck'
+ *         signingKeyId:
+ *           type: string
+ *         pdfSha256:
+ *           type: string
+ *         pdfUrl:
+ *           type: string
+ *           example: "/api/transaction-certificates/12/pdf"
+ *         issuedBy:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transaction-certificates:
+ *   get:
+ *     summary: List transaction certificates
+ *     description: Newest first. Admins see all, agronomists those of their farmers.
+ *     tags: [Transaction Certificates]
+ *     parameters:
+ *       - in: query
+ *         name: certificateId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Transaction certificates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TransactionCertificate'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Issue a transaction certificate for a sales lot
+ *     description: |
+ *       Certifies that a lot of produce sold to a buyer came from a farm certified under the given certificate, which
+ *       must be in force. The crop must be certified organic on the certificate and harvested while it was valid. The
+ *       quantity, added to what was already sold of the crop from harvests in the year up to this lot's harvest, must
+ *       not exceed the expected yield of the certified area. The transaction certificate is signed and its PDF, with a
+ *       QR code to the public verification page, is archived.
+ *     tags: [Transaction Certificates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - certificateId
+ *               - crop
+ *               - quantity
+ *               - unit
+ *               - buyerName
+ *               - lotNumber
+ *               - harvestStartDate
+ *               - harvestEndDate
+ *             properties:
+ *               certificateId:
+ *                 type: integer
+ *               crop:
+ *                 type: string
+ *                 example: "Coffee"
+ *               product:
+ *                 type: string
+ *                 description: Defaults to the crop
+ *                 example: "Coffee cherry"
+ *               quantity:
+ *                 type: number
+ *                 example: 1200
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, t, lb]
+ *               buyerName:
+ *                 type: string
+ *                 example: "Nairobi Coffee Exporters Ltd"
+ *               buyerCountry:
+ *                 type: string
+ *                 example: "Kenya"
+ *               lotNumber:
+ *                 type: string
+ *                 example: "GVF-2025-014"
+ *               harvestStartDate:
+ *                 type: string
+ *                 format: date
+ *               harvestEndDate:
+ *                 type: string
+ *                 format: date
+ *                 description: At most 12 months after harvestStartDate
+ *               language:
+ *                 type: string
+ *                 enum: [en, sw]
+ *                 description: Language of the PDF; defaults to that of the certificate's template
+ *     responses:
+ *       201:
+ *         description: Transaction certificate issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionCertificate'
+ *       400:
+ *         description: Invalid data, lot not covered by the certificate (errors), or quantity above the expected yield (yieldCheck)
+ *       403:
+ *         description: Only agronomists and admins can issue transaction certificates
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: Certificate not in force, or the lot already has a transaction certificate
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(403).json({ error: 'User not found in database. Please register first.' });
+    }
+
+    const transactionCertificates = await TransactionCertificate.findAll({
+      certificateId: parseInt(req.query.certificateId) || null,
+      farmId: parseInt(req.query.farmId) || null,
+      farmerUserId: req.user.role === 'admin' ? null : req.user.id,
+      status: req.query.status,
+      limit: parseLimit(req.query.limit, 50)
+    });
+
+    res.json(transactionCertificates.map(item => TransactionCertificate.mapFromDatabase(item)));
+  } catch (error) {
+    console.error('Error fetching transaction certificates:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction certificates' });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.id || !ISSUING_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only agronomists and admins can issue transaction certificates' });
+    }
+
+    const errors = validateTransactionCertificate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    if (req.user.role !== 'admin') {
+      const certificate = await Certificate.findById(parseInt(req.body.certificateId));
+      const farm = certificate ? await Farm.findById(certificate.farm_id) : null;
+      const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+      if (certificate && (!farmer || farmer.user_id !== req.user.id)) {
+        return res.status(403).json({ error: 'Access denied. You can only issue transaction certificates for your farmers.' });
+      }
+    }
+
+    const transactionCertificate = await TransactionCertificateService.issue(req.body, req.user);
+    res.status(201).json(TransactionCertificate.mapFromDatabase(transactionCertificate));
+  } catch (error) {
+    if (isKnownError(error)) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error issuing transaction certificate:', error);
+    res.status(500).json({ error: 'Failed to issue transaction certificate' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-certificates/{id}:
+ *   get:
+ *     summary: Get a transaction certificate
+ *     tags: [Transaction Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transaction certificate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionCertificate'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const transactionCertificate = await loadTransactionCertificate(req, res);
+    if (!transactionCertificate) return;
+
+    res.json(TransactionCertificate.mapFromDatabase(transactionCertificate));
+  } catch (error) {
+    console.error('Error fetching transaction certificate:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction certificate' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-certificates/{id}/pdf:
+ *   get:
+ *     summary: Download the PDF of a transaction certificate
+ *     description: The PDF archived at issue, checked against its recorded SHA-256 (X-Document-SHA256).
+ *     tags: [Transaction Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const transactionCertificate = await loadTransactionCertificate(req, res);
+    if (!transactionCertificate) return;
+
+    const pdfBuffer = await TransactionCertificateService.read(transactionCertificate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="transaction-certificate-${transactionCertificate.tc_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('X-Document-SHA256', transactionCertificate.pdf_sha256);
+    res.send(pdfBuffer);
+  } catch (error) {
+    if (isKnownError(error)) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error downloading transaction certificate PDF:', error);
+    res.status(500).json({ error: 'Failed to download transaction certificate PDF' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-certificates/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transaction certificate
+ *     description: |
+ *       For a lot that was not shipped or was issued in error. Verification then reports the transaction certificate
+ *       as cancelled, and its quantity no longer counts against the farm's expected yield. Admin only.
+ *     tags: [Transaction Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Shipment cancelled by the buyer"
+ *     responses:
+ *       200:
+ *         description: Transaction certificate cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionCertificate'
+ *       400:
+ *         description: reason missing
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Already cancelled
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    const transactionCertificate = await loadTransactionCertificate(req, res);
+    if (!transactionCertificate) return;
+
+    const { reason } = req.body;
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ errors: ['reason is required'] });
+    }
+
+    const cancelled = await TransactionCertificateService.cancel(transactionCertificate, req.user, { reason: reason.trim() });
+    res.json(TransactionCertificate.mapFromDatabase(cancelled));
+  } catch (error) {
+    if (isKnownError(error)) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error cancelling transaction certificate:', error);
+    res.status(500).json({ error: 'Failed to cancel transaction certificate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,583 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { verificationLimiter } = require('../middleware/rateLimit');
+const CertificateService = require('../services/certificateService');
+const SigningService = require('../services/signingService');
+const PDFService = require('../services/pdfService');
+const TransactionCertificateService = require('../services/transactionCertificateService');
+
+const MAX_PDF_SIZE = 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PDF_SIZE, files: 1 }
+}).single('file');
+
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'PDF must be 10 MB or smaller' : error.message;
+      return res.status(status).json({ error: message });
+    }
+    next(error);
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CertificateVerification:
+ *       type: object
+ *       properties:
+ *         certificateNumber:
+ *           type: string
+ *           example: "ORG-2025-K3F9Q"
+ *         valid:
+ *           type: boolean
+ *           description: True when the certificate is in force today
+ *         status:
+ *           type: string
+ *           enum: [active, renewal_pending, expired, suspended, revoked]
+ *         holder:
+ *           type: string
+ *           description: Name of the certified farmer
+ *           example: "John Doe"
+ *         farm:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *               example: "Green Valley Farm"
+ *             county:
+ *               type: string
+ *               example: "Kiambu"
+ *         scope:
+ *           type: string
+ *           example: "Organic crop production"
+ *         crops:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Tea", "Avocado"]
+ *           description: Crops certified organic
+ *         fields:
+ *           type: array
+ *           description: Fields, crops and areas covered, as in the certificate annex
+ *           items:
+ *             $ref: '#/components/schemas/ScopeField'
+ *         certificationBody:
+ *           type: string
+ *           example: "Kenya Organic Agriculture Network"
+ *         validFrom:
+ *           type: string
+ *           format: date
+ *         validUntil:
+ *           type: string
+ *           format: date
+ *         signingKeyId:
+ *           type: string
+ *           nullable: true
+ *           description: Key the certificate was signed with
+ *         signature:
+ *           type: object
+ *           description: Only when a signature was passed in the query (as in the QR code link)
+ *           properties:
+ *             valid:
+ *               type: boolean
+ *             keyId:
+ *               type: string
+ *             reason:
+ *               type: string
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ *     ScopeField:
+ *       type: object
+ *       properties:
+ *         field:
+ *           type: string
+ *           example: "Field A - Coffee Block"
+ *         crop:
+ *           type: string
+ *           example: "Coffee"
+ *         areaHectares:
+ *           type: number
+ *           example: 2.5
+ *         productionCategory:
+ *           type: string
+ *           enum: [organic, in_conversion]
+ *     ScopeCheck:
+ *       type: object
+ *       properties:
+ *         certificateNumber:
+ *           type: string
+ *         crop:
+ *           type: string
+ *         field:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         certified:
+ *           type: boolean
+ *           description: The crop from that field was certified organic on that date
+ *         certificateStatus:
+ *           type: string
+ *           description: Status of the certificate on that date
+ *         scopeItem:
+ *           $ref: '#/components/schemas/ScopeField'
+ *         reason:
+ *           type: string
+ *           description: Why it was not certified
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ *     SignatureVerification:
+ *       type: object
+ *       properties:
+ *         signatureValid:
+ *           type: boolean
+ *           description: The signature was made over this exact payload by one of our published keys
+ *         keyId:
+ *           type: string
+ *         algorithm:
+ *           type: string
+ *           enum: [Ed25519, ECDSA-P256]
+ *         keyStatus:
+ *           type: string
+ *           enum: [active, retired]
+ *         reason:
+ *           type: string
+ *           description: Why the signature was rejected
+ *         matchesRecord:
+ *           type: boolean
+ *           description: The payload is the one recorded when the certificate was signed
+ *         payload:
+ *           type: object
+ *           description: The signed certificate data - compare it with what the document shows
+ *         certificate:
+ *           $ref: '#/components/schemas/CertificateVerification'
+ *         transactionCertificate:
+ *           $ref: '#/components/schemas/TransactionCertificateVerification'
+ *           description: Instead of certificate, when the payload is that of a transaction certificate
+ *     TransactionCertificateVerification:
+ *       type: object
+ *       properties:
+ *         tcNumber:
+ *           type: string
+ *           example: "TC-2025-K3F9Q"
+ *         valid:
+ *           type: boolean
+ *           description: Issued, not cancelled, and the scope certificate it was sold under has not been revoked
+ *         status:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *         holder:
+ *           type: string
+ *         farm:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             county:
+ *               type: string
+ *         product:
+ *           type: string
+ *         crop:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           enum: [kg, t, lb]
+ *         buyer:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             country:
+ *               type: string
+ *         lotNumber:
+ *           type: string
+ *         harvestStartDate:
+ *           type: string
+ *           format: date
+ *         harvestEndDate:
+ *           type: string
+ *           format: date
+ *         issueDate:
+ *           type: string
+ *           format: date
+ *         scopeCertificate:
+ *           type: object
+ *           description: Current status of the certificate the lot was sold under
+ *           properties:
+ *             certificateNumber:
+ *               type: string
+ *             status:
+ *               type: string
+ *             validFrom:
+ *               type: string
+ *               format: date
+ *             validUntil:
+ *               type: string
+ *               format: date
+ *         signingKeyId:
+ *           type: string
+ *         signature:
+ *           type: object
+ *           description: Present when a signature was given (from the QR code)
+ *           properties:
+ *             valid:
+ *               type: boolean
+ *             keyId:
+ *               type: string
+ *             reason:
+ *               type: string
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /verify/keys:
+ *   get:
+ *     summary: Published certificate signing keys
+ *     description: Public keys (JWK set) for checking certificate signatures offline. Retired keys stay listed so certificates signed before a key rotation still verify.
+ *     tags: [Verification]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JWK set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: OKP
+ *                       crv:
+ *                         type: string
+ *                         example: Ed25519
+ *                       x:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                         enum: [EdDSA, ES256]
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *                       status:
+ *                         type: string
+ *                         enum: [active, retired]
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/keys', verificationLimiter, async (req, res) => {
+  try {
+    res.json(await SigningService.publicKeySet());
+  } catch (error) {
+    console.error('Error fetching signing keys:', error);
+    res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+/**
+ * @swagger
+ * /verify:
+ *   post:
+ *     summary: Verify a certificate signature
+ *     description: |
+ *       Checks the detached signature of a certificate, either read from an uploaded certificate PDF
+ *       (the signature is embedded in the PDF metadata) or given as payload, signature and key id.
+ *       Transaction certificates are verified the same way and reported as transactionCertificate.
+ *       The signature is computed over the canonical JSON of the payload (keys sorted, no whitespace),
+ *       with Ed25519 or ECDSA P-256/SHA-256 (raw r||s), encoded as base64url.
+ *     tags: [Verification]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Certificate PDF
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payload
+ *               - signature
+ *               - keyId
+ *             properties:
+ *               payload:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *               signature:
+ *                 type: string
+ *               keyId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification result - check signatureValid and matchesRecord
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignatureVerification'
+ *       400:
+ *         description: Nothing to verify, or the PDF carries no signature
+ *       413:
+ *         description: PDF too large
+ *       429:
+ *         description: Too many verification requests
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', verificationLimiter, handleUpload, async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    let signed = req.body;
+    if (req.file) {
+      signed = PDFService.readSignature(req.file.buffer);
+      if (!signed) {
+        return res.status(400).json({ error: 'The PDF does not carry a Pesira certificate signature' });
+      }
+    }
+
+    if (!signed || !signed.payload || !signed.signature || !signed.keyId) {
+      return res.status(400).json({ error: 'Upload a certificate PDF as file, or send payload, signature and keyId' });
+    }
+
+    res.json(TransactionCertificateService.isTransactionPayload(signed.payload)
+      ? await TransactionCertificateService.verifySignature(signed)
+      : await CertificateService.verifySignature(signed));
+  } catch (error) {
+    console.error('Error verifying certificate signature:', error);
+    res.status(500).json({ error: 'Failed to verify certificate signature' });
+  }
+});
+
+/**
+ * @swagger
+ * /verify/transactions/{tcNumber}:
+ *   get:
+ *     summary: Verify a transaction certificate
+ *     description: |
+ *       Public endpoint for buyers to confirm that a lot is covered by a genuine transaction certificate. This is the
+ *       URL encoded in the QR code on transaction certificate PDFs. The current status of the scope certificate the lot
+ *       was sold under is included.
+ *     tags: [Verification]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: tcNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "TC-2025-K3F9Q"
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature from the QR code, checked against the recorded payload
+ *       - in: query
+ *         name: keyId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transaction certificate found. Check `valid` - cancelled ones are returned too.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionCertificateVerification'
+ *       404:
+ *         description: No transaction certificate with this number
+ *       429:
+ *         description: Too many verification requests
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/transactions/:tcNumber', verificationLimiter, async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const verification = await TransactionCertificateService.getPublicView(req.params.tcNumber.trim(), {
+      signature: req.query.signature,
+      keyId: req.query.keyId
+    });
+    if (!verification) {
+      return res.status(404).json({ valid: false, error: 'Transaction certificate not found' });
+    }
+
+    res.json(verification);
+  } catch (error) {
+    console.error('Error verifying transaction certificate:', error);
+    res.status(500).json({ error: 'Failed to verify transaction certificate' });
+  }
+});
+
+/**
+ * @swagger
+ * /verify/{certificateNumber}/scope:
+ *   get:
+ *     summary: Check whether a crop from a field was certified on a date
+ *     description: |
+ *       Answers "is crop X from field Y certified on date D?" for a certificate. The field is matched by the name
+ *       printed on the certificate annex. The certificate must have been in force on that date (not suspended or
+ *       revoked then) and the field must have been certified organic rather than in conversion.
+ *     tags: [Verification]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: crop
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Coffee
+ *       - in: query
+ *         name: field
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "Field A - Coffee Block"
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Answer - check `certified` and `reason`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScopeCheck'
+ *       400:
+ *         description: crop or field missing, or invalid date
+ *       404:
+ *         description: No certificate with this number
+ *       429:
+ *         description: Too many verification requests
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:certificateNumber/scope', verificationLimiter, async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { crop, field, date } = req.query;
+    const errors = [];
+    if (!crop || typeof crop !== 'string' || crop.trim().length === 0) errors.push('crop is required');
+    if (!field || typeof field !== 'string' || field.trim().length === 0) errors.push('field is required');
+    if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+      errors.push('date must be a date (YYYY-MM-DD)');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const check = await CertificateService.checkScope(req.params.certificateNumber.trim(), {
+      crop: crop.trim(),
+      field: field.trim(),
+      ...(date && { date })
+    });
+    if (!check) {
+      return res.status(404).json({ certified: false, error: 'Certificate not found' });
+    }
+
+    res.json(check);
+  } catch (error) {
+    console.error('Error checking certificate scope:', error);
+    res.status(500).json({ error: 'Failed to check certificate scope' });
+  }
+});
+
+/**
+ * @swagger
+ * /verify/{certificateNumber}:
+ *   get:
+ *     summary: Verify a certificate
+ *     description: |
+ *       Public endpoint for buyers and exporters to confirm a certificate is genuine and still in force.
+ *       This is the URL encoded in the QR code on certificate PDFs. No login is needed; requests are
+ *       rate limited per IP (VERIFY_RATE_LIMIT_MAX per VERIFY_RATE_LIMIT_WINDOW_MINUTES, default 60 per 15 minutes).
+ *     tags: [Verification]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: certificateNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "ORG-2025-K3F9Q"
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature from the certificate QR code, checked against the recorded payload
+ *       - in: query
+ *         name: keyId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate found. Check `valid` and `status` - suspended, revoked and expired certificates are returned too.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CertificateVerification'
+ *       404:
+ *         description: No certificate with this number
+ *       429:
+ *         description: Too many verification requests
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:certificateNumber', verificationLimiter, async (req, res) => {
+  try {
+    // Status can change at any time (suspension, revocation), so answers must not be cached
+    res.setHeader('Cache-Control', 'no-store');
+
+    const verification = await CertificateService.getPublicView(req.params.certificateNumber.trim(), {
+      signature: req.query.signature,
+      keyId: req.query.keyId
+    });
+    if (!verification) {
+      return res.status(404).json({ valid: false, error: 'Certificate not found' });
+    }
+
+    res.json(verification);
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ error: 'Failed to verify certificate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const { Farm, Farmer, YieldEstimate } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { validateYieldEstimate } = require('../utils/validation');
+const { REFERENCE_YIELDS_KG_PER_HA } = require('../utils/yield');
+
+// Default estimates are set by admins; a farm's own estimate also by the agronomist of its farmer
+const canManageEstimate = async (user, farmId) => {
+  if (user.role === 'admin') return true;
+  if (!farmId) return false;
+
+  const farm = await Farm.findById(farmId);
+  const farmer = farm ? await Farmer.findById(farm.farmer_id) : null;
+  return Boolean(farmer && farmer.user_id === user.id);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     YieldEstimate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         crop:
+ *           type: string
+ *           example: "Coffee"
+ *         farmId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for the default estimate of every farm
+ *         farmName:
+ *           type: string
+ *           nullable: true
+ *         yieldKgPerHa:
+ *           type: number
+ *           description: Expected yield in kg per hectare per year
+ *           example: 7500
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         updatedBy:
+ *           type: integer
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/yield-estimates:
+ *   get:
+ *     summary: List yield estimates
+ *     description: |
+ *       Expected yields used by mass-balance checks and transaction certificates. A farm's own estimate of a crop
+ *       takes precedence over the default one, which takes precedence over the built-in reference yield (also
+ *       returned). Agronomists see the defaults and the estimates of their farmers' farms.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: query
+ *         name: crop
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: farmId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Yield estimates and reference yields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 estimates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/YieldEstimate'
+ *                 referenceYields:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *                   example:
+ *                     coffee: 8000
+ *                     tea: 12000
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   put:
+ *     summary: Set a yield estimate
+ *     description: |
+ *       Creates or replaces the estimate of a crop, for one farm or (without farmId) as the default for every farm.
+ *       Only admins set defaults; agronomists may set estimates for their farmers' farms.
+ *     tags: [Harvests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - crop
+ *               - yieldKgPerHa
+ *             properties:
+ *               crop:
+ *                 type: string
+ *               farmId:
+ *                 type: integer
+ *               yieldKgPerHa:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *           example:
+ *             crop: "Coffee"
+ *             farmId: 2
+ *             yieldKgPerHa: 7500
+ *             notes: "Average of the last three seasons"
+ *     responses:
+ *       200:
+ *         description: Yield estimate saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/YieldEstimate'
+ *       400:
+ *         description: Invalid data or farm not found
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const estimates = await YieldEstimate.findAll({
+      farmId: parseInt(req.query.farmId) || undefined,
+      crop: req.query.crop,
+      farmerUserId: req.user.role === 'admin' ? null : req.user.id
+    });
+
+    res.json({
+      estimates: estimates.map(estimate => YieldEstimate.mapFromDatabase(estimate)),
+      referenceYields: REFERENCE_YIELDS_KG_PER_HA
+    });
+  } catch (error) {
+    console.error('Error fetching yield estimates:', error);
+    res.status(500).json({ error: 'Failed to fetch yield estimates' });
+  }
+});
+
+router.put('/', authenticateToken, async (req, res) => {
+  try {
+    const errors = validateYieldEstimate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const farmId = req.body.farmId ? parseInt(req.body.farmId) : null;
+    if (farmId && !(await Farm.findById(farmId))) {
+      return res.status(400).json({ error: 'Farm not found' });
+    }
+
+    if (!(await canManageEstimate(req.user, farmId))) {
+      return res.status(403).json({
+        error: farmId
+          ? 'Access denied. You can only set yield estimates for your own farms.'
+          : 'Only admins can set default yield estimates'
+      });
+    }
+
+    const crop = req.body.crop.trim();
+    await YieldEstimate.save({
+      crop,
+      farmId,
+      yieldKgPerHa: Number(req.body.yieldKgPerHa),
+      notes: req.body.notes,
+      updatedBy: req.user.id
+    });
+
+    const [estimate] = await YieldEstimate.findAll({ farmId, crop });
+    res.json(YieldEstimate.mapFromDatabase(estimate));
+  } catch (error) {
+    console.error('Error saving yield estimate:', error);
+    res.status(500).json({ error: 'Failed to save yield estimate' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/yield-estimates/{id}:
+ *   delete:
+ *     summary: Delete a yield estimate
+ *     description: The crop falls back to the default estimate or the reference yield.
+ *     tags: [Harvests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Yield estimate deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessMessage'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const estimate = await YieldEstimate.findById(parseInt(req.params.id));
+    if (!estimate) {
+      return res.status(404).json({ error: 'Yield estimate not found' });
+    }
+
+    if (!(await canManageEstimate(req.user, estimate.farm_id))) {
+      return res.status(403).json({ error: 'Access denied. You can only delete yield estimates of your own farms.' });
+    }
+
+    await YieldEstimate.delete(estimate.id);
+    res.json({ message: 'Yield estimate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting yield estimate:', error);
+    res.status(500).json({ error: 'Failed to delete yield estimate' });
+  }
+});
+
+module.exports = router;
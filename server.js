@@ -2,11 +2,10 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
-const fs = require('fs-extra');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const { testConnection, ensureUserIdColumn } = require('./config/database');
+const JobScheduler = require('./services/jobScheduler');
 require('dotenv').config();
 
 const app = express();
@@ -19,11 +18,8 @@ app.use(morgan('combined'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files for PDF storage
-app.use('/certificates', express.static(path.join(__dirname, 'certificates')));
-
-// Ensure certificates directory exists
-fs.ensureDirSync(path.join(__dirname, 'certificates'));
+// Archived certificate PDFs (certificates/) are not served statically; they are downloaded through
+// /api/certificates/{id}/documents, which checks access and the stored hash
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
@@ -37,9 +33,24 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/farmers', require('./routes/farmers'));
 app.use('/api/farms', require('./routes/farms'));
 app.use('/api/fields', require('./routes/fields'));
+app.use('/api/harvests', require('./routes/harvests'));
+app.use('/api/yield-estimates', require('./routes/yieldEstimates'));
+app.use('/api/field-activities', require('./routes/fieldActivities'));
+app.use('/api/inputs', require('./routes/inputs'));
+app.use('/api/inspections/:id/attachments', require('./routes/inspectionAttachments'));
 app.use('/api/inspections', require('./routes/inspections'));
+app.use('/api/checklist-templates', require('./routes/checklistTemplates'));
+app.use('/api/non-conformities', require('./routes/nonConformities'));
+app.use('/api/sync', require('./routes/sync'));
 app.use('/api/inspectors', require('./routes/inspectors'));
+app.use('/api/inspection-plans', require('./routes/inspectionPlans'));
 app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/certificate-templates', require('./routes/certificateTemplates'));
+app.use('/api/certificate-batches', require('./routes/certificateBatches'));
+app.use('/api/transaction-certificates', require('./routes/transactionCertificates'));
+app.use('/api/renewal-requests', require('./routes/renewalRequests'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/verify', require('./routes/verify'));
 
 /**
  * @swagger
@@ -92,6 +103,9 @@ async function startServer() {
       // Run migration to ensure user_id column exists
       console.log('Running database migrations...');
       await ensureUserIdColumn();
+
+      // Certificate expiry and renewal reminders
+      JobScheduler.start();
     }
 
     app.listen(PORT, () => {
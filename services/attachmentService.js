@@ -0,0 +1,181 @@
+const crypto = require('crypto')
+const path = require('path')
+const fs = require('fs-extra')
+const exifr = require('exifr')
+const { v4: uuidv4 } = require('uuid')
+const db = require('../config/database')
+const ChecklistTemplate = require('../models/ChecklistTemplate')
+const NonConformity = require('../models/NonConformity')
+const { DEFAULT_CHECKLIST } = require('../utils/inspection')
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+const MAX_FILE_SIZE = (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024
+const MAX_FILES_PER_UPLOAD = 10
+
+const CATEGORIES = ['photo', 'soil_test', 'input_receipt', 'declaration', 'other']
+
+// Accepted MIME types with their file extensions and leading bytes
+const FILE_TYPES = {
+    'image/jpeg': { extensions: ['.jpg', '.jpeg'], matches: buffer => buffer.slice(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    'image/png': { extensions: ['.png'], matches: buffer => buffer.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) },
+    'image/webp': { extensions: ['.webp'], matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+    'image/heic': { extensions: ['.heic', '.heif'], matches: buffer => buffer.toString('ascii', 4, 8) === 'ftyp' },
+    'application/pdf': { extensions: ['.pdf'], matches: buffer => buffer.toString('ascii', 0, 5) === '%PDF-' }
+}
+
+// EXIF fields worth keeping; everything else (thumbnails, maker notes) is dropped
+const EXIF_FIELDS = ['Make', 'Model', 'Software', 'DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'Orientation',
+    'ExifImageWidth', 'ExifImageHeight', 'GPSAltitude', 'GPSDateStamp', 'GPSTimeStamp', 'latitude', 'longitude']
+
+class AttachmentError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'AttachmentError'
+        this.status = status
+    }
+}
+
+class AttachmentService {
+    // Used by the upload middleware before the file body is buffered
+    static checkFileType(file) {
+        const type = FILE_TYPES[file.mimetype]
+        if (!type) {
+            throw new AttachmentError(
+                `${file.originalname}: file type ${file.mimetype} is not allowed. Allowed types: ${Object.keys(FILE_TYPES).join(', ')}`,
+                415
+            )
+        }
+        if (!type.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+            throw new AttachmentError(`${file.originalname}: extension does not match ${file.mimetype}`, 415)
+        }
+    }
+
+    static parseCoordinate(value) {
+        return value === undefined || value === '' ? undefined : parseFloat(value)
+    }
+
+    // Check the descriptive fields sent with an upload or a metadata change against the inspection
+    static async validateFields(inspection, fields) {
+        const errors = []
+
+        if (fields.category && !CATEGORIES.includes(fields.category)) {
+            errors.push(`Category must be one of: ${CATEGORIES.join(', ')}`)
+        }
+
+        if (fields.questionId) {
+            const questions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST
+            if (!questions.some(question => question.id === fields.questionId)) {
+                errors.push(`Question ${fields.questionId} is not on this inspection's checklist`)
+            }
+        }
+
+        if (fields.nonConformityId) {
+            const nonConformity = await NonConformity.findById(parseInt(fields.nonConformityId))
+            if (!nonConformity || nonConformity.inspection_id !== inspection.id) {
+                errors.push(`Non-conformity ${fields.nonConformityId} does not belong to this inspection`)
+            }
+        }
+
+        const latitude = this.parseCoordinate(fields.latitude)
+        const longitude = this.parseCoordinate(fields.longitude)
+        if ((latitude === undefined) !== (longitude === undefined)) {
+            errors.push('Latitude and longitude must be provided together')
+        }
+        if (latitude !== undefined && (isNaN(latitude) || latitude < -90 || latitude > 90)) {
+            errors.push('Latitude must be between -90 and 90')
+        }
+        if (longitude !== undefined && (isNaN(longitude) || longitude < -180 || longitude > 180)) {
+            errors.push('Longitude must be between -180 and 180')
+        }
+
+        if (fields.capturedAt && isNaN(Date.parse(fields.capturedAt))) {
+            errors.push('capturedAt must be a valid date')
+        }
+
+        return errors
+    }
+
+    static checksum(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex')
+    }
+
+    // Read EXIF/GPS from images. Files without EXIF data return null rather than failing the upload.
+    static async extractMetadata(buffer, mimeType) {
+        if (!mimeType.startsWith('image/')) return null
+
+        try {
+            const exif = await exifr.parse(buffer, { tiff: true, exif: true, gps: true })
+            if (!exif) return null
+
+            const metadata = {}
+            EXIF_FIELDS.forEach(field => {
+                if (exif[field] !== undefined) metadata[field] = exif[field]
+            })
+            return Object.keys(metadata).length > 0 ? metadata : null
+        } catch (error) {
+            console.warn('Failed to read EXIF metadata:', error.message)
+            return null
+        }
+    }
+
+    // Verify, fingerprint and write an uploaded file. EXIF values take precedence over the
+    // location and capture time reported by the client device.
+    static async store(inspectionId, file, { capturedAt, latitude, longitude } = {}) {
+        const type = FILE_TYPES[file.mimetype]
+        if (!type || !type.matches(file.buffer)) {
+            throw new AttachmentError(`${file.originalname}: contents do not match ${file.mimetype}`, 415)
+        }
+
+        const metadata = await this.extractMetadata(file.buffer, file.mimetype)
+        const hasExifLocation = metadata && metadata.latitude !== undefined && metadata.longitude !== undefined
+        const hasDeviceLocation = latitude !== undefined && longitude !== undefined
+
+        const storagePath = path.posix.join('inspections', String(inspectionId), `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`)
+        await fs.outputFile(this.resolvePath(storagePath), file.buffer)
+        // Stored inside a transaction (a multi-file upload), the file goes if its rows are rolled back
+        db.onRollback(() => this.remove(storagePath))
+
+        return {
+            originalName: file.originalname,
+            storagePath,
+            mimeType: file.mimetype,
+            sizeBytes: file.size,
+            checksum: this.checksum(file.buffer),
+            capturedAt: (metadata && (metadata.DateTimeOriginal || metadata.CreateDate)) || capturedAt || null,
+            latitude: hasExifLocation ? metadata.latitude : (hasDeviceLocation ? latitude : undefined),
+            longitude: hasExifLocation ? metadata.longitude : (hasDeviceLocation ? longitude : undefined),
+            metadata: {
+                ...(metadata && { exif: metadata }),
+                locationSource: hasExifLocation ? 'exif' : (hasDeviceLocation ? 'device' : null)
+            }
+        }
+    }
+
+    static resolvePath(storagePath) {
+        const absolutePath = path.resolve(UPLOAD_DIR, storagePath)
+        if (!absolutePath.startsWith(UPLOAD_DIR + path.sep)) {
+            throw new AttachmentError('Invalid attachment path')
+        }
+        return absolutePath
+    }
+
+    static async exists(storagePath) {
+        return await fs.pathExists(this.resolvePath(storagePath))
+    }
+
+    static async remove(storagePath) {
+        await fs.remove(this.resolvePath(storagePath))
+    }
+
+    static async removeInspectionFiles(inspectionId) {
+        await fs.remove(this.resolvePath(path.posix.join('inspections', String(inspectionId))))
+    }
+}
+
+AttachmentService.AttachmentError = AttachmentError
+AttachmentService.CATEGORIES = CATEGORIES
+AttachmentService.ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES)
+AttachmentService.MAX_FILE_SIZE = MAX_FILE_SIZE
+AttachmentService.MAX_FILES_PER_UPLOAD = MAX_FILES_PER_UPLOAD
+
+module.exports = AttachmentService
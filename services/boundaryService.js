@@ -0,0 +1,229 @@
+const Farm = require('../models/Farm')
+const Field = require('../models/Field')
+const {
+    boundaryAreaHectares,
+    boundaryErrors,
+    distanceToBoundaryM,
+    normalizeBoundary,
+    pointInBoundary,
+    polygonsOf
+} = require('../utils/geo')
+
+// A mapped area within 10% of the declared one is consistent with it
+const AREA_TOLERANCE = 0.1
+
+// Field corners this close outside the farm boundary still count as inside: walked boundaries carry GPS error
+const EDGE_TOLERANCE_M = 5
+
+const round = (value, digits = 4) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits
+
+const toNumber = (value) => value !== null && value !== undefined && value !== '' ? parseFloat(value) : null
+
+// mysql2 returns JSON columns parsed; older rows or drivers may hand back the text
+const parseBoundary = (value) => {
+    if (!value) return null
+    if (typeof value !== 'string') return value
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return null
+    }
+}
+
+class BoundaryError extends Error {
+    constructor(message, { status = 400, errors = [] } = {}) {
+        super(message)
+        this.name = 'BoundaryError'
+        this.status = status
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class BoundaryService {
+    // Validated geometry of a boundary sent as a geometry or Feature, with its geodesic area
+    static prepare(input) {
+        const geometry = normalizeBoundary(input)
+        const errors = boundaryErrors(geometry)
+        if (errors.length > 0) {
+            throw new BoundaryError('The boundary is not a valid polygon', { errors })
+        }
+
+        return { geometry, areaHectares: round(boundaryAreaHectares(geometry)) }
+    }
+
+    // Mapped area against the area declared for the farm (total_area) or field (area)
+    static areaCheck(declared, mapped) {
+        const declaredHectares = toNumber(declared)
+        const mappedHectares = toNumber(mapped)
+
+        if (mappedHectares === null) {
+            return { declaredHectares, mappedHectares, differenceHectares: null, differencePercent: null, status: 'not_mapped' }
+        }
+        if (!declaredHectares) {
+            return { declaredHectares, mappedHectares, differenceHectares: null, differencePercent: null, status: 'not_declared' }
+        }
+
+        const difference = mappedHectares - declaredHectares
+        return {
+            declaredHectares,
+            mappedHectares,
+            differenceHectares: round(difference),
+            differencePercent: round(difference / declaredHectares * 100, 1),
+            status: Math.abs(difference) <= declaredHectares * AREA_TOLERANCE ? 'consistent' : 'mismatch'
+        }
+    }
+
+    // Whether every corner of a field lies inside the farm boundary, or within EDGE_TOLERANCE_M of its edge.
+    // outside lists the corners that do not, with their distance to the farm boundary in metres.
+    static containment(fieldGeometry, farmGeometry) {
+        const corners = polygonsOf(fieldGeometry).flatMap(([exterior]) => exterior.slice(0, -1))
+
+        const outside = corners
+            .filter(corner => !pointInBoundary(corner, farmGeometry))
+            .map(corner => ({ position: corner, distanceM: round(distanceToBoundaryM(corner, farmGeometry), 1) }))
+            .filter(corner => corner.distanceM > EDGE_TOLERANCE_M)
+
+        return { withinFarm: outside.length === 0, outside }
+    }
+
+    static farmSummary(farm, fields = []) {
+        const boundary = parseBoundary(farm.boundary)
+
+        return {
+            farmId: farm.id,
+            farmName: farm.farm_name,
+            boundary,
+            areaCheck: this.areaCheck(farm.total_area, boundary ? farm.boundary_area_ha : null),
+            fieldsOutside: boundary
+                ? fields
+                    .map(field => this.fieldSummary(field, farm))
+                    .filter(field => field.withinFarm === false)
+                    .map(({ fieldId, fieldName, outside }) => ({ fieldId, fieldName, outside }))
+                : []
+        }
+    }
+
+    // withinFarm is null while the field or its farm has no boundary
+    static fieldSummary(field, farm) {
+        const boundary = parseBoundary(field.boundary)
+        const farmBoundary = farm ? parseBoundary(farm.boundary) : null
+        const containment = boundary && farmBoundary ? this.containment(boundary, farmBoundary) : null
+
+        return {
+            fieldId: field.id,
+            fieldName: field.field_name,
+            farmId: field.farm_id,
+            boundary,
+            areaCheck: this.areaCheck(field.area, boundary ? field.boundary_area_ha : null),
+            withinFarm: containment ? containment.withinFarm : null,
+            outside: containment ? containment.outside : []
+        }
+    }
+
+    // Fields mapped before the farm are reported, not rejected: their boundaries may be the better survey
+    static async setFarmBoundary(farm, input) {
+        const { geometry, areaHectares } = this.prepare(input)
+        const updated = await Farm.setBoundary(farm.id, geometry, areaHectares)
+        const fields = await Field.findByFarm(farm.id)
+
+        return this.farmSummary(updated, fields)
+    }
+
+    static async clearFarmBoundary(farm) {
+        return this.farmSummary(await Farm.setBoundary(farm.id, null, null))
+    }
+
+    static async setFieldBoundary(field, input) {
+        const { geometry, areaHectares } = this.prepare(input)
+
+        const farm = await Farm.findById(field.farm_id)
+        const farmBoundary = farm ? parseBoundary(farm.boundary) : null
+        if (farmBoundary) {
+            const { withinFarm, outside } = this.containment(geometry, farmBoundary)
+            if (!withinFarm) {
+                throw new BoundaryError('The field boundary is not inside the farm boundary', {
+                    errors: outside.map(corner => `Corner [${corner.position.join(', ')}] is ${corner.distanceM} m outside the farm boundary`)
+                })
+            }
+        }
+
+        const updated = await Field.setBoundary(field.id, geometry, areaHectares)
+        return this.fieldSummary(updated, farm)
+    }
+
+    static async clearFieldBoundary(field) {
+        const updated = await Field.setBoundary(field.id, null, null)
+        return this.fieldSummary(updated, await Farm.findById(field.farm_id))
+    }
+
+    // GeoJSON FeatureCollection of the mapped farms and fields; unmapped ones are left out
+    static async featureCollection(farms) {
+        const features = []
+
+        for (const farm of farms) {
+            const fields = await Field.findByFarm(farm.id)
+            const summary = this.farmSummary(farm)
+
+            if (summary.boundary) {
+                features.push({
+                    type: 'Feature',
+                    id: `farm-${farm.id}`,
+                    geometry: summary.boundary,
+                    properties: {
+                        kind: 'farm',
+                        farmId: farm.id,
+                        name: farm.farm_name,
+                        location: farm.location,
+                        certificationStatus: farm.certification_status || 'pending',
+                        ...this.areaProperties(summary.areaCheck)
+                    }
+                })
+            }
+
+            fields.forEach(field => {
+                const fieldSummary = this.fieldSummary(field, farm)
+                if (!fieldSummary.boundary) return
+
+                features.push({
+                    type: 'Feature',
+                    id: `field-${field.id}`,
+                    geometry: fieldSummary.boundary,
+                    properties: {
+                        kind: 'field',
+                        fieldId: field.id,
+                        farmId: field.farm_id,
+                        name: field.field_name,
+                        farmName: farm.farm_name,
+                        cropType: field.crop_type,
+                        conversion: Field.conversion(field).label,
+                        withinFarm: fieldSummary.withinFarm,
+                        ...this.areaProperties(fieldSummary.areaCheck)
+                    }
+                })
+            })
+        }
+
+        return { type: 'FeatureCollection', features }
+    }
+
+    static areaProperties(areaCheck) {
+        return {
+            declaredAreaHectares: areaCheck.declaredHectares,
+            mappedAreaHectares: areaCheck.mappedHectares,
+            areaCheck: areaCheck.status
+        }
+    }
+}
+
+BoundaryService.BoundaryError = BoundaryError
+BoundaryService.AREA_TOLERANCE = AREA_TOLERANCE
+BoundaryService.EDGE_TOLERANCE_M = EDGE_TOLERANCE_M
+
+module.exports = BoundaryService
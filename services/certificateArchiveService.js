@@ -0,0 +1,206 @@
+const crypto = require('crypto')
+const path = require('path')
+const fs = require('fs-extra')
+const db = require('../config/database')
+const Certificate = require('../models/Certificate')
+const CertificateDocument = require('../models/CertificateDocument')
+const CertificateScopeItem = require('../models/CertificateScopeItem')
+const Farm = require('../models/Farm')
+const Farmer = require('../models/Farmer')
+const CertificateService = require('./certificateService')
+const CertificateTemplateService = require('./certificateTemplateService')
+const PDFService = require('./pdfService')
+
+const ARCHIVE_DIR = path.resolve(process.env.CERTIFICATE_ARCHIVE_DIR || path.join(__dirname, '..', 'certificates'))
+
+// Why a version was archived: the first issue, another copy of the same certificate (lost copy, other
+// language or template), or a copy re-signed because the certificate's data changed
+const REASONS = ['issued', 'reissued', 'amended']
+
+// Statuses under which another version of a certificate may be archived
+const REISSUABLE_STATUSES = [...CertificateService.VALID_STATUSES, 'suspended']
+
+const parsePayload = (value) => {
+    if (!value) return null
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value
+    } catch (error) {
+        return null
+    }
+}
+
+class ArchiveError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'ArchiveError'
+        this.status = status
+    }
+
+    toJSON() {
+        return { error: this.message }
+    }
+}
+
+class CertificateArchiveService {
+    static checksum(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex')
+    }
+
+    // Render the signed certificate with the holder, farm name and crops it was signed with, write it to the
+    // archive as the next version and point the certificate's pdf_url at it. Files are written exclusively, so
+    // an archived version is never replaced.
+    static async archive(certificate, { reason = 'issued', note, templateId, language, userId = null } = {}) {
+        if (!REASONS.includes(reason)) {
+            throw new ArchiveError(`reason must be one of: ${REASONS.join(', ')}`)
+        }
+
+        const currentFarm = await Farm.findById(certificate.farm_id)
+        const currentFarmer = currentFarm ? await Farmer.findById(currentFarm.farmer_id) : null
+        if (!currentFarm || !currentFarmer) {
+            throw new ArchiveError('Associated farm or farmer not found', 404)
+        }
+        const { farm, farmer } = this.asSigned(certificate, currentFarm, currentFarmer)
+
+        const style = await CertificateTemplateService.resolve({ templateId, certificate, farm, language })
+        const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id)
+        const buffer = await PDFService.generateCertificatePDF(certificate, farm, farmer, scopeItems, { style })
+        const sha256 = this.checksum(buffer)
+
+        const latest = await CertificateDocument.findLatest(certificate.id)
+        const version = latest ? latest.version + 1 : 1
+        const storagePath = path.posix.join(String(certificate.id), `v${version}-${sha256.slice(0, 16)}.pdf`)
+
+        await fs.ensureDir(path.dirname(this.resolvePath(storagePath)))
+        await fs.writeFile(this.resolvePath(storagePath), buffer, { flag: 'wx' })
+        // Archiving inside a transaction (approval, batches) must not leave a file behind for rows rolled back
+        db.onRollback(() => fs.remove(this.resolvePath(storagePath)))
+
+        let document
+        try {
+            document = await CertificateDocument.create({
+                certificateId: certificate.id,
+                version,
+                reason,
+                note,
+                storagePath,
+                sha256,
+                sizeBytes: buffer.length,
+                templateId: style.templateId,
+                language: style.language,
+                signature: certificate.signature,
+                signingKeyId: certificate.signing_key_id,
+                createdBy: userId
+            })
+        } catch (error) {
+            // Another request archived the same version first; drop this file so the archive matches the rows
+            await fs.remove(this.resolvePath(storagePath))
+            throw error
+        }
+
+        await Certificate.update(certificate.id, {
+            pdfUrl: CertificateDocument.downloadPath(certificate.id, version),
+            pdfSha256: sha256
+        })
+
+        return await CertificateDocument.findVersion(certificate.id, document.version)
+    }
+
+    // Freeze the PDF of a newly issued, signed certificate as version 1; returns the updated certificate
+    static async archiveIssued(certificate, { userId = null } = {}) {
+        await this.archive(certificate, { reason: 'issued', userId })
+        return await Certificate.findById(certificate.id)
+    }
+
+    // Farm and farmer overlaid with what the signed payload recorded at signing. Location and size are not
+    // part of the payload and are printed as they are now.
+    static asSigned(certificate, farm, farmer) {
+        const payload = parsePayload(certificate.signed_payload)
+        if (!payload) return { farm, farmer }
+
+        return {
+            farm: {
+                ...farm,
+                ...(payload.farm && { farm_name: payload.farm.name }),
+                ...(Array.isArray(payload.crops) && { crop_types: payload.crops })
+            },
+            farmer: { ...farmer, ...(payload.holder && { name: payload.holder }) }
+        }
+    }
+
+    // Current archived version, archiving a certificate issued before the archive existed. Such a
+    // certificate is printed as it was signed; one never signed is signed now, as nothing older is recorded.
+    static async ensureArchived(certificate, { userId = null } = {}) {
+        const latest = await CertificateDocument.findLatest(certificate.id)
+        if (latest) return latest
+
+        return await this.archive(await CertificateService.ensureSigned(certificate), { reason: 'issued', userId })
+    }
+
+    // Daily job: archive the certificates issued before the archive existed, so downloads never have to.
+    // A certificate that fails is reported and tried again on the next run.
+    static async archiveLegacyCertificates() {
+        const certificates = await db.executeQuery(`
+            SELECT c.* FROM certificates c
+            WHERE NOT EXISTS (SELECT 1 FROM certificate_documents d WHERE d.certificate_id = c.id)
+            ORDER BY c.id ASC
+        `)
+
+        const failed = []
+        for (const certificate of certificates) {
+            try {
+                await db.withTransaction(() => this.ensureArchived(certificate))
+            } catch (error) {
+                console.error(`Error archiving certificate ${certificate.certificate_number}:`, error.message)
+                failed.push(certificate.certificate_number)
+            }
+        }
+
+        return { archived: certificates.length - failed.length, failed }
+    }
+
+    // Another version of a certificate in force. A reissue is a new copy under the same signature (a lost
+    // copy, another language or template); an amendment re-signs the certificate first so the signed
+    // payload and the PDF carry the farm and farmer data as they are now.
+    static async reissue(certificate, { reason = 'reissued', note, templateId, language, userId = null } = {}) {
+        if (!REISSUABLE_STATUSES.includes(certificate.status)) {
+            throw new ArchiveError(`A ${certificate.status} certificate cannot be reissued or amended`, 409)
+        }
+
+        // A new signature is only kept with the PDF that carries it; a failed archive rolls both back
+        return await db.withTransaction(async () => {
+            const signedCertificate = reason === 'amended'
+                ? await CertificateService.signCertificate(certificate)
+                : await CertificateService.ensureSigned(certificate)
+
+            return await this.archive(signedCertificate, { reason, note, templateId, language, userId })
+        })
+    }
+
+    // Stored bytes of an archived version, checked against the hash recorded when it was written
+    static async read(document) {
+        const absolutePath = this.resolvePath(document.storage_path)
+        if (!(await fs.pathExists(absolutePath))) {
+            throw new ArchiveError(`Archived file of version ${document.version} is missing`, 500)
+        }
+
+        const buffer = await fs.readFile(absolutePath)
+        if (this.checksum(buffer) !== document.sha256) {
+            throw new ArchiveError(`Archived file of version ${document.version} does not match its recorded hash`, 500)
+        }
+
+        return buffer
+    }
+
+    static resolvePath(storagePath) {
+        const absolutePath = path.resolve(ARCHIVE_DIR, storagePath)
+        if (!absolutePath.startsWith(ARCHIVE_DIR + path.sep)) {
+            throw new ArchiveError('Invalid archive path')
+        }
+        return absolutePath
+    }
+}
+
+CertificateArchiveService.ArchiveError = ArchiveError
+CertificateArchiveService.REASONS = REASONS
+
+module.exports = CertificateArchiveService
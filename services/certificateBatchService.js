@@ -0,0 +1,223 @@
+const path = require('path')
+const fs = require('fs-extra')
+const archiver = require('archiver')
+const db = require('../config/database')
+const CertificateBatch = require('../models/CertificateBatch')
+const CertificateDocument = require('../models/CertificateDocument')
+const CertificateService = require('./certificateService')
+const CertificateArchiveService = require('./certificateArchiveService')
+const InspectionWorkflow = require('./inspectionWorkflow')
+
+const { CertificateIssuanceError } = CertificateService
+const { InspectionTransitionError } = InspectionWorkflow
+
+const BATCH_DIR = path.resolve(process.env.CERTIFICATE_BATCH_DIR || path.join(__dirname, '..', 'certificates', 'batches'))
+
+const MAX_ITEMS = 500
+
+// A queued or running batch without progress for this long belongs to a process that stopped and can be resumed
+const STALE_BATCH_MINUTES = 15
+
+const MANIFEST_COLUMNS = ['position', 'inspection_id', 'farm', 'status', 'certificate_number', 'document_version', 'sha256', 'error']
+
+class BatchError extends Error {
+    constructor(message, { status = 400, details = null } = {}) {
+        super(message)
+        this.name = 'BatchError'
+        this.status = status
+        this.details = details
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.details && { details: this.details })
+        }
+    }
+}
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class CertificateBatchService {
+    // Record the batch and process it in the background; the caller gets the queued batch back at once
+    static async create(inspectionIds, user, { reason } = {}) {
+        const found = await db.executeQuery(
+            `SELECT id FROM inspections WHERE id IN (${inspectionIds.map(() => '?').join(', ')})`,
+            inspectionIds
+        )
+        const foundIds = found.map(row => row.id)
+        const missingInspectionIds = inspectionIds.filter(id => !foundIds.includes(id))
+        if (missingInspectionIds.length > 0) {
+            throw new BatchError('Some inspections do not exist', { details: { missingInspectionIds } })
+        }
+
+        const batch = await CertificateBatch.create({ inspectionIds, reason, requestedBy: user.id })
+        this.start(batch.id, user)
+        return batch
+    }
+
+    static start(batchId, user) {
+        setImmediate(() => {
+            this.process(batchId, user).catch(error => console.error(`Certificate batch ${batchId} failed:`, error))
+        })
+    }
+
+    // Approve every pending item, then write the ZIP. Items are processed one at a time so a season's
+    // batch does not hold many database connections or render many PDFs at once.
+    static async process(batchId, user) {
+        const queued = await CertificateBatch.findById(batchId)
+        const batch = await CertificateBatch.update(batchId, {
+            status: 'running',
+            startedAt: queued.started_at || new Date()
+        })
+
+        try {
+            const items = await CertificateBatch.findItems(batchId, { status: 'pending' })
+            for (const item of items) {
+                await this.processItem(batch, item, user)
+                await CertificateBatch.refreshCounts(batchId)
+            }
+
+            const zip = await this.writeZip(batchId)
+            return await CertificateBatch.update(batchId, { status: 'completed', ...zip, error: null, finishedAt: new Date() })
+        } catch (error) {
+            console.error(`Certificate batch ${batchId} stopped:`, error)
+            return await CertificateBatch.update(batchId, { status: 'failed', error: error.message, finishedAt: new Date() })
+        }
+    }
+
+    // Approve one inspection, issue and archive its certificate and record the item in one transaction.
+    // A failure rolls all of it back, leaving the inspection submitted, and is recorded on the item.
+    // PDFs archived in the transaction are removed with it (see CertificateArchiveService.archive).
+    static async processItem(batch, item, user) {
+        try {
+            await db.withTransaction(async () => {
+                const inspection = await db.findById('inspections', item.inspection_id)
+                if (!inspection) {
+                    throw new BatchError('Inspection not found', { status: 404 })
+                }
+
+                const { certificate, certificateGenerated } = await InspectionWorkflow.transition(inspection, 'completed', {
+                    user,
+                    reason: batch.reason || `Approved in certificate batch #${batch.id}`
+                })
+                const document = await CertificateArchiveService.ensureArchived(certificate, { userId: user.id })
+
+                await CertificateBatch.updateItem(item.id, {
+                    status: certificateGenerated ? 'issued' : 'existing',
+                    certificateId: certificate.id,
+                    documentVersion: document.version
+                })
+            })
+        } catch (error) {
+            const known = error instanceof InspectionTransitionError || error instanceof CertificateIssuanceError || error instanceof BatchError
+            if (!known) {
+                console.error(`Certificate batch ${batch.id}, inspection ${item.inspection_id}:`, error)
+            }
+
+            const { error: message, ...details } = known ? error.toJSON() : { error: 'Failed to issue certificate' }
+            await CertificateBatch.updateItem(item.id, {
+                status: 'failed',
+                error: message,
+                details: Object.keys(details).length > 0 ? details : null
+            })
+        }
+    }
+
+    // ZIP of the archived PDF of every issued item (and the current one of farms that already held a
+    // certificate), with a manifest of all items. Written under a temporary name and renamed when complete.
+    static async writeZip(batchId) {
+        const items = await CertificateBatch.findItems(batchId)
+        const zipPath = `batch-${batchId}.zip`
+        const absolutePath = path.join(BATCH_DIR, zipPath)
+        const partialPath = `${absolutePath}.partial`
+
+        await fs.ensureDir(BATCH_DIR)
+
+        const output = fs.createWriteStream(partialPath)
+        const zip = archiver('zip', { zlib: { level: 6 } })
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve)
+            output.on('error', reject)
+            zip.on('error', reject)
+        })
+        zip.pipe(output)
+
+        // Several inspections of one farm share its certificate, which is added once
+        const added = new Set()
+        const manifest = [MANIFEST_COLUMNS.join(',')]
+        for (const item of items) {
+            let document = null
+            if (item.certificate_id && item.document_version) {
+                document = await CertificateDocument.findVersion(item.certificate_id, item.document_version)
+                const name = `certificate-${item.certificate_number}-v${document.version}.pdf`
+                if (!added.has(name)) {
+                    zip.append(await CertificateArchiveService.read(document), { name })
+                    added.add(name)
+                }
+            }
+
+            manifest.push([
+                item.position,
+                item.inspection_id,
+                item.farm_name,
+                item.status,
+                item.certificate_number,
+                item.document_version,
+                document ? document.sha256 : null,
+                item.error
+            ].map(csvValue).join(','))
+        }
+        zip.append(manifest.join('\n') + '\n', { name: 'manifest.csv' })
+
+        await zip.finalize()
+        await finished
+        await fs.move(partialPath, absolutePath, { overwrite: true })
+
+        const buffer = await fs.readFile(absolutePath)
+        return {
+            zipPath,
+            zipSha256: CertificateArchiveService.checksum(buffer),
+            zipSizeBytes: buffer.length
+        }
+    }
+
+    // Continue a batch whose process stopped (failed, or no progress for STALE_BATCH_MINUTES) with its
+    // pending items. Items already processed are kept.
+    static async resume(batch, user, now = new Date()) {
+        if (batch.status === 'completed') {
+            throw new BatchError('Batch is already completed', { status: 409 })
+        }
+
+        const staleBefore = new Date(now.getTime() - STALE_BATCH_MINUTES * 60 * 1000)
+        const claimed = await CertificateBatch.reclaim(batch.id, { staleBefore })
+        if (!claimed) {
+            throw new BatchError('Batch is still being processed', { status: 409 })
+        }
+
+        this.start(batch.id, user)
+        return claimed
+    }
+
+    static async readZip(batch) {
+        if (batch.status !== 'completed' || !batch.zip_path) {
+            throw new BatchError(`Batch is ${batch.status}; the ZIP is available once it is completed`, { status: 409 })
+        }
+
+        const absolutePath = path.join(BATCH_DIR, path.basename(batch.zip_path))
+        if (!(await fs.pathExists(absolutePath))) {
+            throw new BatchError('Batch ZIP is missing', { status: 500 })
+        }
+
+        return await fs.readFile(absolutePath)
+    }
+}
+
+CertificateBatchService.BatchError = BatchError
+CertificateBatchService.MAX_ITEMS = MAX_ITEMS
+CertificateBatchService.STALE_BATCH_MINUTES = STALE_BATCH_MINUTES
+
+module.exports = CertificateBatchService
@@ -0,0 +1,143 @@
+const db = require('../models')
+const Certificate = require('../models/Certificate')
+const Notification = require('../models/Notification')
+const CertificateService = require('./certificateService')
+
+const DEFAULT_LEAD_DAYS = [90, 60, 30]
+
+// Days before expiry at which renewal reminders are queued, e.g. RENEWAL_REMINDER_LEAD_DAYS=90,60,30
+const parseLeadDays = (value) => {
+    const days = String(value || '')
+        .split(',')
+        .map(day => parseInt(day.trim()))
+        .filter(day => Number.isInteger(day) && day > 0)
+    return [...new Set(days.length > 0 ? days : DEFAULT_LEAD_DAYS)].sort((a, b) => a - b)
+}
+
+const LEAD_DAYS = parseLeadDays(process.env.RENEWAL_REMINDER_LEAD_DAYS)
+
+// Certificates in force until their expiry date passes
+const IN_FORCE_STATUSES = ['active', 'renewal_pending']
+
+// A suspension does not stop the clock: suspended certificates expire too, but never count as valid
+const EXPIRABLE_STATUSES = [...IN_FORCE_STATUSES, 'suspended']
+
+const REMINDER_TYPE = 'certificate_renewal_reminder'
+
+class CertificateExpiryService {
+    // Expire every certificate whose expiry date is before `today` and cascade to farms and farmers.
+    // Working from the date rather than "yesterday" makes a run after days of downtime catch up on
+    // all of them. Farms left marked certified without a valid certificate are corrected as well.
+    static async expireCertificates({ today }) {
+        const due = await db.query(`
+            SELECT id, certificate_number, farm_id, status FROM certificates
+            WHERE status IN (?, ?, ?) AND expiry_date < ?
+        `, [...EXPIRABLE_STATUSES, today])
+
+        for (const certificate of due) {
+            await Certificate.update(certificate.id, { status: 'expired' })
+            await this.recordExpiry(certificate)
+        }
+
+        const drifted = await db.query(`
+            SELECT f.id FROM farms f
+            WHERE f.certification_status = 'certified'
+              AND EXISTS (SELECT 1 FROM certificates c WHERE c.farm_id = f.id AND c.status = 'expired')
+        `)
+
+        const farmIds = [...new Set([...due.map(certificate => certificate.farm_id), ...drifted.map(farm => farm.id)])]
+        let farmsUpdated = 0
+
+        for (const farmId of farmIds) {
+            // A farm holding another valid certificate (e.g. a renewal successor) stays certified
+            const valid = await db.query(`
+                SELECT id FROM certificates WHERE farm_id = ? AND status IN (?, ?) AND expiry_date >= ? LIMIT 1
+            `, [farmId, ...IN_FORCE_STATUSES, today])
+
+            if (valid.length === 0) {
+                await CertificateService.cascadeStatus(farmId, 'expired')
+                farmsUpdated++
+            }
+        }
+
+        return {
+            expired: due.length,
+            certificateNumbers: due.map(certificate => certificate.certificate_number),
+            farmsUpdated
+        }
+    }
+
+    // Queue one reminder per certificate and lead time. A certificate gets the reminder for the
+    // shortest lead time it has reached, so one issued 45 days before expiry gets the 60-day reminder
+    // only, and a missed day is made up on the next run. Certificates already under renewal are skipped.
+    static async queueRenewalReminders({ today, jobRunId, leadDays = LEAD_DAYS }) {
+        const leads = [...leadDays].sort((a, b) => a - b)
+
+        const certificates = await db.query(`
+            SELECT c.id, c.certificate_number, DATE_FORMAT(c.expiry_date, '%Y-%m-%d') AS expiry_day,
+                   DATEDIFF(c.expiry_date, ?) AS days_left,
+                   f.farm_name, farmer.id AS farmer_id, farmer.name AS farmer_name,
+                   farmer.email AS farmer_email, farmer.phone AS farmer_phone, farmer.user_id
+            FROM certificates c
+            JOIN farms f ON c.farm_id = f.id
+            JOIN farmers farmer ON f.farmer_id = farmer.id
+            WHERE c.status = 'active' AND c.expiry_date >= ? AND c.expiry_date <= DATE_ADD(?, INTERVAL ? DAY)
+            ORDER BY c.expiry_date ASC
+        `, [today, today, today, leads[leads.length - 1]])
+
+        let queued = 0
+        let alreadyQueued = 0
+
+        for (const certificate of certificates) {
+            const daysLeft = Number(certificate.days_left)
+            const leadDays = leads.find(lead => daysLeft <= lead)
+
+            const notification = await Notification.queue({
+                type: REMINDER_TYPE,
+                userId: certificate.user_id,
+                farmerId: certificate.farmer_id,
+                certificateId: certificate.id,
+                leadDays,
+                recipientEmail: certificate.farmer_email,
+                recipientPhone: certificate.farmer_phone,
+                subject: `Organic certificate ${certificate.certificate_number} expires in ${daysLeft} days`,
+                message: `The organic certificate ${certificate.certificate_number} of ${certificate.farm_name} (${certificate.farmer_name}) ` +
+                    `expires on ${certificate.expiry_day}. Request its renewal now so that the renewal inspection can take place before then.`,
+                jobRunId
+            })
+
+            if (notification) {
+                queued++
+            } else {
+                alreadyQueued++
+            }
+        }
+
+        return { leadDays: leads, certificatesDue: certificates.length, queued, alreadyQueued }
+    }
+
+    static async recordExpiry(certificate) {
+        try {
+            await db.query(`
+                INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'certificates',
+                certificate.id,
+                'UPDATE',
+                JSON.stringify({ status: certificate.status }),
+                JSON.stringify({ status: 'expired', reason: 'Expiry date passed' }),
+                null,
+                new Date()
+            ])
+        } catch (auditError) {
+            console.warn('Failed to log certificate expiry:', auditError)
+        }
+    }
+}
+
+CertificateExpiryService.LEAD_DAYS = LEAD_DAYS
+CertificateExpiryService.REMINDER_TYPE = REMINDER_TYPE
+CertificateExpiryService.parseLeadDays = parseLeadDays
+
+module.exports = CertificateExpiryService
@@ -0,0 +1,505 @@
+const db = require('../models')
+const Certificate = require('../models/Certificate')
+const CertificateScopeItem = require('../models/CertificateScopeItem')
+const CertificateStatusAction = require('../models/CertificateStatusAction')
+const Farm = require('../models/Farm')
+const Farmer = require('../models/Farmer')
+const Field = require('../models/Field')
+const NonConformity = require('../models/NonConformity')
+const RenewalRequest = require('../models/RenewalRequest')
+const SigningService = require('./signingService')
+const { canonicalize } = require('../utils/canonicalJson')
+
+// Base of the public verification links printed on certificates (QR code)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3006}`).replace(/\/+$/, '')
+
+// Bumped whenever the fields of the signed payload change (2: per-field scope)
+const PAYLOAD_VERSION = 2
+
+// Farm certification_status that follows from the status of its certificate
+const FARM_STATUS_BY_CERTIFICATE = {
+    active: 'certified',
+    renewal_pending: 'certified',
+    suspended: 'suspended',
+    revoked: 'revoked',
+    expired: 'expired'
+}
+
+// A farmer's certification_status is taken from their farms, first match in this order
+const FARMER_STATUS_PRIORITY = ['certified', 'suspended', 'revoked', 'expired', 'pending', 'rejected']
+
+// Statuses under which a certificate is still in force, as long as it has not expired
+const VALID_STATUSES = ['active', 'renewal_pending']
+
+// Looking back at a date within the validity period, an expired certificate was in force then
+const VALID_ON_DATE_STATUSES = [...VALID_STATUSES, 'expired']
+
+const parseCropTypes = (value) => {
+    if (!value) return []
+    if (Array.isArray(value)) return value
+    try {
+        const parsed = JSON.parse(value)
+        return Array.isArray(parsed) ? parsed : []
+    } catch (error) {
+        return String(value).split(',').map(crop => crop.trim()).filter(Boolean)
+    }
+}
+
+const toDay = (value) => {
+    if (!value) return null
+    if (typeof value === 'string') return value.slice(0, 10)
+    const date = new Date(value)
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-')
+}
+
+class CertificateIssuanceError extends Error {
+    constructor(message, { status = 409, nonConformities = [], errors = [] } = {}) {
+        super(message)
+        this.name = 'CertificateIssuanceError'
+        this.status = status
+        this.nonConformities = nonConformities
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            nonConformities: this.nonConformities.map(item => NonConformity.mapFromDatabase(item)),
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+const currentDay = () => new Date().toISOString().split('T')[0]
+
+// Certificates are valid for one year from the issue date
+const calculateExpiryDate = (issueDate) => {
+    const date = new Date(issueDate)
+    date.setFullYear(date.getFullYear() + 1)
+    return date.toISOString().split('T')[0]
+}
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+class CertificateService {
+    // Refuse issuance while the farm has critical or major non-conformities that are not closed
+    static async assertNoBlockingNonConformities(farmId) {
+        const blocking = await NonConformity.findBlocking(farmId)
+
+        if (blocking.length > 0) {
+            throw new CertificateIssuanceError(
+                `Farm has ${blocking.length} open major or critical non-conformity(ies)`,
+                { nonConformities: blocking }
+            )
+        }
+    }
+
+    // Certificate of the farm in force: active, or under renewal
+    static async findCurrent(farmId) {
+        const certificates = await db.query(
+            'SELECT * FROM certificates WHERE farm_id = ? AND status IN ("active", "renewal_pending")',
+            [farmId]
+        )
+        return certificates[0] || null
+    }
+
+    // Certificate a completed inspection leaves in place instead of issuing one: the certificate under an
+    // open renewal request, expired or not, whose successor only RenewalService.approve issues; otherwise
+    // the certificate in force
+    static async findHeld(farmId) {
+        const renewal = await RenewalRequest.findOpenByFarm(farmId)
+        if (renewal) {
+            return await Certificate.findById(renewal.certificate_id)
+        }
+        return await this.findCurrent(farmId)
+    }
+
+    // Why issueForInspection would refuse the farm a certificate, for the approval guard to report before
+    // the inspection is completed. Empty when a certificate would be issued, or one is already held.
+    static async issuanceErrors(farmId) {
+        if (await this.findHeld(farmId)) return []
+
+        try {
+            await this.resolveScope(farmId)
+            return []
+        } catch (error) {
+            if (!(error instanceof CertificateIssuanceError)) throw error
+            return [error.message, ...error.errors]
+        }
+    }
+
+    // Issue a certificate for a completed inspection. If the farm already holds an active certificate,
+    // or is renewing one (see findHeld), that certificate is returned instead of issuing a duplicate.
+    static async issueForInspection(inspection, { userId = null } = {}) {
+        const existingCertificate = await this.findHeld(inspection.farm_id)
+        if (existingCertificate) {
+            return { certificate: existingCertificate, created: false }
+        }
+
+        await this.assertNoBlockingNonConformities(inspection.farm_id)
+
+        const issueDate = new Date().toISOString().split('T')[0]
+
+        const certificate = await this.createWithScope({
+            farmId: inspection.farm_id,
+            issueDate,
+            expiryDate: calculateExpiryDate(issueDate),
+            status: 'active',
+            certificationBody: 'Kenya Organic Agriculture Network',
+            scope: 'Organic crop production',
+            issuedBy: userId
+        })
+
+        await Farm.update(inspection.farm_id, { certificationStatus: 'certified' })
+
+        return { certificate: await this.signCertificate(certificate), created: true }
+    }
+
+    // Carry a certificate status change to the farm and recompute the farmer's status from all their farms
+    static async cascadeStatus(farmId, certificateStatus) {
+        const farmStatus = FARM_STATUS_BY_CERTIFICATE[certificateStatus]
+        if (!farmStatus) return
+
+        const farm = await Farm.update(farmId, { certificationStatus: farmStatus })
+        if (!farm) return
+
+        const farms = await db.query('SELECT certification_status FROM farms WHERE farmer_id = ?', [farm.farmer_id])
+        const statuses = farms.map(row => row.certification_status)
+        const farmerStatus = FARMER_STATUS_PRIORITY.find(status => statuses.includes(status)) || 'pending'
+
+        await Farmer.update(farm.farmer_id, { certificationStatus: farmerStatus })
+    }
+
+    // Successor of a renewed certificate: same farm and body, scope carried over unless amended.
+    // The field scope is taken from the farm's fields as they are at renewal. The predecessor is
+    // marked superseded.
+    static async issueSuccessor(predecessor, { scope, issueDate, expiryDate, userId = null } = {}) {
+        await this.assertNoBlockingNonConformities(predecessor.farm_id)
+
+        const successorIssueDate = issueDate || new Date().toISOString().split('T')[0]
+
+        const certificate = await this.createWithScope({
+            farmId: predecessor.farm_id,
+            predecessorCertificateId: predecessor.id,
+            issueDate: successorIssueDate,
+            expiryDate: expiryDate || calculateExpiryDate(successorIssueDate),
+            status: 'active',
+            certificationBody: predecessor.certification_body,
+            scope: scope || predecessor.scope,
+            issuedBy: userId
+        }, { cropTypes: parseCropTypes(predecessor.crop_types) })
+
+        await Certificate.update(predecessor.id, { status: 'superseded' })
+        await this.cascadeStatus(predecessor.farm_id, 'active')
+
+        return await this.signCertificate(certificate)
+    }
+
+    // Create a certificate with its field scope. Without requested items the farm's fields are covered
+    // according to their conversion status on the issue date. crop_types lists the organic crops; a farm
+    // without recorded fields falls back to the crop types given.
+    static async createWithScope(data, { scopeItems, cropTypes } = {}) {
+        const items = await this.resolveScope(data.farmId, scopeItems, { issueDate: data.issueDate })
+
+        const certificate = await Certificate.create({
+            ...data,
+            cropTypes: items.length > 0 ? this.organicCrops(items) : parseCropTypes(cropTypes)
+        })
+        await CertificateScopeItem.createMany(certificate.id, items)
+
+        return certificate
+    }
+
+    // Scope items checked against each field's conversion status on the issue date. By default a field
+    // that completed conversion is certified organic, one that has been in conversion long enough for
+    // in-conversion labelling is certified in conversion, and one that has not is left out. Asking for
+    // more than a field's conversion allows is refused.
+    static async resolveScope(farmId, requested, { issueDate = currentDay() } = {}) {
+        const fields = await Field.findByFarm(farmId)
+        const fieldArea = (field) => field.area !== null && field.area !== undefined ? parseFloat(field.area) : null
+        const conversionOf = (field) => Field.conversion(field, issueDate)
+
+        if (!requested || requested.length === 0) {
+            const eligible = fields.filter(field => conversionOf(field).label !== 'conventional')
+
+            if (fields.length > 0 && eligible.length === 0) {
+                throw new CertificateIssuanceError('No field of the farm can be certified yet', {
+                    status: 400,
+                    errors: fields.map(field => this.conversionError(field, conversionOf(field)))
+                })
+            }
+
+            return eligible.map(field => ({
+                fieldId: field.id,
+                fieldName: field.field_name,
+                crop: field.crop_type,
+                area: fieldArea(field),
+                productionCategory: conversionOf(field).label
+            }))
+        }
+
+        const errors = []
+        const seen = new Set()
+
+        const items = requested.map((item, index) => {
+            const field = fields.find(candidate => candidate.id === parseInt(item.fieldId))
+            if (!field) {
+                errors.push(`scopeItems[${index}]: field ${item.fieldId} does not belong to the farm`)
+                return null
+            }
+
+            const conversion = conversionOf(field)
+            const crop = item.crop ? String(item.crop).trim() : field.crop_type
+            const area = item.area !== undefined && item.area !== null ? Number(item.area) : fieldArea(field)
+            const productionCategory = item.productionCategory || conversion.label
+
+            if (conversion.label === 'conventional' || (productionCategory === 'organic' && conversion.label !== 'organic')) {
+                errors.push(`scopeItems[${index}]: ${this.conversionError(field, conversion)}`)
+            } else if (!CertificateScopeItem.PRODUCTION_CATEGORIES.includes(productionCategory)) {
+                errors.push(`scopeItems[${index}]: productionCategory must be one of: ${CertificateScopeItem.PRODUCTION_CATEGORIES.join(', ')}`)
+            }
+            if (area !== null && fieldArea(field) !== null && area > fieldArea(field)) {
+                errors.push(`scopeItems[${index}]: area exceeds the ${fieldArea(field)} ha of field ${field.field_name}`)
+            }
+
+            const key = `${field.id}:${crop.toLowerCase()}`
+            if (seen.has(key)) {
+                errors.push(`scopeItems[${index}]: ${crop} on field ${field.field_name} is listed more than once`)
+            }
+            seen.add(key)
+
+            return { fieldId: field.id, fieldName: field.field_name, crop, area, productionCategory }
+        })
+
+        if (errors.length > 0) {
+            throw new CertificateIssuanceError('Invalid certificate scope', { status: 400, errors })
+        }
+
+        return items
+    }
+
+    static conversionError(field, conversion) {
+        if (conversion.label === 'conventional') {
+            return `field ${field.field_name} is too early in conversion to be certified; ` +
+                `it can be certified in conversion from ${conversion.inConversionLabelDate}`
+        }
+        return `field ${field.field_name} is in conversion until ${conversion.earliestOrganicDate}`
+    }
+
+    static organicCrops(items) {
+        return [...new Set(items
+            .filter(item => (item.productionCategory || item.production_category) === 'organic')
+            .map(item => item.crop))]
+    }
+
+    // Crops the certificate states; certificates issued before crop_types was written show the farm's crops
+    static certifiedCrops(certificate, farm, scopeItems = []) {
+        if (scopeItems.length > 0) return this.organicCrops(scopeItems)
+
+        const crops = parseCropTypes(certificate.crop_types)
+        return crops.length > 0 || !farm ? crops : parseCropTypes(farm.crop_types)
+    }
+
+    // With a signature the link also lets the verification page check it against the issued record
+    static verificationUrl(certificateNumber, { signature, keyId } = {}) {
+        const url = `${PUBLIC_BASE_URL}/verify/${encodeURIComponent(certificateNumber)}`
+        return signature && keyId
+            ? `${url}?keyId=${encodeURIComponent(keyId)}&signature=${encodeURIComponent(signature)}`
+            : url
+    }
+
+    // What is signed: the facts printed on the certificate. Status is left out because it changes
+    // after issue; the verification endpoint reports the current status instead.
+    static buildPayload(certificate, farm, farmer, signedAt, scopeItems = []) {
+        return {
+            version: PAYLOAD_VERSION,
+            certificateNumber: certificate.certificate_number,
+            holder: farmer ? farmer.name : null,
+            farm: farm ? { id: farm.id, name: farm.farm_name } : null,
+            scope: certificate.scope,
+            crops: this.certifiedCrops(certificate, farm, scopeItems),
+            fields: scopeItems.map(item => this.mapScopeItem(item)),
+            certificationBody: certificate.certification_body,
+            issueDate: toDay(certificate.issue_date),
+            expiryDate: toDay(certificate.expiry_date),
+            signedAt: signedAt.toISOString()
+        }
+    }
+
+    static async signCertificate(certificate) {
+        const farm = await Farm.findById(certificate.farm_id)
+        const farmer = farm ? await Farmer.findById(farm.farmer_id) : null
+        const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id)
+        const signedAt = new Date()
+
+        const payload = canonicalize(this.buildPayload(certificate, farm, farmer, signedAt, scopeItems))
+        const { keyId, signature } = await SigningService.sign(payload)
+
+        return await Certificate.update(certificate.id, {
+            signedPayload: payload,
+            signature,
+            signingKeyId: keyId,
+            signedAt
+        })
+    }
+
+    // Certificates issued before signing was introduced are signed the first time they are needed
+    static async ensureSigned(certificate) {
+        return certificate.signature ? certificate : await this.signCertificate(certificate)
+    }
+
+    // Verify a payload and detached signature (typed in, or read from a PDF) and compare the payload
+    // with what was recorded when the certificate was signed
+    static async verifySignature({ payload, signature, keyId }) {
+        let data
+        try {
+            data = typeof payload === 'string' ? JSON.parse(payload) : payload
+        } catch (error) {
+            data = null
+        }
+        if (!data || typeof data !== 'object') {
+            return { signatureValid: false, keyId: keyId || null, reason: 'Payload is not valid JSON', matchesRecord: false }
+        }
+
+        const canonical = canonicalize(data)
+        const result = await SigningService.verify(canonical, signature, keyId)
+        const certificate = data.certificateNumber ? await Certificate.findByNumber(String(data.certificateNumber)) : null
+
+        return {
+            signatureValid: result.valid,
+            keyId: result.keyId,
+            algorithm: result.algorithm,
+            keyStatus: result.keyStatus,
+            ...(result.reason && { reason: result.reason }),
+            matchesRecord: Boolean(certificate && certificate.signed_payload === canonical),
+            payload: data,
+            certificate: certificate ? await this.getPublicView(certificate.certificate_number) : null
+        }
+    }
+
+    // Minimal view of a certificate for buyers and exporters: no contact details or internal ids.
+    // An active certificate past its expiry date is reported as expired even before the status is updated.
+    static async getPublicView(certificateNumber, { asOf = new Date(), signature, keyId } = {}) {
+        const certificate = await Certificate.findByNumber(certificateNumber)
+        if (!certificate) return null
+
+        const farm = await Farm.findById(certificate.farm_id)
+        const farmer = farm ? await Farmer.findById(farm.farmer_id) : null
+
+        const today = asOf.toISOString().split('T')[0]
+        const expired = certificate.expiry_day < today
+        const status = expired && VALID_STATUSES.includes(certificate.status) ? 'expired' : certificate.status
+
+        const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id)
+
+        return {
+            certificateNumber: certificate.certificate_number,
+            valid: VALID_STATUSES.includes(status) && certificate.issue_day <= today,
+            status,
+            holder: farmer ? farmer.name : null,
+            farm: farm ? {
+                name: farm.farm_name,
+                county: farmer ? farmer.county : null
+            } : null,
+            scope: certificate.scope,
+            crops: this.certifiedCrops(certificate, farm, scopeItems),
+            fields: scopeItems.map(item => this.mapScopeItem(item)),
+            certificationBody: certificate.certification_body,
+            validFrom: certificate.issue_day,
+            validUntil: certificate.expiry_day,
+            signingKeyId: certificate.signing_key_id || null,
+            ...(signature && { signature: await this.checkRecordedSignature(certificate, signature, keyId) }),
+            checkedAt: asOf.toISOString()
+        }
+    }
+
+    // Scope item as printed on the annex and published for verification
+    static mapScopeItem(item) {
+        return {
+            field: item.field_name,
+            crop: item.crop,
+            areaHectares: item.area !== null && item.area !== undefined ? parseFloat(item.area) : null,
+            productionCategory: item.production_category
+        }
+    }
+
+    // Answer "was crop X from field Y certified organic on date D?". The field is matched by name as
+    // printed on the annex, or by id. The status on that date is rebuilt from the suspension and
+    // revocation history, and a superseded certificate covers the days before its successor was issued.
+    static async checkScope(certificateNumber, { crop, field, date = currentDay() }) {
+        const certificate = await Certificate.findByNumber(certificateNumber)
+        if (!certificate) return null
+
+        const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id)
+        const item = scopeItems.find(candidate => sameText(candidate.crop, crop) &&
+            (sameText(candidate.field_name, field) || String(candidate.field_id) === String(field).trim()))
+        const statusOnDate = await this.statusOn(certificate, date)
+
+        let reason = null
+        if (date < certificate.issue_day || date > certificate.expiry_day) {
+            reason = `The certificate is valid from ${certificate.issue_day} to ${certificate.expiry_day}`
+        } else if (!VALID_ON_DATE_STATUSES.includes(statusOnDate)) {
+            reason = `The certificate was ${statusOnDate} on ${date}`
+        } else if (!item) {
+            reason = `${crop} from field ${field} is not in the scope of the certificate`
+        } else if (item.production_category !== 'organic') {
+            reason = `Field ${item.field_name} is in conversion; ${item.crop} from it may not be sold as organic`
+        }
+
+        return {
+            certificateNumber: certificate.certificate_number,
+            crop,
+            field,
+            date,
+            certified: reason === null,
+            certificateStatus: statusOnDate,
+            scopeItem: item ? this.mapScopeItem(item) : null,
+            ...(reason && { reason }),
+            checkedAt: new Date().toISOString()
+        }
+    }
+
+    static async statusOn(certificate, day) {
+        if (certificate.status === 'superseded') {
+            const [successor] = await db.query(
+                "SELECT DATE_FORMAT(issue_date, '%Y-%m-%d') AS issue_day FROM certificates WHERE predecessor_certificate_id = ?",
+                [certificate.id]
+            )
+            if (successor && successor.issue_day <= day) return 'superseded'
+        }
+
+        const actions = (await CertificateStatusAction.findByCertificate(certificate.id))
+            .sort((a, b) => a.effective_day.localeCompare(b.effective_day) || a.id - b.id)
+        if (actions.length === 0) {
+            return certificate.status === 'superseded' ? 'active' : certificate.status
+        }
+
+        const applied = actions.filter(action => action.effective_day <= day)
+        return applied.length > 0 ? applied[applied.length - 1].new_status : actions[0].previous_status
+    }
+
+    // A signature from a QR code must be one we issued for this certificate's recorded payload
+    static async checkRecordedSignature(certificate, signature, keyId) {
+        if (!certificate.signed_payload) {
+            return { valid: false, keyId: keyId || null, reason: 'Certificate has not been signed' }
+        }
+
+        const result = await SigningService.verify(certificate.signed_payload, signature, keyId)
+        return {
+            valid: result.valid,
+            keyId: result.keyId,
+            ...(result.reason && { reason: result.reason })
+        }
+    }
+}
+
+CertificateService.CertificateIssuanceError = CertificateIssuanceError
+CertificateService.VALID_STATUSES = VALID_STATUSES
+CertificateService.parseCropTypes = parseCropTypes
+CertificateService.PUBLIC_BASE_URL = PUBLIC_BASE_URL
+
+module.exports = CertificateService
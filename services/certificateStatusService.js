@@ -0,0 +1,183 @@
+const Certificate = require('../models/Certificate')
+const CertificateStatusAction = require('../models/CertificateStatusAction')
+const NonConformity = require('../models/NonConformity')
+const RenewalRequest = require('../models/RenewalRequest')
+const CertificateService = require('./certificateService')
+const RenewalService = require('./renewalService')
+
+// Reason codes per action, with the wording used on the notice letter
+const REASON_CODES = {
+    suspend: {
+        major_non_conformity: 'Major non-conformity not corrected within the agreed time',
+        critical_non_conformity: 'Critical non-conformity found',
+        prohibited_input_use: 'Use of inputs not permitted under the organic standard',
+        failed_inspection: 'Failed surveillance inspection',
+        inspection_refused: 'Inspection refused or obstructed',
+        fees_unpaid: 'Certification fees not paid',
+        voluntary_request: 'Suspension requested by the operator',
+        other: 'Other reason'
+    },
+    revoke: {
+        critical_non_conformity: 'Critical non-conformity found',
+        fraud_or_misrepresentation: 'Fraud or misrepresentation of organic status',
+        repeated_non_compliance: 'Repeated non-compliance with the organic standard',
+        suspension_not_resolved: 'Causes of the suspension not resolved',
+        operation_ceased: 'Certified operation has ceased',
+        voluntary_withdrawal: 'Withdrawal requested by the operator',
+        other: 'Other reason'
+    },
+    reinstate: {
+        corrective_actions_verified: 'Corrective actions verified',
+        appeal_upheld: 'Appeal against the suspension upheld',
+        fees_settled: 'Certification fees settled',
+        other: 'Other reason'
+    }
+}
+
+// Reasons that must point at the non-conformity behind them
+const NON_CONFORMITY_REASONS = ['major_non_conformity', 'critical_non_conformity']
+
+// Statuses each action can be taken from; reinstating returns to the status held before the suspension
+const ACTIONS = {
+    suspend: { from: ['active', 'renewal_pending'], to: 'suspended', label: 'suspended' },
+    revoke: { from: ['active', 'renewal_pending', 'suspended'], to: 'revoked', label: 'revoked' },
+    reinstate: { from: ['suspended'], label: 'reinstated' }
+}
+
+class CertificateStatusError extends Error {
+    constructor(message, { status = 409, currentStatus, action, errors = [] } = {}) {
+        super(message)
+        this.name = 'CertificateStatusError'
+        this.status = status
+        this.currentStatus = currentStatus
+        this.action = action
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.currentStatus && {
+                currentStatus: this.currentStatus,
+                allowedActions: CertificateStatusService.getAllowedActions(this.currentStatus)
+            }),
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+const today = () => new Date().toISOString().split('T')[0]
+
+class CertificateStatusService {
+    static getAllowedActions(status) {
+        return Object.keys(ACTIONS).filter(action => ACTIONS[action].from.includes(status))
+    }
+
+    static reasonLabel(action, reasonCode) {
+        return (REASON_CODES[action] || {})[reasonCode] || reasonCode
+    }
+
+    // Suspend, revoke or reinstate a certificate. Records the action, cascades the status to the
+    // farm and farmer, and returns the action the notice letter is rendered from.
+    static async apply(certificate, action, user, { reasonCode, reasonDetails, effectiveDate, nonConformityId } = {}) {
+        const rule = ACTIONS[action]
+        const previousStatus = certificate.status
+        if (!rule.from.includes(previousStatus)) {
+            throw new CertificateStatusError(`Cannot ${action} a certificate that is ${previousStatus}`, {
+                currentStatus: previousStatus,
+                action
+            })
+        }
+
+        const errors = []
+        if (!REASON_CODES[action][reasonCode]) {
+            errors.push(`reasonCode must be one of: ${Object.keys(REASON_CODES[action]).join(', ')}`)
+        }
+        if (reasonCode === 'other' && (!reasonDetails || String(reasonDetails).trim().length === 0)) {
+            errors.push('reasonDetails is required when reasonCode is other')
+        }
+
+        const effective = effectiveDate || today()
+        if (effective > today()) {
+            errors.push('effectiveDate cannot be in the future')
+        }
+
+        let nonConformity = null
+        if (nonConformityId) {
+            nonConformity = await NonConformity.findById(parseInt(nonConformityId))
+            if (!nonConformity || nonConformity.farm_id !== certificate.farm_id) {
+                errors.push('nonConformityId must be a non-conformity of the certified farm')
+            }
+        } else if (NON_CONFORMITY_REASONS.includes(reasonCode)) {
+            errors.push(`nonConformityId is required when reasonCode is ${reasonCode}`)
+        }
+
+        if (errors.length > 0) {
+            throw new CertificateStatusError(`Certificate cannot be ${ACTIONS[action].label}`, {
+                status: 400,
+                errors
+            })
+        }
+
+        const newStatus = action === 'reinstate'
+            ? await this.reinstatementStatus(certificate)
+            : rule.to
+
+        await Certificate.update(certificate.id, { status: newStatus })
+
+        const record = await CertificateStatusAction.create({
+            certificateId: certificate.id,
+            action,
+            reasonCode,
+            reasonDetails,
+            effectiveDate: effective,
+            nonConformityId: nonConformity ? nonConformity.id : null,
+            previousStatus,
+            newStatus,
+            actedBy: user.id
+        })
+
+        // A revoked certificate cannot be renewed, so an open renewal request is closed with it
+        if (action === 'revoke') {
+            const openRenewal = await RenewalRequest.findOpenByCertificate(certificate.id)
+            if (openRenewal) {
+                await RenewalService.decline(openRenewal, user, {
+                    reason: `Certificate revoked: ${this.reasonLabel(action, reasonCode)}`
+                })
+            }
+        }
+
+        await CertificateService.cascadeStatus(certificate.farm_id, newStatus)
+
+        return {
+            action: await CertificateStatusAction.findById(record.id),
+            certificate: await Certificate.findById(certificate.id)
+        }
+    }
+
+    // Reinstating needs the farm's blocking non-conformities, including the one behind the
+    // suspension, to be closed. The certificate returns to its pre-suspension status unless it
+    // expired in the meantime.
+    static async reinstatementStatus(certificate) {
+        await CertificateService.assertNoBlockingNonConformities(certificate.farm_id)
+
+        const suspension = await CertificateStatusAction.findLastSuspension(certificate.id)
+        if (suspension && suspension.non_conformity_id && suspension.non_conformity_status !== 'closed') {
+            throw new CertificateStatusError(
+                `Non-conformity #${suspension.non_conformity_id} behind the suspension must be closed first`,
+                { currentStatus: certificate.status }
+            )
+        }
+
+        const dated = await Certificate.findByNumber(certificate.certificate_number)
+        if (dated && dated.expiry_day < today()) return 'expired'
+
+        return suspension ? suspension.previous_status : 'active'
+    }
+}
+
+CertificateStatusService.REASON_CODES = REASON_CODES
+CertificateStatusService.ACTIONS = ACTIONS
+CertificateStatusService.CertificateStatusError = CertificateStatusError
+
+module.exports = CertificateStatusService
@@ -0,0 +1,156 @@
+const fs = require('fs')
+const path = require('path')
+const CertificateTemplate = require('../models/CertificateTemplate')
+const { LANGUAGES, getText } = require('../utils/certificateText')
+
+const PUBLIC_DIR = path.join(__dirname, '../public')
+
+// Used when no template is configured for a certificate; it is the original Pesira/KOAN layout
+const BUILT_IN_TEMPLATE = {
+    id: null,
+    name: 'Built-in',
+    layout: 'classic',
+    certificationBody: null,
+    scope: null,
+    defaultLanguage: 'en',
+    issuerName: 'Kenya Organic Agriculture Network (KOAN)',
+    issuerSubtitle: 'Accredited Organic Agriculture Certification Body',
+    logoFile: 'pesira-logo-nobg.png',
+    colors: {},
+    signatories: [],
+    footerNote: null
+}
+
+const DEFAULT_COLORS = {
+    primary: '#10b981', // green-500
+    text: '#374151', // gray-700
+    muted: '#9ca3af' // gray-400
+}
+
+class TemplateError extends Error {
+    constructor(message, { status = 400, errors = [] } = {}) {
+        super(message)
+        this.name = 'TemplateError'
+        this.status = status
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+const addYear = (day) => {
+    const date = new Date(`${day}T00:00:00Z`)
+    date.setUTCFullYear(date.getUTCFullYear() + 1)
+    date.setUTCDate(date.getUTCDate() - 1)
+    return date.toISOString().split('T')[0]
+}
+
+class CertificateTemplateService {
+    // Template and language a certificate document is rendered with. An explicit template must be
+    // active; otherwise the most specific template for the certificate's body and the farm's scheme
+    // is used, and the built-in one when none matches. The language defaults to the template's.
+    static async resolve({ templateId, certificate = {}, farm = {}, language } = {}) {
+        let template = null
+        if (templateId) {
+            template = await CertificateTemplate.findById(parseInt(templateId))
+            if (!template) {
+                throw new TemplateError('Certificate template not found', { status: 404 })
+            }
+            if (template.status !== 'active') {
+                throw new TemplateError('Certificate template is archived')
+            }
+        } else {
+            template = await CertificateTemplate.findForCertificate({
+                certificationBody: certificate.certification_body,
+                scope: farm.certification_scope
+            })
+        }
+
+        const mapped = template ? CertificateTemplate.mapFromDatabase(template) : BUILT_IN_TEMPLATE
+        return this.documentStyle(mapped, language)
+    }
+
+    // Everything PDFService needs to draw a document: layout, text bundle, colours, logo and signatories
+    static documentStyle(template = BUILT_IN_TEMPLATE, language) {
+        const lang = language || template.defaultLanguage || 'en'
+        if (!LANGUAGES.includes(lang)) {
+            throw new TemplateError(`language must be one of: ${LANGUAGES.join(', ')}`)
+        }
+
+        return {
+            templateId: template.id || null,
+            templateName: template.name,
+            layout: template.layout || 'classic',
+            language: lang,
+            text: getText(lang),
+            colors: { ...DEFAULT_COLORS, ...(template.colors || {}) },
+            logoPath: this.logoPath(template.logoFile),
+            issuerName: template.issuerName || BUILT_IN_TEMPLATE.issuerName,
+            issuerSubtitle: template.issuerSubtitle || null,
+            signatories: Array.isArray(template.signatories) ? template.signatories : [],
+            footerNote: template.footerNote || null
+        }
+    }
+
+    // Logos are files in public/; a missing file renders without a logo
+    static logoPath(logoFile) {
+        if (!logoFile) return null
+        const logoPath = path.join(PUBLIC_DIR, path.basename(logoFile))
+        return fs.existsSync(logoPath) ? logoPath : null
+    }
+
+    static assertLogoExists(logoFile) {
+        if (logoFile && !this.logoPath(logoFile)) {
+            throw new TemplateError('Invalid certificate template', {
+                errors: [`logoFile ${logoFile} was not found in public/`]
+            })
+        }
+    }
+
+    // Made-up certificate, farm and farmer rows shaped like the database ones, for previews
+    static sampleData(style) {
+        const issueDay = new Date().toISOString().split('T')[0]
+        const swahili = style.language === 'sw'
+
+        return {
+            certificate: {
+                id: null,
+                certificate_number: 'ORG-SAMPLE-0001',
+                issue_date: issueDay,
+                expiry_date: addYear(issueDay),
+                status: 'active',
+                certification_body: style.issuerName,
+                scope: swahili ? 'Uzalishaji wa mazao ya kilimo hai' : 'Organic crop production',
+                crop_types: JSON.stringify(['Coffee', 'Avocado'])
+            },
+            farm: {
+                id: null,
+                farm_name: 'Mlima Green Farm',
+                location: 'Kiambu, Kenya',
+                total_area: '6.50',
+                crop_types: JSON.stringify(['Coffee', 'Avocado', 'Kale'])
+            },
+            farmer: {
+                id: null,
+                name: 'Wanjiku Kamau',
+                county: 'Kiambu'
+            },
+            scopeItems: [
+                { field_name: 'Block A', crop: 'Coffee', area: '2.50', production_category: 'organic' },
+                { field_name: 'Block B', crop: 'Avocado', area: '1.20', production_category: 'organic' },
+                { field_name: 'Block C', crop: 'Kale', area: '0.80', production_category: 'in_conversion' }
+            ]
+        }
+    }
+}
+
+CertificateTemplateService.BUILT_IN_TEMPLATE = BUILT_IN_TEMPLATE
+CertificateTemplateService.DEFAULT_COLORS = DEFAULT_COLORS
+CertificateTemplateService.TemplateError = TemplateError
+
+module.exports = CertificateTemplateService
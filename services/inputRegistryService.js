@@ -0,0 +1,200 @@
+const db = require('../config/database')
+const AgriculturalInput = require('../models/AgriculturalInput')
+const FieldActivity = require('../models/FieldActivity')
+const { parseCsv } = require('../utils/csv')
+const { addMonths, toDay } = require('../utils/conversion')
+const { INPUT_HISTORY_MONTHS, checkInput, normalize } = require('../utils/inputs')
+const { validateAgriculturalInput } = require('../utils/validation')
+
+const MAX_IMPORT_ROWS = 5000
+
+// CSV header (any case, spaces or underscores) to registry property
+const CSV_COLUMNS = {
+    name: 'name',
+    activeingredient: 'activeIngredient',
+    manufacturer: 'manufacturer',
+    category: 'category',
+    status: 'status',
+    conditions: 'conditions',
+    standardclause: 'standardClause',
+    notes: 'notes'
+}
+
+const REQUIRED_COLUMNS = ['name', 'category', 'status']
+
+const SEVERITY = { prohibited: 0, restricted: 1, unlisted: 2, permitted: 3 }
+
+class InputRegistryError extends Error {
+    constructor(message, { status = 400, errors = [] } = {}) {
+        super(message)
+        this.name = 'InputRegistryError'
+        this.status = status
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class InputRegistryService {
+    static async loadList() {
+        const inputs = await AgriculturalInput.findAll()
+        return inputs.map(input => AgriculturalInput.toListEntry(input))
+    }
+
+    // The registry decides; products it does not know are checked against the built-in list.
+    // source says which list matched, null for an unlisted product.
+    static checkAgainst(product, registry) {
+        const match = checkInput(product, registry)
+        if (match.status !== 'unlisted') {
+            return { ...match, source: 'registry' }
+        }
+
+        const fallback = checkInput(product)
+        return { ...fallback, source: fallback.status === 'unlisted' ? null : 'default' }
+    }
+
+    static async check(product) {
+        return this.checkAgainst(product, await this.loadList())
+    }
+
+    // Products used on a farm's fields in the period the checklist asks about, checked against the current
+    // registry, so an input listed or reclassified after it was logged is reported as it stands today.
+    static async farmInputHistory(farmId, asOf = toDay(new Date())) {
+        const since = addMonths(asOf, -INPUT_HISTORY_MONTHS)
+        const activities = await FieldActivity.findAll({ farmId, from: since, to: asOf })
+        const registry = await this.loadList()
+
+        const products = new Map()
+        activities.filter(activity => activity.product_name).forEach(activity => {
+            const key = `${normalize(activity.product_name)}|${normalize(activity.active_ingredient)}`
+            if (!products.has(key)) {
+                products.set(key, {
+                    productName: activity.product_name,
+                    activeIngredient: activity.active_ingredient || null,
+                    check: this.checkAgainst({ productName: activity.product_name, activeIngredient: activity.active_ingredient }, registry),
+                    timesUsed: 0,
+                    firstUsed: activity.activity_day,
+                    lastUsed: activity.activity_day,
+                    fields: [],
+                    activityIds: []
+                })
+            }
+
+            // Activities come newest first
+            const product = products.get(key)
+            product.timesUsed++
+            product.firstUsed = activity.activity_day
+            if (!product.fields.includes(activity.field_name)) product.fields.push(activity.field_name)
+            product.activityIds.push(activity.id)
+        })
+
+        const list = [...products.values()].sort((a, b) =>
+            SEVERITY[a.check.status] - SEVERITY[b.check.status] || b.lastUsed.localeCompare(a.lastUsed))
+
+        return {
+            since,
+            until: asOf,
+            prohibitedInputsUsed: list.some(product => product.check.status === 'prohibited'),
+            products: list
+        }
+    }
+
+    // Reads a CSV file with a header row into registry entries; every row is validated before anything is saved.
+    static parseImport(text) {
+        const rows = parseCsv(text)
+        if (rows.length < 2) {
+            throw new InputRegistryError('The CSV file has no inputs')
+        }
+        if (rows.length - 1 > MAX_IMPORT_ROWS) {
+            throw new InputRegistryError(`At most ${MAX_IMPORT_ROWS} inputs can be imported at once`)
+        }
+
+        const header = rows[0].map(cell => CSV_COLUMNS[cell.toLowerCase().replace(/[^a-z]/g, '')])
+        const errors = []
+        rows[0].forEach((cell, index) => {
+            if (!header[index]) errors.push(`Unknown column "${cell.trim()}"`)
+        })
+        REQUIRED_COLUMNS.forEach(column => {
+            if (!header.includes(column)) errors.push(`Column "${column}" is required`)
+        })
+        if (errors.length > 0) {
+            throw new InputRegistryError('The CSV header is not valid', { errors })
+        }
+
+        const seen = new Map()
+        const inputs = rows.slice(1).map((cells, index) => {
+            const row = index + 2
+            const data = {}
+            header.forEach((key, column) => {
+                const value = (cells[column] || '').trim()
+                if (value) data[key] = key === 'category' || key === 'status' ? value.toLowerCase() : value
+            })
+
+            validateAgriculturalInput(data).forEach(error => errors.push(`Row ${row}: ${error}`))
+
+            const key = `${(data.name || '').toLowerCase()}|${(data.manufacturer || '').toLowerCase()}`
+            if (data.name && seen.has(key)) {
+                errors.push(`Row ${row}: ${data.name} is already on row ${seen.get(key)}`)
+            }
+            seen.set(key, row)
+
+            return { row, data }
+        })
+
+        if (errors.length > 0) {
+            throw new InputRegistryError('The CSV file has errors; nothing was imported', { errors })
+        }
+
+        return inputs
+    }
+
+    // Imports a CSV of inputs; an input with the same name and manufacturer is updated. With dryRun the
+    // outcome is reported without saving.
+    static async importCsv(text, user, { dryRun = false } = {}) {
+        const inputs = this.parseImport(text)
+
+        const importRows = async () => {
+            const results = []
+            for (const { row, data } of inputs) {
+                const existing = await AgriculturalInput.findByName(data.name, data.manufacturer)
+                if (!dryRun) {
+                    if (existing) {
+                        await AgriculturalInput.update(existing.id, {
+                            activeIngredient: data.activeIngredient || null,
+                            category: data.category,
+                            status: data.status,
+                            conditions: data.conditions || null,
+                            standardClause: data.standardClause || null,
+                            notes: data.notes || null,
+                            updatedBy: user.id
+                        })
+                    } else {
+                        await AgriculturalInput.create({ ...data, createdBy: user.id })
+                    }
+                }
+                results.push({ row, name: data.name, manufacturer: data.manufacturer || null, action: existing ? 'updated' : 'created' })
+            }
+            return results
+        }
+
+        const results = dryRun ? await importRows() : await db.withTransaction(importRows)
+
+        return {
+            dryRun,
+            total: results.length,
+            created: results.filter(result => result.action === 'created').length,
+            updated: results.filter(result => result.action === 'updated').length,
+            inputs: results
+        }
+    }
+}
+
+InputRegistryService.InputRegistryError = InputRegistryError
+InputRegistryService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS
+
+module.exports = InputRegistryService
@@ -0,0 +1,238 @@
+const db = require('../models')
+const dbConfig = require('../config/database')
+const RiskService = require('./riskService')
+const InspectionWorkflow = require('./inspectionWorkflow')
+const { createRandom, generateSeed, weightedSample, randomInt } = require('../utils/sampling')
+
+// A configured 0 turns unannounced visits off; an unset or unreadable value falls back to 10%
+const configuredPercentage = parseFloat(process.env.UNANNOUNCED_INSPECTION_PERCENTAGE)
+const DEFAULT_UNANNOUNCED_PERCENTAGE = Number.isNaN(configuredPercentage) ? 10 : Math.min(100, Math.max(0, configuredPercentage))
+
+// Announced visits are planned mid-month, moved off weekends
+const ANNOUNCED_DAY = 15
+
+const pad = (value) => String(value).padStart(2, '0')
+const isoDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`
+
+class PlanError extends Error {
+    constructor(message, { status = 400, errors = [] } = {}) {
+        super(message)
+        this.name = 'PlanError'
+        this.status = status
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class InspectionPlanner {
+    // Months that can still be planned: all of a future year, the months after the current one this year
+    static plannableMonths(year, today = new Date()) {
+        const currentYear = today.getFullYear()
+        if (year < currentYear) {
+            throw new PlanError(`Cannot plan for ${year}, it has already passed`)
+        }
+
+        const startMonth = year === currentYear ? today.getMonth() + 2 : 1
+        if (startMonth > 12) {
+            throw new PlanError(`No months left to plan in ${year}; plan ${year + 1} instead`)
+        }
+
+        const months = []
+        for (let month = startMonth; month <= 12; month++) months.push(month)
+        return months
+    }
+
+    // `count` months spread evenly over the plannable months, starting at the anchor month
+    static spreadMonths(anchor, count, months) {
+        const start = Math.max(0, months.indexOf(anchor))
+        const step = months.length / count
+        const spread = []
+        for (let visit = 0; visit < count; visit++) {
+            const month = months[Math.floor(start + visit * step) % months.length]
+            if (!spread.includes(month)) spread.push(month)
+        }
+        return spread
+    }
+
+    static weekdaysOf(year, month) {
+        const days = []
+        const length = new Date(Date.UTC(year, month, 0)).getUTCDate()
+        for (let day = 1; day <= length; day++) {
+            const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+            if (weekday !== 0 && weekday !== 6) days.push(day)
+        }
+        return days
+    }
+
+    static announcedDate(year, month) {
+        const day = this.weekdaysOf(year, month).find(weekday => weekday >= ANNOUNCED_DAY)
+        return isoDate(year, month, day)
+    }
+
+    // Risk-weighted random choice of farms for unannounced visits, each on a random weekday in a month
+    // without an announced visit where possible. Depends only on its arguments, so a stored plan can be
+    // checked by running it again with the recorded seed and risk scores.
+    static sampleUnannounced({ farms, percentage, seed, year, months }) {
+        const random = createRandom(seed)
+        const ordered = [...farms].sort((a, b) => a.farmId - b.farmId)
+        const count = percentage > 0 ? Math.ceil(ordered.length * percentage / 100) : 0
+
+        return weightedSample(ordered, count, farm => farm.riskScore, random)
+            .sort((a, b) => a.farmId - b.farmId)
+            .map(farm => {
+                const quiet = months.filter(month => !farm.announcedMonths.includes(month))
+                const pool = quiet.length > 0 ? quiet : months
+                const month = pool[randomInt(random, 0, pool.length - 1)]
+                const weekdays = this.weekdaysOf(year, month)
+                return {
+                    farmId: farm.farmId,
+                    plannedDate: isoDate(year, month, weekdays[randomInt(random, 0, weekdays.length - 1)])
+                }
+            })
+    }
+
+    // Build a yearly plan: announced visits by risk level (anchored on the month of the last visit)
+    // plus the unannounced sample. Nothing is saved here.
+    static async generate(user, { year, unannouncedPercentage, seed, farmIds } = {}) {
+        const percentage = unannouncedPercentage !== undefined ? parseFloat(unannouncedPercentage) : DEFAULT_UNANNOUNCED_PERCENTAGE
+        const planSeed = seed ? String(seed) : generateSeed()
+        const months = this.plannableMonths(year)
+
+        const farms = await RiskService.findPlannableFarms(user, { farmIds })
+        if (farms.length === 0) {
+            throw new PlanError('No farms to plan')
+        }
+
+        const assessments = []
+        for (const farm of farms) {
+            assessments.push(await RiskService.assessFarm(farm))
+        }
+
+        const items = []
+        const announcedMonths = {}
+        assessments.forEach((assessment, index) => {
+            const anchor = months.includes(assessment.lastInspectionMonth)
+                ? assessment.lastInspectionMonth
+                : months[index % months.length]
+            announcedMonths[assessment.farmId] = this.spreadMonths(anchor, assessment.visitsPerYear, months)
+            announcedMonths[assessment.farmId].forEach(month => {
+                items.push({ farmId: assessment.farmId, visitType: 'announced', plannedDate: this.announcedDate(year, month) })
+            })
+        })
+
+        const unannounced = this.sampleUnannounced({
+            farms: assessments.map(assessment => ({
+                farmId: assessment.farmId,
+                riskScore: assessment.score,
+                announcedMonths: announcedMonths[assessment.farmId]
+            })),
+            percentage,
+            seed: planSeed,
+            year,
+            months
+        })
+        items.push(...unannounced.map(item => ({ ...item, visitType: 'unannounced' })))
+
+        const byFarm = {}
+        assessments.forEach(assessment => { byFarm[assessment.farmId] = assessment })
+
+        const byLevel = { high: 0, medium: 0, low: 0 }
+        assessments.forEach(assessment => { byLevel[assessment.level]++ })
+
+        return {
+            year,
+            seed: planSeed,
+            unannouncedPercentage: percentage,
+            summary: {
+                farms: assessments.length,
+                months,
+                byLevel,
+                announcedVisits: items.length - unannounced.length,
+                unannouncedVisits: unannounced.length
+            },
+            items: items
+                .map(item => ({
+                    ...item,
+                    farmName: byFarm[item.farmId].farmName,
+                    riskScore: byFarm[item.farmId].score,
+                    riskLevel: byFarm[item.farmId].level,
+                    riskFactors: byFarm[item.farmId].factors
+                }))
+                .sort((a, b) => a.plannedDate.localeCompare(b.plannedDate) || a.farmId - b.farmId)
+        }
+    }
+
+    // Re-run the unannounced selection from the plan's seed and recorded risk scores
+    static verify(plan, items) {
+        const farms = {}
+        items.forEach(item => {
+            if (!farms[item.farm_id]) {
+                farms[item.farm_id] = { farmId: item.farm_id, riskScore: parseFloat(item.risk_score), announcedMonths: [] }
+            }
+            if (item.visit_type === 'announced') {
+                farms[item.farm_id].announcedMonths.push(parseInt(item.planned_day.split('-')[1]))
+            }
+        })
+
+        const summary = typeof plan.summary === 'string' ? JSON.parse(plan.summary) : (plan.summary || {})
+        const expected = this.sampleUnannounced({
+            farms: Object.values(farms),
+            percentage: parseFloat(plan.unannounced_percentage),
+            seed: plan.seed,
+            year: plan.year,
+            months: summary.months
+        })
+
+        const recorded = items
+            .filter(item => item.visit_type === 'unannounced')
+            .map(item => ({ farmId: item.farm_id, plannedDate: item.planned_day }))
+            .sort((a, b) => a.farmId - b.farmId)
+
+        const key = list => JSON.stringify(list.map(item => [item.farmId, item.plannedDate]))
+        return { reproducible: key(expected) === key(recorded), expected, recorded }
+    }
+
+    // Create an inspection for every planned visit that does not have one yet
+    // Schedule every planned visit and mark the plan applied, all or nothing. The plan row stays locked
+    // meanwhile, so a concurrent apply waits and then finds the plan applied.
+    static async apply(plan) {
+        return await dbConfig.withTransaction(async () => {
+            const locked = await db.InspectionPlan.findForUpdate(plan.id)
+            if (!locked) {
+                throw new PlanError('Inspection plan not found', { status: 404 })
+            }
+            if (locked.status === 'applied') {
+                throw new PlanError('Inspection plan has already been applied', { status: 409 })
+            }
+
+            const items = await db.InspectionPlan.findItems(plan.id)
+            const created = []
+
+            for (const item of items.filter(planItem => !planItem.inspection_id)) {
+                const farm = await db.findById('farms', item.farm_id)
+                const inspection = await InspectionWorkflow.schedule(farm, {
+                    scheduledDate: item.planned_day,
+                    visitType: item.visit_type,
+                    notes: `${item.visit_type === 'unannounced' ? 'Unannounced' : 'Announced'} visit from the ${locked.year} inspection plan (risk ${item.risk_level})`
+                })
+
+                await db.InspectionPlan.linkInspection(item.id, inspection.id)
+                created.push({ planItemId: item.id, inspectionId: inspection.id, farmId: item.farm_id, visitType: item.visit_type, scheduledDate: item.planned_day })
+            }
+
+            await db.InspectionPlan.markApplied(plan.id)
+            return created
+        })
+    }
+}
+
+InspectionPlanner.PlanError = PlanError
+InspectionPlanner.DEFAULT_UNANNOUNCED_PERCENTAGE = DEFAULT_UNANNOUNCED_PERCENTAGE
+
+module.exports = InspectionPlanner
@@ -0,0 +1,321 @@
+const db = require('../models')
+const dbConfig = require('../config/database')
+const Inspection = require('../models/Inspection')
+const ChecklistTemplate = require('../models/ChecklistTemplate')
+const NonConformity = require('../models/NonConformity')
+const CertificateService = require('./certificateService')
+const CertificateArchiveService = require('./certificateArchiveService')
+const { DEFAULT_CHECKLIST, createAnswerMap, isChecklistComplete, isEligibleForCertification, scoreChecklist } = require('../utils/inspection')
+
+const STATES = ['scheduled', 'rescheduled', 'in_progress', 'submitted', 'completed', 'failed', 'rejected', 'cancelled']
+
+// Allowed next states for every lifecycle state. Completed, failed and cancelled are terminal.
+const TRANSITIONS = {
+    scheduled: ['in_progress', 'rescheduled', 'cancelled'],
+    rescheduled: ['in_progress', 'rescheduled', 'cancelled'],
+    in_progress: ['submitted', 'cancelled'],
+    submitted: ['completed', 'failed', 'rejected'],
+    rejected: ['in_progress', 'cancelled'],
+    completed: [],
+    failed: [],
+    cancelled: []
+}
+
+// Checklist answers and inspection details can only change until the inspection is submitted
+const EDITABLE_STATUSES = ['scheduled', 'rescheduled', 'in_progress', 'rejected']
+
+const FIELD_ROLES = ['inspector', 'agronomist', 'admin']
+const REVIEWER_ROLES = ['agronomist', 'admin']
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const checklistGuard = ({ checklist, questions }) => (
+    isChecklistComplete(checklist, questions) ? [] : ['All checklist questions must be answered']
+)
+
+const nonConformityGuard = async ({ inspection }) => {
+    const blocking = await NonConformity.findBlocking(inspection.farm_id)
+    return blocking.map(item => `Non-conformity #${item.id} (${item.severity}) must be closed before approval`)
+}
+
+// Fields that cannot be certified yet would stop the certificate issued on approval
+const certificateGuard = ({ inspection }) => CertificateService.issuanceErrors(inspection.farm_id)
+
+// Rules for entering each state: who may do it, which fields must be supplied, extra guards on the
+// resulting record, column changes and side effects. Guards run before anything is written, so every
+// check that can block a side effect belongs there; side effects run in the transaction of the update.
+const RULES = {
+    in_progress: {
+        roles: FIELD_ROLES,
+        apply: ({ inspection, changes }) => ({
+            inspectionDate: changes.inspectionDate || inspection.inspection_date || today()
+        })
+    },
+    rescheduled: {
+        roles: REVIEWER_ROLES,
+        requires: ['scheduledDate']
+    },
+    submitted: {
+        roles: FIELD_ROLES,
+        guards: [checklistGuard],
+        apply: ({ scoring }) => ({
+            complianceScore: scoring.score,
+            scoreBreakdown: scoring,
+            isEligibleForCertification: isEligibleForCertification(scoring),
+            violations: scoring.failures
+        }),
+        after: async ({ inspection, user, scoring, questions }) => {
+            const nonConformities = await NonConformity.createFromFailures(
+                inspection, scoring.failures, questions, { createdBy: user.id }
+            )
+            return { nonConformities }
+        }
+    },
+    completed: {
+        roles: REVIEWER_ROLES,
+        guards: [
+            checklistGuard,
+            ({ scoring }) => (isEligibleForCertification(scoring) ? [] : scoring.reasons),
+            nonConformityGuard,
+            certificateGuard
+        ],
+        apply: ({ scoring }) => ({
+            complianceScore: scoring.score,
+            scoreBreakdown: scoring,
+            isEligibleForCertification: true
+        }),
+        after: async ({ inspection, user }) => {
+            const { certificate, created } = await CertificateService.issueForInspection(inspection, { userId: user.id })
+            return {
+                certificate: created ? await CertificateArchiveService.archiveIssued(certificate, { userId: user.id }) : certificate,
+                certificateGenerated: created
+            }
+        }
+    },
+    failed: {
+        roles: REVIEWER_ROLES,
+        requires: ['reason'],
+        apply: () => ({ isEligibleForCertification: false })
+    },
+    rejected: {
+        roles: REVIEWER_ROLES,
+        requires: ['reason'],
+        apply: ({ reason }) => ({ notes: reason })
+    },
+    cancelled: {
+        roles: REVIEWER_ROLES,
+        requires: ['reason']
+    }
+}
+
+class InspectionTransitionError extends Error {
+    constructor(message, { status = 409, code = 'INVALID_TRANSITION', currentStatus, requestedStatus, errors = [] } = {}) {
+        super(message)
+        this.name = 'InspectionTransitionError'
+        this.status = status
+        this.code = code
+        this.currentStatus = currentStatus
+        this.requestedStatus = requestedStatus
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            currentStatus: this.currentStatus,
+            requestedStatus: this.requestedStatus,
+            allowedTransitions: InspectionWorkflow.getAllowedTransitions(this.currentStatus),
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class InspectionWorkflow {
+    static normalizeStatus(status) {
+        return typeof status === 'string' ? status.trim().toLowerCase().replace(/[\s-]+/g, '_') : status
+    }
+
+    static getAllowedTransitions(status) {
+        return TRANSITIONS[this.normalizeStatus(status)] || []
+    }
+
+    static canTransition(fromStatus, toStatus) {
+        return this.getAllowedTransitions(fromStatus).includes(this.normalizeStatus(toStatus))
+    }
+
+    // Create a scheduled inspection with an unanswered checklist from the template for the farm's scope
+    static async schedule(farm, { scheduledDate, visitType, notes, inspectorName } = {}) {
+        const { template, templateVersion, questions } = await ChecklistTemplate.resolveForNewInspection({
+            scope: farm.certification_scope
+        })
+        const checklist = createAnswerMap(questions)
+        const scoring = scoreChecklist(checklist, questions)
+
+        return await Inspection.create({
+            farmId: farm.id,
+            inspectorName,
+            scheduledDate,
+            status: 'scheduled',
+            visitType,
+            notes,
+            checklist,
+            complianceScore: scoring.score,
+            scoreBreakdown: scoring,
+            checklistTemplateId: template ? template.id : null,
+            checklistTemplateVersionId: templateVersion ? templateVersion.id : null
+        })
+    }
+
+    // Move an inspection to a new state, applying any other column changes in the same update.
+    // Throws InspectionTransitionError when the move is illegal, forbidden or incomplete, or when
+    // expectedVersion is given and the row has been changed since.
+    static async transition(inspection, toStatus, { user, changes = {}, reason, expectedVersion } = {}) {
+        const currentStatus = this.normalizeStatus(inspection.status)
+        const requestedStatus = this.normalizeStatus(toStatus)
+        const errorContext = { currentStatus, requestedStatus }
+
+        if (!STATES.includes(requestedStatus)) {
+            throw new InspectionTransitionError(`Unknown inspection status: ${toStatus}`, {
+                ...errorContext,
+                status: 400,
+                code: 'UNKNOWN_STATUS'
+            })
+        }
+
+        if (!this.canTransition(currentStatus, requestedStatus)) {
+            throw new InspectionTransitionError(
+                `Cannot move inspection from ${currentStatus} to ${requestedStatus}`,
+                errorContext
+            )
+        }
+
+        const rule = RULES[requestedStatus] || {}
+
+        await this.assertPermitted(inspection, rule, user, errorContext)
+
+        const checklist = changes.checklist !== undefined ? changes.checklist : this.parseChecklist(inspection.checklist)
+        const questions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST
+
+        const context = {
+            inspection,
+            user,
+            changes,
+            reason,
+            checklist,
+            questions,
+            scoring: scoreChecklist(checklist, questions)
+        }
+
+        const errors = []
+        ;(rule.requires || []).forEach(field => {
+            const value = field === 'reason' ? reason : changes[field]
+            if (value === undefined || value === null || String(value).trim().length === 0) {
+                errors.push(`${field} is required to move an inspection to ${requestedStatus}`)
+            }
+        })
+        for (const guard of rule.guards || []) {
+            errors.push(...await guard(context))
+        }
+
+        if (errors.length > 0) {
+            throw new InspectionTransitionError(`Inspection cannot be moved to ${requestedStatus}`, {
+                ...errorContext,
+                status: 400,
+                code: 'TRANSITION_REQUIREMENTS_NOT_MET',
+                errors
+            })
+        }
+
+        const updateData = {
+            ...changes,
+            ...(rule.apply ? rule.apply(context) : {}),
+            status: requestedStatus
+        }
+
+        // The status change, its history and its side effects (the certificate issued on approval) are
+        // saved together: a failing side effect leaves the inspection in its current state to be retried
+        return await dbConfig.withTransaction(async () => {
+            const updatedInspection = await Inspection.update(inspection.id, updateData, { expectedVersion })
+            if (!updatedInspection) {
+                throw new InspectionTransitionError('Inspection was changed by someone else', {
+                    ...errorContext,
+                    code: 'VERSION_CONFLICT'
+                })
+            }
+
+            await this.recordHistory(inspection.id, currentStatus, requestedStatus, reason, user)
+
+            const sideEffects = rule.after
+                ? await rule.after({ ...context, inspection: updatedInspection })
+                : {}
+
+            return { inspection: updatedInspection, ...sideEffects }
+        })
+    }
+
+    static async assertPermitted(inspection, rule, user, errorContext) {
+        if (!user || !user.id) {
+            throw new InspectionTransitionError('User not found in database. Please register first.', {
+                ...errorContext,
+                status: 403,
+                code: 'FORBIDDEN'
+            })
+        }
+
+        if (rule.roles && !rule.roles.includes(user.role)) {
+            throw new InspectionTransitionError(
+                `Role ${user.role || 'unknown'} cannot move an inspection to ${errorContext.requestedStatus}`,
+                { ...errorContext, status: 403, code: 'FORBIDDEN' }
+            )
+        }
+
+        if (user.role === 'admin') return
+
+        const farm = await db.findById('farms', inspection.farm_id)
+        const farmer = farm ? await db.findById('farmers', farm.farmer_id) : null
+
+        if (!farmer || farmer.user_id !== user.id) {
+            throw new InspectionTransitionError('Access denied. You can only manage inspections for your farmers.', {
+                ...errorContext,
+                status: 403,
+                code: 'FORBIDDEN'
+            })
+        }
+    }
+
+    static async recordHistory(inspectionId, oldStatus, newStatus, reason, user) {
+        try {
+            await db.query(`
+                INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'inspections',
+                inspectionId,
+                'UPDATE',
+                JSON.stringify({ status: oldStatus }),
+                JSON.stringify({ status: newStatus, reason: reason || 'Status change via system' }),
+                user && user.id ? user.id : null,
+                new Date()
+            ])
+        } catch (auditError) {
+            console.warn('Failed to log status change:', auditError)
+        }
+    }
+
+    static parseChecklist(checklist) {
+        if (!checklist || typeof checklist !== 'string') return checklist
+        try {
+            return JSON.parse(checklist)
+        } catch (error) {
+            return {}
+        }
+    }
+}
+
+InspectionWorkflow.STATES = STATES
+InspectionWorkflow.TRANSITIONS = TRANSITIONS
+InspectionWorkflow.EDITABLE_STATUSES = EDITABLE_STATUSES
+InspectionWorkflow.InspectionTransitionError = InspectionTransitionError
+
+module.exports = InspectionWorkflow
@@ -0,0 +1,266 @@
+const db = require('../models')
+const Inspection = require('../models/Inspection')
+const Inspector = require('../models/Inspector')
+const InspectorAvailability = require('./inspectorAvailability')
+
+// Rotation rule: an inspector may conclude this many inspections of the same farm in a row
+const MAX_CONSECUTIVE_CYCLES = parseInt(process.env.INSPECTOR_MAX_CONSECUTIVE_CYCLES) || 3
+
+// Inspections that count as a finished certification cycle for the rotation rule
+const CONCLUDED_STATUSES = ['completed', 'failed']
+
+class AssignmentError extends Error {
+    constructor(message, { status = 409, errors = [] } = {}) {
+        super(message)
+        this.name = 'AssignmentError'
+        this.status = status
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class InspectorAssignment {
+    // Inspectors are managed per user; admins can assign any of them
+    static async loadInspector(inspectorId, user) {
+        const inspector = await Inspector.findById(parseInt(inspectorId))
+        if (!inspector || (user.role !== 'admin' && inspector.user_id !== user.id)) {
+            throw new AssignmentError(`Inspector ${inspectorId} not found`, { status: 404 })
+        }
+        return inspector
+    }
+
+    // How many of the farm's most recent concluded inspections this inspector carried out in a row
+    static async consecutiveCycles(farmId, inspectorId, { excludeInspectionId } = {}) {
+        const history = await db.query(`
+            SELECT id, assigned_inspector_id FROM inspections
+            WHERE farm_id = ? AND status IN (${CONCLUDED_STATUSES.map(() => '?').join(', ')}) AND id <> ?
+            ORDER BY COALESCE(inspection_date, scheduled_date) DESC, id DESC
+            LIMIT ${MAX_CONSECUTIVE_CYCLES}
+        `, [farmId, ...CONCLUDED_STATUSES, excludeInspectionId || 0])
+
+        let cycles = 0
+        for (const inspection of history) {
+            if (inspection.assigned_inspector_id !== inspectorId) break
+            cycles++
+        }
+        return cycles
+    }
+
+    // Conflict-of-interest and specialization checks for putting an inspector on a farm.
+    // Returns { conflicts, specializationMatch, consecutiveCycles }.
+    static async evaluate(farm, inspector, { excludeInspectionId } = {}) {
+        const conflicts = []
+
+        const cycles = await this.consecutiveCycles(farm.id, inspector.id, { excludeInspectionId })
+        if (cycles >= MAX_CONSECUTIVE_CYCLES) {
+            conflicts.push(`${inspector.name} has inspected this farm for the last ${cycles} cycles (limit ${MAX_CONSECUTIVE_CYCLES})`)
+        }
+
+        const farmer = await db.findById('farmers', farm.farmer_id)
+        if (farmer && farmer.email && inspector.email &&
+            farmer.email.trim().toLowerCase() === inspector.email.trim().toLowerCase()) {
+            conflicts.push(`${inspector.name} is registered as the farmer of this farm`)
+        }
+
+        const scope = farm.certification_scope || 'organic-crops'
+        const specializationMatch = scope === 'general' || inspector.specialization === scope
+
+        return { conflicts, specializationMatch, consecutiveCycles: cycles }
+    }
+
+    // Throws AssignmentError unless the inspector can take the farm. Admins may override conflicts
+    // and a specialization mismatch by giving a reason; an inactive inspector can never be assigned.
+    static async assertAssignable(farm, inspector, { user, override = false, reason, excludeInspectionId } = {}) {
+        if (inspector.status !== 'active') {
+            throw new AssignmentError(`${inspector.name} is not active`)
+        }
+
+        const evaluation = await this.evaluate(farm, inspector, { excludeInspectionId })
+        const errors = [...evaluation.conflicts]
+        if (!evaluation.specializationMatch) {
+            errors.push(`${inspector.name} specializes in ${inspector.specialization}, farm scope is ${farm.certification_scope || 'organic-crops'}`)
+        }
+
+        if (errors.length === 0) return evaluation
+
+        if (!override) {
+            throw new AssignmentError(`${inspector.name} cannot be assigned to this farm`, { errors })
+        }
+        if (user.role !== 'admin') {
+            throw new AssignmentError('Only admins can override assignment checks', { status: 403, errors })
+        }
+        if (!reason || String(reason).trim().length === 0) {
+            throw new AssignmentError('A reason is required to override assignment checks', { status: 400, errors })
+        }
+
+        return { ...evaluation, overridden: errors }
+    }
+
+    // Also checks the inspector's availability on the scheduled date; with allowConflicts the
+    // clashes are returned as schedulingWarnings instead of failing with a SchedulingError
+    static async assign(inspection, inspectorId, { user, override = false, reason, allowConflicts = false } = {}) {
+        if (!Inspector.OPEN_STATUSES.includes(inspection.status)) {
+            throw new AssignmentError(`Cannot assign an inspector to a ${inspection.status} inspection`)
+        }
+
+        const inspector = await this.loadInspector(inspectorId, user)
+        if (inspection.assigned_inspector_id === inspector.id) {
+            return { inspection, inspector, unchanged: true }
+        }
+
+        const farm = await db.findById('farms', inspection.farm_id)
+        const evaluation = await this.assertAssignable(farm, inspector, {
+            user,
+            override,
+            reason,
+            excludeInspectionId: inspection.id
+        })
+
+        const schedulingWarnings = inspection.scheduled_date
+            ? await InspectorAvailability.assertAvailable(inspector, inspection.scheduled_date, {
+                allowConflicts,
+                excludeInspectionId: inspection.id
+            })
+            : []
+
+        const updatedInspection = await Inspection.update(inspection.id, {
+            assignedInspectorId: inspector.id,
+            inspectorName: inspector.name
+        })
+
+        await this.recordAssignment(inspection, inspector, { user, reason, overridden: evaluation.overridden })
+
+        return { inspection: updatedInspection, inspector, overridden: evaluation.overridden || [], schedulingWarnings }
+    }
+
+    // Active inspectors the user manages, each with its checks, availability on the scheduled date and
+    // open workload. Eligible inspectors come first, least loaded first.
+    static async candidates(inspection, user, { excludeInspectorIds = [] } = {}) {
+        const farm = await db.findById('farms', inspection.farm_id)
+        const inspectors = (await Inspector.findByUserId(user.id, { status: 'active' }))
+            .filter(inspector => !excludeInspectorIds.includes(inspector.id))
+        const workload = await Inspector.countOpenAssignments(inspectors.map(inspector => inspector.id))
+
+        const candidates = []
+        for (const inspector of inspectors) {
+            const evaluation = await this.evaluate(farm, inspector, { excludeInspectionId: inspection.id })
+            const availability = inspection.scheduled_date
+                ? await InspectorAvailability.checkDate(inspector, inspection.scheduled_date, { excludeInspectionId: inspection.id })
+                : { available: true, conflicts: [] }
+            candidates.push({
+                inspector: Inspector.mapFromDatabase(inspector),
+                eligible: evaluation.conflicts.length === 0 && evaluation.specializationMatch && availability.available,
+                specializationMatch: evaluation.specializationMatch,
+                available: availability.available,
+                conflicts: evaluation.conflicts,
+                schedulingConflicts: availability.conflicts,
+                consecutiveCycles: evaluation.consecutiveCycles,
+                openAssignments: workload[inspector.id]
+            })
+        }
+
+        return candidates.sort((a, b) => (
+            (b.eligible - a.eligible) || (a.openAssignments - b.openAssignments) || (a.inspector.id - b.inspector.id)
+        ))
+    }
+
+    // Earliest free days for the farm among the user's active inspectors who pass the
+    // conflict-of-interest and specialization checks (or one given inspector)
+    static async suggestSlots(farm, user, { inspectorId, from, days, limit } = {}) {
+        let inspectors
+        if (inspectorId) {
+            const inspector = await this.loadInspector(inspectorId, user)
+            await this.assertAssignable(farm, inspector, { user })
+            inspectors = [inspector]
+        } else {
+            inspectors = []
+            for (const inspector of await Inspector.findByUserId(user.id, { status: 'active' })) {
+                const evaluation = await this.evaluate(farm, inspector)
+                if (evaluation.conflicts.length === 0 && evaluation.specializationMatch) {
+                    inspectors.push(inspector)
+                }
+            }
+        }
+
+        return await InspectorAvailability.earliestSlots(inspectors, { from, days, limit })
+    }
+
+    // Move an inspector's open inspections to another inspector, or to the best eligible candidate
+    // for each one when toInspectorId is not given. Inspections that cannot be moved are reported
+    // in failed and left with the original inspector.
+    static async reassignAll(fromInspector, { user, toInspectorId, inspectionIds, reason } = {}) {
+        if (toInspectorId) {
+            await this.loadInspector(toInspectorId, user)
+        }
+
+        let open = await Inspector.findOpenAssignments(fromInspector.id)
+        if (inspectionIds && inspectionIds.length > 0) {
+            const requested = inspectionIds.map(id => parseInt(id))
+            open = open.filter(inspection => requested.includes(inspection.id))
+        }
+
+        const reassigned = []
+        const failed = []
+
+        for (const inspection of open) {
+            try {
+                let targetId = toInspectorId
+                if (!targetId) {
+                    const [best] = (await this.candidates(inspection, user, { excludeInspectorIds: [fromInspector.id] }))
+                        .filter(candidate => candidate.eligible)
+                    if (!best) {
+                        throw new AssignmentError('No eligible inspector available')
+                    }
+                    targetId = best.inspector.id
+                }
+
+                const { inspection: updated, inspector } = await this.assign(inspection, targetId, {
+                    user,
+                    reason: reason || `Reassigned from ${fromInspector.name}`
+                })
+                reassigned.push({ inspectionId: updated.id, inspectorId: inspector.id, inspectorName: inspector.name })
+            } catch (error) {
+                if (!(error instanceof AssignmentError) && !(error instanceof InspectorAvailability.SchedulingError)) throw error
+                const details = error instanceof AssignmentError ? error.errors : error.conflicts
+                failed.push({ inspectionId: inspection.id, error: error.message, errors: details })
+            }
+        }
+
+        return { reassigned, failed }
+    }
+
+    static async recordAssignment(inspection, inspector, { user, reason, overridden } = {}) {
+        try {
+            await db.query(`
+                INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'inspections',
+                inspection.id,
+                'UPDATE',
+                JSON.stringify({ assignedInspectorId: inspection.assigned_inspector_id, inspectorName: inspection.inspector_name }),
+                JSON.stringify({
+                    assignedInspectorId: inspector.id,
+                    inspectorName: inspector.name,
+                    reason: reason || 'Inspector assigned',
+                    ...(overridden && { overridden })
+                }),
+                user && user.id ? user.id : null,
+                new Date()
+            ])
+        } catch (auditError) {
+            console.warn('Failed to log inspector assignment:', auditError)
+        }
+    }
+}
+
+InspectorAssignment.MAX_CONSECUTIVE_CYCLES = MAX_CONSECUTIVE_CYCLES
+InspectorAssignment.AssignmentError = AssignmentError
+
+module.exports = InspectorAssignment
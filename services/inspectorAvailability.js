@@ -0,0 +1,208 @@
+const crypto = require('crypto')
+const Inspector = require('../models/Inspector')
+const { buildCalendar } = require('../utils/calendar')
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const MAX_RANGE_DAYS = 92
+const DEFAULT_SEARCH_DAYS = 30
+const DEFAULT_SLOT_LIMIT = 5
+
+// Window of the .ics feed around today
+const FEED_PAST_DAYS = 90
+const FEED_FUTURE_DAYS = 365
+
+class SchedulingError extends Error {
+    constructor(message, { status = 409, conflicts = [] } = {}) {
+        super(message)
+        this.name = 'SchedulingError'
+        this.status = status
+        this.conflicts = conflicts
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: 'SCHEDULING_CONFLICT',
+            conflicts: this.conflicts
+        }
+    }
+}
+
+class InspectorAvailability {
+    // DATE columns come back from mysql2 as local-midnight Date objects
+    static toDay(value) {
+        if (!value) return null
+        if (typeof value === 'string') return value.slice(0, 10)
+        const date = new Date(value)
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-')
+    }
+
+    static today() {
+        return this.toDay(new Date())
+    }
+
+    static addDays(day, count) {
+        const date = new Date(`${day}T00:00:00Z`)
+        date.setUTCDate(date.getUTCDate() + count)
+        return date.toISOString().split('T')[0]
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000)
+    }
+
+    static isValidDay(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`))
+    }
+
+    // Availability of one inspector on one day from preloaded bookings and leave
+    static describeDay(inspector, day, bookings = {}, leave = []) {
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay()
+        const workingDay = Inspector.getWorkingDays(inspector).includes(Inspector.WEEKDAYS[weekday])
+        const onLeave = leave.find(period => period.inspector_id === inspector.id &&
+            period.start_date <= day && period.end_date >= day)
+        const booked = bookings[day] || 0
+        const capacity = Inspector.getMaxPerDay(inspector)
+
+        const conflicts = []
+        if (!workingDay) {
+            conflicts.push(`${inspector.name} does not work on ${DAY_NAMES[weekday]}s`)
+        }
+        if (onLeave) {
+            conflicts.push(`${inspector.name} is on leave from ${onLeave.start_date} to ${onLeave.end_date}`)
+        }
+        if (booked >= capacity) {
+            conflicts.push(`${inspector.name} already has ${booked} inspection(s) on ${day} (maximum ${capacity})`)
+        }
+
+        return {
+            date: day,
+            workingDay,
+            onLeave: Boolean(onLeave),
+            booked,
+            capacity,
+            available: conflicts.length === 0,
+            conflicts
+        }
+    }
+
+    static async checkDate(inspector, date, { excludeInspectionId } = {}) {
+        const day = this.toDay(date)
+        const bookings = await Inspector.countBookingsByDay([inspector.id], day, day, { excludeInspectionId })
+        const leave = await Inspector.findLeave(inspector.id, { from: day, to: day })
+        return this.describeDay(inspector, day, bookings[inspector.id], leave)
+    }
+
+    // Returns the conflicts as warnings when allowConflicts is set, otherwise throws SchedulingError
+    static async assertAvailable(inspector, date, { allowConflicts = false, excludeInspectionId } = {}) {
+        const status = await this.checkDate(inspector, date, { excludeInspectionId })
+        if (status.available) return []
+
+        if (!allowConflicts) {
+            throw new SchedulingError(`${inspector.name} is not available on ${status.date}`, {
+                conflicts: status.conflicts
+            })
+        }
+        return status.conflicts
+    }
+
+    static async getCalendar(inspector, from, to) {
+        const bookings = await Inspector.countBookingsByDay([inspector.id], from, to)
+        const leave = await Inspector.findLeave(inspector.id, { from, to })
+
+        const days = []
+        for (let day = from; day <= to; day = this.addDays(day, 1)) {
+            const { conflicts, ...status } = this.describeDay(inspector, day, bookings[inspector.id], leave)
+            days.push(status)
+        }
+
+        return {
+            inspector: Inspector.mapFromDatabase(inspector),
+            leave: leave.map(period => Inspector.mapLeaveFromDatabase(period)),
+            days
+        }
+    }
+
+    // Earliest days on which any of the given inspectors still has capacity, ordered by date
+    // and then by the most remaining capacity
+    static async earliestSlots(inspectors, { from, days = DEFAULT_SEARCH_DAYS, limit = DEFAULT_SLOT_LIMIT } = {}) {
+        if (inspectors.length === 0) return []
+
+        const start = from || this.today()
+        const end = this.addDays(start, Math.min(days, MAX_RANGE_DAYS) - 1)
+        const ids = inspectors.map(inspector => inspector.id)
+        const bookings = await Inspector.countBookingsByDay(ids, start, end)
+        const leave = await Inspector.findLeave(ids, { from: start, to: end })
+
+        const slots = []
+        for (let day = start; day <= end && slots.length < limit; day = this.addDays(day, 1)) {
+            const free = inspectors
+                .map(inspector => ({ inspector, status: this.describeDay(inspector, day, bookings[inspector.id], leave) }))
+                .filter(({ status }) => status.available)
+                .sort((a, b) => (b.status.capacity - b.status.booked) - (a.status.capacity - a.status.booked))
+
+            free.slice(0, limit - slots.length).forEach(({ inspector, status }) => {
+                slots.push({
+                    date: day,
+                    inspectorId: inspector.id,
+                    inspectorName: inspector.name,
+                    booked: status.booked,
+                    remaining: status.capacity - status.booked
+                })
+            })
+        }
+
+        return slots
+    }
+
+    static generateCalendarToken() {
+        return crypto.randomBytes(24).toString('hex')
+    }
+
+    static isValidCalendarToken(inspector, token) {
+        if (!inspector || !inspector.calendar_token || typeof token !== 'string') return false
+        const expected = Buffer.from(inspector.calendar_token)
+        const given = Buffer.from(token)
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+    }
+
+    static async buildFeed(inspector) {
+        const today = this.today()
+        const from = this.addDays(today, -FEED_PAST_DAYS)
+        const to = this.addDays(today, FEED_FUTURE_DAYS)
+
+        const inspections = await Inspector.findScheduleBetween(inspector.id, from, to)
+        const leave = await Inspector.findLeave(inspector.id, { from, to })
+
+        const events = [
+            ...inspections.map(inspection => ({
+                uid: `inspection-${inspection.id}@pesira`,
+                start: inspection.day,
+                summary: `Inspection: ${inspection.farm_name}`,
+                location: inspection.location,
+                description: `Status: ${inspection.status}${inspection.notes ? `\n${inspection.notes}` : ''}`,
+                status: inspection.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+                updatedAt: inspection.updated_at
+            })),
+            ...leave.map(period => ({
+                uid: `leave-${period.id}@pesira`,
+                start: period.start_date,
+                end: period.end_date,
+                summary: 'Leave',
+                description: period.reason,
+                updatedAt: period.created_at
+            }))
+        ]
+
+        return buildCalendar({ name: `${inspector.name} - Inspections`, events })
+    }
+}
+
+InspectorAvailability.SchedulingError = SchedulingError
+InspectorAvailability.MAX_RANGE_DAYS = MAX_RANGE_DAYS
+
+module.exports = InspectorAvailability
@@ -0,0 +1,216 @@
+const Inspector = require('../models/Inspector')
+const InspectorAvailability = require('./inspectorAvailability')
+const { haversineKm, pathKm, isValidCoordinate, toPosition } = require('../utils/geo')
+
+// Straight-line distance is multiplied by this to estimate road kilometres
+const ROAD_FACTOR = parseFloat(process.env.ITINERARY_ROAD_FACTOR) || 1.3
+const MAX_RANGE_DAYS = 31
+
+const round = (value) => Math.round(value * 10) / 10
+
+const centroid = (points) => ({
+    latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+})
+
+const indexOfBest = (items, score) => items.reduce(
+    (best, item, index) => (score(item) < score(items[best]) ? index : best),
+    0
+)
+
+class ItineraryService {
+    // Split stops into groups of at most `capacity`, seeding each group with the stop farthest from
+    // the start (or from the middle of what is left) and filling it with the stops nearest to it.
+    // Remote farms end up together instead of each costing a separate long trip.
+    static cluster(stops, capacity, origin) {
+        const remaining = [...stops]
+        const clusters = []
+
+        while (remaining.length > 0) {
+            const reference = origin || centroid(remaining)
+            const seed = remaining.splice(indexOfBest(remaining, stop => -haversineKm(reference, stop)), 1)
+            const group = [...seed]
+
+            while (group.length < capacity && remaining.length > 0) {
+                const middle = centroid(group)
+                group.push(...remaining.splice(indexOfBest(remaining, stop => haversineKm(middle, stop)), 1))
+            }
+            clusters.push(group)
+        }
+
+        return clusters
+    }
+
+    // Visit order for one day: nearest neighbour (from the start point, or from whichever stop gives
+    // the shortest path) improved with 2-opt. With a start point the route returns there.
+    static orderStops(stops, origin) {
+        if (stops.length <= 1) return [...stops]
+
+        const nearestNeighbour = (first, rest) => {
+            const path = [first]
+            const left = [...rest]
+            while (left.length > 0) {
+                const last = path[path.length - 1]
+                path.push(...left.splice(indexOfBest(left, stop => haversineKm(last, stop)), 1))
+            }
+            return path
+        }
+
+        const routeKm = path => pathKm(origin ? [origin, ...path, origin] : path)
+
+        let best
+        if (origin) {
+            best = nearestNeighbour(origin, stops).slice(1)
+        } else {
+            best = stops
+                .map((stop, index) => nearestNeighbour(stop, stops.filter((_, other) => other !== index)))
+                .reduce((shortest, path) => (routeKm(path) < routeKm(shortest) ? path : shortest))
+        }
+
+        let improved = true
+        while (improved) {
+            improved = false
+            for (let i = 0; i < best.length - 1; i++) {
+                for (let j = i + 1; j < best.length; j++) {
+                    const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)]
+                    if (routeKm(candidate) + 1e-9 < routeKm(best)) {
+                        best = candidate
+                        improved = true
+                    }
+                }
+            }
+        }
+
+        return best
+    }
+
+    // Propose which day the inspector visits each of their open inspections in [from, to] and in
+    // what order. Only days the inspector works and is not on leave are used, each filled up to the
+    // daily maximum. Nothing is rescheduled; the plan is a suggestion.
+    static async plan(inspector, { from, to, origin } = {}) {
+        const rows = await Inspector.findStopsBetween(inspector.id, from, to)
+        const leave = await Inspector.findLeave(inspector.id, { from, to })
+
+        const stops = rows.map(row => ({
+            inspectionId: row.id,
+            status: row.status,
+            scheduledDate: row.day,
+            farmId: row.farm_id,
+            farmName: row.farm_name,
+            farmerName: row.farmer_name,
+            location: row.location,
+            latitude: row.latitude !== null ? parseFloat(row.latitude) : null,
+            longitude: row.longitude !== null ? parseFloat(row.longitude) : null
+        }))
+        const located = stops.filter(stop => isValidCoordinate(stop.latitude, stop.longitude))
+        const withoutCoordinates = stops.filter(stop => !located.includes(stop))
+
+        const workingDays = []
+        for (let day = from; day <= to; day = InspectorAvailability.addDays(day, 1)) {
+            if (InspectorAvailability.describeDay(inspector, day, {}, leave).available) workingDays.push(day)
+        }
+
+        // Groups that contain the earliest-scheduled inspections get the earliest days
+        const earliest = group => group.reduce((min, stop) => (stop.scheduledDate < min ? stop.scheduledDate : min), '9999-12-31')
+        const clusters = this.cluster(located, Inspector.getMaxPerDay(inspector), origin)
+            .sort((a, b) => earliest(a).localeCompare(earliest(b)))
+
+        const days = clusters.slice(0, workingDays.length).map((group, index) => {
+            const ordered = this.orderStops(group, origin)
+            const points = origin ? [origin, ...ordered, origin] : ordered
+            const distanceKm = pathKm(points)
+
+            return {
+                date: workingDays[index],
+                visits: ordered.map((stop, order) => ({
+                    order: order + 1,
+                    ...stop,
+                    legKm: round(order === 0 ? (origin ? haversineKm(origin, stop) : 0) : haversineKm(ordered[order - 1], stop))
+                })),
+                ...(origin && { returnKm: round(haversineKm(ordered[ordered.length - 1], origin)) }),
+                distanceKm: round(distanceKm),
+                estimatedRoadKm: round(distanceKm * ROAD_FACTOR)
+            }
+        })
+
+        const unplanned = clusters.slice(workingDays.length).flat()
+        const totalKm = days.reduce((sum, day) => sum + day.distanceKm, 0)
+
+        return {
+            inspector: Inspector.mapFromDatabase(inspector),
+            from,
+            to,
+            origin: origin || null,
+            roadFactor: ROAD_FACTOR,
+            days,
+            totalDistanceKm: round(totalKm),
+            totalEstimatedRoadKm: round(totalKm * ROAD_FACTOR),
+            unscheduled: [
+                ...unplanned.map(stop => ({ ...stop, reason: 'No working day left in the range' })),
+                ...withoutCoordinates.map(stop => ({ ...stop, reason: 'Farmer has no coordinates' }))
+            ]
+        }
+    }
+
+    static toGeoJSON(itinerary) {
+        const features = []
+
+        if (itinerary.origin) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: toPosition(itinerary.origin) },
+                properties: { kind: 'start' }
+            })
+        }
+
+        itinerary.days.forEach(day => {
+            const points = itinerary.origin ? [itinerary.origin, ...day.visits, itinerary.origin] : day.visits
+            if (points.length >= 2) {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: points.map(toPosition) },
+                    properties: {
+                        kind: 'route',
+                        date: day.date,
+                        visits: day.visits.length,
+                        distanceKm: day.distanceKm,
+                        estimatedRoadKm: day.estimatedRoadKm
+                    }
+                })
+            }
+
+            day.visits.forEach(visit => {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: toPosition(visit) },
+                    properties: {
+                        kind: 'visit',
+                        date: day.date,
+                        order: visit.order,
+                        inspectionId: visit.inspectionId,
+                        farmId: visit.farmId,
+                        farmName: visit.farmName,
+                        farmerName: visit.farmerName
+                    }
+                })
+            })
+        })
+
+        return {
+            type: 'FeatureCollection',
+            properties: {
+                inspectorId: itinerary.inspector.id,
+                from: itinerary.from,
+                to: itinerary.to,
+                totalDistanceKm: itinerary.totalDistanceKm,
+                totalEstimatedRoadKm: itinerary.totalEstimatedRoadKm
+            },
+            features
+        }
+    }
+}
+
+ItineraryService.ROAD_FACTOR = ROAD_FACTOR
+ItineraryService.MAX_RANGE_DAYS = MAX_RANGE_DAYS
+
+module.exports = ItineraryService
@@ -0,0 +1,160 @@
+const JobRun = require('../models/JobRun')
+const CertificateExpiryService = require('./certificateExpiryService')
+const CertificateArchiveService = require('./certificateArchiveService')
+
+// Daily jobs and the local time (HH:MM) after which they run
+const JOBS = {
+    'certificate-expiry': {
+        description: 'Expire certificates past their expiry date and update farm and farmer certification status',
+        runAt: process.env.CERTIFICATE_EXPIRY_JOB_TIME || '00:30',
+        handler: (context) => CertificateExpiryService.expireCertificates(context)
+    },
+    'renewal-reminders': {
+        description: `Queue renewal reminders ${CertificateExpiryService.LEAD_DAYS.join('/')} days before certificates expire`,
+        runAt: process.env.RENEWAL_REMINDER_JOB_TIME || '07:00',
+        handler: (context) => CertificateExpiryService.queueRenewalReminders(context)
+    },
+    'certificate-archive': {
+        description: 'Archive the PDFs of certificates issued before the certificate archive existed',
+        runAt: process.env.CERTIFICATE_ARCHIVE_JOB_TIME || '01:00',
+        handler: () => CertificateArchiveService.archiveLegacyCertificates()
+    }
+}
+
+const ENABLED = process.env.JOB_SCHEDULER_ENABLED !== 'false'
+const CHECK_INTERVAL_MS = (parseInt(process.env.JOB_SCHEDULER_INTERVAL_MINUTES) || 5) * 60 * 1000
+
+// A failed run is retried on the next checks up to this many attempts in total
+const MAX_ATTEMPTS = 3
+
+// A run still marked running after this long belongs to a process that died and is taken over
+const STALE_RUN_MINUTES = 60
+
+class JobError extends Error {
+    constructor(message, { status = 400 } = {}) {
+        super(message)
+        this.name = 'JobError'
+        this.status = status
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            jobs: Object.keys(JOBS)
+        }
+    }
+}
+
+const toDay = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-')
+
+const minutesOfDay = (time) => {
+    const [hours, minutes] = String(time).split(':').map(part => parseInt(part))
+    return (hours || 0) * 60 + (minutes || 0)
+}
+
+// In-process scheduler. Every run is recorded in job_runs under its job and day, so each job runs
+// once a day even across restarts and several instances; a server that was down at the scheduled
+// time runs the job on its first check after starting.
+class JobScheduler {
+    static start() {
+        if (!ENABLED || this.timer) return
+
+        this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS)
+        this.timer.unref()
+        console.log(`Job scheduler started (${Object.keys(JOBS).join(', ')})`)
+
+        this.tick()
+    }
+
+    static stop() {
+        if (this.timer) {
+            clearInterval(this.timer)
+            this.timer = null
+        }
+    }
+
+    static async tick(now = new Date()) {
+        if (this.ticking) return
+        this.ticking = true
+
+        try {
+            for (const name of Object.keys(JOBS)) {
+                if (this.isDue(name, now)) {
+                    await this.runScheduled(name, now)
+                }
+            }
+        } catch (error) {
+            console.error('Job scheduler check failed:', error)
+        } finally {
+            this.ticking = false
+        }
+    }
+
+    static isDue(name, now) {
+        return now.getHours() * 60 + now.getMinutes() >= minutesOfDay(JOBS[name].runAt)
+    }
+
+    // Run today's occurrence unless it already ran; failed and abandoned runs are taken over
+    static async runScheduled(name, now = new Date()) {
+        const runKey = toDay(now)
+
+        let run = await JobRun.claim(name, runKey)
+        if (!run) {
+            const existing = await JobRun.findByKey(name, runKey)
+            run = existing && await JobRun.reclaim(existing.id, {
+                maxAttempts: MAX_ATTEMPTS,
+                staleBefore: new Date(now.getTime() - STALE_RUN_MINUTES * 60 * 1000)
+            })
+        }
+
+        if (!run) return null
+        return await this.execute(name, run, runKey)
+    }
+
+    // Admin-triggered run outside the schedule; it does not count as the day's scheduled run
+    static async runNow(name, user, now = new Date()) {
+        if (!JOBS[name]) {
+            throw new JobError(`Unknown job ${name}`, { status: 404 })
+        }
+
+        const [running] = await JobRun.findAll({ jobName: name, status: 'running', limit: 1 })
+        const run = !running && await JobRun.claim(name, `manual:${now.toISOString()}`, {
+            triggeredBy: 'manual',
+            startedBy: user.id
+        })
+        if (!run) {
+            throw new JobError(`Job ${name} is already running`, { status: 409 })
+        }
+
+        return await this.execute(name, run, toDay(now))
+    }
+
+    static async execute(name, run, today) {
+        try {
+            const summary = await JOBS[name].handler({ today, jobRunId: run.id })
+            return await JobRun.finish(run.id, { status: 'succeeded', summary })
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error)
+            return await JobRun.finish(run.id, { status: 'failed', error: error.message })
+        }
+    }
+
+    static describe() {
+        return Object.entries(JOBS).map(([name, job]) => ({
+            name,
+            description: job.description,
+            runAt: job.runAt
+        }))
+    }
+}
+
+JobScheduler.JOBS = JOBS
+JobScheduler.ENABLED = ENABLED
+JobScheduler.MAX_ATTEMPTS = MAX_ATTEMPTS
+JobScheduler.JobError = JobError
+
+module.exports = JobScheduler
@@ -0,0 +1,175 @@
+const db = require('../config/database')
+const Farm = require('../models/Farm')
+const Field = require('../models/Field')
+const HarvestRecord = require('../models/HarvestRecord')
+const TransactionCertificate = require('../models/TransactionCertificate')
+const YieldEstimate = require('../models/YieldEstimate')
+const { addMonths, toDay } = require('../utils/conversion')
+const { YIELD_TOLERANCE, referenceYield } = require('../utils/yield')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round = (value) => value === null ? null : Math.round(value * 1000) / 1000
+
+const cropKey = (crop) => String(crop || '').trim().toLowerCase()
+
+const fieldArea = (field) => field.area !== null && field.area !== undefined ? parseFloat(field.area) : 0
+
+class MassBalanceService {
+    // Expected yield of a crop on a farm in kg per hectare per year: the farm's own estimate, the default
+    // estimate for the crop, or the reference yield. source says which; null when none is known.
+    static async yieldPerHectare(farmId, crop) {
+        const estimate = await YieldEstimate.findForCrop(farmId, crop)
+        if (estimate) {
+            return { yieldPerHectare: parseFloat(estimate.yield_kg_per_ha), source: estimate.farm_id ? 'farm' : 'default' }
+        }
+
+        const reference = referenceYield(crop)
+        return { yieldPerHectare: reference, source: reference !== null ? 'reference' : null }
+    }
+
+    // Default period: the year up to today
+    static period({ from, to } = {}) {
+        const end = to || toDay(new Date())
+        return { from: from || addMonths(end, -12), to: end }
+    }
+
+    // Per crop of a farm: harvests recorded and organic sales (transaction certificates by harvest end)
+    // in the period, against the expected yield of the farm's fields of the crop. The expected yield
+    // covers at least one year, so a period holding one season is not judged against a fraction of it.
+    static async farmReport(farm, { from, to }) {
+        const fields = await Field.findByFarm(farm.id)
+        const harvests = await HarvestRecord.findAll({ farmId: farm.id, from, to })
+        const sales = await TransactionCertificate.salesByCrop(farm.id, { from, to })
+        const years = Math.max(1, ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1) / 365)
+
+        const crops = new Map()
+        const cropEntry = (crop) => {
+            const key = cropKey(crop)
+            if (!crops.has(key)) {
+                crops.set(key, { crop: String(crop).trim(), areaHectares: 0, organicAreaHectares: 0, harvestedKg: 0, organicHarvestedKg: 0, soldKg: 0, transactionCertificates: 0 })
+            }
+            return crops.get(key)
+        }
+
+        fields.filter(field => field.crop_type).forEach(field => {
+            const entry = cropEntry(field.crop_type)
+            entry.areaHectares += fieldArea(field)
+            if (Field.conversion(field, to).label === 'organic') {
+                entry.organicAreaHectares += fieldArea(field)
+            }
+        })
+
+        // Produce counts as organic when its field was organic on the day it was harvested
+        harvests.forEach(harvest => {
+            const entry = cropEntry(harvest.crop)
+            const field = fields.find(candidate => candidate.id === harvest.field_id)
+            entry.harvestedKg += parseFloat(harvest.quantity_kg)
+            if (field && Field.conversion(field, harvest.harvest_day).label === 'organic') {
+                entry.organicHarvestedKg += parseFloat(harvest.quantity_kg)
+            }
+        })
+
+        sales.forEach(sale => {
+            const entry = cropEntry(sale.crop)
+            entry.soldKg += parseFloat(sale.sold_kg)
+            entry.transactionCertificates += sale.transaction_certificates
+        })
+
+        const report = []
+        for (const entry of crops.values()) {
+            const { yieldPerHectare, source } = await this.yieldPerHectare(farm.id, entry.crop)
+            report.push(this.assessCrop({ ...entry, yieldPerHectare, yieldSource: source, years }))
+        }
+
+        return {
+            farmId: farm.id,
+            farmName: farm.farm_name,
+            from,
+            to,
+            flagged: report.some(crop => crop.status === 'flagged'),
+            crops: report.sort((a, b) => a.crop.localeCompare(b.crop))
+        }
+    }
+
+    static assessCrop(entry) {
+        const known = entry.yieldPerHectare !== null
+        const expectedKg = known ? entry.areaHectares * entry.yieldPerHectare * entry.years : null
+        const expectedOrganicKg = known ? entry.organicAreaHectares * entry.yieldPerHectare * entry.years : null
+
+        const flags = []
+        if (known && entry.harvestedKg > expectedKg * (1 + YIELD_TOLERANCE)) {
+            flags.push({
+                code: 'harvest_above_expected_yield',
+                message: `${round(entry.harvestedKg)} kg harvested, more than the ${round(expectedKg)} kg the fields of ${entry.crop} are expected to yield`
+            })
+        }
+        if (known && entry.soldKg > expectedOrganicKg * (1 + YIELD_TOLERANCE)) {
+            flags.push({
+                code: 'sales_above_expected_yield',
+                message: `${round(entry.soldKg)} kg sold as organic, more than the ${round(expectedOrganicKg)} kg the organic fields of ${entry.crop} are expected to yield`
+            })
+        }
+        if (entry.soldKg > entry.organicHarvestedKg) {
+            flags.push({
+                code: 'sales_above_organic_harvest',
+                message: entry.organicHarvestedKg > 0
+                    ? `${round(entry.soldKg)} kg sold as organic, more than the ${round(entry.organicHarvestedKg)} kg of organic ${entry.crop} harvested`
+                    : `${round(entry.soldKg)} kg sold as organic without an organic harvest of ${entry.crop} recorded`
+            })
+        }
+
+        return {
+            crop: entry.crop,
+            status: flags.length > 0 ? 'flagged' : known ? 'ok' : 'no_yield_estimate',
+            areaHectares: round(entry.areaHectares),
+            organicAreaHectares: round(entry.organicAreaHectares),
+            yieldPerHectare: entry.yieldPerHectare,
+            yieldSource: entry.yieldSource,
+            expectedKg: round(expectedKg),
+            expectedOrganicKg: round(expectedOrganicKg),
+            harvestedKg: round(entry.harvestedKg),
+            organicHarvestedKg: round(entry.organicHarvestedKg),
+            soldKg: round(entry.soldKg),
+            transactionCertificates: entry.transactionCertificates,
+            flags
+        }
+    }
+
+    // Mass balance of every farm with harvests or organic sales in the period, flagged farms first.
+    // Agronomists see their own farmers' farms.
+    static async report({ from, to, farmerUserId = null, flaggedOnly = false }) {
+        const ownership = farmerUserId ? 'AND fm.farmer_id IN (SELECT id FROM farmers WHERE user_id = ?)' : ''
+        const ownerParams = farmerUserId ? [farmerUserId] : []
+
+        const rows = await db.executeQuery(`
+            SELECT DISTINCT fm.id FROM farms fm
+            WHERE (fm.id IN (
+                    SELECT fl.farm_id FROM harvest_records h JOIN fields fl ON h.field_id = fl.id
+                    WHERE h.harvest_date BETWEEN ? AND ?
+                ) OR fm.id IN (
+                    SELECT farm_id FROM transaction_certificates
+                    WHERE status = 'issued' AND harvest_end_date BETWEEN ? AND ?
+                ))
+            ${ownership}
+            ORDER BY fm.id
+        `, [from, to, from, to, ...ownerParams])
+
+        const farms = []
+        for (const row of rows) {
+            const farm = await Farm.findById(row.id)
+            if (farm) farms.push(await this.farmReport(farm, { from, to }))
+        }
+
+        const flagged = farms.filter(farm => farm.flagged)
+        return {
+            from,
+            to,
+            farmCount: farms.length,
+            flaggedCount: flagged.length,
+            farms: flaggedOnly ? flagged : [...flagged, ...farms.filter(farm => !farm.flagged)]
+        }
+    }
+}
+
+module.exports = MassBalanceService
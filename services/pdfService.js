@@ -1,23 +1,60 @@
 const PDFDocument = require("pdfkit")
-const fs = require("fs")
-const path = require("path")
-
-// Simple and clean color scheme
-const COLORS = {
-    primary: "#10b981", // green-500
-    dark: "#374151", // gray-700
-    light: "#9ca3af", // gray-400
-    white: "#ffffff",
-    background: "#f9fafb" // gray-50
+const QRCode = require("qrcode")
+const CertificateService = require("./certificateService")
+const CertificateTemplateService = require("./certificateTemplateService")
+const { fill, formatDate } = require("../utils/certificateText")
+
+// PDF info entries carrying the signature; the payload is base64url so it survives as a plain PDF string
+const SIGNATURE_FIELDS = {
+    payload: "PesiraCertificatePayload",
+    signature: "PesiraSignature",
+    keyId: "PesiraKeyId"
+}
+
+// Page margins per layout; the bordered layout keeps its content inside the frame
+const LAYOUT_MARGINS = {
+    classic: { top: 50, bottom: 50, left: 50, right: 50 },
+    bordered: { top: 40, bottom: 40, left: 60, right: 60 }
+}
+
+// Annex table column widths as fractions of the content width, in the order of the text bundle's columns
+const ANNEX_COLUMN_WIDTHS = [0.36, 0.24, 0.14, 0.26]
+
+const QR_SIZE = 60
+
+// Largest font size up to `maxSize` at which `text` fits on one line of `width`
+const fitFontSize = (doc, text, font, maxSize, width) => {
+    doc.font(font).fontSize(maxSize)
+    const textWidth = doc.widthOfString(text)
+    return textWidth > width ? Math.floor(maxSize * width / textWidth) : maxSize
 }
 
 class PDFService {
-    static async generateCertificatePDF(certificateData, farmData, farmerData) {
+    // Certificate with its scope annex, drawn with a document style from CertificateTemplateService
+    // (layout, language, branding). `scopeItems` are certificate_scope_items rows. A specimen is
+    // watermarked so that previews cannot pass for issued certificates.
+    static async generateCertificatePDF(certificateData, farmData, farmerData, scopeItems = [], { style, specimen = false } = {}) {
+        const documentStyle = style || CertificateTemplateService.documentStyle()
+        const text = documentStyle.text
+
+        // QR code linking to the public verification page, so a scan shows the current status
+        // and, for signed certificates, checks the signature
+        const verificationUrl = CertificateService.verificationUrl(certificateData.certificate_number, {
+            signature: certificateData.signature,
+            keyId: certificateData.signing_key_id
+        })
+        const qrImage = await QRCode.toBuffer(verificationUrl, { type: "png", errorCorrectionLevel: "M", margin: 1, width: 240 })
+
         return new Promise((resolve, reject) => {
             try {
                 const doc = new PDFDocument({
                     size: "A4",
-                    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+                    margins: LAYOUT_MARGINS[documentStyle.layout] || LAYOUT_MARGINS.classic,
+                    info: {
+                        Title: `${text.certificate.subtitle} ${certificateData.certificate_number}`,
+                        Author: documentStyle.issuerName,
+                        ...this.signatureInfo(certificateData)
+                    }
                 })
 
                 const buffers = []
@@ -27,18 +64,294 @@ class PDFService {
                     resolve(pdfData)
                 })
 
-                const pageWidth = doc.page.width
-                const margins = doc.page.margins
-                const contentWidth = pageWidth - margins.left - margins.right
+                const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+
+                this.decoratePage(doc, documentStyle, { specimen })
+                doc.on("pageAdded", () => this.decoratePage(doc, documentStyle, { specimen }))
+
+                this.drawHeader(doc, contentWidth, documentStyle)
+                this.drawVerificationQR(doc, contentWidth, qrImage, documentStyle)
+
+                this.drawCertificateContent(doc, contentWidth, certificateData, farmData, farmerData, scopeItems, documentStyle)
+
+                this.drawFooter(doc, contentWidth, certificateData, CertificateService.verificationUrl(certificateData.certificate_number), documentStyle)
+
+                if (scopeItems.length > 0) {
+                    this.drawScopeAnnex(doc, contentWidth, certificateData, scopeItems, documentStyle)
+                }
+
+                doc.end()
+            } catch (error) {
+                reject(error)
+            }
+        })
+    }
+
+    // Certificate filled with sample data, for checking a template before it is used
+    static async generatePreviewPDF(style) {
+        const sample = CertificateTemplateService.sampleData(style)
+        return await this.generateCertificatePDF(sample.certificate, sample.farm, sample.farmer, sample.scopeItems, {
+            style,
+            specimen: true
+        })
+    }
+
+    // Transaction certificate for one sales lot, in the style of the scope certificate it was sold under.
+    // `verificationUrl` goes in the QR code; `statusUrl` is printed in the footer.
+    static async generateTransactionCertificatePDF(transactionData, certificateData, farmData, farmerData, { style, verificationUrl, statusUrl } = {}) {
+        const baseStyle = style || CertificateTemplateService.documentStyle()
+        const { colors, language } = baseStyle
+        const text = baseStyle.text.transaction
+
+        // The header draws the certificate subtitle; a transaction certificate carries its own
+        const documentStyle = {
+            ...baseStyle,
+            text: { ...baseStyle.text, certificate: { ...baseStyle.text.certificate, subtitle: text.subtitle } }
+        }
+
+        const qrImage = await QRCode.toBuffer(verificationUrl, { type: "png", errorCorrectionLevel: "M", margin: 1, width: 240 })
+
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({
+                    size: "A4",
+                    margins: LAYOUT_MARGINS[documentStyle.layout] || LAYOUT_MARGINS.classic,
+                    info: {
+                        Title: `${text.subtitle} ${transactionData.tc_number}`,
+                        Author: documentStyle.issuerName,
+                        ...this.signatureInfo(transactionData)
+                    }
+                })
+
+                const buffers = []
+                doc.on("data", buffers.push.bind(buffers))
+                doc.on("end", () => resolve(Buffer.concat(buffers)))
+
+                const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+                const left = doc.page.margins.left
+
+                this.decoratePage(doc, documentStyle)
+                this.drawHeader(doc, contentWidth, documentStyle)
+                this.drawVerificationQR(doc, contentWidth, qrImage, documentStyle)
+
+                doc.fontSize(14)
+                   .fillColor(colors.text)
+                   .font("Helvetica-Bold")
+                   .text(documentStyle.issuerName, { align: "center" })
+                   .moveDown(1)
+
+                doc.fontSize(12)
+                   .fillColor(colors.primary)
+                   .font("Helvetica-Bold")
+                   .text(fill(text.number, { number: transactionData.tc_number }), { align: "center" })
+                   .moveDown(1.5)
+
+                doc.fontSize(12)
+                   .fillColor(colors.text)
+                   .font("Helvetica")
+                   .text(text.certifyThat, { align: "center" })
+                   .moveDown(0.8)
+
+                doc.fontSize(18)
+                   .fillColor(colors.primary)
+                   .font("Helvetica-Bold")
+                   .text(farmerData.name, { align: "center" })
+                   .moveDown(0.5)
+
+                doc.fontSize(11)
+                   .fillColor(colors.text)
+                   .font("Helvetica")
+                   .text(fill(documentStyle.text.certificate.farm, { farm: farmData.farm_name }), { align: "center" })
+                   .text(fill(text.scopeCertificate, {
+                       number: certificateData.certificate_number,
+                       date: formatDate(certificateData.expiry_date, language)
+                   }), { align: "center" })
+                   .moveDown(1.5)
+
+                // Particulars of the lot
+                const labels = text.rows
+                const buyer = transactionData.buyer_country
+                    ? `${transactionData.buyer_name}, ${transactionData.buyer_country}`
+                    : transactionData.buyer_name
+                const rows = [
+                    [labels.product, transactionData.product],
+                    [labels.crop, transactionData.crop],
+                    [labels.quantity, `${parseFloat(transactionData.quantity)} ${transactionData.unit}`],
+                    [labels.lotNumber, transactionData.lot_number],
+                    [labels.harvestPeriod, fill(text.harvestPeriod, {
+                        start: formatDate(transactionData.harvest_start_day || transactionData.harvest_start_date, language),
+                        end: formatDate(transactionData.harvest_end_day || transactionData.harvest_end_date, language)
+                    })],
+                    [labels.buyer, buyer],
+                    [labels.issueDate, formatDate(transactionData.issue_day || transactionData.issue_date, language)]
+                ]
+
+                rows.forEach(([label, value]) => {
+                    const y = doc.y
+                    doc.fontSize(11).fillColor(colors.text)
+                    doc.font("Helvetica-Bold").text(label, left + 40, y, { width: 140 })
+                    doc.font("Helvetica").text(String(value), left + 190, y, { width: contentWidth - 230 })
+                    doc.moveDown(0.4)
+                })
+
+                doc.x = left
+                doc.moveDown(1)
+
+                doc.fontSize(10)
+                   .fillColor(colors.text)
+                   .font("Helvetica")
+                   .text(text.statement, left, doc.y, { width: contentWidth, align: "center" })
+                   .moveDown(1)
+
+                // Footer of a certificate, with the transaction certificate's number, key and validity note
+                const footerData = { certificate_number: transactionData.tc_number, signing_key_id: transactionData.signing_key_id }
+                this.drawFooter(doc, contentWidth, footerData, statusUrl, {
+                    ...documentStyle,
+                    text: {
+                        ...documentStyle.text,
+                        certificate: { ...documentStyle.text.certificate, validity: text.validity, generated: text.generated }
+                    }
+                })
+
+                doc.end()
+            } catch (error) {
+                reject(error)
+            }
+        })
+    }
 
-                // Header with enhanced styling
-                this.drawHeader(doc, contentWidth, certificateData)
+    // Formal letter to the farmer for a suspension, revocation or reinstatement. `action` is a
+    // mapped CertificateStatusAction; `reasonLabel` the wording of its reason code.
+    static async generateStatusNoticePDF(action, reasonLabel, certificateData, farmData, farmerData, { style } = {}) {
+        const documentStyle = style || CertificateTemplateService.documentStyle()
+        const { colors, language } = documentStyle
+        const notice = documentStyle.text.notice
+        const text = notice[action.action]
+        const statusLabel = (status) => documentStyle.text.statuses[status] || status
 
-                // Main certificate content with improved layout
-                this.drawCertificateContent(doc, contentWidth, certificateData, farmData, farmerData)
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({
+                    size: "A4",
+                    margins: { top: 50, bottom: 50, left: 60, right: 60 },
+                    info: {
+                        Title: `${text.subject} ${certificateData.certificate_number}`,
+                        Author: documentStyle.issuerName
+                    }
+                })
 
-                // Professional footer
-                this.drawFooter(doc, contentWidth, certificateData)
+                const buffers = []
+                doc.on("data", buffers.push.bind(buffers))
+                doc.on("end", () => resolve(Buffer.concat(buffers)))
+
+                const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+                const left = doc.page.margins.left
+
+                // Letterhead
+                if (documentStyle.logoPath) {
+                    doc.image(documentStyle.logoPath, left, 45, { width: 40, height: 40 })
+                }
+
+                doc.fontSize(14)
+                   .fillColor(colors.text)
+                   .font("Helvetica-Bold")
+                   .text(documentStyle.issuerName, left, 50, { width: contentWidth, align: "right" })
+
+                if (documentStyle.issuerSubtitle) {
+                    doc.fontSize(9)
+                       .fillColor(colors.muted)
+                       .font("Helvetica")
+                       .text(documentStyle.issuerSubtitle, { width: contentWidth, align: "right" })
+                }
+
+                doc.moveTo(left, 95)
+                   .lineTo(left + contentWidth, 95)
+                   .strokeColor(colors.primary)
+                   .lineWidth(1)
+                   .stroke()
+
+                doc.x = left
+                doc.y = 110
+
+                // Reference, date and recipient
+                doc.fontSize(10)
+                   .fillColor(colors.text)
+                   .font("Helvetica")
+                   .text(fill(notice.reference, { reference: `${certificateData.certificate_number}/${action.action.toUpperCase()}/${action.id}` }))
+                   .text(fill(notice.date, { date: formatDate(action.createdAt || new Date(), language) }))
+                   .moveDown(1.5)
+
+                doc.font("Helvetica-Bold").text(farmerData.name)
+                doc.font("Helvetica")
+                if (farmData) doc.text(farmData.farm_name)
+                if (farmerData.address) doc.text(farmerData.address)
+                if (farmerData.county) doc.text(fill(notice.county, { county: farmerData.county }))
+                doc.moveDown(1.5)
+
+                doc.fontSize(13)
+                   .fillColor(colors.primary)
+                   .font("Helvetica-Bold")
+                   .text(text.title)
+                   .fontSize(11)
+                   .fillColor(colors.text)
+                   .text(`${text.subject} ${certificateData.certificate_number}`)
+                   .moveDown(1)
+
+                doc.fontSize(10.5)
+                   .font("Helvetica")
+                   .text(fill(notice.greeting, { name: farmerData.name }))
+                   .moveDown(0.8)
+
+                text.paragraphs.forEach(paragraph => {
+                    doc.text(fill(paragraph, { effectiveDate: formatDate(action.effectiveDate, language) }), { align: "justify" })
+                       .moveDown(0.8)
+                })
+
+                // Particulars of the decision
+                const labels = notice.rows
+                const nonConformity = action.nonConformity
+                const rows = [
+                    [labels.certificate, certificateData.certificate_number],
+                    [labels.farm, farmData ? farmData.farm_name : "-"],
+                    [labels.scope, certificateData.scope || "-"],
+                    [labels.reason, reasonLabel],
+                    ...(action.reasonDetails ? [[labels.details, action.reasonDetails]] : []),
+                    ...(nonConformity ? [[
+                        labels.nonConformity,
+                        `#${nonConformity.id} (${nonConformity.severity})${nonConformity.clauseReference ? `, ${fill(labels.clause, { clause: nonConformity.clauseReference })}` : ""}: ${nonConformity.description}`
+                    ]] : []),
+                    [labels.effectiveDate, formatDate(action.effectiveDate, language)],
+                    [labels.status, `${statusLabel(action.previousStatus)} -> ${statusLabel(action.newStatus)}`]
+                ]
+
+                doc.moveDown(0.4)
+                rows.forEach(([label, value]) => {
+                    const y = doc.y
+                    doc.font("Helvetica-Bold").text(label, left, y, { width: 120 })
+                    doc.font("Helvetica").text(String(value), left + 130, y, { width: contentWidth - 130 })
+                    doc.moveDown(0.3)
+                })
+
+                doc.x = left
+                doc.moveDown(1)
+
+                if (text.appeal) {
+                    doc.text(notice.appeal, left, doc.y, { width: contentWidth })
+                       .moveDown(1)
+                }
+
+                doc.text(notice.closing, left, doc.y, { width: contentWidth })
+                   .moveDown(2.5)
+                   .text("_____________________________")
+                   .font("Helvetica-Bold")
+                   .text(action.actedByName || notice.officer)
+                   .font("Helvetica")
+                   .text(fill(notice.onBehalfOf, { body: documentStyle.issuerName }))
+                   .moveDown(2)
+
+                doc.fontSize(8)
+                   .fillColor(colors.muted)
+                   .text(fill(notice.statusCheck, { url: CertificateService.verificationUrl(certificateData.certificate_number) }), { align: "center" })
 
                 doc.end()
             } catch (error) {
@@ -47,176 +360,378 @@ class PDFService {
         })
     }
 
-    static drawHeader(doc, contentWidth, certificateData) {
-        // Simple logo placement
-        try {
-            const logoPath = path.join(__dirname, "../public/pesira-logo-nobg.png")
-            if (fs.existsSync(logoPath)) {
-                doc.image(logoPath, 50, 50, { width: 50, height: 50 })
+    // Frame of the bordered layout and the specimen watermark, drawn on every page
+    static decoratePage(doc, style, { specimen = false } = {}) {
+        const { width, height } = doc.page
+        const x = doc.x
+        const y = doc.y
+
+        if (style.layout === "bordered") {
+            doc.save()
+               .lineWidth(3)
+               .strokeColor(style.colors.primary)
+               .rect(20, 20, width - 40, height - 40)
+               .stroke()
+               .lineWidth(0.75)
+               .rect(27, 27, width - 54, height - 54)
+               .stroke()
+               .restore()
+        }
+
+        if (specimen) {
+            doc.save()
+               .rotate(-40, { origin: [width / 2, height / 2] })
+               .fillColor(style.colors.muted)
+               .fillOpacity(0.25)
+               .font("Helvetica-Bold")
+               .fontSize(96)
+               .text(style.text.certificate.specimen, 0, height / 2 - 48, { width, align: "center", lineBreak: false })
+               .restore()
+        }
+
+        doc.x = x
+        doc.y = y
+    }
+
+    static drawHeader(doc, contentWidth, style) {
+        const { colors, text } = style
+        const left = doc.page.margins.left
+        const top = doc.page.margins.top
+        const pageWidth = doc.page.width
+
+        // The title is kept clear of the logo and the QR code
+        const titleWidth = contentWidth - 2 * (QR_SIZE + 10)
+        const titleSize = fitFontSize(doc, text.certificate.title, "Helvetica-Bold", 28, titleWidth)
+
+        if (style.layout === "bordered") {
+            if (style.logoPath) {
+                doc.image(style.logoPath, pageWidth / 2 - 20, top, { width: 40, height: 40 })
             }
-        } catch (error) {
-            // Simple logo placeholder
-            doc.fontSize(12)
-               .fillColor(COLORS.primary)
+
+            doc.fontSize(titleSize)
+               .fillColor(colors.text)
                .font("Helvetica-Bold")
-               .text("PESIRA", 50, 70)
+               .text(text.certificate.title, left + QR_SIZE + 10, top + 46, { width: titleWidth, align: "center" })
+
+            doc.fontSize(18)
+               .fillColor(colors.primary)
+               .font("Helvetica")
+               .text(text.certificate.subtitle, left, top + 78, { width: contentWidth, align: "center" })
+
+            doc.moveTo(pageWidth / 2 - 60, top + 102)
+               .lineTo(pageWidth / 2 + 60, top + 102)
+               .strokeColor(colors.primary)
+               .lineWidth(1)
+               .stroke()
+
+            doc.x = left
+            doc.y = top + 112
+            return
+        }
+
+        if (style.logoPath) {
+            doc.image(style.logoPath, left, top, { width: 50, height: 50 })
         }
 
-        // Simple centered title
-        doc.fontSize(28)
-           .fillColor(COLORS.dark)
+        doc.fontSize(titleSize)
+           .fillColor(colors.text)
            .font("Helvetica-Bold")
-           .text("ORGANIC CERTIFICATION", 0, 50, { width: contentWidth + 100, align: "center" })
+           .text(text.certificate.title, left + QR_SIZE + 10, top, { width: titleWidth, align: "center" })
 
         doc.fontSize(18)
-           .fillColor(COLORS.primary)
+           .fillColor(colors.primary)
            .font("Helvetica")
-           .text("CERTIFICATE", 0, 85, { width: contentWidth + 100, align: "center" })
+           .text(text.certificate.subtitle, left, top + 35, { width: contentWidth, align: "center" })
 
         // Simple line separator
-        doc.moveTo(50, 120)
-           .lineTo(contentWidth + 50, 120)
-           .strokeColor(COLORS.primary)
+        doc.moveTo(left, top + 70)
+           .lineTo(left + contentWidth, top + 70)
+           .strokeColor(colors.primary)
            .lineWidth(1)
            .stroke()
 
-        doc.y = 140
+        doc.x = left
+        doc.y = top + 90
+    }
+
+    static signatureInfo(certificateData) {
+        if (!certificateData.signature || !certificateData.signed_payload) return {}
+
+        return {
+            [SIGNATURE_FIELDS.payload]: Buffer.from(certificateData.signed_payload, "utf8").toString("base64url"),
+            [SIGNATURE_FIELDS.signature]: certificateData.signature,
+            [SIGNATURE_FIELDS.keyId]: certificateData.signing_key_id
+        }
+    }
+
+    // Read the signed payload back from a certificate PDF. pdfkit writes info strings either inline
+    // or as indirect objects, so both forms are accepted. Returns null when the PDF is not signed.
+    static readSignature(pdfBuffer) {
+        const source = pdfBuffer.toString("latin1")
+
+        const read = (name) => {
+            const entry = source.match(new RegExp(`/${name}\\s*(?:\\(([A-Za-z0-9_.-]+)\\)|(\\d+)\\s+0\\s+R)`))
+            if (!entry) return null
+            if (entry[1]) return entry[1]
+
+            const object = source.match(new RegExp(`(?:^|\\s)${entry[2]}\\s+0\\s+obj\\s*\\(([A-Za-z0-9_.-]+)\\)`))
+            return object ? object[1] : null
+        }
+
+        const payload = read(SIGNATURE_FIELDS.payload)
+        const signature = read(SIGNATURE_FIELDS.signature)
+        const keyId = read(SIGNATURE_FIELDS.keyId)
+        if (!payload || !signature || !keyId) return null
+
+        return {
+            payload: Buffer.from(payload, "base64url").toString("utf8"),
+            signature,
+            keyId
+        }
     }
 
-    static drawCertificateContent(doc, contentWidth, certificateData, farmData, farmerData) {
-        // Authority name
+    // Top right corner, opposite the logo; doc.y is left where the header put it
+    static drawVerificationQR(doc, contentWidth, qrImage, style) {
+        const x = doc.page.margins.left + contentWidth - QR_SIZE
+        const top = doc.page.margins.top
+        const y = doc.y
+
+        doc.image(qrImage, x, top, { width: QR_SIZE, height: QR_SIZE })
+
+        doc.fontSize(6)
+           .fillColor(style.colors.muted)
+           .font("Helvetica")
+           .text(style.text.certificate.scanToVerify, x, top + QR_SIZE + 2, { width: QR_SIZE, align: "center" })
+
+        doc.x = doc.page.margins.left
+        doc.y = y
+    }
+
+    static drawCertificateContent(doc, contentWidth, certificateData, farmData, farmerData, scopeItems, style) {
+        const { colors, language } = style
+        const text = style.text.certificate
+
+        // Issuing body
         doc.fontSize(14)
-           .fillColor(COLORS.dark)
+           .fillColor(colors.text)
            .font("Helvetica-Bold")
-           .text("Kenya Organic Agriculture Network (KOAN)", { align: "center" })
+           .text(style.issuerName, { align: "center" })
            .moveDown(0.5)
 
-        doc.fontSize(10)
-           .fillColor(COLORS.light)
-           .font("Helvetica")
-           .text("Accredited Organic Agriculture Certification Body", { align: "center" })
-           .moveDown(2)
+        if (style.issuerSubtitle) {
+            doc.fontSize(10)
+               .fillColor(colors.muted)
+               .font("Helvetica")
+               .text(style.issuerSubtitle, { align: "center" })
+        }
+        doc.moveDown(2)
 
         // Certificate number
         doc.fontSize(12)
-           .fillColor(COLORS.primary)
+           .fillColor(colors.primary)
            .font("Helvetica-Bold")
-           .text(`Certificate No: ${certificateData.certificate_number}`, { align: "center" })
+           .text(fill(text.number, { number: certificateData.certificate_number }), { align: "center" })
            .moveDown(2)
 
         // Main statement
         doc.fontSize(14)
-           .fillColor(COLORS.dark)
+           .fillColor(colors.text)
            .font("Helvetica")
-           .text("This is to certify that:", { align: "center" })
+           .text(text.certifyThat, { align: "center" })
            .moveDown(1)
 
         // Farmer name - simple and prominent
         doc.fontSize(22)
-           .fillColor(COLORS.primary)
+           .fillColor(colors.primary)
            .font("Helvetica-Bold")
            .text(farmerData.name, { align: "center", underline: true })
            .moveDown(1.5)
 
-        // Farm details - simple text
+        // Farm details
         doc.fontSize(12)
-           .fillColor(COLORS.dark)
+           .fillColor(colors.text)
            .font("Helvetica")
-           .text(`Operating: ${farmData.farmName}`, { align: "center" })
-           .text(`Location: ${farmData.location}`, { align: "center" })
-           .text(`Farm Size: ${farmData.farmSize} acres`, { align: "center" })
-           .moveDown(2)
+           .text(fill(text.farm, { farm: farmData.farm_name }), { align: "center" })
+           .text(fill(text.location, { location: farmData.location }), { align: "center" })
+
+        if (farmData.total_area) {
+            doc.text(fill(text.farmSize, { area: parseFloat(farmData.total_area) }), { align: "center" })
+        }
+        doc.moveDown(2)
 
         // Certification statement
         doc.fontSize(11)
-           .fillColor(COLORS.dark)
+           .fillColor(colors.text)
            .font("Helvetica")
-           .text("Has been inspected and certified as compliant with organic agriculture", { align: "center" })
-           .text("standards for the production of:", { align: "center" })
-           .moveDown(1.5)
+        text.statement.forEach(line => doc.text(line, { align: "center" }))
+        doc.moveDown(1.5)
 
-        // Crops - simple list with safe JSON parsing
-        let cropTypes = ["Organic crops"];
-        if (farmData.crop_types) {
-          try {
-            if (typeof farmData.crop_types === 'string') {
-              // Try parsing as JSON first
-              cropTypes = JSON.parse(farmData.crop_types);
-            } else if (Array.isArray(farmData.crop_types)) {
-              // Already an array
-              cropTypes = farmData.crop_types;
-            } else {
-              // Convert to string and split by comma as fallback
-              cropTypes = farmData.crop_types.toString().split(',').map(crop => crop.trim());
-            }
-          } catch (error) {
-            // If JSON parsing fails, try splitting by comma
-            cropTypes = farmData.crop_types.split(',').map(crop => crop.trim());
-          }
-        }
+        // Crops certified organic; older certificates without their own crop list show the farm's crops
+        const certifiedCrops = CertificateService.certifiedCrops(certificateData, farmData, scopeItems)
+        const cropTypes = certifiedCrops.length > 0 ? certifiedCrops : [text.cropsFallback]
 
         doc.fontSize(13)
-           .fillColor(COLORS.primary)
+           .fillColor(colors.primary)
            .font("Helvetica-Bold")
-           .text("CERTIFIED CROPS", { align: "center" })
+           .text(text.certifiedCrops, { align: "center" })
            .moveDown(0.5)
 
         cropTypes.forEach(crop => {
             doc.fontSize(11)
-               .fillColor(COLORS.dark)
+               .fillColor(colors.text)
                .font("Helvetica")
                .text(`• ${crop}`, { align: "center" })
         })
 
+        if (scopeItems.length > 0) {
+            doc.moveDown(0.5)
+               .fontSize(9)
+               .fillColor(colors.muted)
+               .text(text.annexReference, { align: "center" })
+        }
+
         doc.moveDown(2)
 
-        // Dates - simple layout
+        // Dates
         doc.fontSize(11)
-           .fillColor(COLORS.dark)
+           .fillColor(colors.text)
            .font("Helvetica")
-           .text(`Issue Date: ${new Date(certificateData.issue_date).toLocaleDateString()}`, { align: "center" })
-           .text(`Expiry Date: ${new Date(certificateData.expiry_date).toLocaleDateString()}`, { align: "center" })
+           .text(fill(text.issueDate, { date: formatDate(certificateData.issue_date, language) }), { align: "center" })
+           .text(fill(text.expiryDate, { date: formatDate(certificateData.expiry_date, language) }), { align: "center" })
            .moveDown(1)
 
         if (certificateData.scope) {
             doc.fontSize(10)
-               .fillColor(COLORS.light)
+               .fillColor(colors.muted)
                .font("Helvetica")
-               .text(`Scope: ${certificateData.scope}`, { align: "center" })
+               .text(fill(text.scope, { scope: certificateData.scope }), { align: "center" })
                .moveDown(1)
         }
     }
 
-    static drawFooter(doc, contentWidth, certificateData) {
-        // Add some space before footer
-        doc.moveDown(3)
+    // Table of the fields, crops and areas covered, with organic and in-conversion totals
+    static drawScopeAnnex(doc, contentWidth, certificateData, scopeItems, style) {
+        const { colors } = style
+        const text = style.text.annex
+        const left = doc.page.margins.left
+        const columns = text.columns.map((label, index) => ({ label, width: ANNEX_COLUMN_WIDTHS[index] * contentWidth }))
+        const bottom = doc.page.height - doc.page.margins.bottom - 40
+
+        const drawRow = (values, { bold = false } = {}) => {
+            const y = doc.y
+            let x = left
+            doc.fontSize(10).font(bold ? "Helvetica-Bold" : "Helvetica").fillColor(colors.text)
+
+            const heights = values.map((value, index) => {
+                doc.text(String(value), x + 4, y + 4, { width: columns[index].width - 8 })
+                x += columns[index].width
+                return doc.y - y
+            })
+
+            doc.y = y + Math.max(...heights) + 4
+            doc.moveTo(left, doc.y)
+               .lineTo(left + contentWidth, doc.y)
+               .strokeColor(bold ? colors.primary : colors.muted)
+               .lineWidth(bold ? 1 : 0.5)
+               .stroke()
+        }
 
-        // Simple signature line
-        doc.fontSize(11)
-           .fillColor(COLORS.dark)
-           .font("Helvetica")
-           .text("_____________________________", { align: "center" })
-           .moveDown(0.5)
+        const startPage = (continued) => {
+            doc.addPage()
+            doc.fontSize(16)
+               .fillColor(colors.text)
+               .font("Helvetica-Bold")
+               .text(`${text.title}${continued ? ` ${text.continued}` : ""}`, left, doc.page.margins.top, { width: contentWidth, align: "center" })
+               .fontSize(11)
+               .fillColor(colors.primary)
+               .text(fill(style.text.certificate.number, { number: certificateData.certificate_number }), { align: "center" })
+               .moveDown(1.5)
+            drawRow(columns.map(column => column.label), { bold: true })
+        }
+
+        startPage(false)
+
+        scopeItems.forEach(item => {
+            if (doc.y > bottom) startPage(true)
+            drawRow([
+                item.field_name,
+                item.crop,
+                item.area !== null && item.area !== undefined ? parseFloat(item.area).toFixed(2) : "-",
+                text.categories[item.production_category] || item.production_category
+            ])
+        })
+
+        const total = (category) => scopeItems
+            .filter(item => item.production_category === category)
+            .reduce((sum, item) => sum + (parseFloat(item.area) || 0), 0)
 
-        doc.fontSize(10)
-           .fillColor(COLORS.light)
+        doc.x = left
+        doc.moveDown(1)
+           .fontSize(10)
+           .fillColor(colors.text)
+           .font("Helvetica-Bold")
+           .text(fill(text.organicArea, { area: total("organic").toFixed(2) }), left, doc.y, { width: contentWidth })
+           .text(fill(text.conversionArea, { area: total("in_conversion").toFixed(2) }))
+           .moveDown(1)
+           .fontSize(9)
+           .fillColor(colors.muted)
            .font("Helvetica")
-           .text("Authorized Signature", { align: "center" })
-           .text("Kenya Organic Agriculture Network", { align: "center" })
-           .moveDown(2)
+           .text(text.conversionNote, { width: contentWidth })
+    }
+
+    static drawFooter(doc, contentWidth, certificateData, verificationUrl, style) {
+        const { colors, language } = style
+        const text = style.text.certificate
+        const left = doc.page.margins.left
+
+        doc.moveDown(2)
+
+        // One signature line per signatory, side by side; a generic one without configured signatories
+        const signatories = style.signatories.length > 0
+            ? style.signatories
+            : [{ name: text.authorizedSignature, title: style.issuerName }]
+        const columnWidth = contentWidth / signatories.length
+        const y = doc.y
+
+        signatories.forEach((signatory, index) => {
+            const x = left + index * columnWidth
+            doc.fontSize(11)
+               .fillColor(colors.text)
+               .font("Helvetica")
+               .text("_______________________", x, y, { width: columnWidth, align: "center" })
+               .moveDown(0.5)
+               .fontSize(10)
+               .fillColor(colors.muted)
+               .text(signatory.name || text.authorizedSignature, x, doc.y, { width: columnWidth, align: "center" })
+
+            if (signatory.title) {
+                doc.text(signatory.title, x, doc.y, { width: columnWidth, align: "center" })
+            }
+        })
+
+        doc.x = left
+        doc.moveDown(2)
 
-        // Simple disclaimer
         doc.fontSize(8)
-           .fillColor(COLORS.light)
+           .fillColor(colors.muted)
            .font("Helvetica")
-           .text("This certificate is valid only when accompanied by the current inspection report.", { align: "center" })
-           .moveDown(1)
+           .text(text.validity, left, doc.y, { width: contentWidth, align: "center" })
+           .text(fill(text.checkStatus, { url: verificationUrl }), { width: contentWidth, align: "center" })
+
+        if (certificateData.signing_key_id) {
+            doc.text(fill(text.digitallySigned, { issuer: "Pesira", keyId: certificateData.signing_key_id }), { width: contentWidth, align: "center" })
+        }
+
+        if (style.footerNote) {
+            doc.text(style.footerNote, { width: contentWidth, align: "center" })
+        }
+
+        doc.moveDown(1)
 
-        // Simple footer info
         doc.fontSize(7)
-           .fillColor(COLORS.light)
+           .fillColor(colors.muted)
            .font("Helvetica")
-           .text(`Certificate ID: ${certificateData.certificate_number} | Generated: ${new Date().toLocaleDateString()}`, { align: "center" })
+           .text(fill(text.generated, { number: certificateData.certificate_number, date: formatDate(new Date(), language) }), { width: contentWidth, align: "center" })
     }
 }
 
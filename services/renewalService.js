@@ -0,0 +1,207 @@
+const db = require('../models')
+const dbConfig = require('../config/database')
+const Certificate = require('../models/Certificate')
+const RenewalRequest = require('../models/RenewalRequest')
+const CertificateService = require('./certificateService')
+const CertificateArchiveService = require('./certificateArchiveService')
+const InspectionWorkflow = require('./inspectionWorkflow')
+
+// Allowed next states of a renewal request. Approved and declined are final.
+const TRANSITIONS = {
+    requested: ['inspection_scheduled', 'declined'],
+    inspection_scheduled: ['inspection_scheduled', 'approved', 'declined'],
+    approved: [],
+    declined: []
+}
+
+// Certificates that can be renewed; revoked, suspended and superseded ones cannot
+const RENEWABLE_STATUSES = ['active', 'expired']
+
+// Inspections that can still lead to a decision when linked to a renewal
+const LINKABLE_INSPECTION_STATUSES = ['scheduled', 'rescheduled', 'in_progress', 'submitted', 'completed']
+
+class RenewalError extends Error {
+    constructor(message, { status = 409, currentStatus, errors = [] } = {}) {
+        super(message)
+        this.name = 'RenewalError'
+        this.status = status
+        this.currentStatus = currentStatus
+        this.errors = errors
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.currentStatus && {
+                currentStatus: this.currentStatus,
+                allowedTransitions: TRANSITIONS[this.currentStatus] || []
+            }),
+            ...(this.errors.length > 0 && { errors: this.errors })
+        }
+    }
+}
+
+class RenewalService {
+    static assertTransition(renewal, toStatus) {
+        if (!(TRANSITIONS[renewal.status] || []).includes(toStatus)) {
+            throw new RenewalError(`Cannot move renewal request from ${renewal.status} to ${toStatus}`, {
+                currentStatus: renewal.status
+            })
+        }
+    }
+
+    // Open a renewal request; the certificate stays in force as renewal_pending while it is handled
+    static async request(certificate, user, { reason, requestedExpiryDate, scope } = {}) {
+        const open = await RenewalRequest.findOpenByCertificate(certificate.id)
+        if (open) {
+            throw new RenewalError(`Certificate already has an open renewal request (#${open.id})`)
+        }
+
+        if (!RENEWABLE_STATUSES.includes(certificate.status)) {
+            throw new RenewalError(`A ${certificate.status} certificate cannot be renewed`)
+        }
+
+        const renewal = await RenewalRequest.create({
+            certificateId: certificate.id,
+            farmId: certificate.farm_id,
+            reason,
+            requestedExpiryDate,
+            requestedScope: scope,
+            previousCertificateStatus: certificate.status,
+            requestedBy: user.id
+        })
+
+        if (certificate.status === 'active') {
+            await Certificate.update(certificate.id, { status: 'renewal_pending' })
+        }
+
+        await this.recordChange(renewal.id, null, 'requested', reason, user)
+        return renewal
+    }
+
+    // Link an existing inspection of the farm, or schedule a new one
+    static async scheduleInspection(renewal, user, { inspectionId, scheduledDate, inspectorName } = {}) {
+        this.assertTransition(renewal, 'inspection_scheduled')
+
+        if (renewal.inspection_id && renewal.inspection_status && !['failed', 'cancelled'].includes(renewal.inspection_status)) {
+            throw new RenewalError(`Renewal inspection #${renewal.inspection_id} is still ${renewal.inspection_status}`, {
+                currentStatus: renewal.status
+            })
+        }
+
+        let inspection
+        if (inspectionId) {
+            inspection = await db.findById('inspections', parseInt(inspectionId))
+            if (!inspection || inspection.farm_id !== renewal.farm_id) {
+                throw new RenewalError('Inspection not found for this farm', { status: 400 })
+            }
+            if (!LINKABLE_INSPECTION_STATUSES.includes(inspection.status)) {
+                throw new RenewalError(`A ${inspection.status} inspection cannot be used for a renewal`, { status: 400 })
+            }
+        } else {
+            const farm = await db.findById('farms', renewal.farm_id)
+            inspection = await InspectionWorkflow.schedule(farm, {
+                scheduledDate,
+                inspectorName,
+                notes: `Renewal inspection for certificate ${renewal.certificate_number}`
+            })
+        }
+
+        const updated = await RenewalRequest.update(renewal.id, { status: 'inspection_scheduled', inspectionId: inspection.id })
+        await this.recordChange(renewal.id, renewal.status, 'inspection_scheduled', `Inspection #${inspection.id}`, user)
+
+        return { renewal: updated, inspection }
+    }
+
+    // Approval needs a completed (passed) renewal inspection; it issues the successor certificate
+    static async approve(renewal, user, { scope, expiryDate, reason } = {}) {
+        this.assertTransition(renewal, 'approved')
+
+        if (renewal.inspection_status !== 'completed') {
+            throw new RenewalError('The renewal inspection must be completed before the renewal can be approved', {
+                currentStatus: renewal.status
+            })
+        }
+
+        const predecessor = await Certificate.findById(renewal.certificate_id)
+        if (!['renewal_pending', 'expired'].includes(predecessor.status)) {
+            throw new RenewalError(`A ${predecessor.status} certificate cannot be renewed`, { currentStatus: renewal.status })
+        }
+
+        // The only place a renewed certificate's successor is issued; completing the renewal inspection
+        // leaves the predecessor in place (CertificateService.findHeld)
+        return await dbConfig.withTransaction(async () => {
+            const successor = await CertificateArchiveService.archiveIssued(
+                await CertificateService.issueSuccessor(predecessor, {
+                    scope: scope || renewal.requested_scope,
+                    expiryDate: expiryDate || renewal.requested_expiry_day,
+                    userId: user.id
+                }),
+                { userId: user.id }
+            )
+
+            const updated = await RenewalRequest.update(renewal.id, {
+                status: 'approved',
+                successorCertificateId: successor.id,
+                decisionReason: reason || null,
+                decidedBy: user.id,
+                decidedAt: new Date()
+            })
+            await this.recordChange(renewal.id, renewal.status, 'approved', reason, user)
+
+            return { renewal: updated, certificate: successor }
+        })
+    }
+
+    // The certificate goes back to the status it had before the request (expired if it ran out meanwhile)
+    static async decline(renewal, user, { reason } = {}) {
+        this.assertTransition(renewal, 'declined')
+
+        if (!reason || String(reason).trim().length === 0) {
+            throw new RenewalError('reason is required to decline a renewal request', { status: 400 })
+        }
+
+        const certificate = await Certificate.findById(renewal.certificate_id)
+        if (certificate.status === 'renewal_pending') {
+            const today = new Date().toISOString().split('T')[0]
+            const expired = renewal.certificate_expiry_day < today
+            await Certificate.update(certificate.id, {
+                status: expired ? 'expired' : (renewal.previous_certificate_status || 'active')
+            })
+        }
+
+        const updated = await RenewalRequest.update(renewal.id, {
+            status: 'declined',
+            decisionReason: reason,
+            decidedBy: user.id,
+            decidedAt: new Date()
+        })
+        await this.recordChange(renewal.id, renewal.status, 'declined', reason, user)
+
+        return updated
+    }
+
+    static async recordChange(renewalId, oldStatus, newStatus, reason, user) {
+        try {
+            await db.query(`
+                INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'renewal_requests',
+                renewalId,
+                oldStatus ? 'UPDATE' : 'INSERT',
+                oldStatus ? JSON.stringify({ status: oldStatus }) : null,
+                JSON.stringify({ status: newStatus, reason: reason || null }),
+                user && user.id ? user.id : null,
+                new Date()
+            ])
+        } catch (auditError) {
+            console.warn('Failed to log renewal request change:', auditError)
+        }
+    }
+}
+
+RenewalService.TRANSITIONS = TRANSITIONS
+RenewalService.RenewalError = RenewalError
+
+module.exports = RenewalService
@@ -0,0 +1,91 @@
+const db = require('../models')
+const { scoreFarmRisk } = require('../utils/risk')
+
+// Number of recent concluded inspections whose scores feed the risk score
+const SCORE_HISTORY = 3
+const CONCLUDED_STATUSES = ['completed', 'failed']
+
+const parseCropTypes = (value) => {
+    if (Array.isArray(value)) return value
+    try {
+        const parsed = JSON.parse(value || '[]')
+        return Array.isArray(parsed) ? parsed : []
+    } catch (error) {
+        return []
+    }
+}
+
+const monthsBetween = (from, to) => (
+    (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()) -
+    (to.getDate() < from.getDate() ? 1 : 0)
+)
+
+class RiskService {
+    // Inputs for the risk score, read from the farm and its inspection history
+    static async gatherFacts(farm, { asOf = new Date() } = {}) {
+        const history = await db.query(`
+            SELECT score, COALESCE(inspection_date, scheduled_date) AS visited_on
+            FROM inspections
+            WHERE farm_id = ? AND status IN (${CONCLUDED_STATUSES.map(() => '?').join(', ')})
+            ORDER BY COALESCE(inspection_date, scheduled_date) DESC, id DESC
+            LIMIT ${SCORE_HISTORY}
+        `, [farm.id, ...CONCLUDED_STATUSES])
+
+        const violations = await db.query(`
+            SELECT severity, COUNT(*) AS total FROM non_conformities
+            WHERE farm_id = ? AND status <> 'closed'
+            GROUP BY severity
+        `, [farm.id])
+
+        const openViolations = { critical: 0, major: 0, minor: 0 }
+        violations.forEach(row => { openViolations[row.severity] = parseInt(row.total) })
+
+        const lastVisit = history.length > 0 && history[0].visited_on ? new Date(history[0].visited_on) : null
+
+        return {
+            recentScores: history.map(row => row.score).filter(score => score !== null),
+            openViolations,
+            totalArea: farm.total_area,
+            organicArea: farm.organic_area,
+            parallelProduction: Boolean(farm.parallel_production),
+            cropTypes: parseCropTypes(farm.crop_types),
+            cropRiskCategory: farm.crop_risk_category || null,
+            monthsSinceLastInspection: lastVisit ? Math.max(0, monthsBetween(lastVisit, asOf)) : null,
+            lastInspectionMonth: lastVisit ? lastVisit.getMonth() + 1 : null
+        }
+    }
+
+    static async assessFarm(farm, options = {}) {
+        const facts = await this.gatherFacts(farm, options)
+        return {
+            farmId: farm.id,
+            farmName: farm.farm_name,
+            lastInspectionMonth: facts.lastInspectionMonth,
+            ...scoreFarmRisk(facts)
+        }
+    }
+
+    // Farms a user may plan for: admins get every farm, others the farms of their own farmers
+    static async findPlannableFarms(user, { farmIds } = {}) {
+        const conditions = []
+        const params = []
+
+        if (user.role !== 'admin') {
+            conditions.push('farmer.user_id = ?')
+            params.push(user.id)
+        }
+        if (farmIds && farmIds.length > 0) {
+            conditions.push(`f.id IN (${farmIds.map(() => '?').join(', ')})`)
+            params.push(...farmIds.map(id => parseInt(id)))
+        }
+
+        return await db.query(`
+            SELECT f.* FROM farms f
+            JOIN farmers farmer ON f.farmer_id = farmer.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY f.id ASC
+        `, params)
+    }
+}
+
+module.exports = RiskService
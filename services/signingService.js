@@ -0,0 +1,186 @@
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const db = require('../models')
+const dbConfig = require('../config/database')
+const SigningKey = require('../models/SigningKey')
+
+// Private keys are PEM files named <keyId>.pem; only public keys go to the database
+const KEYS_DIR = path.resolve(process.env.CERTIFICATE_KEYS_DIR || path.join(__dirname, '..', 'keys'))
+
+const ALGORITHMS = {
+    'Ed25519': { keyType: 'ed25519', keyOptions: {}, digest: null, jwkAlg: 'EdDSA' },
+    'ECDSA-P256': { keyType: 'ec', keyOptions: { namedCurve: 'P-256' }, digest: 'sha256', jwkAlg: 'ES256' }
+}
+
+const DEFAULT_ALGORITHM = ALGORITHMS[process.env.CERTIFICATE_SIGNING_ALGORITHM] ? process.env.CERTIFICATE_SIGNING_ALGORITHM : 'Ed25519'
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]+$/
+
+class SigningError extends Error {
+    constructor(message, { status = 500 } = {}) {
+        super(message)
+        this.name = 'SigningError'
+        this.status = status
+    }
+
+    toJSON() {
+        return { error: this.message }
+    }
+}
+
+class SigningService {
+    static newKeyId() {
+        return `pesira-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`
+    }
+
+    static privateKeyPath(keyId) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new SigningError(`Invalid key id ${keyId}`, { status: 400 })
+        }
+        return path.join(KEYS_DIR, `${keyId}.pem`)
+    }
+
+    // Generate a new key pair, make it the active signing key and retire the previous one
+    static async rotate({ user, algorithm = DEFAULT_ALGORITHM } = {}) {
+        const spec = ALGORITHMS[algorithm]
+        if (!spec) {
+            throw new SigningError(`Unsupported algorithm ${algorithm}`, { status: 400 })
+        }
+
+        const keyId = this.newKeyId()
+        const { publicKey, privateKey } = crypto.generateKeyPairSync(spec.keyType, {
+            ...spec.keyOptions,
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        })
+
+        const file = this.privateKeyPath(keyId)
+        await fs.ensureDir(KEYS_DIR, { mode: 0o700 })
+        await fs.writeFile(file, privateKey, { mode: 0o600, flag: 'wx' })
+
+        // The previous key is retired first, as the unique active_key column admits one active key at a time
+        let key
+        try {
+            key = await dbConfig.withTransaction(async () => {
+                await SigningKey.retireOthers(keyId)
+                const created = await SigningKey.create({ keyId, algorithm, publicKey, createdBy: user && user.id ? user.id : null })
+                dbConfig.onRollback(() => fs.remove(file))
+                return created
+            })
+        } catch (error) {
+            await fs.remove(file)
+            throw error
+        }
+
+        await this.recordRotation(key, user)
+
+        return key
+    }
+
+    // The key new signatures are made with; one is generated on first use. Of concurrent first uses, one
+    // creates the key and the others fail on the unique active key and use that one.
+    static async getActiveKey() {
+        const key = await SigningKey.findActive()
+        if (key) return key
+
+        try {
+            return await this.rotate()
+        } catch (error) {
+            const winner = error.code === 'ER_DUP_ENTRY' && await SigningKey.findActive({ locking: true })
+            if (!winner) throw error
+            return winner
+        }
+    }
+
+    static async loadPrivateKey(keyId) {
+        const file = this.privateKeyPath(keyId)
+        if (!await fs.pathExists(file)) {
+            throw new SigningError(`Private key for ${keyId} is not available on this server`)
+        }
+        return crypto.createPrivateKey(await fs.readFile(file, 'utf8'))
+    }
+
+    static async sign(payload) {
+        const key = await this.getActiveKey()
+        const spec = ALGORITHMS[key.algorithm]
+        const privateKey = await this.loadPrivateKey(key.key_id)
+
+        const signature = crypto.sign(spec.digest, Buffer.from(payload, 'utf8'), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+
+        return { keyId: key.key_id, algorithm: key.algorithm, signature: signature.toString('base64url') }
+    }
+
+    // Check a detached signature against the published public key; never throws for bad input
+    static async verify(payload, signature, keyId) {
+        if (!payload || !signature || !keyId) {
+            return { valid: false, keyId: keyId || null, reason: 'Payload, signature and key id are required' }
+        }
+
+        const key = KEY_ID_PATTERN.test(keyId) ? await SigningKey.findByKeyId(keyId) : null
+        if (!key) {
+            return { valid: false, keyId, reason: 'Unknown signing key' }
+        }
+
+        const spec = ALGORITHMS[key.algorithm]
+        let valid = false
+        try {
+            valid = crypto.verify(
+                spec.digest,
+                Buffer.from(payload, 'utf8'),
+                { key: crypto.createPublicKey(key.public_key), dsaEncoding: 'ieee-p1363' },
+                Buffer.from(signature, 'base64url')
+            )
+        } catch (error) {
+            valid = false
+        }
+
+        return {
+            valid,
+            keyId,
+            algorithm: key.algorithm,
+            keyStatus: key.status,
+            ...(!valid && { reason: 'Signature does not match the payload' })
+        }
+    }
+
+    // Published public keys (JWK set) for verifying signatures offline
+    static async publicKeySet() {
+        const keys = await SigningKey.findAll()
+        return {
+            keys: keys.map(key => ({
+                ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+                kid: key.key_id,
+                alg: ALGORITHMS[key.algorithm].jwkAlg,
+                use: 'sig',
+                status: key.status,
+                createdAt: key.created_at,
+                ...(key.retired_at && { retiredAt: key.retired_at })
+            }))
+        }
+    }
+
+    static async recordRotation(key, user) {
+        try {
+            await db.query(`
+                INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                'signing_keys',
+                key.id,
+                'INSERT',
+                null,
+                JSON.stringify({ keyId: key.key_id, algorithm: key.algorithm, reason: 'Signing key rotated' }),
+                user && user.id ? user.id : null,
+                new Date()
+            ])
+        } catch (auditError) {
+            console.warn('Failed to log signing key rotation:', auditError)
+        }
+    }
+}
+
+SigningService.SigningError = SigningError
+SigningService.ALGORITHMS = ALGORITHMS
+
+module.exports = SigningService
@@ -0,0 +1,418 @@
+const db = require('../models')
+const dbConfig = require('../config/database')
+const Inspection = require('../models/Inspection')
+const InspectionAttachment = require('../models/InspectionAttachment')
+const ChecklistTemplate = require('../models/ChecklistTemplate')
+const SyncOperation = require('../models/SyncOperation')
+const SyncTombstone = require('../models/SyncTombstone')
+const InspectionWorkflow = require('./inspectionWorkflow')
+const AttachmentService = require('./attachmentService')
+const { DEFAULT_CHECKLIST, createAnswerMap, getChecklistAnswers, scoreChecklist, validateChecklist } = require('../utils/inspection')
+const { validateInspection, validateSyncChange } = require('../utils/validation')
+
+const { InspectionTransitionError, EDITABLE_STATUSES } = InspectionWorkflow
+
+// A claim without a result this old was left by a request that died mid-change; it is dropped so the change can be applied
+const STALE_RESERVATION_MINUTES = 10
+
+class SyncError extends Error {
+    constructor(message, { status = 400, errors = [] } = {}) {
+        super(message)
+        this.name = 'SyncError'
+        this.status = status
+        this.errors = errors.length > 0 ? errors : [message]
+    }
+}
+
+const applied = (change, record) => ({
+    clientId: change.clientId,
+    status: 'applied',
+    entity: change.entity,
+    operation: change.operation,
+    id: record.id,
+    rowVersion: record.row_version
+})
+
+const rejected = (change, errors) => ({
+    clientId: change && change.clientId,
+    status: 'rejected',
+    errors
+})
+
+// The device's copy is stale: send back the server copy so it can merge and resend
+const conflict = (change, record, mapper) => ({
+    clientId: change.clientId,
+    status: 'conflict',
+    entity: change.entity,
+    operation: change.operation,
+    id: record.id,
+    baseVersion: change.baseVersion,
+    serverVersion: record.row_version,
+    server: mapper(record)
+})
+
+const mapInspection = record => Inspection.mapFromDatabase(record)
+const mapAttachment = record => InspectionAttachment.mapFromDatabase(record)
+
+class SyncService {
+    // Apply a batch of offline changes in order, then return everything that changed on the
+    // server since the device's cursor. Each change is applied at most once per clientId.
+    static async sync(user, { deviceId, cursor, changes = [] } = {}) {
+        const since = this.decodeCursor(cursor)
+        // Taken before applying so writes racing with this request show up in the next delta
+        const serverTime = new Date()
+
+        const results = []
+        for (const change of changes) {
+            results.push(await this.applyChange(user, deviceId, change))
+        }
+
+        return {
+            results,
+            delta: await this.getChangesSince(user, since),
+            cursor: this.encodeCursor(serverTime),
+            serverTime
+        }
+    }
+
+    static async applyChange(user, deviceId, change) {
+        const errors = validateSyncChange(change)
+        if (errors.length > 0) {
+            return rejected(change, errors)
+        }
+
+        const previous = await SyncOperation.findByClientId(user.id, change.clientId)
+        if (previous && !this.isStale(previous)) return this.replay(change, previous)
+        if (previous) await SyncOperation.release(previous.id)
+
+        // The claim, the change and its result are written together: a failure rolls all three back,
+        // so the device can resend the change instead of being told it is pending forever. A parallel
+        // request with the same clientId waits on the claim's unique key until this one finishes.
+        let result
+        try {
+            result = await dbConfig.withTransaction(async () => {
+                const operation = await SyncOperation.reserve(user.id, { ...change, deviceId })
+                if (!operation) return null
+
+                const outcome = await this.handle(user, change)
+
+                // Only applied changes are remembered; conflicts and rejections can be resent with the same clientId
+                if (outcome.status === 'applied') {
+                    await SyncOperation.complete(operation.id, outcome)
+                } else {
+                    await SyncOperation.release(operation.id)
+                }
+                return outcome
+            })
+        } catch (error) {
+            return await this.resultForError(change, error)
+        }
+
+        if (!result) {
+            return this.replay(change, await SyncOperation.findByClientId(user.id, change.clientId))
+        }
+        return result
+    }
+
+    static async handle(user, change) {
+        switch (`${change.entity}.${change.operation}`) {
+            case 'inspection.create':
+                return await this.createInspection(user, change)
+            case 'inspection.update':
+                return await this.updateInspection(user, change)
+            case 'checklist.update':
+                return await this.updateChecklist(user, change)
+            case 'note.create':
+                return await this.addNote(user, change)
+            case 'attachment.update':
+                return await this.updateAttachment(user, change)
+            default:
+                throw new SyncError(`Unsupported change ${change.entity}.${change.operation}`)
+        }
+    }
+
+    static async resultForError(change, error) {
+        if (error instanceof SyncError) {
+            return rejected(change, error.errors)
+        }
+
+        if (error instanceof InspectionTransitionError) {
+            if (error.code === 'VERSION_CONFLICT') {
+                const current = await db.findById('inspections', parseInt(change.id))
+                return conflict(change, current, mapInspection)
+            }
+            return rejected(change, error.errors.length > 0 ? error.errors : [error.message])
+        }
+
+        console.error('Error applying sync change:', error)
+        return { clientId: change.clientId, status: 'error', errors: ['Failed to apply change'] }
+    }
+
+    static replay(change, previous) {
+        const result = SyncOperation.parseResult(previous)
+        // Another request is still applying this change
+        if (!result) return { clientId: change.clientId, status: 'pending' }
+        return { ...result, replayed: true }
+    }
+
+    static isStale(operation) {
+        return !SyncOperation.parseResult(operation) &&
+            Date.now() - new Date(operation.created_at).getTime() > STALE_RESERVATION_MINUTES * 60 * 1000
+    }
+
+    // Inspectors are assigned online (POST /api/inspections or /:id/assign), where the conflict-of-interest,
+    // specialization and availability checks run; status, scores and eligibility are the server's
+    static async createInspection(user, change) {
+        const data = change.data
+        if (data.assignedInspectorId !== undefined || data.inspectorId !== undefined) {
+            throw new SyncError('Inspectors cannot be assigned through sync; assign them online')
+        }
+
+        const errors = validateInspection(data)
+        if (errors.length > 0) throw new SyncError('Invalid inspection', { errors })
+
+        await this.assertOwnsFarm(user, parseInt(data.farmId))
+
+        const pinned = await ChecklistTemplate.resolveForNewInspection({
+            templateId: data.checklistTemplateId,
+            scope: data.scope
+        })
+        if (!pinned) throw new SyncError('Checklist template not found or archived')
+
+        const checklist = data.checklist || createAnswerMap(pinned.questions)
+        const { isValid, errors: checklistErrors } = validateChecklist(checklist, pinned.questions)
+        if (!isValid) throw new SyncError('Invalid checklist', { errors: checklistErrors })
+
+        const scoring = scoreChecklist(checklist, pinned.questions)
+
+        const { inspectorName, scheduledDate, visitType, notes } = data
+        const inspection = await Inspection.create({
+            inspectorName,
+            scheduledDate,
+            visitType,
+            notes,
+            farmId: parseInt(data.farmId),
+            status: 'scheduled',
+            complianceScore: scoring.score,
+            scoreBreakdown: scoring,
+            checklist,
+            checklistTemplateId: pinned.template ? pinned.template.id : null,
+            checklistTemplateVersionId: pinned.templateVersion ? pinned.templateVersion.id : null
+        })
+
+        return applied(change, inspection)
+    }
+
+    // Scheduling fields and status. Notes go through note.create and answers through checklist.update.
+    static async updateInspection(user, change) {
+        const inspection = await this.loadInspection(user, change)
+        if (inspection.row_version !== change.baseVersion) {
+            return conflict(change, inspection, mapInspection)
+        }
+
+        const { status, reason, inspectorName, scheduledDate, inspectionDate } = change.data
+        const changes = { inspectorName, scheduledDate, inspectionDate }
+
+        const statusChanged = status !== undefined &&
+            InspectionWorkflow.normalizeStatus(status) !== InspectionWorkflow.normalizeStatus(inspection.status)
+
+        if (statusChanged) {
+            const result = await InspectionWorkflow.transition(inspection, status, {
+                user,
+                changes,
+                reason,
+                expectedVersion: change.baseVersion
+            })
+            return applied(change, result.inspection)
+        }
+
+        const updated = await Inspection.update(inspection.id, changes, { expectedVersion: change.baseVersion })
+        if (!updated) {
+            return conflict(change, await db.findById('inspections', inspection.id), mapInspection)
+        }
+
+        return applied(change, updated)
+    }
+
+    // Answers are merged into the stored checklist, so a device only sends the questions it changed
+    static async updateChecklist(user, change) {
+        const inspection = await this.loadInspection(user, change)
+        if (inspection.row_version !== change.baseVersion) {
+            return conflict(change, inspection, mapInspection)
+        }
+
+        if (!EDITABLE_STATUSES.includes(inspection.status)) {
+            throw new SyncError(`Checklist answers cannot be changed on a ${inspection.status} inspection`)
+        }
+
+        const answers = change.data.answers
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+            throw new SyncError('data.answers must be an object keyed by question id')
+        }
+
+        const questions = await ChecklistTemplate.getQuestionsForInspection(inspection) || DEFAULT_CHECKLIST
+        const unknown = Object.keys(answers).filter(id => !questions.some(question => question.id === id))
+        if (unknown.length > 0) {
+            throw new SyncError('Unknown checklist questions', {
+                errors: unknown.map(id => `Question ${id} is not on this inspection's checklist`)
+            })
+        }
+
+        const checklist = {
+            ...getChecklistAnswers(InspectionWorkflow.parseChecklist(inspection.checklist)),
+            ...answers
+        }
+        const { isValid, errors } = validateChecklist(checklist, questions)
+        if (!isValid) throw new SyncError('Invalid checklist', { errors })
+
+        const scoring = scoreChecklist(checklist, questions)
+        const updated = await Inspection.update(inspection.id, {
+            checklist,
+            complianceScore: scoring.score,
+            scoreBreakdown: scoring
+        }, { expectedVersion: change.baseVersion })
+
+        if (!updated) {
+            return conflict(change, await db.findById('inspections', inspection.id), mapInspection)
+        }
+
+        return applied(change, updated)
+    }
+
+    // Notes are appended, so they apply regardless of the version the device last saw
+    static async addNote(user, change) {
+        const inspection = await this.loadInspection(user, change)
+
+        const { text, createdAt } = change.data
+        if (!text || String(text).trim().length === 0) {
+            throw new SyncError('data.text is required')
+        }
+        if (createdAt && isNaN(Date.parse(createdAt))) {
+            throw new SyncError('data.createdAt must be a valid date')
+        }
+
+        const timestamp = new Date(createdAt || Date.now()).toISOString()
+        const updated = await Inspection.appendNote(
+            inspection.id,
+            `[${timestamp}] ${user.name || user.email}: ${String(text).trim()}`
+        )
+
+        return applied(change, updated)
+    }
+
+    // Attachment files are uploaded separately; sync only carries their descriptive metadata
+    static async updateAttachment(user, change) {
+        if (!change.id) {
+            throw new SyncError('Attachment changes must reference the attachment by id')
+        }
+
+        const attachment = await InspectionAttachment.findById(parseInt(change.id))
+        if (!attachment) throw new SyncError(`Attachment ${change.id} not found`)
+
+        const inspection = await this.loadInspection(user, { id: attachment.inspection_id })
+        if (attachment.row_version !== change.baseVersion) {
+            return conflict(change, attachment, mapAttachment)
+        }
+
+        const { description, category, questionId, nonConformityId } = change.data
+        const errors = await AttachmentService.validateFields(inspection, { category, questionId, nonConformityId })
+        if (errors.length > 0) throw new SyncError('Invalid attachment metadata', { errors })
+
+        const updated = await InspectionAttachment.update(attachment.id, {
+            description,
+            category,
+            questionId,
+            nonConformityId: nonConformityId !== undefined ? parseInt(nonConformityId) || null : undefined
+        }, { expectedVersion: change.baseVersion })
+
+        if (!updated) {
+            return conflict(change, await InspectionAttachment.findById(attachment.id), mapAttachment)
+        }
+
+        return applied(change, updated)
+    }
+
+    // Resolve the target inspection by server id, or by the clientId of the change that created it
+    static async loadInspection(user, change) {
+        let id = change.id ? parseInt(change.id) : null
+
+        if (!id && change.ref) {
+            const created = await SyncOperation.findByClientId(user.id, change.ref)
+            if (!created || created.entity !== 'inspection' || !created.record_id) {
+                throw new SyncError(`No applied inspection found for ref ${change.ref}`)
+            }
+            id = created.record_id
+            change.id = id
+        }
+
+        const inspection = await db.findById('inspections', id)
+        if (!inspection) throw new SyncError(`Inspection ${id} not found`)
+
+        await this.assertOwnsFarm(user, inspection.farm_id)
+        return inspection
+    }
+
+    static async assertOwnsFarm(user, farmId) {
+        const farm = await db.findById('farms', farmId)
+        if (!farm) throw new SyncError('Farm not found')
+
+        const farmer = await db.findById('farmers', farm.farmer_id)
+        if (!farmer || farmer.user_id !== user.id) {
+            throw new SyncError('Access denied. You can only sync inspections for your farmers.')
+        }
+    }
+
+    // Rows changed at or after the cursor time. The boundary is inclusive, so a row can be sent
+    // twice; devices keep the copy with the highest rowVersion. deleted lists the ids of rows deleted
+    // since the cursor; a full snapshot has none, as the device replaces its copy with it.
+    static async getChangesSince(user, since) {
+        const sinceClause = since ? ' AND i.updated_at >= ?' : ''
+        const params = since ? [user.id, since] : [user.id]
+
+        const inspections = await db.query(`
+            SELECT i.* FROM inspections i
+            JOIN farms f ON i.farm_id = f.id
+            JOIN farmers farmer ON f.farmer_id = farmer.id
+            WHERE farmer.user_id = ?${sinceClause}
+            ORDER BY i.updated_at ASC
+        `, params)
+
+        const attachments = await db.query(`
+            SELECT a.* FROM inspection_attachments a
+            JOIN inspections i ON a.inspection_id = i.id
+            JOIN farms f ON i.farm_id = f.id
+            JOIN farmers farmer ON f.farmer_id = farmer.id
+            WHERE farmer.user_id = ?${sinceClause.replace('i.updated_at', 'a.updated_at')}
+            ORDER BY a.updated_at ASC
+        `, params)
+
+        return {
+            inspections: inspections.map(mapInspection),
+            attachments: attachments.map(mapAttachment),
+            deleted: since ? await SyncTombstone.findSince(user.id, since) : { inspections: [], attachments: [] }
+        }
+    }
+
+    static encodeCursor(date) {
+        return Buffer.from(JSON.stringify({ updatedSince: date.toISOString() })).toString('base64url')
+    }
+
+    static decodeCursor(cursor) {
+        if (!cursor) return null
+
+        try {
+            const { updatedSince } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+            const date = new Date(updatedSince)
+            if (isNaN(date.getTime())) throw new Error('Invalid date')
+            return date
+        } catch (error) {
+            throw new SyncError('Invalid sync cursor. Omit it to fetch a full snapshot.')
+        }
+    }
+}
+
+SyncService.SyncError = SyncError
+SyncService.EDITABLE_STATUSES = EDITABLE_STATUSES
+SyncService.STALE_RESERVATION_MINUTES = STALE_RESERVATION_MINUTES
+
+module.exports = SyncService
@@ -0,0 +1,386 @@
+const path = require('path')
+const fs = require('fs-extra')
+const db = require('../config/database')
+const Certificate = require('../models/Certificate')
+const CertificateScopeItem = require('../models/CertificateScopeItem')
+const Farm = require('../models/Farm')
+const Farmer = require('../models/Farmer')
+const Field = require('../models/Field')
+const TransactionCertificate = require('../models/TransactionCertificate')
+const CertificateService = require('./certificateService')
+const CertificateArchiveService = require('./certificateArchiveService')
+const CertificateTemplateService = require('./certificateTemplateService')
+const MassBalanceService = require('./massBalanceService')
+const PDFService = require('./pdfService')
+const SigningService = require('./signingService')
+const { canonicalize } = require('../utils/canonicalJson')
+const { toDay, addMonths } = require('../utils/conversion')
+const { YIELD_PERIOD_MONTHS, toKilograms, assessYield } = require('../utils/yield')
+
+// Bumped whenever the fields of the signed payload change
+const PAYLOAD_VERSION = 1
+
+// Marks a signed payload as a transaction certificate, so an uploaded PDF is verified as one
+const PAYLOAD_TYPE = 'transaction_certificate'
+
+// Transaction certificate PDFs are kept in the certificate archive, under this directory
+const STORAGE_DIR = 'transactions'
+
+class TransactionCertificateError extends Error {
+    constructor(message, { status = 400, errors = [], yieldCheck = null } = {}) {
+        super(message)
+        this.name = 'TransactionCertificateError'
+        this.status = status
+        this.errors = errors
+        this.yieldCheck = yieldCheck
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            ...(this.errors.length > 0 && { errors: this.errors }),
+            ...(this.yieldCheck && { yieldCheck: this.yieldCheck })
+        }
+    }
+}
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+const sumAreas = (rows) => {
+    const areas = rows
+        .map(row => row.area !== null && row.area !== undefined ? parseFloat(row.area) : null)
+        .filter(area => area !== null)
+    return areas.length > 0 ? areas.reduce((total, area) => total + area, 0) : null
+}
+
+class TransactionCertificateService {
+    // Issue a transaction certificate for a sales lot under a scope certificate in force. The crop must
+    // be certified organic on the certificate, the harvest must fall within its validity, and the lot,
+    // added to what was already sold of the crop from harvests in the preceding year, must not exceed
+    // what the certified area could yield. The certificate is signed and its PDF archived.
+    static async issue(data, user, { today = toDay(new Date()) } = {}) {
+        const certificate = await Certificate.findById(parseInt(data.certificateId))
+        if (!certificate) {
+            throw new TransactionCertificateError('Certificate not found', { status: 404 })
+        }
+
+        const issueDay = toDay(certificate.issue_date)
+        const expiryDay = toDay(certificate.expiry_date)
+        if (!CertificateService.VALID_STATUSES.includes(certificate.status) || expiryDay < today || issueDay > today) {
+            const status = expiryDay < today ? 'expired' : certificate.status
+            throw new TransactionCertificateError(
+                `Certificate ${certificate.certificate_number} is ${status}; transaction certificates are only issued under a certificate in force`,
+                { status: 409 }
+            )
+        }
+
+        const farm = await Farm.findById(certificate.farm_id)
+        const farmer = farm ? await Farmer.findById(farm.farmer_id) : null
+        if (!farm || !farmer) {
+            throw new TransactionCertificateError('Associated farm or farmer not found', { status: 404 })
+        }
+
+        const requestedCrop = String(data.crop).trim()
+        const harvestStartDate = data.harvestStartDate
+        const harvestEndDate = data.harvestEndDate
+
+        const errors = []
+        if (harvestStartDate < issueDay) {
+            errors.push(`harvestStartDate is before the certificate was issued on ${issueDay}`)
+        }
+        if (harvestEndDate > today) {
+            errors.push('harvestEndDate cannot be in the future')
+        }
+        if (harvestEndDate > expiryDay) {
+            errors.push(`harvestEndDate is after the certificate expires on ${expiryDay}`)
+        }
+
+        const { crop, areaHectares } = await this.certifiedArea(certificate, farm, requestedCrop, errors)
+        if (errors.length > 0) {
+            throw new TransactionCertificateError('Lot is not covered by the certificate', { errors })
+        }
+
+        const lotNumber = String(data.lotNumber).trim()
+        const existing = await TransactionCertificate.findIssuedLot(farm.id, lotNumber)
+        if (existing) {
+            throw new TransactionCertificateError(
+                `Lot ${lotNumber} already has transaction certificate ${existing.tc_number}`,
+                { status: 409 }
+            )
+        }
+
+        const quantity = Number(data.quantity)
+        const quantityKg = toKilograms(quantity, data.unit)
+        const yieldCheck = await this.checkYield(farm.id, crop, { areaHectares, quantityKg, harvestEndDate })
+        if (yieldCheck.status === 'exceeded') {
+            throw new TransactionCertificateError(
+                `${quantityKg} kg of ${crop} is more than the ${yieldCheck.availableKg} kg left of the certified area's expected yield for the year to ${harvestEndDate}`,
+                { yieldCheck }
+            )
+        }
+
+        let storagePath = null
+        try {
+            return await db.withTransaction(async () => {
+                const created = await TransactionCertificate.create({
+                    certificateId: certificate.id,
+                    farmId: farm.id,
+                    product: data.product ? String(data.product).trim() : crop,
+                    crop,
+                    quantity,
+                    unit: data.unit,
+                    quantityKg,
+                    buyerName: String(data.buyerName).trim(),
+                    buyerCountry: data.buyerCountry ? String(data.buyerCountry).trim() : null,
+                    lotNumber,
+                    harvestStartDate,
+                    harvestEndDate,
+                    issueDate: today,
+                    yieldCheck,
+                    issuedBy: user.id
+                })
+
+                const signed = await this.sign(created, certificate, farm, farmer)
+                const pdf = await this.archivePDF(signed, { certificate, farm, farmer, language: data.language })
+                storagePath = pdf.storagePath
+
+                return await TransactionCertificate.update(signed.id, pdf)
+            })
+        } catch (error) {
+            // The row was rolled back; drop its PDF so the archive matches the rows
+            if (storagePath) await fs.remove(CertificateArchiveService.resolvePath(storagePath))
+            throw error
+        }
+    }
+
+    // Certified organic area of a crop on a certificate, from its scope annex, and the crop as the certificate
+    // names it. Certificates issued before per-field scope use the farm's fields of the crop. Problems are
+    // added to `errors`.
+    static async certifiedArea(certificate, farm, crop, errors) {
+        const scopeItems = await CertificateScopeItem.findByCertificate(certificate.id)
+
+        if (scopeItems.length === 0) {
+            const certified = CertificateService.certifiedCrops(certificate, farm).find(candidate => sameText(candidate, crop))
+            if (!certified) {
+                errors.push(`${crop} is not certified under certificate ${certificate.certificate_number}`)
+                return { crop, areaHectares: null }
+            }
+            const fields = await Field.findByFarm(farm.id)
+            return { crop: certified, areaHectares: sumAreas(fields.filter(field => sameText(field.crop_type, crop))) }
+        }
+
+        const items = scopeItems.filter(item => sameText(item.crop, crop))
+        const organic = items.filter(item => item.production_category === 'organic')
+        if (items.length === 0) {
+            errors.push(`${crop} is not in the scope of certificate ${certificate.certificate_number}`)
+        } else if (organic.length === 0) {
+            errors.push(`${crop} is certified in conversion only and may not be sold as organic`)
+        }
+
+        return { crop: items.length > 0 ? items[0].crop : crop, areaHectares: sumAreas(organic) }
+    }
+
+    // Expected yield of the certified area over the year ending with the lot's harvest, against what was
+    // already sold from harvests in that year. Crops without a yield estimate or an area are not checked.
+    static async checkYield(farmId, crop, { areaHectares, quantityKg, harvestEndDate }) {
+        const periodStart = addMonths(harvestEndDate, -YIELD_PERIOD_MONTHS)
+        const soldKg = await TransactionCertificate.soldKilograms(farmId, crop, { from: periodStart, to: harvestEndDate })
+        const { yieldPerHectare, source } = await MassBalanceService.yieldPerHectare(farmId, crop)
+
+        return {
+            ...assessYield({ areaHectares, yieldPerHectare, quantityKg, soldKg }),
+            quantityKg,
+            areaHectares,
+            yieldPerHectare,
+            yieldSource: source,
+            periodStart,
+            periodEnd: harvestEndDate
+        }
+    }
+
+    static verificationUrl(tcNumber, { signature, keyId } = {}) {
+        const url = `${CertificateService.PUBLIC_BASE_URL}/verify/transactions/${encodeURIComponent(tcNumber)}`
+        return signature && keyId
+            ? `${url}?keyId=${encodeURIComponent(keyId)}&signature=${encodeURIComponent(signature)}`
+            : url
+    }
+
+    // What is signed: the facts printed on the transaction certificate
+    static buildPayload(transactionCertificate, certificate, farm, farmer, signedAt) {
+        return {
+            version: PAYLOAD_VERSION,
+            type: PAYLOAD_TYPE,
+            tcNumber: transactionCertificate.tc_number,
+            certificateNumber: certificate.certificate_number,
+            holder: farmer ? farmer.name : null,
+            farm: farm ? { id: farm.id, name: farm.farm_name } : null,
+            product: transactionCertificate.product,
+            crop: transactionCertificate.crop,
+            quantity: parseFloat(transactionCertificate.quantity),
+            unit: transactionCertificate.unit,
+            buyer: {
+                name: transactionCertificate.buyer_name,
+                country: transactionCertificate.buyer_country || null
+            },
+            lotNumber: transactionCertificate.lot_number,
+            harvestStartDate: toDay(transactionCertificate.harvest_start_day || transactionCertificate.harvest_start_date),
+            harvestEndDate: toDay(transactionCertificate.harvest_end_day || transactionCertificate.harvest_end_date),
+            issueDate: toDay(transactionCertificate.issue_day || transactionCertificate.issue_date),
+            certificationBody: certificate.certification_body,
+            signedAt: signedAt.toISOString()
+        }
+    }
+
+    static async sign(transactionCertificate, certificate, farm, farmer) {
+        const signedAt = new Date()
+        const payload = canonicalize(this.buildPayload(transactionCertificate, certificate, farm, farmer, signedAt))
+        const { keyId, signature } = await SigningService.sign(payload)
+
+        return await TransactionCertificate.update(transactionCertificate.id, {
+            signedPayload: payload,
+            signature,
+            signingKeyId: keyId,
+            signedAt
+        })
+    }
+
+    // Render the signed transaction certificate and write it to the archive; written once, never replaced
+    static async archivePDF(transactionCertificate, { certificate, farm, farmer, language }) {
+        const style = await CertificateTemplateService.resolve({ certificate, farm, language })
+        const buffer = await PDFService.generateTransactionCertificatePDF(transactionCertificate, certificate, farm, farmer, {
+            style,
+            verificationUrl: this.verificationUrl(transactionCertificate.tc_number, {
+                signature: transactionCertificate.signature,
+                keyId: transactionCertificate.signing_key_id
+            }),
+            statusUrl: this.verificationUrl(transactionCertificate.tc_number)
+        })
+        const pdfSha256 = CertificateArchiveService.checksum(buffer)
+        const storagePath = path.posix.join(STORAGE_DIR, `${transactionCertificate.tc_number}-${pdfSha256.slice(0, 16)}.pdf`)
+
+        await fs.ensureDir(path.dirname(CertificateArchiveService.resolvePath(storagePath)))
+        await fs.writeFile(CertificateArchiveService.resolvePath(storagePath), buffer, { flag: 'wx' })
+
+        return { storagePath, pdfSha256 }
+    }
+
+    // Stored PDF, checked against the hash recorded when it was written
+    static async read(transactionCertificate) {
+        if (!transactionCertificate.storage_path) {
+            throw new TransactionCertificateError('Transaction certificate has no PDF', { status: 500 })
+        }
+
+        const absolutePath = CertificateArchiveService.resolvePath(transactionCertificate.storage_path)
+        if (!(await fs.pathExists(absolutePath))) {
+            throw new TransactionCertificateError('Transaction certificate PDF is missing', { status: 500 })
+        }
+
+        const buffer = await fs.readFile(absolutePath)
+        if (CertificateArchiveService.checksum(buffer) !== transactionCertificate.pdf_sha256) {
+            throw new TransactionCertificateError('Transaction certificate PDF does not match its recorded hash', { status: 500 })
+        }
+
+        return buffer
+    }
+
+    // A cancelled transaction certificate no longer covers its lot, and its quantity no longer counts
+    // against the farm's yield
+    static async cancel(transactionCertificate, user, { reason }) {
+        if (transactionCertificate.status === 'cancelled') {
+            throw new TransactionCertificateError('Transaction certificate is already cancelled', { status: 409 })
+        }
+
+        return await TransactionCertificate.update(transactionCertificate.id, {
+            status: 'cancelled',
+            cancellationReason: reason,
+            cancelledBy: user.id,
+            cancelledAt: new Date()
+        })
+    }
+
+    // Public view for buyers: the lot, and the current status of the scope certificate it was sold under.
+    // A transaction certificate stays valid when its scope certificate later expires or is renewed, but
+    // not once that certificate is revoked.
+    static async getPublicView(tcNumber, { asOf = new Date(), signature, keyId } = {}) {
+        const transactionCertificate = await TransactionCertificate.findByNumber(tcNumber)
+        if (!transactionCertificate) return null
+
+        const certificate = await CertificateService.getPublicView(transactionCertificate.certificate_number, { asOf })
+        const valid = transactionCertificate.status === 'issued' && Boolean(certificate) && certificate.status !== 'revoked'
+
+        return {
+            tcNumber: transactionCertificate.tc_number,
+            valid,
+            status: transactionCertificate.status,
+            holder: certificate ? certificate.holder : null,
+            farm: certificate ? certificate.farm : null,
+            product: transactionCertificate.product,
+            crop: transactionCertificate.crop,
+            quantity: parseFloat(transactionCertificate.quantity),
+            unit: transactionCertificate.unit,
+            buyer: {
+                name: transactionCertificate.buyer_name,
+                country: transactionCertificate.buyer_country || null
+            },
+            lotNumber: transactionCertificate.lot_number,
+            harvestStartDate: transactionCertificate.harvest_start_day,
+            harvestEndDate: transactionCertificate.harvest_end_day,
+            issueDate: transactionCertificate.issue_day,
+            scopeCertificate: certificate ? {
+                certificateNumber: certificate.certificateNumber,
+                status: certificate.status,
+                validFrom: certificate.validFrom,
+                validUntil: certificate.validUntil
+            } : null,
+            signingKeyId: transactionCertificate.signing_key_id || null,
+            ...(signature && { signature: await this.checkRecordedSignature(transactionCertificate, signature, keyId) }),
+            checkedAt: asOf.toISOString()
+        }
+    }
+
+    static async checkRecordedSignature(transactionCertificate, signature, keyId) {
+        if (!transactionCertificate.signed_payload) {
+            return { valid: false, keyId: keyId || null, reason: 'Transaction certificate has not been signed' }
+        }
+
+        const result = await SigningService.verify(transactionCertificate.signed_payload, signature, keyId)
+        return {
+            valid: result.valid,
+            keyId: result.keyId,
+            ...(result.reason && { reason: result.reason })
+        }
+    }
+
+    static isTransactionPayload(payload) {
+        try {
+            const data = typeof payload === 'string' ? JSON.parse(payload) : payload
+            return Boolean(data) && data.type === PAYLOAD_TYPE
+        } catch (error) {
+            return false
+        }
+    }
+
+    // Verify a payload and signature read from a transaction certificate PDF and compare the payload
+    // with what was recorded when it was signed
+    static async verifySignature({ payload, signature, keyId }) {
+        const data = typeof payload === 'string' ? JSON.parse(payload) : payload
+        const canonical = canonicalize(data)
+        const result = await SigningService.verify(canonical, signature, keyId)
+        const transactionCertificate = data.tcNumber ? await TransactionCertificate.findByNumber(String(data.tcNumber)) : null
+
+        return {
+            signatureValid: result.valid,
+            keyId: result.keyId,
+            algorithm: result.algorithm,
+            keyStatus: result.keyStatus,
+            ...(result.reason && { reason: result.reason }),
+            matchesRecord: Boolean(transactionCertificate && transactionCertificate.signed_payload === canonical),
+            payload: data,
+            transactionCertificate: transactionCertificate ? await this.getPublicView(transactionCertificate.tc_number) : null
+        }
+    }
+}
+
+TransactionCertificateService.TransactionCertificateError = TransactionCertificateError
+
+module.exports = TransactionCertificateService
@@ -0,0 +1,25 @@
+// Deterministic JSON for signing: object keys sorted, no whitespace, undefined members dropped.
+// The same data always serialises to the same bytes, whatever order it was built in.
+
+const canonicalize = (value) => {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item)).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+};
+
+module.exports = {
+  canonicalize
+};
@@ -0,0 +1,264 @@
+// Text bundles for certificate documents (certificate, scope annex, transaction certificates and status
+// notices). Placeholders in braces are filled by fill(); every bundle has the same keys as the English one.
+
+const LANGUAGES = ['en', 'sw'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+const TEXT = {
+  en: {
+    locale: 'en-GB',
+    certificate: {
+      title: 'ORGANIC CERTIFICATION',
+      subtitle: 'CERTIFICATE',
+      number: 'Certificate No: {number}',
+      certifyThat: 'This is to certify that:',
+      farm: 'Operating: {farm}',
+      location: 'Location: {location}',
+      farmSize: 'Farm Size: {area} hectares',
+      statement: [
+        'Has been inspected and certified as compliant with organic agriculture',
+        'standards for the production of:'
+      ],
+      certifiedCrops: 'CERTIFIED CROPS',
+      cropsFallback: 'Organic crops',
+      annexReference: 'from the fields listed in the annex, which forms part of this certificate',
+      issueDate: 'Issue Date: {date}',
+      expiryDate: 'Expiry Date: {date}',
+      scope: 'Scope: {scope}',
+      authorizedSignature: 'Authorized Signature',
+      validity: 'This certificate is valid only when accompanied by the current inspection report.',
+      checkStatus: 'Check its current status at {url}',
+      digitallySigned: 'Digitally signed by {issuer}, key {keyId}',
+      generated: 'Certificate ID: {number} | Generated: {date}',
+      scanToVerify: 'Scan to verify',
+      specimen: 'SPECIMEN'
+    },
+    annex: {
+      title: 'ANNEX: CERTIFIED SCOPE',
+      continued: '(continued)',
+      columns: ['Field', 'Crop', 'Area (ha)', 'Category'],
+      categories: {
+        organic: 'Organic',
+        in_conversion: 'In conversion'
+      },
+      organicArea: 'Organic area: {area} ha',
+      conversionArea: 'Area in conversion: {area} ha',
+      conversionNote: 'Produce from fields in conversion is covered by this certificate but may not be sold or labelled as organic.'
+    },
+    transaction: {
+      subtitle: 'TRANSACTION CERTIFICATE',
+      number: 'Transaction Certificate No: {number}',
+      certifyThat: 'This is to certify that the lot described below was produced by:',
+      scopeCertificate: 'under organic certificate {number}, valid until {date}',
+      rows: {
+        product: 'Product',
+        crop: 'Crop',
+        quantity: 'Quantity',
+        lotNumber: 'Lot number',
+        harvestPeriod: 'Harvest period',
+        buyer: 'Buyer',
+        issueDate: 'Issue date'
+      },
+      harvestPeriod: '{start} to {end}',
+      statement: 'The product was harvested from fields certified organic under the certificate above, and its quantity is within the expected yield of the certified area.',
+      validity: 'This transaction certificate covers only the lot described above and is void once cancelled.',
+      generated: 'Transaction Certificate ID: {number} | Generated: {date}'
+    },
+    notice: {
+      reference: 'Ref: {reference}',
+      date: 'Date: {date}',
+      county: '{county} County',
+      greeting: 'Dear {name},',
+      rows: {
+        certificate: 'Certificate No',
+        farm: 'Farm',
+        scope: 'Scope',
+        reason: 'Reason',
+        details: 'Details',
+        nonConformity: 'Non-conformity',
+        clause: 'clause {clause}',
+        effectiveDate: 'Effective date',
+        status: 'Certificate status'
+      },
+      appeal: 'You may appeal against this decision in writing within 30 days of the date of this notice.',
+      closing: 'Yours faithfully,',
+      onBehalfOf: 'for {body}',
+      officer: 'Certification Officer',
+      statusCheck: 'The current status of this certificate can be checked at {url}',
+      suspend: {
+        title: 'NOTICE OF SUSPENSION',
+        subject: 'Suspension of organic certificate',
+        paragraphs: [
+          'We hereby notify you that the organic certificate referenced above is suspended with effect from {effectiveDate}.',
+          'While the certificate is suspended, products harvested or handled from that date must not be sold, labelled or advertised as organic.',
+          'To have the certificate reinstated, carry out the corrective actions for the reason given below and inform us so that they can be verified. If the causes of the suspension are not resolved, the certificate may be revoked.'
+        ],
+        appeal: true
+      },
+      revoke: {
+        title: 'NOTICE OF REVOCATION',
+        subject: 'Revocation of organic certificate',
+        paragraphs: [
+          'We hereby notify you that the organic certificate referenced above is revoked with effect from {effectiveDate}.',
+          'The certificate is withdrawn permanently. No product may be sold, labelled or advertised as organic under it, and copies of the certificate must no longer be used.',
+          'You may apply for certification again; a new application requires a full inspection.'
+        ],
+        appeal: true
+      },
+      reinstate: {
+        title: 'NOTICE OF REINSTATEMENT',
+        subject: 'Reinstatement of organic certificate',
+        paragraphs: [
+          'We are pleased to notify you that the organic certificate referenced above is reinstated with effect from {effectiveDate}.',
+          'Products may again be sold, labelled and advertised as organic within the scope and validity of the certificate.'
+        ],
+        appeal: false
+      }
+    },
+    statuses: {
+      active: 'active',
+      renewal_pending: 'renewal pending',
+      suspended: 'suspended',
+      revoked: 'revoked',
+      expired: 'expired',
+      superseded: 'superseded'
+    }
+  },
+  sw: {
+    locale: 'sw-KE',
+    certificate: {
+      title: 'UTHIBITISHO WA KILIMO HAI',
+      subtitle: 'CHETI',
+      number: 'Cheti Na: {number}',
+      certifyThat: 'Hii ni kuthibitisha kwamba:',
+      farm: 'Anayeendesha: {farm}',
+      location: 'Mahali: {location}',
+      farmSize: 'Ukubwa wa Shamba: hekta {area}',
+      statement: [
+        'Amekaguliwa na kuthibitishwa kuwa anatimiza viwango vya kilimo hai',
+        'katika uzalishaji wa:'
+      ],
+      certifiedCrops: 'MAZAO YALIYOTHIBITISHWA',
+      cropsFallback: 'Mazao ya kilimo hai',
+      annexReference: 'kutoka mashamba yaliyoorodheshwa katika kiambatisho, ambacho ni sehemu ya cheti hiki',
+      issueDate: 'Tarehe ya Kutolewa: {date}',
+      expiryDate: 'Tarehe ya Kuisha: {date}',
+      scope: 'Wigo: {scope}',
+      authorizedSignature: 'Sahihi Iliyoidhinishwa',
+      validity: 'Cheti hiki ni halali tu kikiambatana na ripoti ya sasa ya ukaguzi.',
+      checkStatus: 'Angalia hali yake ya sasa katika {url}',
+      digitallySigned: 'Kimetiwa sahihi kidijitali na {issuer}, ufunguo {keyId}',
+      generated: 'Kitambulisho cha Cheti: {number} | Kimetolewa: {date}',
+      scanToVerify: 'Changanua kuthibitisha',
+      specimen: 'SAMPULI'
+    },
+    annex: {
+      title: 'KIAMBATISHO: WIGO ULIOTHIBITISHWA',
+      continued: '(inaendelea)',
+      columns: ['Shamba', 'Zao', 'Eneo (ha)', 'Kundi'],
+      categories: {
+        organic: 'Kilimo hai',
+        in_conversion: 'Kipindi cha mpito'
+      },
+      organicArea: 'Eneo la kilimo hai: hekta {area}',
+      conversionArea: 'Eneo katika kipindi cha mpito: hekta {area}',
+      conversionNote: 'Mazao kutoka mashamba yaliyo katika kipindi cha mpito yamo katika cheti hiki lakini hayaruhusiwi kuuzwa wala kuwekwa lebo kama mazao ya kilimo hai.'
+    },
+    transaction: {
+      subtitle: 'CHETI CHA MUAMALA',
+      number: 'Cheti cha Muamala Na: {number}',
+      certifyThat: 'Hii ni kuthibitisha kwamba shehena iliyoelezwa hapa chini ilizalishwa na:',
+      scopeCertificate: 'chini ya cheti cha kilimo hai {number}, halali hadi {date}',
+      rows: {
+        product: 'Bidhaa',
+        crop: 'Zao',
+        quantity: 'Kiasi',
+        lotNumber: 'Namba ya shehena',
+        harvestPeriod: 'Kipindi cha mavuno',
+        buyer: 'Mnunuzi',
+        issueDate: 'Tarehe ya kutolewa'
+      },
+      harvestPeriod: '{start} hadi {end}',
+      statement: 'Bidhaa hii ilivunwa kutoka mashamba yaliyothibitishwa kuwa ya kilimo hai chini ya cheti kilichotajwa hapo juu, na kiasi chake hakizidi mavuno yanayotarajiwa ya eneo lililothibitishwa.',
+      validity: 'Cheti hiki cha muamala kinahusu shehena iliyoelezwa hapo juu pekee na si halali kikishafutwa.',
+      generated: 'Kitambulisho cha Cheti cha Muamala: {number} | Kimetolewa: {date}'
+    },
+    notice: {
+      reference: 'Kumb: {reference}',
+      date: 'Tarehe: {date}',
+      county: 'Kaunti ya {county}',
+      greeting: 'Ndugu {name},',
+      rows: {
+        certificate: 'Cheti Na',
+        farm: 'Shamba',
+        scope: 'Wigo',
+        reason: 'Sababu',
+        details: 'Maelezo',
+        nonConformity: 'Ukiukaji',
+        clause: 'kifungu {clause}',
+        effectiveDate: 'Tarehe ya kuanza',
+        status: 'Hali ya cheti'
+      },
+      appeal: 'Unaweza kukata rufaa dhidi ya uamuzi huu kwa maandishi ndani ya siku 30 tangu tarehe ya notisi hii.',
+      closing: 'Wako mwaminifu,',
+      onBehalfOf: 'kwa niaba ya {body}',
+      officer: 'Afisa wa Uthibitisho',
+      statusCheck: 'Hali ya sasa ya cheti hiki inaweza kuangaliwa katika {url}',
+      suspend: {
+        title: 'NOTISI YA KUSIMAMISHWA',
+        subject: 'Kusimamishwa kwa cheti cha kilimo hai',
+        paragraphs: [
+          'Tunakujulisha kwamba cheti cha kilimo hai kilichotajwa hapo juu kimesimamishwa kuanzia tarehe {effectiveDate}.',
+          'Wakati cheti kimesimamishwa, mazao yaliyovunwa au kushughulikiwa kuanzia tarehe hiyo hayaruhusiwi kuuzwa, kuwekwa lebo wala kutangazwa kama mazao ya kilimo hai.',
+          'Ili cheti kirejeshwe, chukua hatua za kurekebisha sababu iliyotajwa hapa chini na utujulishe ili zithibitishwe. Sababu za kusimamishwa zisiposhughulikiwa, cheti kinaweza kufutwa.'
+        ],
+        appeal: true
+      },
+      revoke: {
+        title: 'NOTISI YA KUFUTWA',
+        subject: 'Kufutwa kwa cheti cha kilimo hai',
+        paragraphs: [
+          'Tunakujulisha kwamba cheti cha kilimo hai kilichotajwa hapo juu kimefutwa kuanzia tarehe {effectiveDate}.',
+          'Cheti kimeondolewa kabisa. Hakuna zao litakaloruhusiwa kuuzwa, kuwekwa lebo wala kutangazwa kama la kilimo hai chini ya cheti hiki, na nakala zake zisitumike tena.',
+          'Unaweza kuomba uthibitisho upya; ombi jipya linahitaji ukaguzi kamili.'
+        ],
+        appeal: true
+      },
+      reinstate: {
+        title: 'NOTISI YA KUREJESHWA',
+        subject: 'Kurejeshwa kwa cheti cha kilimo hai',
+        paragraphs: [
+          'Tunafurahi kukujulisha kwamba cheti cha kilimo hai kilichotajwa hapo juu kimerejeshwa kuanzia tarehe {effectiveDate}.',
+          'Mazao yanaweza tena kuuzwa, kuwekwa lebo na kutangazwa kama mazao ya kilimo hai ndani ya wigo na muda wa cheti.'
+        ],
+        appeal: false
+      }
+    },
+    statuses: {
+      active: 'hai',
+      renewal_pending: 'inasubiri kuhuishwa',
+      suspended: 'imesimamishwa',
+      revoked: 'imefutwa',
+      expired: 'imeisha muda',
+      superseded: 'imebadilishwa'
+    }
+  }
+};
+
+const getText = (language) => TEXT[language] || TEXT[DEFAULT_LANGUAGE];
+
+const fill = (template, values = {}) =>
+  String(template).replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? values[key] : match));
+
+const formatDate = (value, language) =>
+  new Date(value).toLocaleDateString(getText(language).locale, { day: 'numeric', month: 'long', year: 'numeric' });
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEXT,
+  getText,
+  fill,
+  formatDate
+};
@@ -0,0 +1,126 @@
+// Organic conversion periods
+// Land farmed conventionally has to be managed organically for a conversion period before its produce
+// can be sold as organic (East African Organic Products Standard / EU rules): 24 months before sowing for
+// annual crops, 36 months before harvest for perennials. Any use of a prohibited input restarts the period.
+
+const CONVERSION_MONTHS = {
+  annual: 24,
+  perennial: 36
+};
+
+// Crops grown as perennials; anything not listed is treated as annual
+const PERENNIAL_CROPS = ['coffee', 'tea', 'macadamia', 'cashew', 'avocado', 'avocados', 'mango', 'mangoes',
+  'banana', 'bananas', 'passion fruit', 'citrus', 'oranges', 'pineapple', 'pineapples', 'coconut', 'cocoa',
+  'pawpaw', 'papaya', 'moringa', 'pyrethrum', 'sisal', 'vanilla', 'cloves', 'pasture'];
+
+// Produce may carry the "in conversion" label once the land has been in conversion this long
+const IN_CONVERSION_LABEL_MONTHS = 12;
+
+// Dates arrive as 'YYYY-MM-DD' strings or as Date objects from DATE columns (local midnight)
+const toDay = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return [
+      value.getFullYear(),
+      String(value.getMonth() + 1).padStart(2, '0'),
+      String(value.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+  const day = String(value).slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+};
+
+// Calendar months later; the 31st of a month without one moves to the month's last day
+const addMonths = (day, months) => {
+  const [year, month, date] = day.split('-').map(part => parseInt(part));
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDate = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date, lastDate));
+  return target.toISOString().split('T')[0];
+};
+
+const cropCategory = (cropType) =>
+  PERENNIAL_CROPS.includes(String(cropType || '').trim().toLowerCase()) ? 'perennial' : 'annual';
+
+const conversionMonths = (cropType, override) => {
+  const months = parseInt(override);
+  return Number.isInteger(months) && months >= 0 ? months : CONVERSION_MONTHS[cropCategory(cropType)];
+};
+
+/**
+ * Conversion state of a field on a day:
+ * { conversionStartDate, organicSince (farm fallback), lastProhibitedInputDate, cropType,
+ *   organicStatus (the legacy flag), conversionPeriodMonths (override) }
+ * Returns { status, label, startDate, periodMonths, inConversionLabelDate, earliestOrganicDate, daysRemaining, ... }.
+ * status is organic, in_conversion or unknown (no start date recorded); label is what the produce may
+ * be sold as: organic, in_conversion or conventional. Without dates the legacy flag decides the label,
+ * with a field not marked organic counted as in conversion.
+ */
+const assessConversion = (facts, asOf = toDay(new Date())) => {
+  const conversionStart = toDay(facts.conversionStartDate);
+  const startDate = conversionStart || toDay(facts.organicSince);
+  const lastProhibitedInputDate = toDay(facts.lastProhibitedInputDate);
+  const periodMonths = conversionMonths(facts.cropType, facts.conversionPeriodMonths);
+  const cropKind = cropCategory(facts.cropType);
+
+  if (!startDate) {
+    const organic = facts.organicStatus !== false && facts.organicStatus !== 0;
+    return {
+      status: 'unknown',
+      label: organic ? 'organic' : 'in_conversion',
+      startDate: null,
+      startDateSource: null,
+      cropCategory: cropKind,
+      periodMonths,
+      lastProhibitedInputDate,
+      inConversionLabelDate: null,
+      earliestOrganicDate: null,
+      daysRemaining: null,
+      restartedByInput: false
+    };
+  }
+
+  const restartedByInput = Boolean(lastProhibitedInputDate && lastProhibitedInputDate > startDate);
+  const countsFrom = restartedByInput ? lastProhibitedInputDate : startDate;
+  const inConversionLabelDate = addMonths(countsFrom, Math.min(IN_CONVERSION_LABEL_MONTHS, periodMonths));
+  const earliestOrganicDate = addMonths(countsFrom, periodMonths);
+
+  let status;
+  let label;
+  if (asOf >= earliestOrganicDate) {
+    status = 'organic';
+    label = 'organic';
+  } else {
+    status = 'in_conversion';
+    label = asOf >= inConversionLabelDate ? 'in_conversion' : 'conventional';
+  }
+
+  const daysRemaining = status === 'organic'
+    ? 0
+    : Math.round((Date.parse(earliestOrganicDate) - Date.parse(asOf)) / (24 * 60 * 60 * 1000));
+
+  return {
+    status,
+    label,
+    startDate,
+    startDateSource: conversionStart ? 'field' : 'farm',
+    cropCategory: cropKind,
+    periodMonths,
+    lastProhibitedInputDate,
+    inConversionLabelDate,
+    earliestOrganicDate,
+    daysRemaining,
+    restartedByInput
+  };
+};
+
+module.exports = {
+  CONVERSION_MONTHS,
+  PERENNIAL_CROPS,
+  IN_CONVERSION_LABEL_MONTHS,
+  toDay,
+  addMonths,
+  cropCategory,
+  assessConversion
+};
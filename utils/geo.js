@@ -0,0 +1,240 @@
+// Geographic helpers that work offline on WGS84 coordinates
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres between two { latitude, longitude } points
+const haversineKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Length of a path through the points in order
+const pathKm = (points) => points.reduce(
+  (total, point, index) => (index === 0 ? 0 : total + haversineKm(points[index - 1], point)),
+  0
+);
+
+const isValidCoordinate = (latitude, longitude) => (
+  typeof latitude === 'number' && typeof longitude === 'number' &&
+  !isNaN(latitude) && !isNaN(longitude) &&
+  latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180
+);
+
+// GeoJSON positions are [longitude, latitude]
+const toPosition = (point) => [point.longitude, point.latitude];
+
+// Boundaries are GeoJSON Polygon or MultiPolygon geometries; a ring is a closed list of positions
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Bounds the quadratic self-intersection check
+const MAX_BOUNDARY_POSITIONS = 5000;
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  isValidCoordinate(position[1], position[0]);
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Polygons of a geometry, each a list of rings: the exterior first, then holes
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+/**
+ * Geometry of a boundary sent as a geometry or a Feature, with positions reduced to [longitude, latitude]
+ * and repeated consecutive positions (common in GPS walks) dropped. Shapes it cannot read are returned as
+ * they are, for boundaryErrors to report.
+ */
+const normalizeBoundary = (input) => {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+  if (!geometry || !POLYGON_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return geometry;
+  }
+
+  const normalizeRing = (ring) => {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) return ring;
+    return ring
+      .map(position => [position[0], position[1]])
+      .filter((position, index, positions) => index === 0 || !samePosition(position, positions[index - 1]));
+  };
+  const normalizePolygon = (polygon) => (Array.isArray(polygon) ? polygon.map(normalizeRing) : polygon);
+
+  return {
+    type: geometry.type,
+    coordinates: geometry.type === 'Polygon'
+      ? normalizePolygon(geometry.coordinates)
+      : geometry.coordinates.map(normalizePolygon)
+  };
+};
+
+// Orientation of the turn p -> q -> r in the lon/lat plane: 0 collinear, 1 clockwise, -1 counter-clockwise
+const orientation = (p, q, r) => Math.sign((q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]));
+
+// Whether q, collinear with p and r, lies on the segment p-r
+const onSegment = (p, q, r) => q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0]) &&
+  q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1]);
+
+// Whether segments p1-q1 and p2-q2 cross or touch
+const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, p2, q1)) || (o2 === 0 && onSegment(p1, q2, q1)) ||
+    (o3 === 0 && onSegment(p2, p1, q2)) || (o4 === 0 && onSegment(p2, q1, q2));
+};
+
+// Edges (by index) of the first pair crossing or touching each other in a closed ring, or null for a simple ring.
+// Neighbouring edges share a position, so they only count when they fold back over each other.
+const findSelfIntersection = (ring) => {
+  const edges = ring.length - 1;
+
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 1; j < edges; j++) {
+      const neighbours = j === i + 1 || (i === 0 && j === edges - 1);
+      if (neighbours) {
+        const [shared, a, b] = j === i + 1 ? [ring[j], ring[i], ring[j + 1]] : [ring[i], ring[i + 1], ring[j]];
+        if (orientation(a, shared, b) === 0 && (onSegment(shared, a, b) || onSegment(shared, b, a))) {
+          return [i, j];
+        }
+      } else if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return [i, j];
+      }
+    }
+  }
+
+  return null;
+};
+
+// Area in square metres enclosed by a ring on the sphere (Chamberlain and Duquette, as used by d3 and turf)
+const ringAreaM2 = (ring) => {
+  const radius = EARTH_RADIUS_KM * 1000;
+  let total = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+
+  return Math.abs(total * radius * radius / 2);
+};
+
+// Geodesic area of a Polygon or MultiPolygon in hectares, holes excluded
+const boundaryAreaHectares = (geometry) => polygonsOf(geometry).reduce((total, [exterior, ...holes]) =>
+  total + ringAreaM2(exterior) - holes.reduce((sum, hole) => sum + ringAreaM2(hole), 0), 0) / 10000;
+
+// Ray casting in the lon/lat plane; positions on the ring may fall either way
+const pointInRing = (point, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+const pointInBoundary = (point, geometry) => polygonsOf(geometry).some(([exterior, ...holes]) =>
+  pointInRing(point, exterior) && !holes.some(hole => pointInRing(point, hole)));
+
+// Distance in metres from a position to the nearest edge of a ring, on a local flat projection around the position
+const distanceToRingM = (point, ring) => {
+  const metresPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+  const scaleX = metresPerDegree * Math.cos(toRadians(point[1]));
+  const toLocal = (position) => [(position[0] - point[0]) * scaleX, (position[1] - point[1]) * metresPerDegree];
+
+  let nearest = Infinity;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [ax, ay] = toLocal(ring[i]);
+    const [bx, by] = toLocal(ring[i + 1]);
+    const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared));
+    nearest = Math.min(nearest, Math.hypot(ax + t * (bx - ax), ay + t * (by - ay)));
+  }
+
+  return nearest;
+};
+
+const distanceToBoundaryM = (point, geometry) => Math.min(
+  ...polygonsOf(geometry).flat().map(ring => distanceToRingM(point, ring))
+);
+
+/**
+ * Problems with a boundary geometry (see normalizeBoundary): its type, rings of at least four valid
+ * [longitude, latitude] positions that close on their first one, rings that do not cross or touch themselves,
+ * and holes inside their exterior ring. Returns an empty array for a valid boundary.
+ */
+const boundaryErrors = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') {
+    return ['boundary must be a GeoJSON Polygon or MultiPolygon'];
+  }
+  if (!POLYGON_TYPES.includes(geometry.type)) {
+    return [`boundary must be a GeoJSON Polygon or MultiPolygon, not ${geometry.type || 'an untyped object'}`];
+  }
+
+  const polygons = Array.isArray(geometry.coordinates) ? polygonsOf(geometry) : null;
+  if (!polygons || polygons.length === 0 || !polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0)) {
+    return ['boundary coordinates must hold at least one polygon of rings'];
+  }
+
+  const positions = polygons.flat().reduce((count, ring) => count + (Array.isArray(ring) ? ring.length : 0), 0);
+  if (positions > MAX_BOUNDARY_POSITIONS) {
+    return [`boundary can have at most ${MAX_BOUNDARY_POSITIONS} positions`];
+  }
+
+  const errors = [];
+  polygons.forEach((polygon, polygonIndex) => {
+    polygon.forEach((ring, ringIndex) => {
+      const name = `${polygons.length > 1 ? `polygon ${polygonIndex + 1}, ` : ''}${ringIndex === 0 ? 'exterior ring' : `hole ${ringIndex}`}`;
+
+      if (!Array.isArray(ring) || !ring.every(isPosition)) {
+        errors.push(`${name}: positions must be [longitude, latitude] within -180..180 and -90..90`);
+        return;
+      }
+      if (ring.length < 4) {
+        errors.push(`${name}: at least three distinct positions are required`);
+        return;
+      }
+      if (!samePosition(ring[0], ring[ring.length - 1])) {
+        errors.push(`${name}: not closed; the last position must repeat the first`);
+        return;
+      }
+
+      const crossing = findSelfIntersection(ring);
+      if (crossing) {
+        errors.push(`${name}: intersects itself (edges ${crossing[0] + 1} and ${crossing[1] + 1})`);
+      } else if (ringAreaM2(ring) === 0) {
+        errors.push(`${name}: encloses no area`);
+      } else if (ringIndex > 0 && !ring.slice(0, -1).every(position => pointInRing(position, polygon[0]))) {
+        errors.push(`${name}: not inside the exterior ring`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  haversineKm,
+  pathKm,
+  isValidCoordinate,
+  toPosition,
+  POLYGON_TYPES,
+  MAX_BOUNDARY_POSITIONS,
+  normalizeBoundary,
+  boundaryErrors,
+  boundaryAreaHectares,
+  pointInBoundary,
+  distanceToBoundaryM,
+  polygonsOf
+};
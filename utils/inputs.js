@@ -0,0 +1,108 @@
+// Agricultural inputs and the field activity logbook. Inputs are checked against a list of products and active
+// ingredients with their status under KS EAS 456 (East African Organic Products Standard): Annex 1 lists
+// fertilisers and soil conditioners, Annex 2 pest and disease control products. Synthetic inputs are prohibited.
+// The list below is the fallback for products the inputs registry (agricultural_inputs) does not know.
+
+const INPUT_STATUSES = ['permitted', 'restricted', 'prohibited'];
+
+// Result of a check: a product matching nothing in the list is unlisted and has to be verified by the inspector
+const CHECK_STATUSES = [...INPUT_STATUSES, 'unlisted'];
+
+const INPUT_CATEGORIES = ['fertiliser', 'soil_conditioner', 'pesticide', 'seed', 'other'];
+
+const ACTIVITY_TYPES = ['input_application', 'seed_purchase', 'compost_production', 'irrigation', 'pest_control'];
+
+// Irrigation uses no product, so it is not checked
+const CHECKED_ACTIVITY_TYPES = ['input_application', 'seed_purchase', 'compost_production', 'pest_control'];
+
+// Everything but permitted inputs is flagged: restricted ones for their conditions, unlisted ones to be identified
+const FLAGGED_STATUSES = ['restricted', 'prohibited', 'unlisted'];
+
+const SEVERITY = { permitted: 0, unlisted: 1, restricted: 2, prohibited: 3 };
+
+// The checklist asks about synthetic inputs in the last 36 months
+const INPUT_HISTORY_MONTHS = 36;
+
+const FERTILISER_CLAUSE = 'KS EAS 456 Annex 1';
+const PEST_CONTROL_CLAUSE = 'KS EAS 456 Annex 2';
+const SYNTHETIC_CLAUSE = 'KS EAS 456 4.2';
+
+const DEFAULT_INPUT_LIST = [
+  { name: 'Compost', category: 'fertiliser', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Farmyard manure', category: 'fertiliser', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Vermicompost', category: 'fertiliser', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Wood ash', category: 'fertiliser', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Rock phosphate', category: 'fertiliser', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Agricultural lime', activeIngredient: 'Calcium carbonate', category: 'soil_conditioner', status: 'permitted', clause: FERTILISER_CLAUSE },
+  { name: 'Poultry manure', category: 'fertiliser', status: 'restricted', conditions: 'Not from factory farming; composted before use', clause: FERTILISER_CLAUSE },
+  { name: 'Neem', activeIngredient: 'Azadirachtin', category: 'pesticide', status: 'permitted', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Pyrethrum', activeIngredient: 'Pyrethrins', category: 'pesticide', status: 'permitted', conditions: 'Natural extract without piperonyl butoxide', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Bt', activeIngredient: 'Bacillus thuringiensis', category: 'pesticide', status: 'permitted', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Trichoderma', activeIngredient: 'Trichoderma harzianum', category: 'pesticide', status: 'permitted', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Sulphur', activeIngredient: 'Sulphur', category: 'pesticide', status: 'permitted', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Copper fungicide', activeIngredient: 'Copper hydroxide', category: 'pesticide', status: 'restricted', conditions: 'At most 6 kg copper per hectare per year', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Copper oxychloride', activeIngredient: 'Copper oxychloride', category: 'pesticide', status: 'restricted', conditions: 'At most 6 kg copper per hectare per year', clause: PEST_CONTROL_CLAUSE },
+  { name: 'Urea', category: 'fertiliser', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'CAN', activeIngredient: 'Calcium ammonium nitrate', category: 'fertiliser', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'DAP', activeIngredient: 'Diammonium phosphate', category: 'fertiliser', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'NPK', category: 'fertiliser', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Ammonium sulphate', category: 'fertiliser', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Glyphosate', activeIngredient: 'Glyphosate', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Paraquat', activeIngredient: 'Paraquat', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Chlorpyrifos', activeIngredient: 'Chlorpyrifos', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Cypermethrin', activeIngredient: 'Cypermethrin', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Lambda-cyhalothrin', activeIngredient: 'Lambda-cyhalothrin', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Imidacloprid', activeIngredient: 'Imidacloprid', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Mancozeb', activeIngredient: 'Mancozeb', category: 'pesticide', status: 'prohibited', clause: SYNTHETIC_CLAUSE },
+  { name: 'Treated seed', category: 'seed', status: 'prohibited', conditions: 'Seed dressed with synthetic fungicides or insecticides', clause: SYNTHETIC_CLAUSE }
+];
+
+// Lowercase words only, so "Lambda-Cyhalothrin 5EC" and "lambda cyhalothrin" compare equal
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const containsTerm = (text, term) => Boolean(term) && ` ${text} `.includes(` ${term} `);
+
+/**
+ * Checks a product against an input list by its name and active ingredient; a list entry matches when its
+ * name or active ingredient appears as whole words in either. With several matches, as in a compost blended
+ * with NPK, the most restrictive entry decides.
+ * Returns { status, input, inputId, conditions, clause } with the matched list entry (inputId for registry
+ * entries), or status 'unlisted'.
+ */
+const checkInput = ({ productName, activeIngredient }, list = DEFAULT_INPUT_LIST) => {
+  const texts = [normalize(productName), normalize(activeIngredient)].filter(Boolean);
+
+  const matches = list.filter(entry => {
+    const terms = [normalize(entry.name), normalize(entry.activeIngredient)].filter(Boolean);
+    return texts.some(text => terms.some(term => containsTerm(text, term)));
+  });
+
+  if (matches.length === 0) {
+    return { status: 'unlisted', input: null, inputId: null, conditions: null, clause: null };
+  }
+
+  const match = matches.reduce((worst, entry) => SEVERITY[entry.status] > SEVERITY[worst.status] ? entry : worst);
+  return {
+    status: match.status,
+    input: match.name,
+    inputId: match.id || null,
+    conditions: match.conditions || null,
+    clause: match.clause || null
+  };
+};
+
+const isFlagged = (status) => FLAGGED_STATUSES.includes(status);
+
+module.exports = {
+  INPUT_STATUSES,
+  CHECK_STATUSES,
+  INPUT_CATEGORIES,
+  ACTIVITY_TYPES,
+  CHECKED_ACTIVITY_TYPES,
+  FLAGGED_STATUSES,
+  INPUT_HISTORY_MONTHS,
+  DEFAULT_INPUT_LIST,
+  normalize,
+  checkInput,
+  isFlagged
+};
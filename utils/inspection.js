@@ -1,3 +1,5 @@
+const { evaluateChecklist, isNotApplicable, allowsNotApplicable, DEFAULT_POLICY } = require('./scoring');
+
 // Challenge-specific checklist questions
 const CHECKLIST_QUESTIONS = {
   syntheticInputs: "Any synthetic inputs in the last 36 months?",
@@ -7,57 +9,153 @@ const CHECKLIST_QUESTIONS = {
   recordKeeping: "Recordkeeping/logs available?"
 };
 
+// Answer types a checklist template question can use
+const QUESTION_TYPES = ['yes_no', 'numeric', 'text', 'multi_choice'];
+
+// Template scopes mirror the inspectors.specialization ENUM
+const CHECKLIST_SCOPES = ['organic-crops', 'livestock', 'processing', 'general', 'soil-management', 'pest-control'];
+
 const DEFAULT_CHECKLIST = [
   {
     id: 'syntheticInputs',
-    question: 'Any synthetic inputs in the last 36 months?'
+    question: 'Any synthetic inputs in the last 36 months?',
+    category: 'Inputs',
+    type: 'yes_no',
+    expectedAnswer: false,
+    weight: 3,
+    severity: 'critical',
+    isCritical: true
   },
   {
     id: 'bufferZones',
-    question: 'Adequate buffer zones?'
+    question: 'Adequate buffer zones?',
+    category: 'Land management',
+    type: 'yes_no',
+    expectedAnswer: true,
+    weight: 2,
+    severity: 'major',
+    isCritical: false
   },
   {
     id: 'organicSeed',
-    question: 'Organic seed or permitted exceptions?'
+    question: 'Organic seed or permitted exceptions?',
+    category: 'Inputs',
+    type: 'yes_no',
+    expectedAnswer: true,
+    weight: 2,
+    severity: 'major',
+    isCritical: false
   },
   {
     id: 'compostManagement',
-    question: 'Compost/soil fertility managed organically?'
+    question: 'Compost/soil fertility managed organically?',
+    category: 'Soil fertility',
+    type: 'yes_no',
+    expectedAnswer: true,
+    weight: 2,
+    severity: 'major',
+    isCritical: false
   },
   {
     id: 'recordKeeping',
-    question: 'Recordkeeping/logs available?'
+    question: 'Recordkeeping/logs available?',
+    category: 'Documentation',
+    type: 'yes_no',
+    expectedAnswer: true,
+    weight: 1,
+    severity: 'minor',
+    isCritical: false
   }
 ];
 
-const createChecklist = () => {
-  return DEFAULT_CHECKLIST.map(item => ({
+const createChecklist = (questions = DEFAULT_CHECKLIST) => {
+  return questions.map(item => ({
     ...item,
     answer: undefined
   }));
 };
 
-const calculateComplianceScore = (checklist) => {
-  const answeredQuestions = checklist.filter(item => item.answer !== undefined);
-  if (answeredQuestions.length === 0) return 0;
-  
-  const yesAnswers = answeredQuestions.filter(item => item.answer === true);
-  return Math.round((yesAnswers.length / answeredQuestions.length) * 100);
+// Empty { questionId: null } answer map, the shape inspections store in their checklist column
+const createAnswerMap = (questions = DEFAULT_CHECKLIST) => {
+  return questions.reduce((answers, item) => {
+    answers[item.id] = null;
+    return answers;
+  }, {});
+};
+
+// Checklists arrive either as an array of { id, answer } items or as a { questionId: answer } map
+const getChecklistAnswers = (checklist) => {
+  if (!checklist) return {};
+  if (Array.isArray(checklist)) {
+    return checklist.reduce((answers, item) => {
+      answers[item.id] = item.answer;
+      return answers;
+    }, {});
+  }
+  return checklist;
+};
+
+// Full scoring result: weighted score, per-category breakdown, failures by severity and eligibility
+const scoreChecklist = (checklist, questions = DEFAULT_CHECKLIST, policy = {}) => {
+  return evaluateChecklist(getChecklistAnswers(checklist), questions, policy);
 };
 
-const isEligibleForCertification = (complianceScore) => {
-  return complianceScore >= 80;
+const calculateComplianceScore = (checklist, questions = DEFAULT_CHECKLIST) => {
+  return scoreChecklist(checklist, questions).score;
 };
 
-// Validate checklist data
-const validateChecklist = (checklist) => {
+// Accepts a scoring result; a bare score is only checked against the pass threshold
+const isEligibleForCertification = (scoreResult) => {
+  if (scoreResult && typeof scoreResult === 'object') {
+    return scoreResult.eligible === true;
+  }
+  return scoreResult >= DEFAULT_POLICY.passThreshold;
+};
+
+const isAnswered = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (isNotApplicable(answer)) return allowsNotApplicable(question);
+  if (question.type === 'yes_no' || !question.type) return answer === true || answer === false;
+  if (question.type === 'text') return String(answer).trim().length > 0;
+  return answer !== '';
+};
+
+// Validate checklist data against the questions it was started with
+const validateChecklist = (checklist, questions = DEFAULT_CHECKLIST) => {
   const errors = [];
-  const questions = Object.keys(CHECKLIST_QUESTIONS);
+  const answers = getChecklistAnswers(checklist);
 
   questions.forEach(question => {
-    const answer = checklist[question];
-    if (answer !== true && answer !== false && answer !== null) {
-      errors.push(`Invalid answer for ${question}. Must be true, false, or null.`);
+    const answer = answers[question.id];
+    if (answer === undefined || answer === null) return;
+
+    if (isNotApplicable(answer)) {
+      if (!allowsNotApplicable(question)) {
+        errors.push(`Invalid answer for ${question.id}. Critical questions cannot be answered N/A.`);
+      }
+      return;
+    }
+
+    switch (question.type || 'yes_no') {
+      case 'yes_no':
+        if (answer !== true && answer !== false) {
+          errors.push(`Invalid answer for ${question.id}. Must be true, false, N/A, or null.`);
+        }
+        break;
+      case 'numeric':
+        if (isNaN(parseFloat(answer))) {
+          errors.push(`Invalid answer for ${question.id}. Must be a number.`);
+        }
+        break;
+      case 'multi_choice': {
+        const selected = Array.isArray(answer) ? answer : [answer];
+        if (selected.some(option => !(question.options || []).includes(option))) {
+          errors.push(`Invalid answer for ${question.id}. Must be one of: ${(question.options || []).join(', ')}`);
+        }
+        break;
+      }
+      default:
+        break;
     }
   });
 
@@ -68,17 +166,20 @@ const validateChecklist = (checklist) => {
 };
 
 // Check if all questions are answered
-const isChecklistComplete = (checklist) => {
-  const questions = Object.keys(CHECKLIST_QUESTIONS);
-  return questions.every(question =>
-    checklist[question] === true || checklist[question] === false
-  );
+const isChecklistComplete = (checklist, questions = DEFAULT_CHECKLIST) => {
+  const answers = getChecklistAnswers(checklist);
+  return questions.every(question => isAnswered(question, answers[question.id]));
 };
 
 module.exports = {
   CHECKLIST_QUESTIONS,
+  QUESTION_TYPES,
+  CHECKLIST_SCOPES,
   DEFAULT_CHECKLIST,
   createChecklist,
+  createAnswerMap,
+  getChecklistAnswers,
+  scoreChecklist,
   calculateComplianceScore,
   isEligibleForCertification,
   validateChecklist,
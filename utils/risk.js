@@ -0,0 +1,123 @@
+// Farm risk scoring
+// Each factor is normalised to 0 (no risk) .. 1 (highest risk) and weighted; the weights add up
+// to 100 so the score reads as a percentage. The level decides how often a farm is inspected.
+
+const FACTOR_WEIGHTS = {
+  pastScores: 25,
+  openViolations: 20,
+  cropRisk: 15,
+  timeSinceLastInspection: 15,
+  parallelProduction: 15,
+  farmSize: 10
+};
+
+const LEVEL_THRESHOLDS = {
+  high: 60,
+  medium: 35
+};
+
+// Announced visits per year by risk level
+const VISITS_PER_YEAR = {
+  high: 2,
+  medium: 1,
+  low: 1
+};
+
+// Crops that usually need heavy pest/disease control, or that are hard to keep apart from conventional
+// produce, carry more risk. Anything not listed is medium.
+const CROP_RISK = {
+  high: ['tomato', 'tomatoes', 'kale', 'sukuma wiki', 'cabbage', 'spinach', 'potato', 'potatoes', 'french beans',
+    'snow peas', 'flowers', 'roses', 'onion', 'onions', 'capsicum', 'maize'],
+  low: ['tea', 'macadamia', 'cashew', 'herbs', 'moringa', 'bananas', 'banana', 'pasture']
+};
+
+const CROP_RISK_VALUES = { low: 0.2, medium: 0.5, high: 1 };
+
+// Open non-conformities add up to a full factor: one critical, two majors or five minors
+const VIOLATION_VALUES = { critical: 1, major: 0.5, minor: 0.2 };
+
+// Without any concluded inspection the farm's history is unknown, which counts as fairly risky
+const UNKNOWN_HISTORY_RISK = 0.6;
+const MONTHS_FOR_FULL_RISK = 24;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const cropRiskCategory = (cropTypes = [], override) => {
+  if (override) return override;
+  const crops = (Array.isArray(cropTypes) ? cropTypes : []).map(crop => String(crop).trim().toLowerCase());
+  if (crops.some(crop => CROP_RISK.high.includes(crop))) return 'high';
+  if (crops.length > 0 && crops.every(crop => CROP_RISK.low.includes(crop))) return 'low';
+  return 'medium';
+};
+
+const farmSizeRisk = (hectares) => {
+  const size = parseFloat(hectares) || 0;
+  if (size < 2) return 0.2;
+  if (size < 10) return 0.5;
+  if (size < 50) return 0.8;
+  return 1;
+};
+
+/**
+ * Score a farm from its facts:
+ * { recentScores: [number], openViolations: { critical, major, minor }, totalArea, organicArea,
+ *   parallelProduction, cropTypes, cropRiskCategory, monthsSinceLastInspection (null = never) }
+ * Returns { score, level, visitsPerYear, factors } where factors holds each factor's raw value,
+ * normalised risk and weighted points.
+ */
+const scoreFarmRisk = (facts) => {
+  const recentScores = (facts.recentScores || []).filter(score => score !== null && score !== undefined);
+  const averageScore = recentScores.length > 0
+    ? recentScores.reduce((sum, score) => sum + parseFloat(score), 0) / recentScores.length
+    : null;
+
+  const violations = { critical: 0, major: 0, minor: 0, ...(facts.openViolations || {}) };
+  const violationLoad = Object.keys(VIOLATION_VALUES)
+    .reduce((sum, severity) => sum + violations[severity] * VIOLATION_VALUES[severity], 0);
+
+  const category = cropRiskCategory(facts.cropTypes, facts.cropRiskCategory);
+
+  const totalArea = parseFloat(facts.totalArea) || 0;
+  const organicArea = parseFloat(facts.organicArea);
+  const parallel = Boolean(facts.parallelProduction) ||
+    (!isNaN(organicArea) && totalArea > 0 && organicArea < totalArea);
+
+  const months = facts.monthsSinceLastInspection;
+
+  const values = {
+    pastScores: {
+      value: averageScore !== null ? Math.round(averageScore * 10) / 10 : null,
+      risk: averageScore !== null ? clamp((100 - averageScore) / 100) : UNKNOWN_HISTORY_RISK
+    },
+    openViolations: { value: violations, risk: clamp(violationLoad) },
+    cropRisk: { value: category, risk: CROP_RISK_VALUES[category] },
+    timeSinceLastInspection: {
+      value: months,
+      risk: months === null || months === undefined ? 1 : clamp(months / MONTHS_FOR_FULL_RISK)
+    },
+    parallelProduction: { value: parallel, risk: parallel ? 1 : 0 },
+    farmSize: { value: totalArea, risk: farmSizeRisk(totalArea) }
+  };
+
+  const factors = {};
+  let score = 0;
+  Object.entries(FACTOR_WEIGHTS).forEach(([name, weight]) => {
+    const points = values[name].risk * weight;
+    factors[name] = { ...values[name], weight, points: Math.round(points * 100) / 100 };
+    score += points;
+  });
+
+  score = Math.round(score * 100) / 100;
+  const level = score >= LEVEL_THRESHOLDS.high ? 'high' : (score >= LEVEL_THRESHOLDS.medium ? 'medium' : 'low');
+
+  return { score, level, visitsPerYear: VISITS_PER_YEAR[level], factors };
+};
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  LEVEL_THRESHOLDS,
+  VISITS_PER_YEAR,
+  CROP_RISK,
+  cropRiskCategory,
+  scoreFarmRisk
+};
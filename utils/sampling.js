@@ -0,0 +1,41 @@
+// Seeded random sampling, so a selection can be reproduced later from its seed for audit
+
+const crypto = require('crypto');
+
+// sfc32 generator seeded from the SHA-256 of the seed string; returns floats in [0, 1)
+const createRandom = (seed) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  let a = hash.readUInt32LE(0);
+  let b = hash.readUInt32LE(4);
+  let c = hash.readUInt32LE(8);
+  let d = hash.readUInt32LE(12);
+
+  return () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) >>> 0;
+    return t / 4294967296;
+  };
+};
+
+const generateSeed = () => crypto.randomBytes(16).toString('hex');
+
+// Pick `count` items without replacement, each with probability proportional to its weight
+// (Efraimidis-Spirakis: keep the largest u^(1/w)). Items must be passed in a stable order.
+const weightedSample = (items, count, weightOf, random) => items
+  .map(item => ({ item, key: Math.pow(random(), 1 / Math.max(weightOf(item), 1e-6)) }))
+  .sort((a, b) => b.key - a.key)
+  .slice(0, Math.max(0, count))
+  .map(({ item }) => item);
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+module.exports = {
+  createRandom,
+  generateSeed,
+  weightedSample,
+  randomInt
+};
@@ -0,0 +1,188 @@
+// Compliance scoring engine
+// Each answered question is evaluated by the evaluator registered for its type. An evaluator
+// returns true (compliant), false (non-compliant) or null (not scored). Scores are weighted,
+// and critical/major failures can block certification regardless of the overall percentage.
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+
+const DEFAULT_POLICY = {
+  passThreshold: parseFloat(process.env.CERTIFICATION_PASS_THRESHOLD) || 80,
+  maxCriticalFailures: 0,
+  maxMajorFailures: 2
+};
+
+const NOT_APPLICABLE_VALUES = ['na', 'n/a', 'not applicable'];
+
+const isNotApplicable = (answer) => {
+  if (answer && typeof answer === 'object' && !Array.isArray(answer)) return answer.notApplicable === true;
+  return typeof answer === 'string' && NOT_APPLICABLE_VALUES.includes(answer.trim().toLowerCase());
+};
+
+const isUnanswered = (answer) => answer === undefined || answer === null || answer === '';
+
+const evaluators = {
+  // Without an expected answer a "yes" is treated as compliant, matching the original scoring
+  yes_no: (answer, question) => {
+    if (answer !== true && answer !== false) return false;
+    const expected = question.expectedAnswer !== undefined ? question.expectedAnswer : true;
+    return answer === expected;
+  },
+
+  // expectedAnswer: { min, max } range, or an exact number
+  numeric: (answer, question) => {
+    const value = parseFloat(answer);
+    if (isNaN(value)) return false;
+
+    const expected = question.expectedAnswer;
+    if (expected === undefined || expected === null) return null;
+    if (typeof expected === 'number') return value === expected;
+
+    if (expected.min !== undefined && value < expected.min) return false;
+    if (expected.max !== undefined && value > expected.max) return false;
+    return true;
+  },
+
+  // expectedAnswer: list of compliant options; every selected option must be one of them
+  multi_choice: (answer, question) => {
+    const expected = question.expectedAnswer;
+    if (!Array.isArray(expected) || expected.length === 0) return null;
+
+    const selected = Array.isArray(answer) ? answer : [answer];
+    return selected.length > 0 && selected.every(option => expected.includes(option));
+  },
+
+  // Free text is only scored when an expected phrase is configured
+  text: (answer, question) => {
+    if (!question.expectedAnswer) return null;
+    return String(answer).toLowerCase().includes(String(question.expectedAnswer).toLowerCase());
+  }
+};
+
+// Register or replace the evaluator for a question type
+const registerEvaluator = (type, evaluator) => {
+  if (typeof evaluator !== 'function') {
+    throw new TypeError(`Evaluator for ${type} must be a function`);
+  }
+  evaluators[type] = evaluator;
+};
+
+// Questions written before severities existed only carry isCritical
+const getSeverity = (question) => {
+  if (SEVERITIES.includes(question.severity)) return question.severity;
+  return question.isCritical ? 'critical' : 'minor';
+};
+
+// Critical questions must be answered unless the template explicitly allows N/A for them
+const allowsNotApplicable = (question) => {
+  return question.allowNotApplicable === true || getSeverity(question) !== 'critical';
+};
+
+const getWeight = (question) => {
+  const weight = parseFloat(question.weight);
+  return isNaN(weight) || weight < 0 ? 1 : weight;
+};
+
+const toPercentage = (earned, possible) => (possible > 0 ? Math.round((earned / possible) * 100) : 0);
+
+// Score an answer map against its questions and decide certification eligibility
+const evaluateChecklist = (answers, questions, policy = {}) => {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+  const categories = {};
+  const failures = [];
+  const unanswered = [];
+  const notApplicable = [];
+  let earnedWeight = 0;
+  let possibleWeight = 0;
+
+  questions.forEach(question => {
+    const category = question.category || 'General';
+    if (!categories[category]) {
+      categories[category] = { score: 0, earnedWeight: 0, possibleWeight: 0, compliant: 0, nonCompliant: 0, notApplicable: 0, unanswered: 0 };
+    }
+    const bucket = categories[category];
+    const answer = answers[question.id];
+
+    if (isUnanswered(answer) || (isNotApplicable(answer) && !allowsNotApplicable(question))) {
+      bucket.unanswered += 1;
+      unanswered.push(question.id);
+      return;
+    }
+
+    if (isNotApplicable(answer)) {
+      bucket.notApplicable += 1;
+      notApplicable.push(question.id);
+      return;
+    }
+
+    const evaluator = evaluators[question.type || 'yes_no'];
+    const compliant = evaluator ? evaluator(answer, question) : null;
+    if (compliant === null) return;
+
+    const weight = getWeight(question);
+    bucket.possibleWeight += weight;
+    possibleWeight += weight;
+
+    if (compliant) {
+      bucket.earnedWeight += weight;
+      bucket.compliant += 1;
+      earnedWeight += weight;
+    } else {
+      bucket.nonCompliant += 1;
+      failures.push({
+        questionId: question.id,
+        question: question.question,
+        category,
+        severity: getSeverity(question),
+        answer,
+        expectedAnswer: question.expectedAnswer
+      });
+    }
+  });
+
+  Object.values(categories).forEach(bucket => {
+    bucket.score = toPercentage(bucket.earnedWeight, bucket.possibleWeight);
+  });
+
+  const countBySeverity = severity => failures.filter(failure => failure.severity === severity).length;
+  const criticalFailures = countBySeverity('critical');
+  const majorFailures = countBySeverity('major');
+  const minorFailures = countBySeverity('minor');
+  const score = toPercentage(earnedWeight, possibleWeight);
+
+  const reasons = [];
+  if (score < rules.passThreshold) {
+    reasons.push(`Compliance score is ${score}%. Minimum required is ${rules.passThreshold}%`);
+  }
+  if (criticalFailures > rules.maxCriticalFailures) {
+    reasons.push(`${criticalFailures} critical non-compliance(s) found`);
+  }
+  if (majorFailures > rules.maxMajorFailures) {
+    reasons.push(`${majorFailures} major non-compliances found. At most ${rules.maxMajorFailures} allowed`);
+  }
+
+  return {
+    score,
+    earnedWeight,
+    possibleWeight,
+    categories,
+    failures,
+    criticalFailures,
+    majorFailures,
+    minorFailures,
+    unanswered,
+    notApplicable,
+    passThreshold: rules.passThreshold,
+    eligible: reasons.length === 0,
+    reasons
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_POLICY,
+  registerEvaluator,
+  getSeverity,
+  isNotApplicable,
+  allowsNotApplicable,
+  evaluateChecklist
+};
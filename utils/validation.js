@@ -1,3 +1,11 @@
+const { QUESTION_TYPES, CHECKLIST_SCOPES } = require('./inspection');
+const { LANGUAGES: CERTIFICATE_LANGUAGES } = require('./certificateText');
+const { SEVERITIES } = require('./scoring');
+const { UNITS: QUANTITY_UNITS, YIELD_PERIOD_MONTHS } = require('./yield');
+const { addMonths } = require('./conversion');
+const { ACTIVITY_TYPES, CHECKED_ACTIVITY_TYPES, INPUT_CATEGORIES, INPUT_STATUSES } = require('./inputs');
+const { boundaryErrors, normalizeBoundary } = require('./geo');
+
 // User-friendly error messages for better frontend experience
 const getUserFriendlyError = (validationErrors) => {
   const errorMap = {
@@ -252,6 +260,18 @@ const validateFarm = (data) => {
     errors.push('Size must be greater than 0');
   }
 
+  if (data.certificationScope && !CHECKLIST_SCOPES.includes(data.certificationScope)) {
+    errors.push(`Certification scope must be one of: ${CHECKLIST_SCOPES.join(', ')}`);
+  }
+
+  if (data.cropRiskCategory && !['low', 'medium', 'high'].includes(data.cropRiskCategory)) {
+    errors.push('Crop risk category must be one of: low, medium, high');
+  }
+
+  if (data.parallelProduction !== undefined && typeof data.parallelProduction !== 'boolean') {
+    errors.push('parallelProduction must be true or false');
+  }
+
   return errors;
 };
 
@@ -275,26 +295,63 @@ const validateFarmUpdate = (data) => {
     errors.push('Size must be greater than 0');
   }
 
+  if (data.certificationScope && !CHECKLIST_SCOPES.includes(data.certificationScope)) {
+    errors.push(`Certification scope must be one of: ${CHECKLIST_SCOPES.join(', ')}`);
+  }
+
+  if (data.cropRiskCategory && !['low', 'medium', 'high'].includes(data.cropRiskCategory)) {
+    errors.push('Crop risk category must be one of: low, medium, high');
+  }
+
+  if (data.parallelProduction !== undefined && typeof data.parallelProduction !== 'boolean') {
+    errors.push('parallelProduction must be true or false');
+  }
+
   return errors;
 };
 
-const validateField = (data) => {
+const validateField = (data, { partial = false } = {}) => {
   const errors = [];
   
-  if (!data.farmId) {
+  if (!partial && !data.farmId) {
     errors.push('Farm ID is required');
   }
   
-  if (!data.name || data.name.trim().length === 0) {
-    errors.push('Field name is required');
+  if (!partial || data.fieldName !== undefined) {
+    if (!data.fieldName || String(data.fieldName).trim().length === 0) {
+      errors.push('Field name is required');
+    }
   }
   
-  if (!data.cropType || data.cropType.trim().length === 0) {
-    errors.push('Crop type is required');
+  if (!partial || data.cropType !== undefined) {
+    if (!data.cropType || String(data.cropType).trim().length === 0) {
+      errors.push('Crop type is required');
+    }
   }
   
-  if (!data.size || data.size <= 0) {
-    errors.push('Size must be greater than 0');
+  if (data.area !== undefined && data.area !== null && (isNaN(data.area) || Number(data.area) <= 0)) {
+    errors.push('Area must be greater than 0');
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  ['plantingDate', 'conversionStartDate', 'lastProhibitedInputDate'].forEach(key => {
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '' && !isDateString(data[key])) {
+      errors.push(`${key} must be a date (YYYY-MM-DD)`);
+    }
+  });
+
+  // Conversion is counted from dates that have happened
+  ['conversionStartDate', 'lastProhibitedInputDate'].forEach(key => {
+    if (isDateString(data[key]) && data[key] > today) {
+      errors.push(`${key} cannot be in the future`);
+    }
+  });
+
+  if (data.conversionPeriodMonths !== undefined && data.conversionPeriodMonths !== null) {
+    const months = Number(data.conversionPeriodMonths);
+    if (!Number.isInteger(months) || months < 0 || months > 120) {
+      errors.push('conversionPeriodMonths must be a whole number of months between 0 and 120');
+    }
   }
   
   return errors;
@@ -307,22 +364,733 @@ const validateInspection = (data) => {
     errors.push('Farm ID is required');
   }
   
-  if (!data.inspectorName || data.inspectorName.trim().length === 0) {
+  // A linked inspector supplies the name
+  if (!data.assignedInspectorId && (!data.inspectorName || data.inspectorName.trim().length === 0)) {
     errors.push('Inspector name is required');
   }
   
   if (!data.scheduledDate) {
     errors.push('Scheduled date is required');
   }
+
+  if (data.visitType && !['announced', 'unannounced'].includes(data.visitType)) {
+    errors.push('Visit type must be announced or unannounced');
+  }
   
   return errors;
 };
 
+const validateChecklistTemplate = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || data.name.trim().length === 0) {
+      errors.push('Template name is required');
+    }
+  }
+
+  if (data.scope && !CHECKLIST_SCOPES.includes(data.scope)) {
+    errors.push(`Scope must be one of: ${CHECKLIST_SCOPES.join(', ')}`);
+  }
+
+  if (data.status && !['active', 'archived'].includes(data.status)) {
+    errors.push('Status must be active or archived');
+  }
+
+  if (!partial || data.questions !== undefined) {
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+      errors.push('At least one question is required');
+    } else {
+      const ids = new Set();
+      data.questions.forEach((question, index) => {
+        const label = question && question.id ? question.id : `#${index + 1}`;
+
+        if (!question || !question.id || String(question.id).trim().length === 0) {
+          errors.push(`Question ${label}: id is required`);
+        } else if (ids.has(question.id)) {
+          errors.push(`Question ${label}: id must be unique`);
+        } else {
+          ids.add(question.id);
+        }
+
+        if (!question || !question.question || String(question.question).trim().length === 0) {
+          errors.push(`Question ${label}: question text is required`);
+        }
+
+        if (!question || !question.category || String(question.category).trim().length === 0) {
+          errors.push(`Question ${label}: category is required`);
+        }
+
+        if (!question || !QUESTION_TYPES.includes(question.type)) {
+          errors.push(`Question ${label}: type must be one of: ${QUESTION_TYPES.join(', ')}`);
+        }
+
+        if (question && question.weight !== undefined && (isNaN(parseFloat(question.weight)) || parseFloat(question.weight) < 0)) {
+          errors.push(`Question ${label}: weight must be 0 or greater`);
+        }
+
+        if (question && question.isCritical !== undefined && typeof question.isCritical !== 'boolean') {
+          errors.push(`Question ${label}: isCritical must be true or false`);
+        }
+
+        if (question && question.allowNotApplicable !== undefined && typeof question.allowNotApplicable !== 'boolean') {
+          errors.push(`Question ${label}: allowNotApplicable must be true or false`);
+        }
+
+        if (question && question.type === 'multi_choice' &&
+            (!Array.isArray(question.options) || question.options.length < 2)) {
+          errors.push(`Question ${label}: multi_choice questions need at least two options`);
+        }
+
+        if (question && question.severity !== undefined && !SEVERITIES.includes(question.severity)) {
+          errors.push(`Question ${label}: severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+
+        if (question && question.expectedAnswer !== undefined && question.expectedAnswer !== null) {
+          const expected = question.expectedAnswer;
+          if (question.type === 'yes_no' && typeof expected !== 'boolean') {
+            errors.push(`Question ${label}: expectedAnswer must be true or false`);
+          }
+          if (question.type === 'numeric' && typeof expected !== 'number' &&
+              (typeof expected !== 'object' || (expected.min === undefined && expected.max === undefined))) {
+            errors.push(`Question ${label}: expectedAnswer must be a number or a { min, max } range`);
+          }
+          if (question.type === 'multi_choice' &&
+              (!Array.isArray(expected) || expected.some(option => !(question.options || []).includes(option)))) {
+            errors.push(`Question ${label}: expectedAnswer must list compliant options from options`);
+          }
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+const validateNonConformity = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial && !data.inspectionId) {
+    errors.push('Inspection ID is required');
+  }
+
+  if (!partial || data.description !== undefined) {
+    if (!data.description || String(data.description).trim().length === 0) {
+      errors.push('Description is required');
+    }
+  }
+
+  if (data.severity !== undefined && !SEVERITIES.includes(data.severity)) {
+    errors.push(`Severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  if (data.dueDate && isNaN(Date.parse(data.dueDate))) {
+    errors.push('Due date must be a valid date');
+  }
+
+  return errors;
+};
+
+// Operations a device can send for each entity in a sync batch
+const SYNC_OPERATIONS = {
+  inspection: ['create', 'update'],
+  checklist: ['update'],
+  note: ['create'],
+  attachment: ['update']
+};
+
+const MAX_SYNC_BATCH_SIZE = 100;
+
+const validateSyncRequest = (data) => {
+  const errors = [];
+
+  if (data.changes !== undefined && !Array.isArray(data.changes)) {
+    errors.push('changes must be an array');
+  } else if (data.changes && data.changes.length > MAX_SYNC_BATCH_SIZE) {
+    errors.push(`A sync batch can contain at most ${MAX_SYNC_BATCH_SIZE} changes`);
+  }
+
+  if (data.cursor !== undefined && data.cursor !== null && typeof data.cursor !== 'string') {
+    errors.push('cursor must be a string returned by a previous sync');
+  }
+
+  return errors;
+};
+
+const validateSyncChange = (change) => {
+  const errors = [];
+
+  if (!change || typeof change !== 'object') {
+    return ['Change must be an object'];
+  }
+
+  if (!change.clientId || String(change.clientId).trim().length === 0) {
+    errors.push('clientId is required');
+  } else if (String(change.clientId).length > 100) {
+    errors.push('clientId must be 100 characters or fewer');
+  }
+
+  const operations = SYNC_OPERATIONS[change.entity];
+  if (!operations) {
+    errors.push(`entity must be one of: ${Object.keys(SYNC_OPERATIONS).join(', ')}`);
+    return errors;
+  }
+
+  if (!operations.includes(change.operation)) {
+    errors.push(`operation for ${change.entity} must be one of: ${operations.join(', ')}`);
+  }
+
+  // Everything except a new inspection targets an existing record, either by server id
+  // or by the clientId of the change that created it
+  const isNewInspection = change.entity === 'inspection' && change.operation === 'create';
+  if (!isNewInspection && !change.id && !change.ref) {
+    errors.push('id or ref is required');
+  }
+
+  if (change.operation === 'update' && !Number.isInteger(change.baseVersion)) {
+    errors.push('baseVersion is required for updates');
+  }
+
+  if (!change.data || typeof change.data !== 'object') {
+    errors.push('data is required');
+  }
+
+  return errors;
+};
+
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
 };
 
+const WORKING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const MAX_INSPECTIONS_PER_DAY = 10;
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+const validateInspectorAvailability = (data) => {
+  const errors = [];
+
+  if (data.workingDays === undefined && data.maxInspectionsPerDay === undefined) {
+    errors.push('Provide workingDays or maxInspectionsPerDay');
+  }
+
+  if (data.workingDays !== undefined) {
+    if (!Array.isArray(data.workingDays)) {
+      errors.push('workingDays must be an array');
+    } else {
+      const invalid = data.workingDays.filter(day => !WORKING_DAYS.includes(day));
+      if (invalid.length > 0) {
+        errors.push(`Invalid working days: ${invalid.join(', ')}. Use: ${WORKING_DAYS.join(', ')}`);
+      }
+    }
+  }
+
+  if (data.maxInspectionsPerDay !== undefined) {
+    const max = Number(data.maxInspectionsPerDay);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_INSPECTIONS_PER_DAY) {
+      errors.push(`maxInspectionsPerDay must be a whole number between 1 and ${MAX_INSPECTIONS_PER_DAY}`);
+    }
+  }
+
+  return errors;
+};
+
+const validateInspectorLeave = (data) => {
+  const errors = [];
+
+  if (!isDateString(data.startDate)) {
+    errors.push('startDate must be a date (YYYY-MM-DD)');
+  }
+  if (!isDateString(data.endDate)) {
+    errors.push('endDate must be a date (YYYY-MM-DD)');
+  }
+  if (errors.length === 0 && data.endDate < data.startDate) {
+    errors.push('endDate cannot be before startDate');
+  }
+  if (data.reason && data.reason.length > 255) {
+    errors.push('reason must be 255 characters or fewer');
+  }
+
+  return errors;
+};
+
+const validateInspectionPlan = (data) => {
+  const errors = [];
+
+  const year = Number(data.year);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    errors.push('year must be a four-digit year');
+  }
+
+  if (data.unannouncedPercentage !== undefined) {
+    const percentage = Number(data.unannouncedPercentage);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      errors.push('unannouncedPercentage must be between 0 and 100');
+    }
+  }
+
+  if (data.seed !== undefined && (typeof data.seed !== 'string' || data.seed.length === 0 || data.seed.length > 64)) {
+    errors.push('seed must be a string of at most 64 characters');
+  }
+
+  if (data.farmIds !== undefined && (!Array.isArray(data.farmIds) || data.farmIds.some(id => !Number.isInteger(Number(id))))) {
+    errors.push('farmIds must be an array of farm IDs');
+  }
+
+  return errors;
+};
+
+// Renewal request (POST /api/certificates/:id/renew) and the amendments allowed on approval
+const validateRenewalRequest = (data) => {
+  const errors = [];
+
+  if (data.requestedExpiryDate !== undefined && data.requestedExpiryDate !== null) {
+    if (!isDateString(data.requestedExpiryDate)) {
+      errors.push('requestedExpiryDate must be a date (YYYY-MM-DD)');
+    } else if (data.requestedExpiryDate <= new Date().toISOString().split('T')[0]) {
+      errors.push('requestedExpiryDate must be in the future');
+    }
+  }
+
+  if (data.expiryDate !== undefined && data.expiryDate !== null) {
+    if (!isDateString(data.expiryDate)) {
+      errors.push('expiryDate must be a date (YYYY-MM-DD)');
+    } else if (data.expiryDate <= new Date().toISOString().split('T')[0]) {
+      errors.push('expiryDate must be in the future');
+    }
+  }
+
+  if (data.scope !== undefined && data.scope !== null && (typeof data.scope !== 'string' || data.scope.trim().length === 0)) {
+    errors.push('scope must be a non-empty string');
+  }
+
+  if (data.reason !== undefined && data.reason !== null && typeof data.reason !== 'string') {
+    errors.push('reason must be a string');
+  }
+
+  return errors;
+};
+
+const validateRenewalSchedule = (data) => {
+  const errors = [];
+
+  if (data.inspectionId !== undefined && data.inspectionId !== null) {
+    if (!Number.isInteger(Number(data.inspectionId))) {
+      errors.push('inspectionId must be an inspection ID');
+    }
+  } else if (!isDateString(data.scheduledDate)) {
+    errors.push('scheduledDate (YYYY-MM-DD) is required when no inspectionId is given');
+  }
+
+  return errors;
+};
+
+// Field scope of a new certificate; fields and categories are checked against the farm by the service
+// Certificate issued directly (POST /api/certificates); its scope is checked by validateCertificateScope
+const validateCertificate = (data) => {
+  const errors = [];
+
+  if (!data.farmId || !Number.isInteger(Number(data.farmId))) {
+    errors.push('farmId is required');
+  }
+  if (!isDateString(data.issueDate)) {
+    errors.push('issueDate must be a date (YYYY-MM-DD)');
+  }
+  if (!isDateString(data.expiryDate)) {
+    errors.push('expiryDate must be a date (YYYY-MM-DD)');
+  }
+  if (errors.length === 0 && data.expiryDate <= data.issueDate) {
+    errors.push('expiryDate must be after issueDate');
+  }
+
+  return errors;
+};
+
+const validateCertificateScope = (scopeItems) => {
+  const errors = [];
+
+  if (scopeItems === undefined || scopeItems === null) return errors;
+
+  if (!Array.isArray(scopeItems)) {
+    return ['scopeItems must be an array'];
+  }
+
+  scopeItems.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      errors.push(`scopeItems[${index}] must be an object`);
+      return;
+    }
+    if (!Number.isInteger(Number(item.fieldId)) || item.fieldId === null || item.fieldId === '') {
+      errors.push(`scopeItems[${index}].fieldId is required`);
+    }
+    if (item.crop !== undefined && (typeof item.crop !== 'string' || item.crop.trim().length === 0 || item.crop.length > 100)) {
+      errors.push(`scopeItems[${index}].crop must be a non-empty string of at most 100 characters`);
+    }
+    if (item.area !== undefined && item.area !== null && (isNaN(item.area) || Number(item.area) <= 0)) {
+      errors.push(`scopeItems[${index}].area must be a positive number of hectares`);
+    }
+  });
+
+  return errors;
+};
+
+const TEMPLATE_LAYOUTS = ['classic', 'bordered'];
+const TEMPLATE_COLORS = ['primary', 'text', 'muted'];
+const MAX_SIGNATORIES = 3;
+
+// Certificate templates (POST/PUT /api/certificate-templates); the logo file is checked by the service
+const validateCertificateTemplate = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || String(data.name).trim().length === 0) {
+      errors.push('Template name is required');
+    }
+  }
+
+  if (!partial || data.issuerName !== undefined) {
+    if (!data.issuerName || String(data.issuerName).trim().length === 0) {
+      errors.push('issuerName is required');
+    }
+  }
+
+  if (data.layout !== undefined && !TEMPLATE_LAYOUTS.includes(data.layout)) {
+    errors.push(`layout must be one of: ${TEMPLATE_LAYOUTS.join(', ')}`);
+  }
+
+  if (data.scope && !CHECKLIST_SCOPES.includes(data.scope)) {
+    errors.push(`scope must be one of: ${CHECKLIST_SCOPES.join(', ')}`);
+  }
+
+  if (data.defaultLanguage !== undefined && !CERTIFICATE_LANGUAGES.includes(data.defaultLanguage)) {
+    errors.push(`defaultLanguage must be one of: ${CERTIFICATE_LANGUAGES.join(', ')}`);
+  }
+
+  if (data.status && !['active', 'archived'].includes(data.status)) {
+    errors.push('Status must be active or archived');
+  }
+
+  if (data.logoFile && !/^[\w.-]+\.(png|jpe?g)$/i.test(data.logoFile)) {
+    errors.push('logoFile must be the name of a PNG or JPEG file in public/');
+  }
+
+  if (data.colors !== undefined && data.colors !== null) {
+    if (typeof data.colors !== 'object' || Array.isArray(data.colors)) {
+      errors.push(`colors must be an object with any of: ${TEMPLATE_COLORS.join(', ')}`);
+    } else {
+      Object.entries(data.colors).forEach(([key, value]) => {
+        if (!TEMPLATE_COLORS.includes(key)) {
+          errors.push(`colors.${key} is not a template colour (${TEMPLATE_COLORS.join(', ')})`);
+        } else if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+          errors.push(`colors.${key} must be a hex colour such as #10b981`);
+        }
+      });
+    }
+  }
+
+  if (data.signatories !== undefined && data.signatories !== null) {
+    if (!Array.isArray(data.signatories) || data.signatories.length > MAX_SIGNATORIES) {
+      errors.push(`signatories must be a list of at most ${MAX_SIGNATORIES} signatories`);
+    } else {
+      data.signatories.forEach((signatory, index) => {
+        if (!signatory || typeof signatory.name !== 'string' || signatory.name.trim().length === 0) {
+          errors.push(`signatories[${index}].name is required`);
+        }
+        if (signatory && signatory.title !== undefined && typeof signatory.title !== 'string') {
+          errors.push(`signatories[${index}].title must be a string`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Suspend, revoke and reinstate (POST /api/certificates/:id/{action}); codes are checked per action by the service
+const validateCertificateStatusAction = (data) => {
+  const errors = [];
+
+  if (!data.reasonCode || typeof data.reasonCode !== 'string') {
+    errors.push('reasonCode is required');
+  }
+
+  if (data.reasonDetails !== undefined && data.reasonDetails !== null && typeof data.reasonDetails !== 'string') {
+    errors.push('reasonDetails must be a string');
+  }
+
+  if (data.effectiveDate !== undefined && data.effectiveDate !== null && !isDateString(data.effectiveDate)) {
+    errors.push('effectiveDate must be a date (YYYY-MM-DD)');
+  }
+
+  if (data.nonConformityId !== undefined && data.nonConformityId !== null && !Number.isInteger(Number(data.nonConformityId))) {
+    errors.push('nonConformityId must be a non-conformity ID');
+  }
+
+  return errors;
+};
+
+// A new archived version of an issued certificate; the first version is only made at issuance
+const validateCertificateReissue = (data) => {
+  const errors = [];
+
+  if (!['reissued', 'amended'].includes(data.reason)) {
+    errors.push('reason must be reissued or amended');
+  }
+
+  if (!data.note || typeof data.note !== 'string' || !data.note.trim()) {
+    errors.push('note is required');
+  }
+
+  if (data.language !== undefined && data.language !== null && !CERTIFICATE_LANGUAGES.includes(data.language)) {
+    errors.push(`language must be one of: ${CERTIFICATE_LANGUAGES.join(', ')}`);
+  }
+
+  if (data.templateId !== undefined && data.templateId !== null && !Number.isInteger(Number(data.templateId))) {
+    errors.push('templateId must be a certificate template ID');
+  }
+
+  return errors;
+};
+
+// Bulk issuance: the inspections to approve, each once, and an optional approval reason
+const validateCertificateBatch = (data, { maxItems }) => {
+  const errors = [];
+
+  if (!Array.isArray(data.inspectionIds) || data.inspectionIds.length === 0) {
+    errors.push('inspectionIds must be a non-empty array of inspection IDs');
+  } else {
+    if (data.inspectionIds.length > maxItems) {
+      errors.push(`A batch can hold at most ${maxItems} inspections`);
+    }
+    if (data.inspectionIds.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+      errors.push('inspectionIds must contain inspection IDs');
+    }
+    if (new Set(data.inspectionIds.map(Number)).size !== data.inspectionIds.length) {
+      errors.push('inspectionIds must not list an inspection twice');
+    }
+  }
+
+  if (data.reason !== undefined && data.reason !== null && (typeof data.reason !== 'string' || data.reason.length > 500)) {
+    errors.push('reason must be a text of at most 500 characters');
+  }
+
+  return errors;
+};
+
+// Transaction certificate: the lot sold, its buyer and the harvest it came from
+const validateTransactionCertificate = (data) => {
+  const errors = [];
+  const text = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.trim().length <= max;
+
+  if (!Number.isInteger(Number(data.certificateId)) || Number(data.certificateId) <= 0) {
+    errors.push('certificateId must be a certificate ID');
+  }
+  if (!text(data.crop, 100)) {
+    errors.push('crop is required');
+  }
+  if (data.product !== undefined && data.product !== null && !text(data.product, 255)) {
+    errors.push('product must be a text of at most 255 characters');
+  }
+  if (data.quantity === undefined || data.quantity === null || data.quantity === '' || isNaN(data.quantity) || Number(data.quantity) <= 0) {
+    errors.push('quantity must be a number greater than 0');
+  }
+  if (!QUANTITY_UNITS.includes(data.unit)) {
+    errors.push(`unit must be one of: ${QUANTITY_UNITS.join(', ')}`);
+  }
+  if (!text(data.buyerName, 255)) {
+    errors.push('buyerName is required');
+  }
+  if (data.buyerCountry !== undefined && data.buyerCountry !== null && !text(data.buyerCountry, 100)) {
+    errors.push('buyerCountry must be a text of at most 100 characters');
+  }
+  if (!text(data.lotNumber, 100)) {
+    errors.push('lotNumber is required');
+  }
+
+  if (!isDateString(data.harvestStartDate)) {
+    errors.push('harvestStartDate must be a date (YYYY-MM-DD)');
+  }
+  if (!isDateString(data.harvestEndDate)) {
+    errors.push('harvestEndDate must be a date (YYYY-MM-DD)');
+  }
+  if (isDateString(data.harvestStartDate) && isDateString(data.harvestEndDate)) {
+    if (data.harvestEndDate < data.harvestStartDate) {
+      errors.push('harvestEndDate cannot be before harvestStartDate');
+    } else if (data.harvestStartDate <= addMonths(data.harvestEndDate, -YIELD_PERIOD_MONTHS)) {
+      errors.push(`A lot can cover at most ${YIELD_PERIOD_MONTHS} months of harvest`);
+    }
+  }
+
+  if (data.language !== undefined && data.language !== null && !CERTIFICATE_LANGUAGES.includes(data.language)) {
+    errors.push(`language must be one of: ${CERTIFICATE_LANGUAGES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Harvest record of a field; the crop defaults to the field's crop type
+const validateHarvestRecord = (data, { partial = false } = {}) => {
+  const errors = [];
+  const today = new Date().toISOString().split('T')[0];
+
+  if (!partial && (!Number.isInteger(Number(data.fieldId)) || Number(data.fieldId) <= 0)) {
+    errors.push('fieldId must be a field ID');
+  }
+
+  if (!partial || data.harvestDate !== undefined) {
+    if (!isDateString(data.harvestDate)) {
+      errors.push('harvestDate must be a date (YYYY-MM-DD)');
+    } else if (data.harvestDate > today) {
+      errors.push('harvestDate cannot be in the future');
+    }
+  }
+
+  if (data.crop !== undefined && data.crop !== null && (typeof data.crop !== 'string' || !data.crop.trim() || data.crop.trim().length > 100)) {
+    errors.push('crop must be a text of at most 100 characters');
+  }
+
+  if (!partial || data.quantity !== undefined) {
+    if (data.quantity === null || data.quantity === '' || isNaN(data.quantity) || Number(data.quantity) <= 0) {
+      errors.push('quantity must be a number greater than 0');
+    }
+  }
+
+  if (!partial || data.unit !== undefined) {
+    if (!QUANTITY_UNITS.includes(data.unit)) {
+      errors.push(`unit must be one of: ${QUANTITY_UNITS.join(', ')}`);
+    }
+  }
+
+  if (data.storageLocation !== undefined && data.storageLocation !== null &&
+    (typeof data.storageLocation !== 'string' || data.storageLocation.length > 255)) {
+    errors.push('storageLocation must be a text of at most 255 characters');
+  }
+
+  return errors;
+};
+
+// Yield estimate of a crop, for every farm or for one farm
+const validateYieldEstimate = (data) => {
+  const errors = [];
+
+  if (!data.crop || typeof data.crop !== 'string' || !data.crop.trim() || data.crop.trim().length > 100) {
+    errors.push('crop is required');
+  }
+
+  if (data.farmId !== undefined && data.farmId !== null && (!Number.isInteger(Number(data.farmId)) || Number(data.farmId) <= 0)) {
+    errors.push('farmId must be a farm ID');
+  }
+
+  if (data.yieldKgPerHa === undefined || data.yieldKgPerHa === null || data.yieldKgPerHa === '' ||
+    isNaN(data.yieldKgPerHa) || Number(data.yieldKgPerHa) <= 0) {
+    errors.push('yieldKgPerHa must be a number greater than 0');
+  }
+
+  return errors;
+};
+
+// Mass-balance period: both dates optional; at most five years so a report stays bounded
+const validateMassBalancePeriod = ({ from, to }) => {
+  const errors = [];
+
+  if (from !== undefined && !isDateString(from)) {
+    errors.push('from must be a date (YYYY-MM-DD)');
+  }
+  if (to !== undefined && !isDateString(to)) {
+    errors.push('to must be a date (YYYY-MM-DD)');
+  }
+  if (isDateString(from) && isDateString(to)) {
+    if (from > to) {
+      errors.push('from cannot be after to');
+    } else if (from < addMonths(to, -60)) {
+      errors.push('The period can be at most 5 years');
+    }
+  }
+
+  return errors;
+};
+
+// Logbook entry of a field; every activity but irrigation names the product used or bought
+const validateFieldActivity = (data) => {
+  const errors = [];
+  const today = new Date().toISOString().split('T')[0];
+
+  if (!Number.isInteger(Number(data.fieldId)) || Number(data.fieldId) <= 0) {
+    errors.push('fieldId must be a field ID');
+  }
+
+  if (!isDateString(data.activityDate)) {
+    errors.push('activityDate must be a date (YYYY-MM-DD)');
+  } else if (data.activityDate > today) {
+    errors.push('activityDate cannot be in the future');
+  }
+
+  if (!ACTIVITY_TYPES.includes(data.activityType)) {
+    errors.push(`activityType must be one of: ${ACTIVITY_TYPES.join(', ')}`);
+  }
+
+  const hasProduct = typeof data.productName === 'string' && data.productName.trim().length > 0;
+  if (CHECKED_ACTIVITY_TYPES.includes(data.activityType) && !hasProduct) {
+    errors.push('productName is required for this activity');
+  }
+
+  [['productName', 255], ['activeIngredient', 255], ['unit', 20], ['supplier', 255]].forEach(([key, maxLength]) => {
+    if (data[key] !== undefined && data[key] !== null && (typeof data[key] !== 'string' || data[key].length > maxLength)) {
+      errors.push(`${key} must be a text of at most ${maxLength} characters`);
+    }
+  });
+
+  if (data.quantity !== undefined && data.quantity !== null &&
+    (data.quantity === '' || isNaN(data.quantity) || Number(data.quantity) <= 0)) {
+    errors.push('quantity must be a number greater than 0');
+  }
+
+  return errors;
+};
+
+// Inputs registry entry; restricted inputs state their conditions of use
+const validateAgriculturalInput = (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 255) {
+      errors.push('name is required (at most 255 characters)');
+    }
+  }
+
+  if (!partial || data.category !== undefined) {
+    if (!INPUT_CATEGORIES.includes(data.category)) {
+      errors.push(`category must be one of: ${INPUT_CATEGORIES.join(', ')}`);
+    }
+  }
+
+  if (!partial || data.status !== undefined) {
+    if (!INPUT_STATUSES.includes(data.status)) {
+      errors.push(`status must be one of: ${INPUT_STATUSES.join(', ')}`);
+    } else if (data.status === 'restricted' && (!data.conditions || !String(data.conditions).trim())) {
+      errors.push('conditions are required for restricted inputs');
+    }
+  }
+
+  [['activeIngredient', 255], ['manufacturer', 255], ['standardClause', 100]].forEach(([key, maxLength]) => {
+    if (data[key] !== undefined && data[key] !== null && (typeof data[key] !== 'string' || data[key].length > maxLength)) {
+      errors.push(`${key} must be a text of at most ${maxLength} characters`);
+    }
+  });
+
+  return errors;
+};
+
+// Farm or field boundary: a GeoJSON Polygon or MultiPolygon, or a Feature holding one
+const validateBoundary = (data) => {
+  if (!data.boundary) {
+    return ['boundary is required (GeoJSON Polygon or MultiPolygon)'];
+  }
+
+  return boundaryErrors(normalizeBoundary(data.boundary));
+};
+
 module.exports = {
   validateFarmer,
   validateFarmerUpdate,
@@ -330,5 +1098,28 @@ module.exports = {
   validateFarmUpdate,
   validateField,
   validateInspection,
+  validateChecklistTemplate,
+  validateNonConformity,
+  validateSyncRequest,
+  validateSyncChange,
+  SYNC_OPERATIONS,
+  validateInspectorAvailability,
+  validateInspectorLeave,
+  validateInspectionPlan,
+  validateRenewalRequest,
+  validateRenewalSchedule,
+  validateCertificateStatusAction,
+  validateCertificate,
+  validateCertificateScope,
+  validateCertificateTemplate,
+  validateCertificateReissue,
+  validateCertificateBatch,
+  validateTransactionCertificate,
+  validateHarvestRecord,
+  validateYieldEstimate,
+  validateMassBalancePeriod,
+  validateFieldActivity,
+  validateAgriculturalInput,
+  validateBoundary,
   getUserFriendlyError
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Expected yields, used to check that the produce harvested and sold under transaction certificates could
+// have come from the certified area. These reference figures apply to crops without a recorded yield estimate
+// (yield_estimates); they are generous upper estimates for East African smallholdings, in kg of the produce as
+// usually sold per hectare per year (coffee as cherry, tea as green leaf).
+
+const REFERENCE_YIELDS_KG_PER_HA = {
+  'avocado': 15000,
+  'avocados': 15000,
+  'banana': 40000,
+  'bananas': 40000,
+  'beans': 2000,
+  'cabbage': 50000,
+  'carrots': 30000,
+  'cashew': 1500,
+  'cassava': 30000,
+  'cocoa': 1500,
+  'coffee': 8000,
+  'french beans': 15000,
+  'groundnuts': 2500,
+  'kale': 30000,
+  'macadamia': 5000,
+  'maize': 6000,
+  'mango': 15000,
+  'mangoes': 15000,
+  'onions': 30000,
+  'passion fruit': 20000,
+  'pineapple': 50000,
+  'pineapples': 50000,
+  'potatoes': 25000,
+  'pyrethrum': 1500,
+  'rice': 6000,
+  'sesame': 1200,
+  'sorghum': 4000,
+  'spinach': 20000,
+  'sunflower': 2500,
+  'sweet potatoes': 20000,
+  'tea': 12000,
+  'tomatoes': 60000,
+  'vanilla': 600,
+  'wheat': 5000
+};
+
+// Sales above the expected yield by more than this share are refused; estimates are not exact
+const YIELD_TOLERANCE = 0.1;
+
+// Quantities are compared over one year of harvests
+const YIELD_PERIOD_MONTHS = 12;
+
+const UNITS_IN_KG = {
+  kg: 1,
+  t: 1000,
+  lb: 0.45359237
+};
+
+const UNITS = Object.keys(UNITS_IN_KG);
+
+const referenceYield = (crop) => {
+  const value = REFERENCE_YIELDS_KG_PER_HA[String(crop || '').trim().toLowerCase()];
+  return value !== undefined ? value : null;
+};
+
+const toKilograms = (quantity, unit) => Math.round(Number(quantity) * UNITS_IN_KG[unit] * 1000) / 1000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compare the quantity of a lot, plus what was already sold from the same crop in the period, with
+ * what the area could yield: { areaHectares, yieldPerHectare, quantityKg, soldKg }.
+ * Returns { status, expectedKg, maximumKg, soldKg, availableKg }. status is within or exceeded, or
+ * no_reference / no_area when the expected yield cannot be computed and the quantity is not checked.
+ */
+const assessYield = ({ areaHectares, yieldPerHectare, quantityKg, soldKg = 0 }) => {
+  if (yieldPerHectare === null || yieldPerHectare === undefined) {
+    return { status: 'no_reference', expectedKg: null, maximumKg: null, soldKg: round(soldKg), availableKg: null };
+  }
+  if (!areaHectares) {
+    return { status: 'no_area', expectedKg: null, maximumKg: null, soldKg: round(soldKg), availableKg: null };
+  }
+
+  const expectedKg = round(areaHectares * yieldPerHectare);
+  const maximumKg = round(expectedKg * (1 + YIELD_TOLERANCE));
+  const availableKg = round(Math.max(maximumKg - soldKg, 0));
+
+  return {
+    status: soldKg + quantityKg > maximumKg ? 'exceeded' : 'within',
+    expectedKg,
+    maximumKg,
+    soldKg: round(soldKg),
+    availableKg
+  };
+};
+
+module.exports = {
+  REFERENCE_YIELDS_KG_PER_HA,
+  YIELD_TOLERANCE,
+  YIELD_PERIOD_MONTHS,
+  UNITS,
+  referenceYield,
+  toKilograms,
+  assessYield
+};